@@ -0,0 +1,340 @@
+/**
+ * Anonymizer Helpers
+ * ==================
+ *
+ * Pseudonymizes senders and scrubs personal data from raw scraper data before it is cleaned,
+ * for archives that are published outside the team. Used by zulip_cleaner.js --anonymize.
+ *
+ * WHAT GETS REPLACED:
+ * - sender: every sender becomes a stable pseudonym such as "User-7"; sender emails and
+ *   user ids are dropped
+ * - mention: @**Alice**, @_**Alice|42** (silent and quote-reply mentions) → @**User-7**
+ * - quote_author / reactor: quoted authors and reactors, by the same pseudonyms
+ * - email: e-mail addresses → [email redacted]
+ * - internal_url: links to --internal-host hosts (and their subdomains) → [internal link];
+ *   permalinks on those hosts, and the realm in the metadata if it is one, are dropped
+ * - phone: international (+41 44 123 45 67) and US style ((555) 123-4567) phone numbers
+ * - pattern:<regex>: every --redact-pattern match → [redacted]
+ * Content rules apply to message content and topic names.
+ *
+ * PSEUDONYM MAPPING FILE:
+ * {
+ *   "meta": { "format": "zulip-pseudonyms", "version": 1 },
+ *   "salt": "<random hex>",
+ *   "next": 8,
+ *   "pseudonyms": { "<salted sha256 of id:42>": "User-7", "<... of name:alice>": "User-7", ... }
+ * }
+ * The file is created on first use and reused on every run, so a person keeps their
+ * pseudonym across runs and streams. It only holds salted hashes, but with the salt they can
+ * be checked against guessed names, so keep it private. Senders are recognised by user id
+ * (or email when there is no id), so renamed users keep their pseudonym and two people with
+ * the same name get different ones. Names are only matched when there is nothing else: in
+ * mentions without an id, quoted authors and reactors. Those go to the first person seen
+ * with the name.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { ConfigError } = require('./errors');
+
+const MAPPING_FORMAT = 'zulip-pseudonyms';
+const MAPPING_VERSION = 1;
+const PSEUDONYM_PREFIX = 'User-';
+
+const MENTION_PATTERN = /@(_?)\*\*([^*|\n]+?)(?:\|(\d+))?\*\*/g;
+const EMAIL_PATTERN = /[\w.+-]+@[\w-]+(?:\.[\w-]+)*\.[a-z]{2,}/gi;
+const URL_PATTERN = /\bhttps?:\/\/[^\s<>()"'\]]+/g;
+const MARKDOWN_LINK_PATTERN = /(!?)\[([^\]]*)\]\((https?:\/\/[^\s()]+)(?:\s+"[^"]*")?\)/g;
+const QUOTE_HEADER_PATTERN = /^(@_\*\*[^*\n]+\*\*) \[said\]\((https?:\/\/[^)\s]+)\):/gm;
+const PHONE_PATTERNS = [
+  /\+\d{1,3}(?:[ .-]?\(?\d{1,4}\)?){2,5}\d/g,
+  /\(\d{3}\)\s?\d{3}[ .-]\d{4}\b/g
+];
+
+/**
+ * Loads a pseudonym mapping file, or starts a new mapping with a fresh salt
+ * @param {string} mappingFile - Path to the mapping file
+ * @returns {Object} - Mapping with salt, next and pseudonyms
+ * @throws {ConfigError} - When the file exists but isn't a pseudonym mapping
+ */
+function loadPseudonymMap(mappingFile) {
+  if (!fs.existsSync(mappingFile)) {
+    return {
+      meta: { format: MAPPING_FORMAT, version: MAPPING_VERSION },
+      salt: crypto.randomBytes(16).toString('hex'),
+      next: 1,
+      pseudonyms: {}
+    };
+  }
+
+  let mapping;
+  try {
+    mapping = JSON.parse(fs.readFileSync(mappingFile, 'utf8'));
+  } catch (error) {
+    throw new ConfigError(`Invalid JSON in ${mappingFile}: ${error.message}`, { file: mappingFile, cause: error });
+  }
+  const valid = mapping && mapping.meta && mapping.meta.format === MAPPING_FORMAT &&
+    typeof mapping.salt === 'string' && Number.isInteger(mapping.next) &&
+    mapping.pseudonyms && typeof mapping.pseudonyms === 'object';
+  if (!valid) {
+    throw new ConfigError(`Not a pseudonym mapping file: ${mappingFile}`, { file: mappingFile });
+  }
+  return mapping;
+}
+
+/**
+ * Saves a pseudonym mapping file
+ * @param {Object} mapping - Mapping to save
+ * @param {string} mappingFile - Path to the mapping file
+ */
+function savePseudonymMap(mapping, mappingFile) {
+  fs.mkdirSync(path.dirname(mappingFile), { recursive: true });
+  fs.writeFileSync(mappingFile, JSON.stringify(mapping, null, 2), 'utf8');
+}
+
+/**
+ * Hashes an identity with the mapping's salt
+ * @param {Object} mapping - Pseudonym mapping
+ * @param {string} identity - e.g. "name:alice", "email:alice@example.com", "id:42", or
+ *   "account:User-7" to mark a pseudonym as belonging to an account
+ * @returns {string} - Salted hash
+ */
+function hashIdentity(mapping, identity) {
+  return crypto.createHash('sha256').update(`${mapping.salt}\u0000${identity.toLowerCase()}`).digest('hex');
+}
+
+/**
+ * Gets the pseudonym of a person, assigning the next free one if they are new. People are
+ * told apart by user id (or email), so namesakes get different pseudonyms; the name is only
+ * used for mentions, quotes and reactions, which have nothing else.
+ * @param {Object} mapping - Pseudonym mapping (updated in place)
+ * @param {Object} person - name, email and id, any of them optional
+ * @returns {string} - Pseudonym, e.g. "User-7"
+ */
+function getPseudonym(mapping, person) {
+  const accountHashes = [
+    person.id !== null && person.id !== undefined ? `id:${person.id}` : null,
+    person.email ? `email:${person.email}` : null
+  ].filter(Boolean).map(identity => hashIdentity(mapping, identity));
+  const nameHash = person.name ? hashIdentity(mapping, `name:${person.name}`) : null;
+  const claimHash = pseudonym => hashIdentity(mapping, `account:${pseudonym}`);
+
+  const known = accountHashes.find(hash => mapping.pseudonyms[hash]);
+  let pseudonym = known ? mapping.pseudonyms[known] : null;
+  if (!pseudonym && nameHash && mapping.pseudonyms[nameHash]) {
+    // A name seen only in a mention or reaction so far is taken over by the first account
+    // with that name, but an account never takes over a namesake's pseudonym
+    const named = mapping.pseudonyms[nameHash];
+    if (accountHashes.length === 0 || !mapping.pseudonyms[claimHash(named)]) pseudonym = named;
+  }
+  if (!pseudonym) pseudonym = `${PSEUDONYM_PREFIX}${mapping.next++}`;
+
+  accountHashes.forEach(hash => { mapping.pseudonyms[hash] = pseudonym; });
+  if (accountHashes.length > 0) mapping.pseudonyms[claimHash(pseudonym)] = pseudonym;
+  // The first person seen with a name keeps it, for mentions without a user id
+  if (nameHash && !mapping.pseudonyms[nameHash]) mapping.pseudonyms[nameHash] = pseudonym;
+  return pseudonym;
+}
+
+/**
+ * Compiles the --redact-pattern values
+ * @param {Array} patterns - Plain patterns or /pattern/flags
+ * @returns {Array} - Array of { name, pattern } with global regular expressions
+ * @throws {Error} - When a pattern is invalid
+ */
+function compileRedactPatterns(patterns) {
+  return (patterns || []).map(text => {
+    const literal = text.match(/^\/(.*)\/([a-z]*)$/s);
+    const source = literal ? literal[1] : text;
+    const flags = literal ? literal[2] : '';
+    let pattern;
+    try {
+      pattern = new RegExp(source, flags.includes('g') ? flags : `${flags}g`);
+    } catch (error) {
+      throw new Error(`Invalid redact pattern "${text}": ${error.message}`);
+    }
+    if (pattern.test('')) {
+      throw new Error(`Redact pattern "${text}" matches empty text`);
+    }
+    return { name: `pattern:${text}`, pattern };
+  });
+}
+
+/**
+ * Checks whether a URL points at one of the internal hosts
+ * @param {string} url - Absolute URL
+ * @param {Array} internalHosts - Host names; subdomains match too
+ * @returns {boolean} - True for internal URLs
+ */
+function isInternalUrl(url, internalHosts) {
+  let host;
+  try {
+    host = new URL(url).hostname.toLowerCase();
+  } catch (error) {
+    return false;
+  }
+  return internalHosts.some(internal => host === internal || host.endsWith(`.${internal}`));
+}
+
+/**
+ * Creates a new audit, counting replacements per rule
+ * @param {Array} [patterns] - Compiled redact patterns, listed even when they never match
+ * @returns {Object} - Rule name → number of replacements
+ */
+function createAudit(patterns = []) {
+  const audit = { sender: 0, mention: 0, quote_author: 0, reactor: 0, email: 0, internal_url: 0, phone: 0 };
+  patterns.forEach(({ name }) => { audit[name] = 0; });
+  return audit;
+}
+
+/**
+ * Scrubs emails, internal links, phone numbers and custom patterns from text
+ * @param {string} text - Message content or topic name
+ * @param {Object} settings - internalHosts and patterns
+ * @param {Object} audit - Replacement counts (updated in place)
+ * @returns {string} - Scrubbed text
+ */
+function scrubText(text, settings, audit) {
+  const count = (rule, replacement) => () => {
+    audit[rule]++;
+    return replacement;
+  };
+
+  let scrubbed = String(text);
+  if (settings.internalHosts.length > 0) {
+    // Markdown links keep their label; bare URLs are replaced entirely
+    scrubbed = scrubbed
+      .replace(MARKDOWN_LINK_PATTERN, (match, bang, label, url) => {
+        if (!isInternalUrl(url, settings.internalHosts)) return match;
+        audit.internal_url++;
+        // Autolinks ([url](url)) would otherwise leave the URL behind in the label
+        return isInternalUrl(label.trim(), settings.internalHosts) ? '[internal link]' : `${label} [internal link]`.trim();
+      })
+      .replace(URL_PATTERN, url => (isInternalUrl(url, settings.internalHosts) ? count('internal_url', '[internal link]')() : url));
+  }
+  scrubbed = scrubbed.replace(EMAIL_PATTERN, count('email', '[email redacted]'));
+  PHONE_PATTERNS.forEach(pattern => {
+    scrubbed = scrubbed.replace(pattern, count('phone', '[phone redacted]'));
+  });
+  settings.patterns.forEach(({ name, pattern }) => {
+    scrubbed = scrubbed.replace(pattern, count(name, '[redacted]'));
+  });
+  return scrubbed;
+}
+
+/**
+ * Pseudonymizes and scrubs one raw message
+ * @param {Object} message - Raw message object
+ * @param {Object} settings - mapping, internalHosts and patterns
+ * @param {Object} audit - Replacement counts (updated in place)
+ * @returns {Object} - Anonymized copy of the message
+ */
+function anonymizeMessage(message, settings, audit) {
+  const { mapping } = settings;
+  const pseudonym = getPseudonym(mapping, { name: message.sender, email: message.sender_email, id: message.sender_id });
+  audit.sender++;
+
+  // Mentions first, so the names in them aren't seen by the other rules
+  const isInternal = url => settings.internalHosts.length > 0 && url && isInternalUrl(url, settings.internalHosts);
+  const content = String(message.content || '')
+    .replace(MENTION_PATTERN, (match, silent, name, id) => {
+      audit.mention++;
+      return `@${silent}**${getPseudonym(mapping, { name, id })}**`;
+    })
+    // Quote-reply headers lose an internal link but stay recognisable (see formatQuoteBlocks)
+    .replace(QUOTE_HEADER_PATTERN, (match, mention, url) => {
+      if (!isInternal(url)) return match;
+      audit.internal_url++;
+      return `${mention} said:`;
+    });
+
+  const anonymized = {
+    ...message,
+    sender: pseudonym,
+    content: scrubText(content, settings, audit)
+  };
+  if (message.sender_email !== undefined) anonymized.sender_email = null;
+  if (message.sender_id !== undefined) anonymized.sender_id = null;
+  if (isInternal(message.permalink)) {
+    anonymized.permalink = null;
+    audit.internal_url++;
+  }
+  if (Array.isArray(message.quotes)) {
+    anonymized.quotes = message.quotes.map(quote => {
+      const copy = { ...quote };
+      if (quote.author) {
+        copy.author = getPseudonym(mapping, { name: quote.author });
+        audit.quote_author++;
+      }
+      if (isInternal(quote.permalink)) {
+        copy.permalink = null;
+        audit.internal_url++;
+      }
+      return copy;
+    });
+  }
+  if (Array.isArray(message.reactions)) {
+    anonymized.reactions = message.reactions.map(reaction => {
+      if (!Array.isArray(reaction.reactors)) return reaction;
+      audit.reactor += reaction.reactors.length;
+      return { ...reaction, reactors: reaction.reactors.map(name => getPseudonym(mapping, { name })) };
+    });
+  }
+  return anonymized;
+}
+
+/**
+ * Drops the realm from dataset metadata when it is an internal host
+ * @param {Object|null} meta - Dataset metadata
+ * @param {Object} settings - internalHosts
+ * @param {Object} audit - Replacement counts (updated in place)
+ * @returns {Object|null} - Metadata safe to publish
+ */
+function anonymizeMeta(meta, settings, audit) {
+  if (!meta || !meta.realm || settings.internalHosts.length === 0) return meta;
+  const realm = /^https?:\/\//.test(meta.realm) ? meta.realm : `https://${meta.realm}`;
+  if (!isInternalUrl(realm, settings.internalHosts)) return meta;
+  audit.internal_url++;
+  // Dropped rather than nulled: the schemas and the other stages expect a realm string or none
+  const safeMeta = { ...meta };
+  delete safeMeta.realm;
+  return safeMeta;
+}
+
+/**
+ * Pseudonymizes and scrubs raw scraper data
+ * @param {Object} data - Raw scraper data: { topic: [message] }
+ * @param {Object} settings - mapping: pseudonym mapping (see loadPseudonymMap);
+ *   internalHosts: host names whose links are redacted; patterns: see compileRedactPatterns
+ * @param {Object} audit - Replacement counts, see createAudit (updated in place)
+ * @param {Map} [renamed] - Filled with each original topic name's scrubbed name
+ * @param {Set} [taken] - Topic names given out by earlier calls, for data anonymized in parts
+ *   (zulip_cleaner.js --stream); the names given out here are added to it
+ * @returns {Object} - Anonymized data, with scrubbed topic names
+ */
+function anonymizeTopics(data, settings, audit, renamed = null, taken = null) {
+  const anonymized = {};
+  for (const [topic, messages] of Object.entries(data)) {
+    const scrubbed = scrubText(topic, settings, audit);
+    let name = scrubbed;
+    // Two topics could be scrubbed to the same name
+    for (let n = 2; anonymized[name] || (taken && taken.has(name)); n++) name = `${scrubbed} (${n})`;
+    if (taken) taken.add(name);
+    anonymized[name] = messages.map(message => anonymizeMessage(message, settings, audit));
+    if (renamed) renamed.set(topic, name);
+  }
+  return anonymized;
+}
+
+module.exports = {
+  loadPseudonymMap,
+  savePseudonymMap,
+  getPseudonym,
+  compileRedactPatterns,
+  createAudit,
+  scrubText,
+  anonymizeMessage,
+  anonymizeTopics,
+  anonymizeMeta
+};
@@ -0,0 +1,692 @@
+/**
+ * Archive Search
+ * ==============
+ *
+ * This script builds a local full-text index of scraped Zulip archives and searches it from
+ * the command line, so questions like "where did someone explain ltac2:(...) quoting?" don't
+ * need a grep over markdown_files/.
+ *
+ * PIPELINE OVERVIEW:
+ * Stage 1: zulip_scraper.js  → Raw JSON data          ┐
+ * Stage 2: zulip_cleaner.js  → Cleaned markdown       ├ archive_search.js index ← YOU ARE HERE
+ *                                                     ┘ archive_search.js query
+ *
+ * WHAT THIS SCRIPT DOES:
+ * 1. "index" reads raw (or cleaned) JSON files, or directories of them, and adds their
+ *    messages to an inverted index saved as a single JSON file
+ * 2. Running "index" again only reads files that changed since the last run, so new scrapes
+ *    can be added as they come in; messages already indexed (same realm and message id) are
+ *    updated in place instead of duplicated
+ * 3. "query" finds the messages containing every word and "quoted phrase" of a query, with
+ *    optional sender, stream, topic and date filters, and prints them with a snippet, the
+ *    topic, the sender and the message's position in the topic
+ *
+ * QUERY SYNTAX:
+ * - Words must all appear in a message, in any order: ltac2 quoting
+ * - "Quoted phrases" must appear as written: "ltac2 quotation"
+ * - Words with punctuation are matched literally, like phrases: ltac2:( or Foo.bar
+ * - --code only searches code (fenced blocks and `inline code`)
+ *
+ * INDEX FILE:
+ * {
+ *   "meta": { "format": "zulip-search-index", "version": 1, "updated_at": "..." },
+ *   "sources": { "<file>": { "hash": "<sha256>", "messages": 120 } },
+ *   "documents": [ { "key", "source", "realm", "stream", "topic", "id", "order", "sender",
+ *                    "timestamp", "permalink", "text" }, null, ... ],
+ *   "terms": { "<term>": [[document, [positions]], ...] },
+ *   "code": { "<term>": [[document, [positions]], ...] }
+ * }
+ * Replaced messages leave a null in "documents", so document numbers stay stable.
+ *
+ * USAGE:
+ * node archive_search.js index <input_file|input_dir>... [--index <file>]
+ * node archive_search.js query <query> [--index <file>] [--sender <name>] [--stream <name>]
+ *   [--topic-regex <pattern>] [--since <date>] [--until <date>] [--code] [--limit <n>] [--json]
+ *
+ * EXAMPLES:
+ * node archive_search.js index data/2025-06/
+ * node archive_search.js index data/ltac2_update.json
+ * node archive_search.js query 'ltac2:( quoting'
+ * node archive_search.js query '"unification hint"' --stream ltac2 --since 2025-01-01
+ * node archive_search.js query 'Ltac2 Notation' --code --sender alice --limit 5
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { parseArgs } = require('util');
+const { getPageMessages } = require('./site_generator');
+const { unwrapDataset, getStreamSlug, listDatasetFiles, parseDateBound, parseTopicPattern } = require('./zulip_dataset');
+const { formatTime } = require('./output_templates');
+const { validateDataset, createValidationError } = require('./dataset_validator');
+const { isJsonlFile, readJsonlDataset } = require('./dataset_stream');
+const { UsageError, InputError, runCli } = require('./errors');
+
+const INDEX_FORMAT = 'zulip-search-index';
+const INDEX_VERSION = 1;
+const DEFAULT_INDEX_FILE = 'zulip-search-index.json';
+const DEFAULT_LIMIT = 20;
+// Characters shown on each side of the first match
+const SNIPPET_RADIUS = 80;
+const WORD_PATTERN = /[\p{L}\p{N}_]+/gu;
+
+/**
+ * Prints command line usage
+ * @param {string} [command] - How the script is invoked
+ */
+function printUsage(command = 'node archive_search.js') {
+  console.log(`Usage: ${command} index <input_file|input_dir>... [--index <file>]`);
+  console.log(`       ${command} query <query> [--index <file>] [--sender <name>] [--stream <name>] [--topic-regex <pattern>]`);
+  console.log('         [--since <date>] [--until <date>] [--code] [--limit <n>] [--json]');
+  console.log(`Index file defaults to ${DEFAULT_INDEX_FILE} in the current directory.`);
+  console.log(`Example: ${command} index data/2025-06/`);
+  console.log(`Example: ${command} query '"unification hint"' --stream ltac2 --since 2025-01-01`);
+  console.log(`Example: ${command} query 'ltac2:(' --code`);
+}
+
+/**
+ * Parses command line arguments
+ * @param {Array} [argv] - Arguments without the node and script paths
+ * @returns {Object} - Object containing the command ("index" or "query"), indexFile, and
+ *   inputs (index) or query and options (query)
+ */
+function parseArguments(argv = process.argv.slice(2)) {
+  let parsed;
+  try {
+    parsed = parseArgs({
+      args: argv,
+      allowPositionals: true,
+      options: {
+        'index': { type: 'string' },
+        'sender': { type: 'string', multiple: true },
+        'stream': { type: 'string', multiple: true },
+        'topic-regex': { type: 'string' },
+        'since': { type: 'string' },
+        'until': { type: 'string' },
+        'code': { type: 'boolean' },
+        'limit': { type: 'string' },
+        'json': { type: 'boolean' }
+      }
+    });
+  } catch (error) {
+    throw new UsageError(error.message);
+  }
+  const { values, positionals } = parsed;
+  const [command, ...rest] = positionals;
+  const indexFile = path.resolve(values.index || DEFAULT_INDEX_FILE);
+
+  if (command === 'index') {
+    if (rest.length === 0) {
+      throw new UsageError('Missing input files to index');
+    }
+    const queryOnly = ['sender', 'stream', 'topic-regex', 'since', 'until', 'code', 'limit', 'json'].filter(key => values[key] !== undefined);
+    if (queryOnly.length > 0) {
+      throw new UsageError(`--${queryOnly[0]} only applies to query`);
+    }
+    return { command, indexFile, inputs: rest.map(input => path.resolve(input)) };
+  }
+
+  if (command !== 'query') {
+    throw new UsageError(command ? `Unknown command "${command}" (expected index or query)` : 'Missing command');
+  }
+  if (rest.length === 0 || rest.join(' ').trim() === '') {
+    throw new UsageError('Missing query');
+  }
+
+  const filters = {};
+  try {
+    if (values.since) filters.since = parseDateBound(values.since);
+    if (values.until) filters.until = parseDateBound(values.until, true);
+    if (values['topic-regex']) filters.topicPattern = parseTopicPattern(values['topic-regex']);
+  } catch (error) {
+    throw new UsageError(error.message);
+  }
+  if (values.sender) filters.senders = values.sender;
+  if (values.stream) filters.streams = values.stream;
+
+  const limit = values.limit !== undefined ? parseInt(values.limit, 10) : DEFAULT_LIMIT;
+  if (!(limit >= 1)) {
+    throw new UsageError('--limit must be a positive integer');
+  }
+
+  return {
+    command,
+    indexFile,
+    query: rest.join(' '),
+    options: {
+      filters: filters,
+      codeOnly: Boolean(values.code),
+      limit: limit,
+      json: Boolean(values.json)
+    }
+  };
+}
+
+/**
+ * Splits text into lowercase words
+ * @param {string} text - Text to split
+ * @returns {Array} - Words in order; a word's index is its position
+ */
+function tokenize(text) {
+  return (String(text).toLowerCase().match(WORD_PATTERN) || []);
+}
+
+/**
+ * Collects the code in a message: fenced code blocks and inline code spans
+ * @param {string} markdown - Message markdown
+ * @returns {string} - Code snippets, one per line
+ */
+function extractCode(markdown) {
+  const code = [];
+  let fence = null;
+  for (const line of String(markdown).split('\n')) {
+    const marker = line.match(/^\s*(`{3,}|~{3,})\s*(\S*)/);
+    if (fence) {
+      if (marker && marker[1].startsWith(fence.marker) && line.trim().replace(/[`~]/g, '') === '') {
+        fence = null;
+      } else if (fence.isCode) {
+        code.push(line);
+      }
+    } else if (marker) {
+      // Quote, spoiler and math blocks hold prose, not code
+      fence = { marker: marker[1], isCode: !['quote', 'spoiler', 'math'].includes(marker[2].toLowerCase()) };
+    } else {
+      for (const span of line.matchAll(/(`+)([\s\S]*?[^`])\1(?!`)/g)) {
+        code.push(span[2].trim());
+      }
+    }
+  }
+  return code.join('\n');
+}
+
+/**
+ * Creates an empty index
+ * @returns {Object} - Index with no sources or documents
+ */
+function createIndex() {
+  return {
+    meta: { format: INDEX_FORMAT, version: INDEX_VERSION, updated_at: null },
+    sources: {},
+    documents: [],
+    terms: {},
+    code: {}
+  };
+}
+
+/**
+ * Loads an index file, or creates an empty index if it doesn't exist yet
+ * @param {string} indexFile - Path to the index file
+ * @param {boolean} [mustExist] - Whether a missing file is an error
+ * @returns {Object} - Index
+ * @throws {InputError} - When the file is missing (and must exist) or isn't a search index
+ */
+function loadIndex(indexFile, mustExist = false) {
+  if (!fs.existsSync(indexFile)) {
+    if (mustExist) {
+      throw new InputError(`Index file does not exist: ${indexFile} (create it with "index")`, { file: indexFile });
+    }
+    return createIndex();
+  }
+
+  let index;
+  try {
+    index = JSON.parse(fs.readFileSync(indexFile, 'utf8'));
+  } catch (error) {
+    throw new InputError(`Invalid JSON in ${indexFile}: ${error.message}`, { file: indexFile, cause: error });
+  }
+  if (!index.meta || index.meta.format !== INDEX_FORMAT) {
+    throw new InputError(`Not a search index: ${indexFile}`, { file: indexFile });
+  }
+  if (index.meta.version !== INDEX_VERSION) {
+    throw new InputError(`Unsupported search index version ${index.meta.version} in ${indexFile}; delete it and index again`, { file: indexFile });
+  }
+  return index;
+}
+
+/**
+ * Saves an index, replacing the file only once it is fully written
+ * @param {Object} index - Index to save
+ * @param {string} indexFile - Path to the index file
+ */
+function saveIndex(index, indexFile) {
+  index.meta.updated_at = new Date().toISOString();
+  fs.mkdirSync(path.dirname(indexFile), { recursive: true });
+  const temporaryFile = `${indexFile}.tmp`;
+  fs.writeFileSync(temporaryFile, JSON.stringify(index), 'utf8');
+  fs.renameSync(temporaryFile, indexFile);
+}
+
+/**
+ * Adds a document's words to a posting list
+ * @param {Object} postings - index.terms or index.code
+ * @param {number} documentNumber - Document number
+ * @param {Array} words - Words of the document, in order
+ */
+function addPostings(postings, documentNumber, words) {
+  const positions = new Map();
+  words.forEach((word, position) => {
+    if (!positions.has(word)) positions.set(word, []);
+    positions.get(word).push(position);
+  });
+  for (const [word, wordPositions] of positions) {
+    // Defined as own properties, so words like "constructor" or "__proto__" are just words
+    if (!Object.prototype.hasOwnProperty.call(postings, word)) {
+      Object.defineProperty(postings, word, { value: [], writable: true, enumerable: true, configurable: true });
+    }
+    postings[word].push([documentNumber, wordPositions]);
+  }
+}
+
+/**
+ * Removes a document's words from a posting list
+ * @param {Object} postings - index.terms or index.code
+ * @param {number} documentNumber - Document number
+ * @param {Array} words - Words of the document
+ */
+function removePostings(postings, documentNumber, words) {
+  for (const word of new Set(words)) {
+    if (!Object.prototype.hasOwnProperty.call(postings, word)) continue;
+    postings[word] = postings[word].filter(([number]) => number !== documentNumber);
+    if (postings[word].length === 0) delete postings[word];
+  }
+}
+
+/**
+ * Adds a message to the index
+ * @param {Object} index - Index to update
+ * @param {Object} document - Message document (see INDEX FILE above)
+ * @returns {number} - Document number
+ */
+function addDocument(index, document) {
+  const documentNumber = index.documents.push(document) - 1;
+  addPostings(index.terms, documentNumber, tokenize(document.text));
+  addPostings(index.code, documentNumber, tokenize(extractCode(document.text)));
+  return documentNumber;
+}
+
+/**
+ * Removes a message from the index
+ * @param {Object} index - Index to update
+ * @param {number} documentNumber - Document number
+ */
+function removeDocument(index, documentNumber) {
+  const document = index.documents[documentNumber];
+  removePostings(index.terms, documentNumber, tokenize(document.text));
+  removePostings(index.code, documentNumber, tokenize(extractCode(document.text)));
+  index.documents[documentNumber] = null;
+}
+
+/**
+ * Reads a dataset file and turns its messages into index documents
+ * @param {string} file - Raw or cleaned JSON file (or JSONL, see dataset_stream.js)
+ * @param {string} contents - File contents
+ * @returns {Array} - Documents, in topic order
+ * @throws {InputError} - When the file isn't valid JSON or doesn't match its schema
+ */
+function readDocuments(file, contents) {
+  let parsed;
+  if (isJsonlFile(file)) {
+    const { meta, topics } = readJsonlDataset(file);
+    parsed = meta ? { meta, topics } : topics;
+  } else {
+    try {
+      parsed = JSON.parse(contents);
+    } catch (error) {
+      throw new InputError(`Invalid JSON in ${file}: ${error.message}`, { file, cause: error });
+    }
+  }
+  const { format, errors } = validateDataset(parsed);
+  if (errors.length > 0) {
+    throw createValidationError(file, format, errors);
+  }
+  const { meta, topics } = unwrapDataset(parsed);
+  const realm = meta && meta.realm ? meta.realm : null;
+  const stream = meta && meta.stream ? meta.stream : getStreamSlug(meta, file);
+
+  const documents = [];
+  for (const [topic, entry] of Object.entries(topics)) {
+    getPageMessages(entry).forEach((message, order) => {
+      documents.push({
+        // Message ids are unique within a realm, whichever scrape a message came from
+        key: message.id !== null ? `${realm || ''}#${message.id}` : `${file}#${topic}#${order}`,
+        source: file,
+        realm: realm,
+        stream: stream,
+        topic: topic,
+        id: message.id,
+        order: order,
+        sender: message.sender,
+        timestamp: message.timestamp,
+        permalink: message.permalink,
+        text: message.markdown
+      });
+    });
+  }
+  return documents;
+}
+
+/**
+ * Main function to add files to the index
+ * @param {Array} inputs - Raw or cleaned JSON files, or directories of them
+ * @param {string} indexFile - Index file to create or update
+ * @returns {Promise<Object>} - Object containing filesIndexed, filesUnchanged, added, updated,
+ *   removed and documentCount
+ * @throws {InputError} - When an input or the index file is missing or invalid
+ */
+async function updateIndex(inputs, indexFile) {
+  const files = [];
+  for (const input of inputs) {
+    if (!fs.existsSync(input)) {
+      throw new InputError(`Input does not exist: ${input}`, { file: input });
+    }
+    files.push(...(fs.statSync(input).isDirectory() ? listDatasetFiles(input) : [input]));
+  }
+  if (files.length === 0) {
+    throw new InputError(`No JSON or JSONL files found in ${inputs.join(', ')}`);
+  }
+
+  const index = loadIndex(indexFile);
+  const documentsByKey = new Map();
+  index.documents.forEach((document, number) => {
+    if (document) documentsByKey.set(document.key, number);
+  });
+
+  const stats = { filesIndexed: 0, filesUnchanged: 0, added: 0, updated: 0, removed: 0 };
+  for (const file of files) {
+    const contents = fs.readFileSync(file, 'utf8');
+    const hash = crypto.createHash('sha256').update(contents).digest('hex');
+    if (index.sources[file] && index.sources[file].hash === hash) {
+      console.log(`Unchanged: ${file}`);
+      stats.filesUnchanged++;
+      continue;
+    }
+
+    const documents = readDocuments(file, contents);
+    const seen = new Set();
+    for (const document of documents) {
+      seen.add(document.key);
+      const existing = documentsByKey.get(document.key);
+      if (existing !== undefined) {
+        const previous = index.documents[existing];
+        // Same message seen again (e.g. in an overlapping scrape): only replace it if it changed
+        if (previous.text === document.text && previous.topic === document.topic && previous.sender === document.sender) {
+          continue;
+        }
+        removeDocument(index, existing);
+        stats.updated++;
+      } else {
+        stats.added++;
+      }
+      documentsByKey.set(document.key, addDocument(index, document));
+    }
+
+    // Messages this file no longer contains (it was re-scraped or re-cleaned since)
+    index.documents.forEach((document, number) => {
+      if (document && document.source === file && !seen.has(document.key)) {
+        removeDocument(index, number);
+        documentsByKey.delete(document.key);
+        stats.removed++;
+      }
+    });
+
+    index.sources[file] = { hash, messages: documents.length };
+    console.log(`✅ Indexed: ${file} (${documents.length} messages)`);
+    stats.filesIndexed++;
+  }
+
+  saveIndex(index, indexFile);
+  const documentCount = documentsByKey.size;
+  console.log('✅ Index updated successfully!');
+  console.log('📊 Statistics:');
+  console.log(`   - Files indexed: ${stats.filesIndexed} (${stats.filesUnchanged} unchanged)`);
+  console.log(`   - Messages: ${stats.added} added, ${stats.updated} updated, ${stats.removed} removed`);
+  console.log(`   - Index: ${indexFile} (${documentCount} messages, ${Object.keys(index.terms).length} words)`);
+  return { ...stats, documentCount };
+}
+
+/**
+ * Splits a query into words and phrases
+ * @param {string} query - e.g. 'ltac2 "unification hint" Foo.bar'
+ * @returns {Array} - Array of { words, literal }: words to look up in order, and the exact
+ *   text to check for (phrases and words with punctuation), or null
+ */
+function parseQuery(query) {
+  const clauses = [];
+  for (const match of query.matchAll(/"([^"]*)"|(\S+)/g)) {
+    const text = (match[1] !== undefined ? match[1] : match[2]).trim();
+    if (text === '') continue;
+    const words = tokenize(text);
+    // A bare word that is just one word needs no literal check
+    const isPlainWord = match[2] !== undefined && words.length === 1 && words[0] === text.toLowerCase();
+    clauses.push({ words, literal: isPlainWord ? null : normalizeText(text) });
+  }
+  return clauses;
+}
+
+/**
+ * Lowercases text and collapses whitespace, for literal matching
+ * @param {string} text - Text
+ * @returns {string} - Normalized text
+ */
+function normalizeText(text) {
+  return String(text).toLowerCase().replace(/\s+/g, ' ');
+}
+
+/**
+ * Finds the documents where a clause's words appear consecutively
+ * @param {Object} postings - index.terms or index.code
+ * @param {Array} words - Words of the clause, in order
+ * @returns {Map|null} - Document number → number of occurrences, or null when the clause
+ *   has no words (it can then only be checked literally)
+ */
+function matchWords(postings, words) {
+  if (words.length === 0) return null;
+  const lists = words.map(word => (Object.prototype.hasOwnProperty.call(postings, word) ? postings[word] : []));
+  const positionsByWord = lists.map(list => new Map(list.map(([number, positions]) => [number, positions])));
+
+  const matches = new Map();
+  for (const [number, firstPositions] of lists[0]) {
+    let count = 0;
+    for (const start of firstPositions) {
+      if (positionsByWord.every((positions, offset) => positions.has(number) && positions.get(number).includes(start + offset))) {
+        count++;
+      }
+    }
+    if (count > 0) matches.set(number, count);
+  }
+  return matches;
+}
+
+/**
+ * Checks a document against the query filters
+ * @param {Object} document - Index document
+ * @param {Object} filters - senders, streams, topicPattern, since and until, all optional
+ * @returns {boolean} - True if the document passes every filter
+ */
+function matchesFilters(document, filters) {
+  if (filters.senders && !filters.senders.some(sender => sender.toLowerCase() === String(document.sender).toLowerCase())) {
+    return false;
+  }
+  if (filters.streams && !filters.streams.some(stream => stream.toLowerCase() === String(document.stream).toLowerCase())) {
+    return false;
+  }
+  if (filters.topicPattern && !filters.topicPattern.test(document.topic)) {
+    return false;
+  }
+  if (filters.since !== undefined || filters.until !== undefined) {
+    // Messages without a timestamp can't be placed in a date range
+    const time = document.timestamp ? Date.parse(document.timestamp) : NaN;
+    if (Number.isNaN(time)) return false;
+    if (filters.since !== undefined && time < filters.since) return false;
+    if (filters.until !== undefined && time > filters.until) return false;
+  }
+  return true;
+}
+
+/**
+ * Builds a one-line snippet around the first match, with matches in **bold**
+ * @param {string} text - Searched text (message or its code)
+ * @param {Array} clauses - Parsed query
+ * @returns {string} - Snippet
+ */
+function buildSnippet(text, clauses) {
+  const flat = text.replace(/\s+/g, ' ').trim();
+  const needles = clauses
+    .flatMap(clause => (clause.literal ? [clause.literal] : clause.words))
+    .filter(Boolean)
+    .sort((a, b) => b.length - a.length);
+  const escaped = needles.map(needle => needle.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+  const pattern = escaped.length > 0 ? new RegExp(escaped.join('|'), 'gi') : null;
+
+  const first = pattern ? flat.search(pattern) : -1;
+  const start = Math.max(0, first - SNIPPET_RADIUS);
+  const end = Math.min(flat.length, Math.max(first, 0) + SNIPPET_RADIUS * 2);
+  const window = flat.slice(start, end);
+  const marked = pattern ? window.replace(pattern, match => `**${match}**`) : window;
+  return `${start > 0 ? '…' : ''}${marked}${end < flat.length ? '…' : ''}`;
+}
+
+/**
+ * Works out each document's position in its topic
+ * @param {Object} index - Index
+ * @returns {Map} - Document number → { position, total }
+ */
+function getTopicPositions(index) {
+  const topics = new Map();
+  index.documents.forEach((document, number) => {
+    if (!document) return;
+    const key = `${document.realm}\u0000${document.stream}\u0000${document.topic}`;
+    if (!topics.has(key)) topics.set(key, []);
+    topics.get(key).push(number);
+  });
+
+  const positions = new Map();
+  for (const numbers of topics.values()) {
+    // Message ids are chronological; cleaned messages only have their order in the file
+    numbers.sort((a, b) => {
+      const first = index.documents[a];
+      const second = index.documents[b];
+      return (first.id !== null && second.id !== null ? first.id - second.id : 0) || first.order - second.order;
+    });
+    numbers.forEach((number, position) => positions.set(number, { position: position + 1, total: numbers.length }));
+  }
+  return positions;
+}
+
+/**
+ * Searches the index
+ * @param {Object} index - Index (see loadIndex)
+ * @param {string} query - Query text (see QUERY SYNTAX above)
+ * @param {Object} [options] - filters (see matchesFilters), codeOnly and limit
+ * @returns {Object} - Object containing total (number of matches) and results, the best
+ *   first: { stream, topic, sender, timestamp, permalink, position, topicMessages, snippet, score }
+ */
+function searchIndex(index, query, options = {}) {
+  const { filters = {}, codeOnly = false, limit = DEFAULT_LIMIT } = options;
+  const clauses = parseQuery(query);
+  if (clauses.length === 0) {
+    throw new UsageError('Missing query');
+  }
+  const postings = codeOnly ? index.code : index.terms;
+  const liveCount = index.documents.filter(Boolean).length;
+
+  // Start from the clauses with words, then check literals and filters on what is left
+  let candidates = null;
+  const scores = new Map();
+  for (const clause of clauses) {
+    const matches = matchWords(postings, clause.words);
+    if (!matches) continue;
+    const weight = Math.log(1 + liveCount / Math.max(matches.size, 1));
+    const next = new Map();
+    for (const [number, count] of matches) {
+      if (candidates && !candidates.has(number)) continue;
+      next.set(number, true);
+      scores.set(number, (scores.get(number) || 0) + count * weight);
+    }
+    candidates = next;
+  }
+  const numbers = candidates
+    ? Array.from(candidates.keys())
+    : index.documents.map((document, number) => (document ? number : null)).filter(number => number !== null);
+
+  const matched = [];
+  for (const number of numbers) {
+    const document = index.documents[number];
+    if (!document || !matchesFilters(document, filters)) continue;
+    const text = codeOnly ? extractCode(document.text) : document.text;
+    const normalized = normalizeText(text);
+    if (!clauses.every(clause => !clause.literal || normalized.includes(clause.literal))) continue;
+    matched.push({ number, document, text, score: scores.get(number) || 0 });
+  }
+
+  // Best matches first, newest first among equals
+  matched.sort((a, b) => b.score - a.score || String(b.document.timestamp).localeCompare(String(a.document.timestamp)));
+  const positions = getTopicPositions(index);
+  const results = matched.slice(0, limit).map(({ number, document, text, score }) => ({
+    stream: document.stream,
+    topic: document.topic,
+    sender: document.sender,
+    timestamp: document.timestamp,
+    permalink: document.permalink,
+    position: positions.get(number).position,
+    topicMessages: positions.get(number).total,
+    snippet: buildSnippet(text, clauses),
+    score: Math.round(score * 1000) / 1000
+  }));
+  return { total: matched.length, results };
+}
+
+/**
+ * Main function to run a query against an index file and print the results
+ * @param {string} indexFile - Index file
+ * @param {string} query - Query text
+ * @param {Object} [options] - filters, codeOnly, limit, and json to print JSON instead of text
+ * @returns {Promise<Object>} - Search results (see searchIndex)
+ * @throws {InputError} - When the index file is missing or invalid
+ */
+async function queryIndex(indexFile, query, options = {}) {
+  const found = searchIndex(loadIndex(indexFile, true), query, options);
+
+  if (options.json) {
+    console.log(JSON.stringify(found, null, 2));
+    return found;
+  }
+  if (found.total === 0) {
+    console.log(`No messages found for: ${query}`);
+    return found;
+  }
+
+  found.results.forEach((result, i) => {
+    const when = result.timestamp ? ` · ${formatTime(result.timestamp)}` : '';
+    console.log(`${i + 1}. ${result.stream} › ${result.topic} (message ${result.position} of ${result.topicMessages})`);
+    console.log(`   ${result.sender}${when}`);
+    console.log(`   ${result.snippet}`);
+    if (result.permalink) console.log(`   ${result.permalink}`);
+    console.log('');
+  });
+  const shown = found.results.length < found.total ? ` (showing ${found.results.length}, use --limit for more)` : '';
+  console.log(`📊 ${found.total} matching message${found.total === 1 ? '' : 's'}${shown}`);
+  return found;
+}
+
+// Run the search if this file is executed directly
+if (require.main === module) {
+  runCli(() => {
+    const args = parseArguments();
+    return args.command === 'index'
+      ? updateIndex(args.inputs, args.indexFile)
+      : queryIndex(args.indexFile, args.query, args.options);
+  }, 'Error in search', printUsage);
+}
+
+module.exports = {
+  updateIndex,
+  queryIndex,
+  searchIndex,
+  loadIndex,
+  parseQuery,
+  tokenize,
+  extractCode,
+  parseArguments,
+  printUsage
+};
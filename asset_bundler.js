@@ -0,0 +1,131 @@
+/**
+ * Asset Bundler Helpers
+ * =====================
+ *
+ * Shared helpers for Zulip uploads (/user_uploads/...) referenced from message markdown.
+ * The scrapers collect the uploads into an asset bundle; data_splitter.js uses these helpers
+ * to copy the referenced files into an assets/ directory next to the topic files and to
+ * point the markdown links at those local copies.
+ *
+ * ASSET BUNDLE FORMATS:
+ * 1. Manifest file, as downloaded by zulip_scraper.js:
+ *    {
+ *      "realm": "https://example.zulipchat.com",
+ *      "assets": {
+ *        "/user_uploads/2/ab/xyz/diagram.png": { "mime": "image/png", "size": 1234, "data_base64": "..." }
+ *      }
+ *    }
+ * 2. Directory, as written by zulip_api_scraper.js --download-assets, laid out like
+ *    the upload paths: <dir>/2/ab/xyz/diagram.png
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { InputError } = require('./errors');
+
+// Matches relative and absolute links to Zulip uploads, up to the end of the markdown link target.
+// Punctuation ending a sentence right after a bare link isn't part of it.
+const UPLOAD_URL_PATTERN = /(?:https?:\/\/[^\s/()<>"']+)?\/user_uploads\/[^\s()<>"'\]]*[^\s()<>"'\].,;:!?]/g;
+
+/**
+ * Finds every upload referenced in a piece of markdown
+ * @param {string} markdown - Markdown content
+ * @returns {Array} - Unique upload URLs, as written in the markdown
+ */
+function extractUploadUrls(markdown) {
+  return Array.from(new Set(markdown.match(UPLOAD_URL_PATTERN) || []));
+}
+
+/**
+ * Gets the path of an upload relative to /user_uploads/, which identifies it within a bundle
+ * @param {string} url - Relative or absolute upload URL
+ * @returns {string} - e.g. "2/ab/xyz/diagram.png"
+ */
+function getUploadPath(url) {
+  const pathname = url.replace(/^https?:\/\/[^/]+/, '').split(/[?#]/)[0].replace(/^\/user_uploads\//, '');
+  try {
+    return decodeURIComponent(pathname);
+  } catch (error) {
+    // A literal "%" (e.g. "100%_done.png") isn't an escape; use the path as written
+    return pathname;
+  }
+}
+
+/**
+ * Loads an asset bundle (manifest file or directory)
+ * @param {string} source - Path to a manifest JSON file or an assets directory
+ * @returns {function(string): (Buffer|null)} - Lookup from upload path to file contents
+ */
+function loadAssetSource(source) {
+  if (!fs.existsSync(source)) {
+    throw new InputError(`Asset source does not exist: ${source}`, { file: source });
+  }
+
+  if (fs.statSync(source).isDirectory()) {
+    return uploadPath => {
+      const filePath = path.resolve(source, uploadPath);
+      // Never read outside the asset directory, whatever the markdown links say
+      if (!filePath.startsWith(path.resolve(source) + path.sep) || !fs.existsSync(filePath)) {
+        return null;
+      }
+      return fs.readFileSync(filePath);
+    };
+  }
+
+  let manifest;
+  try {
+    manifest = JSON.parse(fs.readFileSync(source, 'utf8'));
+  } catch (error) {
+    throw new InputError(`Invalid asset manifest ${source}: ${error.message}`, { file: source, cause: error });
+  }
+  const assets = new Map();
+  for (const [url, asset] of Object.entries(manifest.assets || {})) {
+    assets.set(getUploadPath(url), asset);
+  }
+  return uploadPath => {
+    const asset = assets.get(uploadPath);
+    return asset && asset.data_base64 ? Buffer.from(asset.data_base64, 'base64') : null;
+  };
+}
+
+/**
+ * Copies the uploads referenced by a markdown document into <outputDir>/assets/
+ * and rewrites the links to point at the local copies
+ * @param {string} markdown - Markdown content
+ * @param {function(string): (Buffer|null)} getAsset - Lookup returned by loadAssetSource
+ * @param {string} outputDir - Directory the markdown file is written to
+ * @param {Object} [options] - dryRun: rewrite the links without copying anything
+ * @returns {Object} - Object containing the rewritten markdown, copied count and missing URLs
+ */
+function localizeAssets(markdown, getAsset, outputDir, options = {}) {
+  const localPaths = new Map();
+  const missing = [];
+
+  for (const url of extractUploadUrls(markdown)) {
+    const uploadPath = getUploadPath(url);
+    const assetsDir = path.resolve(outputDir, 'assets');
+    const targetPath = path.resolve(assetsDir, uploadPath);
+    const contents = targetPath.startsWith(assetsDir + path.sep) ? getAsset(uploadPath) : null;
+    if (!contents) {
+      missing.push(url);
+      continue;
+    }
+
+    // Copies that are already up to date are left alone, so re-runs don't touch them
+    if (!options.dryRun && !(fs.existsSync(targetPath) && fs.readFileSync(targetPath).equals(contents))) {
+      fs.mkdirSync(path.dirname(targetPath), { recursive: true });
+      fs.writeFileSync(targetPath, contents);
+    }
+    localPaths.set(url, `./assets/${uploadPath.split('/').map(encodeURIComponent).join('/')}`);
+  }
+
+  const rewritten = markdown.replace(UPLOAD_URL_PATTERN, url => localPaths.get(url) || url);
+  return { markdown: rewritten, copied: localPaths.size, missing };
+}
+
+module.exports = {
+  extractUploadUrls,
+  getUploadPath,
+  loadAssetSource,
+  localizeAssets
+};
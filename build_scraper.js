@@ -0,0 +1,143 @@
+/**
+ * Scraper Build Script
+ * ====================
+ *
+ * This script packages the browser scraper into self-contained files that don't need to
+ * load anything from a CDN at runtime. Use them on realms with a strict Content-Security-Policy
+ * or on air-gapped Zulip servers.
+ *
+ * WHAT THIS SCRIPT DOES:
+ * 1. Reads the vendored, pinned Turndown build (vendor/turndown.js)
+ * 2. Prepends it to zulip_scraper.js, so TurndownService is defined before the scraper runs
+ * 3. Writes a single pasteable file and a bookmarklet
+ *
+ * OUTPUT:
+ * build/zulip_scraper.bundle.js       - Paste into the browser console
+ * build/zulip_scraper.bookmarklet.txt - "javascript:" URL to save as a bookmark
+ *
+ * USAGE:
+ * node build_scraper.js [output_directory]
+ *
+ * UPDATING TURNDOWN:
+ * Replace vendor/turndown.js with dist/turndown.js from the new npm release, then update
+ * TURNDOWN_CDN_URL and TURNDOWN_CDN_INTEGRITY in zulip_scraper.js to match
+ * (integrity: `openssl dgst -sha384 -binary vendor/turndown.js | openssl base64 -A`).
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { PipelineError, InputError, runCli } = require('./errors');
+
+const VENDORED_TURNDOWN = path.join(__dirname, 'vendor', 'turndown.js');
+const SCRAPER_SOURCE = path.join(__dirname, 'zulip_scraper.js');
+
+/**
+ * Parses command line arguments
+ * @returns {Object} - Object containing the outputDir path
+ */
+function parseArguments() {
+  const args = process.argv.slice(2);
+  return {
+    outputDir: path.resolve(args[0] || path.join(__dirname, 'build'))
+  };
+}
+
+/**
+ * Computes a Subresource Integrity hash
+ * @param {string} contents - File contents
+ * @returns {string} - "sha384-..." integrity string
+ */
+function computeIntegrity(contents) {
+  return `sha384-${crypto.createHash('sha384').update(contents).digest('base64')}`;
+}
+
+/**
+ * Builds the pasteable bundle: vendored Turndown followed by the scraper
+ * @param {string} turndownSource - Contents of vendor/turndown.js
+ * @param {string} scraperSource - Contents of zulip_scraper.js
+ * @returns {string} - Bundle source
+ */
+function buildBundle(turndownSource, scraperSource) {
+  return [
+    '/* Zulip scraper bundle: includes Turndown (MIT License, Copyright (c) 2017 Dom Christie) */',
+    turndownSource.trim(),
+    scraperSource.trim(),
+    ''
+  ].join('\n\n');
+}
+
+/**
+ * Wraps the bundle as a bookmarklet URL
+ * @param {string} bundle - Bundle source
+ * @returns {string} - "javascript:" URL
+ */
+function buildBookmarklet(bundle) {
+  // The function wrapper keeps the scraper's top-level declarations out of the page's globals
+  return `javascript:${encodeURIComponent(`(function(){${bundle}\n})();`)}`;
+}
+
+/**
+ * Reads one of the build's source files
+ * @param {string} file - Source file
+ * @returns {string} - File contents
+ * @throws {InputError} - When the file is missing or unreadable
+ */
+function readSource(file) {
+  try {
+    return fs.readFileSync(file, 'utf8');
+  } catch (error) {
+    throw new InputError(`Cannot read ${file}: ${error.message}`, { file, cause: error });
+  }
+}
+
+/**
+ * Main function to build the self-contained scraper
+ * @param {string} outputDir - Directory for the bundle and bookmarklet
+ * @returns {Promise<Object>} - Object containing bundleFile and bookmarkletFile
+ * @throws {InputError} - When vendor/turndown.js or zulip_scraper.js can't be read
+ * @throws {PipelineError} - When the output can't be written
+ */
+async function buildScraper(outputDir) {
+  const turndownSource = readSource(VENDORED_TURNDOWN);
+  const scraperSource = readSource(SCRAPER_SOURCE);
+
+  // The CDN fallback must load exactly the vendored file, or the browser rejects it
+  const integrity = computeIntegrity(turndownSource);
+  if (!scraperSource.includes(integrity)) {
+    console.warn(`⚠️  Warning: TURNDOWN_CDN_INTEGRITY in zulip_scraper.js does not match vendor/turndown.js (${integrity})`);
+  }
+
+  const bundle = buildBundle(turndownSource, scraperSource);
+  const bundleFile = path.join(outputDir, 'zulip_scraper.bundle.js');
+  const bookmarkletFile = path.join(outputDir, 'zulip_scraper.bookmarklet.txt');
+  try {
+    fs.mkdirSync(outputDir, { recursive: true });
+    fs.writeFileSync(bundleFile, bundle, 'utf8');
+    fs.writeFileSync(bookmarkletFile, buildBookmarklet(bundle), 'utf8');
+  } catch (error) {
+    throw new PipelineError(`Cannot write the build to ${outputDir}: ${error.message}`, { cause: error });
+  }
+
+  console.log('✅ Build completed successfully!');
+  console.log(`   - Bundle: ${bundleFile} (${Math.round(bundle.length / 1024)} KB)`);
+  console.log(`   - Bookmarklet: ${bookmarkletFile}`);
+
+  return { bundleFile, bookmarkletFile };
+}
+
+// Run the build if this file is executed directly
+if (require.main === module) {
+  runCli(() => {
+    const { outputDir } = parseArguments();
+    return buildScraper(outputDir);
+  }, 'Error building scraper');
+}
+
+module.exports = {
+  buildScraper,
+  buildBundle,
+  buildBookmarklet,
+  computeIntegrity,
+  parseArguments
+};
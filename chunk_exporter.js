@@ -0,0 +1,399 @@
+/**
+ * Chunk Exporter (Stage 3, alternative output)
+ * ============================================
+ *
+ * This script turns Zulip topics into overlapping text chunks in JSONL format, ready to be
+ * embedded and loaded into a retrieval (RAG) index. It runs alongside data_splitter.js:
+ * the splitter writes one markdown file per topic, this script one JSON line per chunk.
+ *
+ * PIPELINE OVERVIEW:
+ * Stage 1: zulip_scraper.js  → Raw JSON data
+ * Stage 2: zulip_cleaner.js  → Cleaned markdown per topic
+ * Stage 3: data_splitter.js  → Individual markdown files
+ *          chunk_exporter.js → JSONL chunks for retrieval ← YOU ARE HERE
+ *
+ * WHAT THIS SCRIPT DOES:
+ * 1. Reads a raw scrape (or cleaned data) and renders each message with an output template
+ * 2. Packs consecutive messages into chunks of about --chunk-size tokens
+ * 3. Repeats the last --overlap tokens' worth of messages at the start of the next chunk (the
+ *    end of the last message, cut between paragraphs or sentences, when it is larger)
+ * 4. Writes one JSON object per chunk, with the chunk text and its metadata
+ *
+ * OUTPUT FORMAT (one line per chunk):
+ * {"id":"3f9c2a1b7d4e8f60","stream":"ltac2","realm":"rocq-prover.zulipchat.com",
+ *  "topic":"Notations","chunk_index":0,"text":"**alice:** ...","tokens":498,
+ *  "participants":["alice","bob"],"first_message_id":101,"last_message_id":117,
+ *  "first_timestamp":"2025-05-31T12:00:00.000Z","last_timestamp":"2025-06-02T08:15:00.000Z",
+ *  "permalink":"https://.../near/101","content_hash":"9b1e0c..."}
+ *
+ * CHUNKING RULES:
+ * - Chunks end at message boundaries. A message larger than --chunk-size is split at
+ *   paragraph boundaries, and a fenced code block is never split (it may exceed the size).
+ * - Chunking starts from the beginning of each topic, so new messages in an updated scrape
+ *   only change the topic's last chunk and add new ones.
+ * - "id" is derived from the realm, stream, topic and the message ids the chunk covers, so it
+ *   stays the same across runs; "content_hash" changes when the text does (e.g. an edit).
+ * - Tokens are estimated at about 4 characters per token (see markdown_compactor.js).
+ *
+ * INPUT:
+ * Raw scraper output gives the full metadata. Cleaned data (zulip_cleaner.js output) works
+ * too, but has no message ids, timestamps or permalinks: those fields are null, chunk ids use
+ * message positions, and participants come from the "**alice:**" lines.
+ *
+ * USAGE:
+ * node chunk_exporter.js <input_file> <output.jsonl> [--chunk-size <tokens>] [--overlap <tokens>]
+ *   [--template <default|front-matter|chat|wiki|template.json>]
+ *
+ * EXAMPLES:
+ * node chunk_exporter.js data/messages.json chunks/messages_chunks.jsonl
+ * node chunk_exporter.js data/messages.json chunks/messages_chunks.jsonl --chunk-size 800 --overlap 100
+ * node chunk_exporter.js data/2025-06/ chunks/2025-06/
+ *
+ * BATCHES:
+ * If <input_file> is a directory, every dataset in it is exported and <output.jsonl> is
+ * treated as a directory: <output_dir>/<stream>/<name>_chunks.jsonl.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { parseArgs } = require('util');
+const { renderMessageBlocks, readAndMergeScrapes } = require('./zulip_cleaner');
+const { estimateTokens, splitIntoMessages, splitIntoParagraphs } = require('./markdown_compactor');
+const { getDatasetName, getStreamSlug, listDatasetFiles, filterTopics } = require('./zulip_dataset');
+const { readDatasetMeta } = require('./dataset_stream');
+const { TEMPLATE_PRESETS, loadTemplate } = require('./output_templates');
+const { UsageError, InputError, runCli } = require('./errors');
+
+const DEFAULT_CHUNK_SIZE = 500;
+const DEFAULT_OVERLAP = 50;
+// Separator placed between messages in a chunk
+const BLOCK_SEPARATOR = '\n\n';
+
+/**
+ * Prints command line usage
+ * @param {string} [command] - How the exporter is invoked
+ */
+function printUsage(command = 'node chunk_exporter.js') {
+  console.log(`Usage: ${command} <input_file> <output.jsonl> [--chunk-size <tokens>] [--overlap <tokens>] [--template <preset|template.json>]`);
+  console.log(`Defaults: --chunk-size ${DEFAULT_CHUNK_SIZE} --overlap ${DEFAULT_OVERLAP} (estimated tokens)`);
+  console.log(`Example: ${command} data/messages.json chunks/messages_chunks.jsonl`);
+  console.log(`Example: ${command} data/2025-06/ chunks/2025-06/   (batch: one output directory per stream)`);
+}
+
+/**
+ * Parses command line arguments
+ * @param {Array} [argv] - Arguments without the node and script paths
+ * @returns {Object} - Object containing inputFile and outputFile paths, plus chunking options
+ */
+function parseArguments(argv = process.argv.slice(2)) {
+  let parsed;
+  try {
+    parsed = parseArgs({
+      args: argv,
+      allowPositionals: true,
+      options: {
+        'chunk-size': { type: 'string' },
+        'overlap': { type: 'string' },
+        'template': { type: 'string' }
+      }
+    });
+  } catch (error) {
+    throw new UsageError(error.message);
+  }
+  const { values, positionals } = parsed;
+
+  if (positionals.length < 2) {
+    throw new UsageError('Missing required arguments');
+  }
+
+  const chunkSize = values['chunk-size'] !== undefined ? parseInt(values['chunk-size'], 10) : DEFAULT_CHUNK_SIZE;
+  const overlap = values.overlap !== undefined ? parseInt(values.overlap, 10) : DEFAULT_OVERLAP;
+  if (!(chunkSize >= 1)) {
+    throw new UsageError('--chunk-size must be a positive integer');
+  }
+  if (!(overlap >= 0) || overlap >= chunkSize) {
+    throw new UsageError('--overlap must be a number of tokens smaller than --chunk-size');
+  }
+
+  return {
+    inputFile: path.resolve(positionals[0]),
+    outputFile: path.resolve(positionals[1]),
+    options: {
+      chunkSize: chunkSize,
+      overlap: overlap,
+      template: loadTemplate(values.template)
+    }
+  };
+}
+
+/**
+ * Gets the sender of a message rendered by one of the built-in templates
+ * @param {string} text - Rendered message ("**alice:** ...", "### alice — ...", "User: ...")
+ * @returns {string|null} - Sender name (or chat role), or null if it can't be told
+ */
+function getRenderedSender(text) {
+  const match = text.match(/^\*\*([^*\n]+):\*\*/) || text.match(/^### (.+?)(?: — |\n|$)/) || text.match(/^(User|Assistant): /);
+  return match ? match[1].trim() : null;
+}
+
+/**
+ * Turns a topic into the blocks that chunks are made of: one per rendered message, with
+ * messages larger than the chunk size split into paragraph-sized parts
+ * @param {string|Array} entry - Raw message array or cleaned markdown
+ * @param {Object} options - chunkSize and template
+ * @returns {Array} - Array of { key, text, tokens, messages }
+ */
+function buildTopicBlocks(entry, options) {
+  let blocks;
+  if (Array.isArray(entry)) {
+    blocks = renderMessageBlocks(entry, options.template || TEMPLATE_PRESETS.default).map(block => ({
+      key: String(block.messages[0].id !== null ? block.messages[0].id : ''),
+      text: block.text,
+      messages: block.messages
+    }));
+  } else {
+    // Cleaned markdown: no ids, so messages are keyed by position
+    const { header, messages } = splitIntoMessages(String(entry));
+    const texts = header ? [header, ...messages] : messages;
+    blocks = texts.map(text => ({ text, messages: [{ id: null, sender: getRenderedSender(text), timestamp: null, permalink: null }] }));
+  }
+
+  return blocks.flatMap((block, index) => {
+    const key = block.key || `#${index}`;
+    if (estimateTokens(block.text) <= options.chunkSize) {
+      return [{ key, text: block.text, tokens: estimateTokens(block.text), messages: block.messages }];
+    }
+    // Large messages are split between paragraphs; code blocks always stay whole
+    const parts = [];
+    let current = [];
+    for (const paragraph of splitIntoParagraphs(block.text)) {
+      if (current.length > 0 && estimateTokens([...current, paragraph].join(BLOCK_SEPARATOR)) > options.chunkSize) {
+        parts.push(current.join(BLOCK_SEPARATOR));
+        current = [];
+      }
+      current.push(paragraph);
+    }
+    if (current.length > 0) parts.push(current.join(BLOCK_SEPARATOR));
+    return parts.map((text, part) => ({ key: `${key}.${part}`, text, tokens: estimateTokens(text), messages: block.messages }));
+  });
+}
+
+/**
+ * Cuts the end off a block that is larger than the overlap: its last paragraphs, or failing
+ * that its last sentences or words, up to the overlap. Code blocks are not cut.
+ * @param {Object} block - Block from buildTopicBlocks
+ * @param {number} overlap - Tokens of context to repeat
+ * @returns {Object|null} - Block holding the end of the text, or null when nothing fits
+ */
+function getBlockTail(block, overlap) {
+  const takeTail = (pieces, separator) => {
+    const tail = [];
+    for (let i = pieces.length - 1; i >= 0; i--) {
+      if (estimateTokens([pieces[i], ...tail].join(separator)) > overlap) break;
+      tail.unshift(pieces[i]);
+    }
+    return tail.join(separator);
+  };
+
+  const paragraphs = splitIntoParagraphs(block.text);
+  let text = takeTail(paragraphs, BLOCK_SEPARATOR);
+  const lastParagraph = paragraphs[paragraphs.length - 1] || '';
+  if (!text && !/^\s*(`{3,}|~{3,})/.test(lastParagraph)) {
+    text = takeTail(lastParagraph.split(/(?<=[.!?])\s+/), ' ') || takeTail(lastParagraph.split(/\s+/), ' ');
+  }
+  return text ? { key: block.key, text, tokens: estimateTokens(text), messages: block.messages } : null;
+}
+
+/**
+ * Packs blocks into chunks, repeating the end of each chunk (up to the overlap) at the start
+ * of the next one: the last blocks that fit, or the end of the last block when none does
+ * @param {Array} blocks - Blocks from buildTopicBlocks
+ * @param {number} chunkSize - Target chunk size in estimated tokens
+ * @param {number} overlap - Tokens of context to repeat
+ * @returns {Array} - Array of block arrays, one per chunk
+ */
+function packBlocks(blocks, chunkSize, overlap) {
+  const chunks = [];
+  let current = [];
+  let carried = 0;
+  const sizeOf = list => estimateTokens(list.map(block => block.text).join(BLOCK_SEPARATOR));
+
+  for (const block of blocks) {
+    if (current.length > carried && sizeOf([...current, block]) > chunkSize) {
+      chunks.push(current);
+      // Carry over trailing blocks that fit in the overlap
+      const tail = [];
+      for (let i = current.length - 1; i >= 0; i--) {
+        if (sizeOf([current[i], ...tail]) > overlap) break;
+        tail.unshift(current[i]);
+      }
+      if (tail.length === 0 && overlap > 0) {
+        const partial = getBlockTail(current[current.length - 1], overlap);
+        if (partial) tail.push(partial);
+      }
+      // Drop carried blocks that would leave no room for the new one
+      while (tail.length > 0 && sizeOf([...tail, block]) > chunkSize) tail.shift();
+      current = tail;
+      carried = tail.length;
+    }
+    current.push(block);
+  }
+  if (current.length > carried) chunks.push(current);
+  return chunks;
+}
+
+/**
+ * Hashes text into a short hex id
+ * @param {string} text - Text to hash
+ * @returns {string} - First 16 hex characters of its SHA-256
+ */
+function shortHash(text) {
+  return crypto.createHash('sha256').update(text).digest('hex').slice(0, 16);
+}
+
+/**
+ * Builds the chunk records for one topic
+ * @param {string} topicName - Topic name
+ * @param {string|Array} entry - Raw message array or cleaned markdown
+ * @param {Object} meta - Dataset metadata (stream, realm), or null
+ * @param {Object} options - chunkSize, overlap and template
+ * @returns {Array} - Chunk records (see OUTPUT FORMAT)
+ */
+function chunkTopic(topicName, entry, meta, options) {
+  const stream = meta ? meta.stream || null : null;
+  const realm = meta ? meta.realm || null : null;
+  const blocks = buildTopicBlocks(entry, options);
+
+  return packBlocks(blocks, options.chunkSize, options.overlap).map((chunk, index) => {
+    const text = chunk.map(block => block.text).join(BLOCK_SEPARATOR);
+    const messages = [];
+    chunk.forEach(block => block.messages.forEach(message => {
+      if (!messages.includes(message)) messages.push(message);
+    }));
+    const ids = messages.map(message => message.id).filter(id => id !== null);
+    const timestamps = messages.map(message => message.timestamp).filter(Boolean).sort();
+    const permalinks = messages.map(message => message.permalink).filter(Boolean);
+    const participants = Array.from(new Set(messages.map(message => message.sender).filter(Boolean)));
+
+    return {
+      id: shortHash([realm, stream, topicName, chunk[0].key, chunk[chunk.length - 1].key].join('\n')),
+      stream: stream,
+      realm: realm,
+      topic: topicName,
+      chunk_index: index,
+      text: text,
+      tokens: estimateTokens(text),
+      participants: participants,
+      first_message_id: ids.length > 0 ? Math.min(...ids) : null,
+      last_message_id: ids.length > 0 ? Math.max(...ids) : null,
+      first_timestamp: timestamps.length > 0 ? timestamps[0] : null,
+      last_timestamp: timestamps.length > 0 ? timestamps[timestamps.length - 1] : null,
+      permalink: permalinks.length > 0 ? permalinks[0] : null,
+      content_hash: shortHash(text)
+    };
+  });
+}
+
+/**
+ * Exports a single raw (or cleaned) dataset file to JSONL chunks
+ * @param {string} inputFile - Raw scrape or cleaned JSON file
+ * @param {string} outputFile - Where to write the JSONL
+ * @param {Object} options - See exportChunks
+ * @returns {Object} - Object containing topicCount and chunkCount
+ */
+function exportFile(inputFile, outputFile, options) {
+  console.log('Reading input file:', inputFile);
+  if (!fs.existsSync(inputFile)) {
+    throw new InputError(`Input file does not exist: ${inputFile}`, { file: inputFile });
+  }
+
+  let { meta, topics } = readAndMergeScrapes(inputFile, options.mergeFiles || [], { reconcile: true, topicAliases: options.topicAliases });
+  if (options.filters) {
+    // Filters apply to raw message arrays; cleaned topics are already filtered
+    const raw = Object.values(topics).every(Array.isArray);
+    if (raw) {
+      topics = filterTopics(topics, options.filters).data;
+    } else {
+      console.warn('⚠️  Warning: Filters are ignored for cleaned input');
+    }
+  }
+
+  const outputDir = path.dirname(outputFile);
+  if (!fs.existsSync(outputDir)) {
+    fs.mkdirSync(outputDir, { recursive: true });
+  }
+
+  const lines = [];
+  for (const [topicName, entry] of Object.entries(topics)) {
+    const chunks = chunkTopic(topicName, entry, meta, options);
+    console.log(`Processing topic: "${topicName}" (${chunks.length} chunks)`);
+    chunks.forEach(chunk => lines.push(JSON.stringify(chunk)));
+  }
+
+  console.log('Writing output file:', outputFile);
+  fs.writeFileSync(outputFile, lines.length > 0 ? `${lines.join('\n')}\n` : '', 'utf8');
+  return { topicCount: Object.keys(topics).length, chunkCount: lines.length };
+}
+
+/**
+ * Main function to export chunks
+ * @param {string} inputFile - Raw (or cleaned) JSON file, or a directory of them to export as a batch
+ * @param {string} outputFile - Where to write the JSONL (an output directory for batches)
+ * @param {Object} [options] - chunkSize: target tokens per chunk; overlap: tokens repeated between
+ *   chunks; template: output template for messages (see output_templates.js); mergeFiles,
+ *   filters and topicAliases: as for zulip_cleaner.js (used by zulip_pipeline.js)
+ * @returns {Promise<Array>} - Array of { stream, outputFile, topicCount, chunkCount }
+ * @throws {InputError|UsageError} - When the input is missing or invalid, or the options don't fit it
+ */
+async function exportChunks(inputFile, outputFile, options = {}) {
+  const settings = { chunkSize: DEFAULT_CHUNK_SIZE, overlap: DEFAULT_OVERLAP, ...options };
+
+  let results;
+  if (fs.existsSync(inputFile) && fs.statSync(inputFile).isDirectory()) {
+    if ((settings.mergeFiles || []).length > 0) {
+      throw new UsageError('Merging only works with a single input file');
+    }
+    const files = listDatasetFiles(inputFile);
+    if (files.length === 0) {
+      throw new InputError(`No JSON or JSONL files found in input directory: ${inputFile}`, { file: inputFile });
+    }
+
+    console.log(`Found ${files.length} datasets in batch`);
+    results = files.map(file => {
+      const stream = getStreamSlug(readDatasetMeta(file), file);
+      const outputName = `${getDatasetName(file).replace(/_(messages|cleaned)$/, '')}_chunks.jsonl`;
+      const streamOutput = path.join(outputFile, stream, outputName);
+      return { stream, outputFile: streamOutput, ...exportFile(file, streamOutput, settings) };
+    });
+  } else {
+    results = [{ stream: null, outputFile, ...exportFile(inputFile, outputFile, settings) }];
+  }
+
+  console.log('✅ Chunk export completed successfully!');
+  console.log('📊 Statistics:');
+  results.forEach(result => {
+    console.log(`   - ${result.topicCount} topics → ${result.chunkCount} chunks in ${result.outputFile}`);
+  });
+  console.log(`   - Chunk size: ~${settings.chunkSize} tokens, overlap: ~${settings.overlap} tokens`);
+  return results;
+}
+
+// Run the exporter if this file is executed directly
+if (require.main === module) {
+  runCli(() => {
+    const { inputFile, outputFile, options } = parseArguments();
+    return exportChunks(inputFile, outputFile, options);
+  }, 'Error exporting chunks', printUsage);
+}
+
+module.exports = {
+  exportChunks,
+  exportFile,
+  chunkTopic,
+  buildTopicBlocks,
+  packBlocks,
+  getRenderedSender,
+  parseArguments,
+  printUsage
+};
@@ -15,11 +15,18 @@
  * 2. Creates individual markdown files for each topic
  * 3. Sanitizes topic names for safe filenames
  * 4. Organizes files in a specified output directory
+ * 5. Writes manifest.json, mapping each topic name to its file (and its content hash)
+ * 6. On later runs, only rewrites the files whose contents changed
  * 
  * INPUT FORMAT:
  * {
  *   "topic_name": "**alice:** First message\n\nContinuation\n\n**bob:** Reply"
  * }
+ * Raw scraper output (message arrays per topic) is accepted too and is cleaned on the fly,
+ * as a JSON file or as JSONL with one message per line (see dataset_stream.js).
+ * When those messages carry permalinks, each file links back to the start of its topic.
+ * Renamed and resolved topics are merged first, as zulip_cleaner.js does (see topic_names.js),
+ * with --topic-aliases for renames that can't be detected.
  * 
  * OUTPUT FORMAT:
  * Individual .md files with format:
@@ -36,16 +43,68 @@
  * FEATURES:
  * - Automatic filename sanitization (removes invalid characters)
  * - Cross-platform compatible filenames
+ * - Stable, collision-free file names, with a manifest of which topic went where
  * - Proper markdown header formatting
  * - Automatic directory creation
+ * - Local copies of uploaded files and images
  * - Progress tracking and error handling
  * 
  * USAGE:
- * node data_splitter.js <input_file> [output_directory]
+ * node data_splitter.js <input_file> [output_directory] [--assets <manifest.json|assets_dir>] [--template <preset|template.json>]
+ *   [--prune | --archive <dir>] [--dry-run] [--stream]
  * 
  * EXAMPLES:
  * node data_splitter.js cleaned_data/messages_cleaned.json
  * node data_splitter.js cleaned_data/rocq_ltac2_cleaned.json markdown_files/
+ * node data_splitter.js cleaned_data/rocq_ltac2_cleaned.json markdown_files/ --assets data/zulip_messages_assets.json
+ * node data_splitter.js cleaned_data/2025-06/ markdown_files/2025-06/
+ * node data_splitter.js cleaned_data/rocq_ltac2_cleaned.json docs/ltac2/ --template front-matter
+ * node data_splitter.js cleaned_data/rocq_ltac2_cleaned.json docs/ltac2/ --prune --dry-run
+ * node data_splitter.js cleaned_data/full_export_cleaned.json docs/full/ --stream
+ * 
+ * BATCHES:
+ * If <input_file> is a directory (e.g. the output of a zulip_cleaner.js batch), every dataset
+ * in it and its direct subdirectories is split into <output_directory>/<stream>/.
+ * 
+ * TEMPLATES:
+ * --template picks how each file is laid out (and how raw messages are rendered): a built-in
+ * preset (default, front-matter, chat, wiki) or a JSON template file. See output_templates.js.
+ * Messages in cleaned input were already rendered by zulip_cleaner.js --template.
+ * 
+ * FILE NAMES:
+ * Topic names become lowercase file names with "_" for spaces and for characters filesystems
+ * reject. Accented Latin letters are transliterated ("Café" → cafe.md), other scripts and
+ * emoji are dropped and a hash of the name is added (rust_help_9d7082c6.md), names are cut to
+ * 120 bytes, Windows device names get a trailing "_" (con_.md), and names with nothing left
+ * become topic_<hash>.md. When several topics end up with the same name ("Foo?" and "foo"),
+ * a topic already called that keeps it (else the first by name), and the others get a suffix
+ * hashed from their topic name (foo_fb96a0d0.md), so a topic keeps its file between runs. Every such collision is
+ * reported. <output_directory>/manifest.json lists the file of each topic, and the input file
+ * relative to the output directory:
+ * { "meta": { "format": "zulip-split-manifest", ... }, "files": { "Foo?": "foo_fb96a0d0.md" } }
+ * 
+ * UPDATING AN OUTPUT DIRECTORY:
+ * The manifest also records a SHA-256 hash of every file. Running the splitter again into the
+ * same directory only writes new topics and topics whose file would change, so unchanged
+ * files keep their timestamps (and stay out of git diffs). Files of topics that no longer
+ * exist are kept, with a warning, and stay listed as "stale" in the manifest; --prune deletes
+ * them and --archive <dir> moves them to <dir> (<dir>/<stream>/ for batches), adding a
+ * timestamp to the name when <dir> already has a file by that name. Only files the manifest
+ * knows about are ever removed. --dry-run prints what would be created, updated and
+ * removed without writing anything.
+ * 
+ * ASSETS:
+ * With --assets, every /user_uploads/... file referenced by a topic is copied from the asset
+ * bundle (see asset_bundler.js) into <output_directory>/assets/ and the markdown links are
+ * rewritten to point at the local copies. Uploads missing from the bundle keep their original link.
+ * 
+ * LARGE INPUTS (--stream):
+ * --stream reads the input one topic at a time instead of loading it whole: a first pass
+ * collects the metadata and topic names (for the file names), the second writes each file as
+ * its topic is read, so memory stays around the size of the largest topic. Raw input takes one
+ * more pass, over only the message ids, times and senders, to work out the names of merged
+ * topics. Each topic is checked when it is reached, so a bad topic stops the run partway,
+ * before the manifest is written. See dataset_stream.js.
  * 
  * RESULT:
  * Creates browsable markdown files perfect for documentation, search, and reference.
@@ -54,115 +113,594 @@
 
 const fs = require('fs');
 const path = require('path');
+const crypto = require('crypto');
+const { parseArgs } = require('util');
+const { loadAssetSource, localizeAssets } = require('./asset_bundler');
+const { messagesToMarkdown, readAndMergeScrapes } = require('./zulip_cleaner');
+const { CLEANED_FORMAT, normalizeMessages, getStreamSlug, listDatasetFiles } = require('./zulip_dataset');
+const { loadTopicAliases, reconcileTopics, groupThreads } = require('./topic_names');
+const { openDatasetStream, readDatasetMeta } = require('./dataset_stream');
+const { validateStream } = require('./dataset_validator');
+const { TEMPLATE_PRESETS, loadTemplate, renderTemplate } = require('./output_templates');
+const { UsageError, InputError, runCli } = require('./errors');
+
+/**
+ * Prints command line usage
+ * @param {string} [command] - How the splitter is invoked
+ */
+function printUsage(command = 'node data_splitter.js') {
+  console.log(`Usage: ${command} <input_file> [output_directory] [--assets <manifest.json|assets_dir>] [--template <preset|template.json>]`);
+  console.log('Updates: [--prune | --archive <dir>] [--dry-run]');
+  console.log('Raw input: [--topic-aliases <aliases.json>]   Large inputs: [--stream]');
+  console.log(`Example: ${command} cleaned_data/messages_cleaned.json markdown_files/`);
+  console.log(`Example: ${command} cleaned_data/2025-06/ markdown_files/2025-06/   (batch: one output directory per stream)`);
+  console.log(`Example: ${command} cleaned_data/messages_cleaned.json docs/ltac2/ --archive docs/archive/ --dry-run`);
+}
 
 /**
  * Parses command line arguments
- * @returns {Object} - Object containing inputFile and outputDir paths
+ * @param {Array} [argv] - Arguments without the node and script paths
+ * @returns {Object} - Object containing inputFile and outputDir paths, plus splitting options
  */
-function parseArguments() {
-  const args = process.argv.slice(2);
+function parseArguments(argv = process.argv.slice(2)) {
+  let parsed;
+  try {
+    parsed = parseArgs({
+      args: argv,
+      allowPositionals: true,
+      options: {
+        'assets': { type: 'string' },
+        'template': { type: 'string' },
+        'prune': { type: 'boolean' },
+        'archive': { type: 'string' },
+        'dry-run': { type: 'boolean' },
+        'stream': { type: 'boolean' },
+        'topic-aliases': { type: 'string' }
+      }
+    });
+  } catch (error) {
+    throw new UsageError(error.message);
+  }
+  const { values, positionals: args } = parsed;
 
   if (args.length < 1) {
-    console.error('❌ Error: Missing required arguments');
-    console.log('Usage: node data_splitter.js <input_file> [output_directory]');
-    console.log('Example: node data_splitter.js cleaned_data/messages_cleaned.json markdown_files/');
-    process.exit(1);
+    throw new UsageError('Missing required arguments');
+  }
+
+  if (values.prune && values.archive) {
+    throw new UsageError('Use either --prune or --archive, not both');
   }
 
+  const template = loadTemplate(values.template);
+
   return {
     inputFile: path.resolve(args[0]),
-    outputDir: args[1] ? path.resolve(args[1]) : path.dirname(path.resolve(args[0]))
+    outputDir: args[1] ? path.resolve(args[1]) : path.dirname(path.resolve(args[0])),
+    options: {
+      assetSource: values.assets ? path.resolve(values.assets) : null,
+      template: template,
+      prune: Boolean(values.prune),
+      archiveDir: values.archive ? path.resolve(values.archive) : null,
+      dryRun: Boolean(values['dry-run']),
+      stream: Boolean(values.stream),
+      topicAliases: values['topic-aliases'] ? loadTopicAliases(path.resolve(values['topic-aliases'])) : null
+    }
   };
 }
 
+// Letters and punctuation that Unicode decomposition doesn't reduce to ASCII
+const TRANSLITERATIONS = {
+  'ß': 'ss', 'æ': 'ae', 'Æ': 'AE', 'œ': 'oe', 'Œ': 'OE', 'ø': 'o', 'Ø': 'O', 'ł': 'l', 'Ł': 'L',
+  'đ': 'd', 'Đ': 'D', 'ð': 'd', 'Ð': 'D', 'þ': 'th', 'Þ': 'TH', 'ı': 'i',
+  '‘': "'", '’': "'", '“': '"', '”': '"', '–': '-', '—': '-', '…': '...'
+};
+
+// Names Windows reserves for devices, with or without an extension
+const WINDOWS_RESERVED_NAMES = /^(con|prn|aux|nul|com[1-9]|lpt[1-9])(\.|$)/i;
+
+const MANIFEST_FILE = 'manifest.json';
+const MANIFEST_FORMAT = 'zulip-split-manifest';
+
+// Slugs are cut to this many bytes, leaving room for a suffix and ".md" within the usual
+// 255-byte file name limit
+const MAX_SLUG_BYTES = 120;
+
 /**
- * Sanitizes a filename by removing or replacing invalid characters
+ * Sanitizes a filename by removing or replacing invalid characters. The result is ASCII:
+ * accented Latin letters are transliterated, and characters with no ASCII spelling (other
+ * scripts, emoji) are dropped and replaced by a hash of the whole name, so names that differ
+ * only in them still get different, stable file names.
  * @param {string} filename - The original filename
- * @returns {string} - Sanitized filename safe for filesystem
+ * @returns {string} - Sanitized filename safe for filesystem (empty if nothing is left)
  */
 function sanitizeFilename(filename) {
+  // Transliterate accented Latin letters ("Café" → "cafe")
+  const transliterated = String(filename)
+    .normalize('NFKD')
+    .replace(/(\p{Script=Latin})\p{M}+/gu, '$1')
+    .normalize('NFC')
+    .replace(/[ßæÆœŒøØłŁđĐðÐþÞı‘’“”–—…]/g, letter => TRANSLITERATIONS[letter]);
+  const hasUntransliterated = /[^\u0000-\u007f]/.test(transliterated);
+
   // Replace invalid characters with underscores
-  return filename
-    .replace(/[<>:"/\\|?*]/g, '_')
+  let sanitized = transliterated
+    .replace(/[^\u0000-\u007f]+/g, '_')
+    .replace(/[<>:"/\\|?*\u0000-\u001f]/g, '_')
     .replace(/\s+/g, '_')
     .replace(/_{2,}/g, '_')
-    .replace(/^_+|_+$/g, '')
+    .replace(/^[_.]+|[_.]+$/g, '')
     .toLowerCase();
+
+  // Cut at a character boundary, so multi-byte scripts don't end in half a character
+  if (Buffer.byteLength(sanitized, 'utf8') > MAX_SLUG_BYTES) {
+    let cut = '';
+    for (const char of sanitized) {
+      if (Buffer.byteLength(cut + char, 'utf8') > MAX_SLUG_BYTES) break;
+      cut += char;
+    }
+    sanitized = cut.replace(/[_.]+$/, '');
+  }
+
+  // Nothing left at all is handled by the callers ("topic_<hash>")
+  if (hasUntransliterated && sanitized) {
+    sanitized = `${sanitized}_${hashTopicName(filename)}`;
+  }
+  return WINDOWS_RESERVED_NAMES.test(sanitized) ? `${sanitized}_` : sanitized;
+}
+
+/**
+ * Gets a short, stable hash of a topic name, used to tell apart topics with the same slug
+ * @param {string} name - Topic name
+ * @param {number} [length] - Number of hex digits
+ * @returns {string} - Hex digest prefix
+ */
+function hashTopicName(name, length = 8) {
+  return crypto.createHash('sha256').update(String(name)).digest('hex').slice(0, length);
 }
 
 /**
- * Creates a markdown file from header and content
+ * Gives every topic a unique slug. When topics sanitize to the same slug (e.g. "Foo?" and
+ * "foo"), one keeps the plain slug: a topic already named like it (ignoring case), else the
+ * first by name. The others get a suffix hashed from their name, so each topic keeps its file
+ * no matter what order topics come in.
+ * Names with nothing left after sanitizing are named "topic_<hash>".
+ * @param {Array} names - Topic names
+ * @returns {Object} - Object containing slugs (Map from topic name to slug) and collisions
+ *   (array of { slug, topics } for every slug several topics wanted)
+ */
+function createTopicSlugs(names) {
+  const wanted = new Map();
+  for (const name of names) {
+    const slug = sanitizeFilename(name) || `topic_${hashTopicName(name)}`;
+    if (!wanted.has(slug)) wanted.set(slug, []);
+    wanted.get(slug).push(name);
+  }
+
+  const slugs = new Map();
+  const collisions = [];
+  const taken = new Set(wanted.keys());
+  for (const [slug, topics] of wanted) {
+    const isExact = name => name.trim().toLowerCase() === slug;
+    const [first, ...others] = [...topics].sort((a, b) => isExact(b) - isExact(a) || (a < b ? -1 : a > b ? 1 : 0));
+    slugs.set(first, slug);
+    if (others.length === 0) continue;
+
+    collisions.push({ slug, topics: [first, ...others] });
+    for (const name of others) {
+      let length = 8;
+      let suffixed = `${slug}_${hashTopicName(name, length)}`;
+      // A suffixed slug could (in theory) match another topic's plain slug
+      while (taken.has(suffixed)) suffixed = `${slug}_${hashTopicName(name, ++length)}`;
+      taken.add(suffixed);
+      slugs.set(name, suffixed);
+    }
+  }
+  return { slugs, collisions };
+}
+
+/**
+ * Renders a topic file with the template's file layout
  * @param {string} header - The header/topic name
  * @param {string} content - The markdown content
- * @param {string} outputDir - Directory to save the file
+ * @param {string} [permalink] - Optional link back to the topic on Zulip
+ * @param {Object} [template] - Output template (see output_templates.js)
+ * @param {Object} [meta] - Dataset metadata, for the stream and realm placeholders and the
+ *   resolved status (meta.resolved_topics, written by zulip_cleaner.js)
+ * @returns {string} - File contents
  */
-function createMarkdownFile(header, content, outputDir) {
-  const sanitizedHeader = sanitizeFilename(header);
-  const filename = `${sanitizedHeader}.md`;
-  const filepath = path.join(outputDir, filename);
+function renderMarkdownFile(header, content, permalink, template = TEMPLATE_PRESETS.default, meta = null) {
+  return renderTemplate(template.file, {
+    topic: header,
+    content: content,
+    permalink: permalink,
+    source_link: permalink ? `[View on Zulip](${permalink})\n\n` : '',
+    stream: meta ? meta.stream : null,
+    realm: meta ? meta.realm : null,
+    resolved: meta && Array.isArray(meta.resolved_topics) && meta.resolved_topics.includes(header) ? true : null
+  });
+}
+
+/**
+ * Resolves a topic entry to markdown, cleaning raw message arrays on the fly
+ * @param {string|Array} entry - Cleaned markdown string or raw message array
+ * @param {Object} [template] - Output template used to clean raw messages
+ * @param {string} [header] - Topic name
+ * @returns {Object} - Object containing content and the permalink of the first message (if any)
+ */
+function resolveTopicEntry(entry, template = TEMPLATE_PRESETS.default, header = '') {
+  if (!Array.isArray(entry)) {
+    return { content: entry, permalink: null };
+  }
 
-  const markdownContent = `# ${header}\n\n${content}`;
+  const messages = normalizeMessages(entry);
+  return {
+    content: messagesToMarkdown(messages, template, header),
+    permalink: messages.length > 0 ? messages[0].permalink : null
+  };
+}
 
+/**
+ * Reads the manifest a previous run left in an output directory
+ * @param {string} outputDir - Directory the markdown files are written to
+ * @returns {Object|null} - Object containing files, hashes and stale, or null when there is
+ *   no usable manifest
+ */
+function readManifest(outputDir) {
+  const manifestFile = path.join(outputDir, MANIFEST_FILE);
+  if (!fs.existsSync(manifestFile)) return null;
   try {
-    fs.writeFileSync(filepath, markdownContent, 'utf8');
-    console.log(`✅ Created: ${filename}`);
+    const manifest = JSON.parse(fs.readFileSync(manifestFile, 'utf8'));
+    return { files: manifest.files || {}, hashes: manifest.hashes || {}, stale: manifest.stale || {} };
   } catch (error) {
-    console.error(`❌ Error creating ${filename}:`, error.message);
+    console.warn(`⚠️  Warning: Ignoring unreadable ${manifestFile} (${error.message}); every file is compared with its contents`);
+    return null;
   }
 }
 
 /**
- * Main function to split data into markdown files
+ * Hashes the contents of a topic file
+ * @param {string} text - File contents
+ * @returns {string} - SHA-256 hex digest
+ */
+function hashContent(text) {
+  return crypto.createHash('sha256').update(text).digest('hex');
+}
+
+/**
+ * Picks where to archive a file, without replacing an earlier archived copy
+ * @param {string} archiveDir - Archive directory
+ * @param {string} file - File name, e.g. "foo.md"
+ * @returns {string} - archiveDir/foo.md, or archiveDir/foo.20250601T120000Z.md when that is taken
+ */
+function getArchiveTarget(archiveDir, file) {
+  const target = path.join(archiveDir, file);
+  if (!fs.existsSync(target)) return target;
+
+  const extension = path.extname(file);
+  const stamp = new Date().toISOString().replace(/[-:]/g, '').replace(/\.\d+Z$/, 'Z');
+  let candidate = path.join(archiveDir, `${path.basename(file, extension)}.${stamp}${extension}`);
+  for (let counter = 2; fs.existsSync(candidate); counter++) {
+    candidate = path.join(archiveDir, `${path.basename(file, extension)}.${stamp}_${counter}${extension}`);
+  }
+  return candidate;
+}
+
+/**
+ * Moves a file, copying it when the target is on another filesystem
+ * @param {string} source - File to move
+ * @param {string} target - Where to move it
  */
-async function splitData(inputFile, outputDir) {
+function moveFile(source, target) {
   try {
-    console.log('Reading input file:', inputFile);
+    fs.renameSync(source, target);
+  } catch (error) {
+    if (error.code !== 'EXDEV') throw error;
+    fs.copyFileSync(source, target, fs.constants.COPYFILE_EXCL);
+    fs.unlinkSync(source);
+  }
+}
 
-    // Validate input file exists
-    if (!fs.existsSync(inputFile)) {
-      throw new Error(`Input file does not exist: ${inputFile}`);
+/**
+ * Deletes or archives the files of topics that no longer exist
+ * @param {Array} staleFiles - Array of { topic, file }
+ * @param {string} outputDir - Directory the markdown files are in
+ * @param {Object} options - prune, archiveDir and dryRun (see splitData)
+ * @returns {Object} - Object containing removed (count) and kept (topic → file, still stale)
+ */
+function removeStaleFiles(staleFiles, outputDir, options) {
+  const kept = {};
+  let removed = 0;
+  for (const { topic, file } of staleFiles) {
+    const filepath = path.join(outputDir, file);
+    if (options.archiveDir) {
+      const target = getArchiveTarget(options.archiveDir, file);
+      if (!options.dryRun) {
+        fs.mkdirSync(options.archiveDir, { recursive: true });
+        moveFile(filepath, target);
+      }
+      console.log(`📦 ${options.dryRun ? 'Would archive' : 'Archived'}: ${file} → ${target} (topic "${topic}" no longer exists)`);
+      removed++;
+    } else if (options.prune) {
+      if (!options.dryRun) fs.unlinkSync(filepath);
+      console.log(`🗑️  ${options.dryRun ? 'Would remove' : 'Removed'}: ${file} (topic "${topic}" no longer exists)`);
+      removed++;
+    } else {
+      kept[topic] = file;
     }
+  }
+
+  const keptCount = Object.keys(kept).length;
+  if (keptCount > 0) {
+    console.warn(`⚠️  Warning: Kept ${keptCount} files of topics that no longer exist (use --prune or --archive <dir> to clean them up):`);
+    Object.entries(kept).forEach(([topic, file]) => console.warn(`   - ${file} ("${topic}")`));
+  }
+  return { removed, kept };
+}
+
+/**
+ * Works out the topic names of a raw dataset after renamed topics are merged, without loading
+ * it: reconcileTopics runs on an outline of the messages (ids, times and senders, with the
+ * content reduced to a hash where it identifies a message without an id)
+ * @param {string} inputFile - Raw JSON or JSONL file
+ * @param {Map} [topicAliases] - Topic aliases (see loadTopicAliases)
+ * @returns {Map|null} - Map from each topic name to its merged name, or null for cleaned data
+ */
+function readMergedTopicNames(inputFile, topicAliases) {
+  const datasetStream = openDatasetStream(inputFile);
+  const outline = {};
+  for (const [topic, value] of validateStream(datasetStream, inputFile)) {
+    if (!Array.isArray(value)) {
+      datasetStream.close();
+      return null;
+    }
+    outline[topic] = normalizeMessages(value).map(message => ({
+      id: message.id,
+      sender: message.sender,
+      timestamp: message.timestamp,
+      content: message.id !== null ? '' : hashContent(String(message.content))
+    }));
+  }
+  return reconcileTopics(outline, topicAliases).renamed;
+}
+
+/**
+ * Opens the topics of a dataset file for splitting. Topics of raw data are merged as the
+ * cleaner does (see topic_names.js).
+ * @param {string} inputFile - Cleaned (or raw) JSON or JSONL file
+ * @param {Object} options - stream: read one topic at a time instead of loading the file
+ *   (--stream); topicAliases: see loadTopicAliases
+ * @returns {Object} - Object containing meta, names (topic names), entries (iterable of
+ *   [topic, entry]) and close()
+ */
+function openTopicSource(inputFile, options) {
+  const topicAliases = options.topicAliases || null;
+  if (!options.stream) {
+    const { meta, topics } = readAndMergeScrapes(inputFile, [], { reconcile: true, topicAliases });
+    return { meta, names: Object.keys(topics), entries: Object.entries(topics), close: () => {} };
+  }
+
+  const meta = readDatasetMeta(inputFile);
+  const renamed = meta && meta.format === CLEANED_FORMAT ? null : readMergedTopicNames(inputFile, topicAliases);
+  const datasetStream = openDatasetStream(inputFile);
+  const entries = validateStream(datasetStream, inputFile);
+  if (!renamed) {
+    return { meta: datasetStream.meta, names: [...new Set(datasetStream.names)], entries, close: datasetStream.close };
+  }
+  return {
+    meta: datasetStream.meta,
+    names: [...new Set(datasetStream.names.map(topic => renamed.get(topic)))],
+    entries: (function* () {
+      for (const thread of groupThreads(entries, datasetStream.names, topicAliases)) {
+        yield* Object.entries(reconcileTopics(thread, topicAliases).data);
+      }
+    })(),
+    close: datasetStream.close
+  };
+}
+
+/**
+ * Splits a single cleaned (or raw) JSON file into markdown files. Files whose contents
+ * haven't changed since the last run (per the manifest's hashes) are not rewritten.
+ * @param {string} inputFile - Cleaned (or raw) JSON file
+ * @param {string} outputDir - Directory for the markdown files
+ * @param {Object} options - See splitData
+ * @returns {Object} - Object containing filesCreated, filesUpdated, filesUnchanged, filesRemoved,
+ *   filesStale, assetsCopied, assetsMissing and collisions counts
+ */
+function splitFile(inputFile, outputDir, options) {
+  console.log('Reading input file:', inputFile);
+
+  // Step 1: Read and parse the input (or with --stream, only its metadata and topic names)
+  const source = openTopicSource(inputFile, options);
+  const meta = source.meta;
+  const template = options.template || TEMPLATE_PRESETS.default;
+  const dryRun = Boolean(options.dryRun);
+
+  // Ensure output directory exists
+  if (!dryRun && !fs.existsSync(outputDir)) {
+    fs.mkdirSync(outputDir, { recursive: true });
+    console.log('Created output directory:', outputDir);
+  }
+
+  console.log('Found', source.names.length, 'entries to split');
+
+  const getAsset = options.assetSource ? loadAssetSource(options.assetSource) : null;
+  const previous = readManifest(outputDir);
+  const stats = {
+    filesCreated: 0, filesUpdated: 0, filesUnchanged: 0, filesRemoved: 0, filesStale: 0,
+    assetsCopied: 0, assetsMissing: 0, collisions: 0
+  };
+
+  const { slugs, collisions } = createTopicSlugs(source.names);
+  collisions.forEach(collision => {
+    const files = collision.topics.map(topic => `"${topic}" → ${slugs.get(topic)}.md`).join(', ');
+    console.warn(`⚠️  Warning: ${collision.topics.length} topics share the file name ${collision.slug}.md: ${files}`);
+    stats.collisions += collision.topics.length - 1;
+  });
+  const files = {};
+  const hashes = {};
+
+  // Step 2: Create (or update) markdown files for each entry
+  try {
+    for (const [header, entry] of source.entries) {
+      let { content, permalink } = resolveTopicEntry(entry, template, header);
+
+      if (getAsset) {
+        const localized = localizeAssets(content, getAsset, outputDir, { dryRun });
+        content = localized.markdown;
+        stats.assetsCopied += localized.copied;
+        stats.assetsMissing += localized.missing.length;
+        localized.missing.forEach(url => console.warn(`⚠️  Warning: Upload not found in asset bundle: ${url}`));
+      }
 
-    // Ensure output directory exists
-    if (!fs.existsSync(outputDir)) {
-      fs.mkdirSync(outputDir, { recursive: true });
-      console.log('Created output directory:', outputDir);
+      const filename = `${slugs.get(header)}.md`;
+      const filepath = path.join(outputDir, filename);
+      const markdownContent = renderMarkdownFile(header, content, permalink, template, meta);
+      files[header] = filename;
+      hashes[filename] = hashContent(markdownContent);
+
+      let previousHash = null;
+      if (fs.existsSync(filepath)) {
+        // Without a manifest entry (e.g. the first run with one), the file itself is compared
+        previousHash = previous && previous.hashes[filename]
+          ? previous.hashes[filename]
+          : hashContent(fs.readFileSync(filepath, 'utf8'));
+      }
+      if (previousHash === hashes[filename]) {
+        stats.filesUnchanged++;
+        continue;
+      }
+
+      if (!dryRun) fs.writeFileSync(filepath, markdownContent, 'utf8');
+      if (previousHash === null) {
+        console.log(`${dryRun ? '➕ Would create' : '✅ Created'}: ${filename}`);
+        stats.filesCreated++;
+      } else {
+        console.log(`${dryRun ? '✏️  Would update' : '✏️  Updated'}: ${filename}`);
+        stats.filesUpdated++;
+      }
     }
+  } finally {
+    source.close();
+  }
+
+  // Step 3: Clean up after topics that are gone (renamed, merged or filtered out)
+  const current = new Set(Object.values(files));
+  const staleFiles = previous
+    ? Object.entries({ ...previous.stale, ...previous.files })
+      .filter(([, file]) => !current.has(file) && fs.existsSync(path.join(outputDir, file)))
+      .map(([topic, file]) => ({ topic, file }))
+    : [];
+  const { removed, kept } = removeStaleFiles(staleFiles, outputDir, options);
+  stats.filesRemoved = removed;
+  stats.filesStale = Object.keys(kept).length;
+
+  // Step 4: Record which file each topic went to, for the next run
+  if (!dryRun) {
+    // Relative, so the manifest doesn't change when the same tree is split on another machine
+    const source = path.relative(outputDir, path.resolve(inputFile)).split(path.sep).join('/');
+    const manifest = {
+      meta: { format: MANIFEST_FORMAT, version: 1, source: source, stream: meta && meta.stream ? meta.stream : null },
+      files: files,
+      hashes: hashes,
+      stale: kept
+    };
+    fs.writeFileSync(path.join(outputDir, MANIFEST_FILE), JSON.stringify(manifest, null, 2), 'utf8');
+  }
+
+  return stats;
+}
 
-    // Step 1: Read and parse the JSON file
-    const rawData = fs.readFileSync(inputFile, 'utf8');
-    const data = JSON.parse(rawData);
+/**
+ * Prints what a split changed
+ * @param {Object} stats - Counts returned by splitFile
+ * @param {Object} options - See splitData
+ * @param {string} [indent] - Prefix for each line
+ */
+function printSplitStats(stats, options, indent = '   - ') {
+  const verb = options.dryRun ? 'would be ' : '';
+  console.log(`${indent}Files ${verb}created: ${stats.filesCreated}, ${verb}updated: ${stats.filesUpdated}, unchanged: ${stats.filesUnchanged}`);
+  if (stats.filesRemoved > 0) {
+    console.log(`${indent}Stale files ${verb}${options.archiveDir ? 'archived' : 'removed'}: ${stats.filesRemoved}`);
+  }
+  if (stats.filesStale > 0) {
+    console.log(`${indent}Stale files kept: ${stats.filesStale}`);
+  }
+  if (stats.collisions > 0) {
+    console.log(`${indent}File name collisions resolved: ${stats.collisions}`);
+  }
+}
 
-    console.log('Found', Object.keys(data).length, 'entries to split');
+/**
+ * Main function to split data into markdown files
+ * @param {string} inputFile - Cleaned (or raw) JSON file, or a directory of them to split as a batch
+ * @param {string} outputDir - Directory for the markdown files (batches get one subdirectory per stream)
+ * @param {Object} [options] - assetSource: asset bundle to copy referenced uploads from;
+ *   template: output template for the files (see output_templates.js);
+ *   prune: delete the files of topics that no longer exist; archiveDir: move them there instead;
+ *   dryRun: only print what would be created, updated and removed;
+ *   stream: read the input one topic at a time (see LARGE INPUTS above);
+ *   topicAliases: merges for raw input, as for zulip_cleaner.js
+ * @returns {Promise<Array>} - Array of { outputDir, stats }, one per split file
+ * @throws {InputError} - When the input or asset source is missing or invalid
+ */
+async function splitData(inputFile, outputDir, options = {}) {
+  if (options.dryRun) {
+    console.log('🔍 Dry run: nothing is written');
+  }
 
-    // Step 2: Create markdown files for each entry
-    let successCount = 0;
-    for (const [header, markdownContent] of Object.entries(data)) {
-      console.log(`Processing: "${header}"`);
-      createMarkdownFile(header, markdownContent, outputDir);
-      successCount++;
+  if (fs.existsSync(inputFile) && fs.statSync(inputFile).isDirectory()) {
+    const files = listDatasetFiles(inputFile);
+    if (files.length === 0) {
+      throw new InputError(`No JSON or JSONL files found in input directory: ${inputFile}`, { file: inputFile });
     }
 
-    console.log('✅ Splitting completed successfully!');
+    console.log(`Found ${files.length} datasets in batch`);
+    const results = files.map(file => {
+      const stream = getStreamSlug(readDatasetMeta(file), file);
+      // Each stream's stale files are archived in their own subdirectory, like the output
+      const streamOptions = options.archiveDir ? { ...options, archiveDir: path.join(options.archiveDir, stream) } : options;
+      return { outputDir: path.join(outputDir, stream), stats: splitFile(file, path.join(outputDir, stream), streamOptions) };
+    });
+
+    console.log(options.dryRun ? '✅ Dry run completed' : '✅ Splitting completed successfully!');
     console.log('📊 Statistics:');
-    console.log(`   - Files created: ${successCount}`);
-    console.log(`   - Output directory: ${outputDir}`);
+    results.forEach(result => {
+      console.log(`   ${result.outputDir}:`);
+      printSplitStats(result.stats, options, '     - ');
+    });
+    return results;
+  }
 
-  } catch (error) {
-    console.error('❌ Error splitting data:', error.message);
-    process.exit(1);
+  const stats = splitFile(inputFile, outputDir, options);
+
+  console.log(options.dryRun ? '✅ Dry run completed' : '✅ Splitting completed successfully!');
+  console.log('📊 Statistics:');
+  printSplitStats(stats, options);
+  if (options.assetSource) {
+    console.log(`   - Assets copied: ${stats.assetsCopied} (${stats.assetsMissing} missing)`);
   }
+  console.log(`   - Output directory: ${outputDir}`);
+  return [{ outputDir, stats }];
 }
 
 // Run the splitter if this file is executed directly
 if (require.main === module) {
-  const { inputFile, outputDir } = parseArguments();
-  splitData(inputFile, outputDir);
+  runCli(() => {
+    const { inputFile, outputDir, options } = parseArguments();
+    return splitData(inputFile, outputDir, options);
+  }, 'Error splitting data', printUsage);
 }
 
 module.exports = {
   splitData,
-  createMarkdownFile,
+  splitFile,
+  resolveTopicEntry,
   sanitizeFilename,
-  parseArguments
-};
\ No newline at end of file
+  hashTopicName,
+  createTopicSlugs,
+  renderMarkdownFile,
+  readManifest,
+  parseArguments,
+  printUsage
+};
@@ -0,0 +1,587 @@
+/**
+ * Dataset Diff
+ * ============
+ *
+ * This script compares two scrapes of the same channel (or two cleaned outputs) and reports
+ * what changed between them: new topics, new messages in existing topics, edited, deleted
+ * and moved messages, and renamed or removed topics.
+ *
+ * PIPELINE OVERVIEW:
+ * Stage 1: zulip_scraper.js → Raw JSON data (e.g. one scrape per month)
+ *          dataset_diff.js  → Changelog, JSON patch and digest ← YOU ARE HERE
+ * Stage 2: zulip_cleaner.js → Cleaned markdown per topic
+ *
+ * WHAT THIS SCRIPT DOES:
+ * 1. Reads the old and the new scrape. With --incremental the new file is an update that
+ *    only holds new messages (zulip_api_scraper.js --since); it is folded into the old
+ *    scrape exactly as zulip_cleaner.js --merge does, so nothing is reported as deleted.
+ * 2. Matches messages across the two scrapes by message id (or sender and text for older
+ *    scrapes without ids), wherever their topic is
+ * 3. Writes <output_dir>/changes.md, a changelog, and <output_dir>/changes.json, the same
+ *    changes for scripts
+ * 4. With --digest, also writes <output_dir>/digest.md: a "what's new" page with the new
+ *    topics and the new messages of ongoing topics
+ *
+ * WHAT COUNTS AS A CHANGE:
+ * - New message: its id is in the new scrape only
+ * - Edited message: same id, different content (reactions are not compared)
+ * - Deleted message: its id is in the old scrape only
+ * - Moved message: same id, different topic
+ * - Renamed topic: a topic that is gone, whose messages all moved to one new topic, or
+ *   whose name only changed in case, spacing or resolved status (see topic_names.js)
+ * Cleaned files have no messages, only a markdown string per topic. For them, a topic is
+ * either new, removed, renamed, or updated: "appended" when the new text extends the old one
+ * (new messages), "edited" otherwise.
+ *
+ * CHANGES.JSON:
+ * {
+ *   "meta": { "format": "zulip-diff", "version": 1, "kind": "raw", "incremental": false,
+ *             "old": { "file": "...", "stream": "ltac2", "scraped_at": "..." }, "new": { ... } },
+ *   "summary": { "topics_added": 1, "topics_updated": 3, "topics_renamed": 0, "topics_removed": 0,
+ *                "messages_added": 12, "messages_edited": 1, "messages_deleted": 0, "messages_moved": 2 },
+ *   "topics": {
+ *     "added": [{ "topic": "...", "messages": 4 }],
+ *     "updated": [{ "topic": "...", "added": 3, "edited": 1, "deleted": 0, "moved_in": 0, "moved_out": 2 }],
+ *     "renamed": [{ "from": "foo", "to": "✔ foo", "resolved": true }],
+ *     "removed": [{ "topic": "...", "messages": 2 }]
+ *   },
+ *   "messages": {
+ *     "added": [{ "topic": "...", "message": { ... } }],
+ *     "edited": [{ "topic": "...", "id": 123, "sender": "alice", "permalink": "...", "before": "...", "after": "..." }],
+ *     "deleted": [{ "topic": "...", "message": { ... } }],
+ *     "moved": [{ "id": 124, "sender": "bob", "from": "...", "to": "..." }]
+ *   }
+ * }
+ * For cleaned files, "messages" is null and each updated topic is
+ * { "topic", "change": "appended" | "edited", "appended": "new markdown" | null }.
+ *
+ * USAGE:
+ * node dataset_diff.js <old.json> <new.json> <output_dir> [--incremental] [--digest] [--template <preset|template.json>]
+ * --template sets how the digest renders messages (see output_templates.js)
+ *
+ * EXAMPLES:
+ * node dataset_diff.js data/ltac2_2025-05.json data/ltac2_2025-06.json reports/ltac2/2025-06 --digest
+ * node dataset_diff.js data/ltac2_2025-05.json data/ltac2_update.json reports/ltac2/update --incremental
+ * node dataset_diff.js cleaned_data/may_cleaned.json cleaned_data/june_cleaned.json reports/june
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { parseArgs } = require('util');
+const { readAndMergeScrapes, renderMessageBlocks } = require('./zulip_cleaner');
+const { normalizeMessages, mergeScrapes, getMessageKey, getStreamSlug, SCRAPE_FORMAT, CLEANED_FORMAT } = require('./zulip_dataset');
+const { parseTopicName } = require('./topic_names');
+const { loadTemplate } = require('./output_templates');
+const { renderTable } = require('./stats_report');
+const { UsageError, InputError, runCli } = require('./errors');
+
+const DIFF_FORMAT = 'zulip-diff';
+const DIFF_VERSION = 1;
+const EXCERPT_LENGTH = 80;
+
+/**
+ * Prints command line usage
+ * @param {string} [command] - How the diff is invoked
+ */
+function printUsage(command = 'node dataset_diff.js') {
+  console.log(`Usage: ${command} <old.json> <new.json> <output_dir> [--incremental] [--digest] [--template <preset|template.json>]`);
+  console.log('--incremental: new.json is an update holding only new messages, merged into old.json');
+  console.log('--digest: also write digest.md, a "what\'s new" page');
+  console.log(`Example: ${command} data/ltac2_2025-05.json data/ltac2_2025-06.json reports/2025-06 --digest`);
+  console.log(`Example: ${command} cleaned_data/may_cleaned.json cleaned_data/june_cleaned.json reports/june`);
+}
+
+/**
+ * Parses command line arguments
+ * @param {Array} [argv] - Arguments without the node and script paths
+ * @returns {Object} - Object containing oldFile, newFile and outputDir paths, plus diff options
+ */
+function parseArguments(argv = process.argv.slice(2)) {
+  let parsed;
+  try {
+    parsed = parseArgs({
+      args: argv,
+      allowPositionals: true,
+      options: {
+        'incremental': { type: 'boolean' },
+        'digest': { type: 'boolean' },
+        'template': { type: 'string' }
+      }
+    });
+  } catch (error) {
+    throw new UsageError(error.message);
+  }
+  const { values, positionals } = parsed;
+
+  if (positionals.length < 3) {
+    throw new UsageError('Missing required arguments');
+  }
+  if (positionals.length > 3) {
+    throw new UsageError(`Unexpected argument: ${positionals[3]}`);
+  }
+
+  return {
+    oldFile: path.resolve(positionals[0]),
+    newFile: path.resolve(positionals[1]),
+    outputDir: path.resolve(positionals[2]),
+    options: {
+      incremental: Boolean(values.incremental),
+      digest: Boolean(values.digest),
+      template: loadTemplate(values.template)
+    }
+  };
+}
+
+/**
+ * Reads one side of the diff and works out whether it is a raw scrape or a cleaned file
+ * @param {string} file - Dataset file
+ * @returns {Object} - Object containing file, meta, topics and kind ("raw" or "cleaned")
+ */
+function readSide(file) {
+  console.log('Reading input file:', file);
+  if (!fs.existsSync(file)) {
+    throw new InputError(`Input file does not exist: ${file}`, { file });
+  }
+  if (fs.statSync(file).isDirectory()) {
+    throw new InputError(`Expected a dataset file, got a directory: ${file}`, { file });
+  }
+
+  const { meta, topics } = readAndMergeScrapes(file, []);
+  const values = Object.values(topics);
+  let kind = null;
+  if (meta && meta.format === SCRAPE_FORMAT) kind = 'raw';
+  else if (meta && meta.format === CLEANED_FORMAT) kind = 'cleaned';
+  else if (values.every(Array.isArray)) kind = 'raw';
+  else if (values.every(value => typeof value === 'string')) kind = 'cleaned';
+
+  const matches = kind === 'raw' ? values.every(Array.isArray) : values.every(value => typeof value === 'string');
+  if (!kind || !matches) {
+    throw new InputError(`Not a raw scrape or cleaned file (topics must all be message arrays or all be markdown): ${file}`, { file });
+  }
+  return { file, meta, topics, kind };
+}
+
+/**
+ * Pairs up topics that are gone with topics that are new, when they are the same thread
+ * @param {Array} goneTopics - Topic names only in the old data
+ * @param {Array} newTopics - Topic names only in the new data
+ * @param {Function} [getDestinations] - Returns the new topics an old topic's messages are in
+ * @returns {Array} - Array of { from, to, resolved }, resolved only set when that is all
+ *   that changed
+ */
+function matchRenamedTopics(goneTopics, newTopics, getDestinations = () => []) {
+  const renamed = [];
+  const unclaimed = new Set(newTopics);
+
+  for (const from of goneTopics) {
+    const destinations = getDestinations(from);
+    let to = destinations.length === 1 && unclaimed.has(destinations[0]) ? destinations[0] : null;
+    if (to === null) {
+      const key = parseTopicName(from).key;
+      to = [...unclaimed].find(topic => parseTopicName(topic).key === key) || null;
+    }
+    if (to === null) continue;
+
+    unclaimed.delete(to);
+    const before = parseTopicName(from);
+    const after = parseTopicName(to);
+    const rename = { from, to };
+    if (before.key === after.key && before.resolved !== after.resolved) rename.resolved = after.resolved;
+    renamed.push(rename);
+  }
+  return renamed;
+}
+
+/**
+ * Compares two raw scrapes message by message
+ * @param {Object} oldTopics - Old raw scraper data: { topic: [message] }
+ * @param {Object} newTopics - New raw scraper data: { topic: [message] }
+ * @returns {Object} - Object containing summary, topics and messages (see CHANGES.JSON)
+ */
+function diffScrapes(oldTopics, newTopics) {
+  const index = topics => {
+    const byKey = new Map();
+    for (const [topic, messages] of Object.entries(topics)) {
+      for (const message of normalizeMessages(messages)) {
+        const key = getMessageKey(message);
+        if (!byKey.has(key)) byKey.set(key, { topic, message });
+      }
+    }
+    return byKey;
+  };
+  const oldByKey = index(oldTopics);
+  const newByKey = index(newTopics);
+
+  const goneTopics = Object.keys(oldTopics).filter(topic => !(topic in newTopics));
+  const addedTopics = Object.keys(newTopics).filter(topic => !(topic in oldTopics));
+  const renamed = matchRenamedTopics(goneTopics, addedTopics, topic => {
+    const destinations = new Set();
+    for (const message of normalizeMessages(oldTopics[topic])) {
+      const found = newByKey.get(getMessageKey(message));
+      if (found) destinations.add(found.topic);
+    }
+    return [...destinations];
+  });
+  const renamedTo = new Map(renamed.map(rename => [rename.from, rename.to]));
+  const renamedTargets = new Set(renamedTo.values());
+  // Where an old topic's messages are expected to be now
+  const currentName = topic => (renamedTo.has(topic) ? renamedTo.get(topic) : topic);
+
+  const messages = { added: [], edited: [], deleted: [], moved: [] };
+  const updates = new Map();
+  const update = topic => {
+    if (!updates.has(topic)) updates.set(topic, { topic, added: 0, edited: 0, deleted: 0, moved_in: 0, moved_out: 0 });
+    return updates.get(topic);
+  };
+
+  for (const [key, { topic, message }] of newByKey) {
+    const previous = oldByKey.get(key);
+    if (!previous) {
+      messages.added.push({ topic, message });
+      update(topic).added++;
+      continue;
+    }
+    if (currentName(previous.topic) !== topic) {
+      messages.moved.push({ id: message.id, sender: message.sender, from: previous.topic, to: topic });
+      update(topic).moved_in++;
+      if (currentName(previous.topic) in newTopics) update(currentName(previous.topic)).moved_out++;
+    }
+    if (previous.message.content !== message.content) {
+      messages.edited.push({
+        topic,
+        id: message.id,
+        sender: message.sender,
+        permalink: message.permalink,
+        before: previous.message.content,
+        after: message.content
+      });
+      update(topic).edited++;
+    }
+  }
+  for (const [key, { topic, message }] of oldByKey) {
+    if (newByKey.has(key)) continue;
+    messages.deleted.push({ topic, message });
+    if (currentName(topic) in newTopics) update(currentName(topic)).deleted++;
+  }
+
+  const brandNew = addedTopics.filter(topic => !renamedTargets.has(topic));
+  const removed = goneTopics.filter(topic => !renamedTo.has(topic));
+  const topics = {
+    added: brandNew.map(topic => ({ topic, messages: normalizeMessages(newTopics[topic]).length })),
+    // New topics are listed on their own; moves out of a removed topic show up in "moved"
+    updated: [...updates.values()].filter(entry => entry.topic in newTopics && !brandNew.includes(entry.topic)),
+    renamed,
+    removed: removed.map(topic => ({ topic, messages: normalizeMessages(oldTopics[topic]).length }))
+  };
+
+  return {
+    summary: {
+      topics_added: topics.added.length,
+      topics_updated: topics.updated.length,
+      topics_renamed: topics.renamed.length,
+      topics_removed: topics.removed.length,
+      messages_added: messages.added.length,
+      messages_edited: messages.edited.length,
+      messages_deleted: messages.deleted.length,
+      messages_moved: messages.moved.length
+    },
+    topics,
+    messages
+  };
+}
+
+/**
+ * Compares two cleaned files topic by topic
+ * @param {Object} oldTopics - Old cleaned data: { topic: markdown }
+ * @param {Object} newTopics - New cleaned data: { topic: markdown }
+ * @returns {Object} - Object containing summary, topics and messages (null)
+ */
+function diffCleaned(oldTopics, newTopics) {
+  const goneTopics = Object.keys(oldTopics).filter(topic => !(topic in newTopics));
+  const addedTopics = Object.keys(newTopics).filter(topic => !(topic in oldTopics));
+  const renamed = matchRenamedTopics(goneTopics, addedTopics);
+  const renamedTo = new Map(renamed.map(rename => [rename.from, rename.to]));
+  const renamedTargets = new Set(renamedTo.values());
+
+  const updated = [];
+  const pairs = [
+    ...Object.keys(newTopics).filter(topic => topic in oldTopics).map(topic => [topic, topic]),
+    ...renamed.map(rename => [rename.from, rename.to])
+  ];
+  for (const [from, to] of pairs) {
+    const before = oldTopics[from].trimEnd();
+    const after = newTopics[to].trimEnd();
+    if (before === after) continue;
+    // Only whole blocks count as appended: an edit to the last message also extends its text
+    updated.push(after.startsWith(before) && /^\n\s*\n/.test(after.slice(before.length))
+      ? { topic: to, change: 'appended', appended: after.slice(before.length).trim() }
+      : { topic: to, change: 'edited', appended: null });
+  }
+
+  const topics = {
+    added: addedTopics.filter(topic => !renamedTargets.has(topic)).map(topic => ({ topic })),
+    updated,
+    renamed,
+    removed: goneTopics.filter(topic => !renamedTo.has(topic)).map(topic => ({ topic }))
+  };
+
+  return {
+    summary: {
+      topics_added: topics.added.length,
+      topics_updated: topics.updated.length,
+      topics_renamed: topics.renamed.length,
+      topics_removed: topics.removed.length
+    },
+    topics,
+    messages: null
+  };
+}
+
+/**
+ * Formats a count with a noun, e.g. "1 message" or "3 messages"
+ * @param {number} count - Count
+ * @param {string} word - Singular noun
+ * @returns {string} - Count and noun
+ */
+function plural(count, word) {
+  return `${count} ${word}${count === 1 ? '' : 's'}`;
+}
+
+/**
+ * Shortens message content to one line for the changelog
+ * @param {string} text - Message content
+ * @returns {string} - At most EXCERPT_LENGTH characters
+ */
+function excerpt(text) {
+  const line = String(text || '').replace(/\s+/g, ' ').trim();
+  return line.length > EXCERPT_LENGTH ? `${line.slice(0, EXCERPT_LENGTH - 1)}…` : line;
+}
+
+/**
+ * Describes one side of the diff for headings, e.g. "june.json (scraped 2025-06-30)"
+ * @param {Object} side - meta.old or meta.new of a diff
+ * @returns {string} - Description
+ */
+function describeSide(side) {
+  const scraped = side.scraped_at ? ` (scraped ${String(side.scraped_at).slice(0, 10)})` : '';
+  return `\`${path.basename(side.file)}\`${scraped}`;
+}
+
+/**
+ * Renders a diff as a markdown changelog
+ * @param {Object} diff - Diff as written to changes.json
+ * @returns {string} - Markdown document
+ */
+function renderChangelog(diff) {
+  const { meta, summary, topics, messages } = diff;
+  const sections = [];
+
+  sections.push(`# Changes in ${meta.new.stream}`);
+  sections.push(`${describeSide(meta.old)} → ${describeSide(meta.new)}${meta.incremental ? ' (incremental update)' : ''}`);
+  sections.push([
+    `- New topics: ${summary.topics_added}`,
+    `- Updated topics: ${summary.topics_updated}`,
+    `- Renamed topics: ${summary.topics_renamed}`,
+    `- Removed topics: ${summary.topics_removed}`,
+    ...(messages ? [
+      `- New messages: ${summary.messages_added}`,
+      `- Edited messages: ${summary.messages_edited}`,
+      `- Deleted messages: ${summary.messages_deleted}`,
+      `- Moved messages: ${summary.messages_moved}`
+    ] : [])
+  ].join('\n'));
+
+  if (topics.added.length > 0) {
+    sections.push('## New topics');
+    sections.push(messages
+      ? renderTable(['Topic', 'Messages'], topics.added.map(entry => [entry.topic, entry.messages]))
+      : topics.added.map(entry => `- ${entry.topic}`).join('\n'));
+  }
+  if (topics.updated.length > 0) {
+    sections.push('## Updated topics');
+    sections.push(messages
+      ? renderTable(['Topic', 'New', 'Edited', 'Deleted', 'Moved in', 'Moved out'], topics.updated.map(entry => [
+        entry.topic, entry.added, entry.edited, entry.deleted, entry.moved_in, entry.moved_out
+      ]))
+      : renderTable(['Topic', 'Change'], topics.updated.map(entry => [
+        entry.topic, entry.change === 'appended' ? 'new messages' : 'edited'
+      ])));
+  }
+  if (topics.renamed.length > 0) {
+    sections.push('## Renamed topics');
+    sections.push(topics.renamed.map(rename => {
+      const status = rename.resolved === true ? ' (resolved)' : rename.resolved === false ? ' (unresolved)' : '';
+      return `- ${rename.from} → ${rename.to}${status}`;
+    }).join('\n'));
+  }
+  if (topics.removed.length > 0) {
+    sections.push('## Removed topics');
+    sections.push(topics.removed.map(entry => (
+      entry.messages !== undefined ? `- ${entry.topic} (${plural(entry.messages, 'message')})` : `- ${entry.topic}`
+    )).join('\n'));
+  }
+
+  if (messages && messages.edited.length > 0) {
+    sections.push('## Edited messages');
+    sections.push(messages.edited.map(edit => {
+      const label = edit.permalink ? `[${edit.sender}](${edit.permalink})` : `**${edit.sender}**`;
+      return `- ${label} in ${edit.topic}\n  - Before: ${excerpt(edit.before)}\n  - After: ${excerpt(edit.after)}`;
+    }).join('\n'));
+  }
+  if (messages && messages.deleted.length > 0) {
+    sections.push('## Deleted messages');
+    sections.push(messages.deleted.map(({ topic, message }) => `- **${message.sender}** in ${topic}: ${excerpt(message.content)}`).join('\n'));
+  }
+  if (messages && messages.moved.length > 0) {
+    sections.push('## Moved messages');
+    sections.push(messages.moved.map(move => `- **${move.sender}**: ${move.from} → ${move.to}`).join('\n'));
+  }
+
+  if (sections.length === 3) {
+    sections.push('No changes.');
+  }
+  return `${sections.join('\n\n')}\n`;
+}
+
+/**
+ * Renders the "what's new" digest: new topics in full, and the new messages of ongoing topics
+ * @param {Object} diff - Diff as written to changes.json
+ * @param {Object} newTopics - The new data the diff was computed against
+ * @param {Object} [template] - Output template for the messages (see output_templates.js)
+ * @returns {string} - Markdown document
+ */
+function renderDigest(diff, newTopics, template = loadTemplate()) {
+  const { meta, topics, messages } = diff;
+  const render = topicMessages => renderMessageBlocks(topicMessages, template).map(block => block.text).join(template.messageSeparator);
+  const sections = [];
+
+  sections.push(`# What's new in ${meta.new.stream}`);
+  sections.push(`Changes from ${describeSide(meta.old)} to ${describeSide(meta.new)}.`);
+
+  const ongoing = messages
+    ? topics.updated.filter(entry => entry.added > 0)
+    : topics.updated.filter(entry => entry.change === 'appended');
+  if (topics.added.length === 0 && ongoing.length === 0) {
+    sections.push('Nothing new.');
+    return `${sections.join('\n\n')}\n`;
+  }
+
+  if (topics.added.length > 0) {
+    sections.push('## New topics');
+    for (const { topic } of topics.added) {
+      sections.push(`### ${topic}`);
+      sections.push(messages ? render(newTopics[topic]) : newTopics[topic].trim());
+    }
+  }
+
+  if (ongoing.length > 0) {
+    sections.push('## Ongoing topics');
+    for (const entry of ongoing) {
+      sections.push(`### ${entry.topic}`);
+      if (messages) {
+        const added = messages.added.filter(change => change.topic === entry.topic).map(change => change.message);
+        const link = added[0].permalink ? ` · [View on Zulip](${added[0].permalink})` : '';
+        sections.push(`_${plural(added.length, 'new message')}_${link}`);
+        sections.push(render(added));
+      } else {
+        sections.push(entry.appended);
+      }
+    }
+  }
+
+  return `${sections.join('\n\n')}\n`;
+}
+
+/**
+ * Compares two datasets and writes the changelog, the JSON patch and optionally the digest
+ * @param {string} oldFile - Earlier scrape or cleaned file
+ * @param {string} newFile - Later scrape or cleaned file (an update with --incremental)
+ * @param {string} outputDir - Directory for changes.md, changes.json and digest.md
+ * @param {Object} [options] - incremental: newFile only holds new messages; digest: also write
+ *   digest.md; template: output template for the digest's messages
+ * @returns {Promise<Object>} - Object containing the diff and the paths written
+ */
+async function diffDatasets(oldFile, newFile, outputDir, options = {}) {
+  const oldSide = readSide(oldFile);
+  const newSide = readSide(newFile);
+  if (oldSide.kind !== newSide.kind) {
+    throw new InputError(`Can't compare a ${oldSide.kind} file with a ${newSide.kind} one: ${oldFile}, ${newFile}`, { file: newFile });
+  }
+  if (options.incremental && newSide.kind !== 'raw') {
+    throw new UsageError('--incremental only works with raw scrapes');
+  }
+
+  const describe = side => ({
+    file: side.file,
+    stream: side.meta && side.meta.stream ? side.meta.stream : getStreamSlug(side.meta, side.file),
+    scraped_at: side.meta && side.meta.scraped_at ? side.meta.scraped_at : null
+  });
+  const oldInfo = describe(oldSide);
+  const newInfo = describe(newSide);
+  if (oldSide.meta && newSide.meta && oldSide.meta.stream && newSide.meta.stream && oldInfo.stream !== newInfo.stream) {
+    console.warn(`⚠️  Warning: Comparing different streams ("${oldInfo.stream}" and "${newInfo.stream}")`);
+  }
+
+  let newTopics = newSide.topics;
+  if (options.incremental) {
+    const { data, addedCount, movedCount } = mergeScrapes(oldSide.topics, newSide.topics);
+    console.log(`Merged ${path.basename(newFile)}: ${addedCount} new messages${movedCount > 0 ? `, ${movedCount} moved to another topic` : ''}`);
+    newTopics = data;
+  }
+
+  const changes = newSide.kind === 'raw' ? diffScrapes(oldSide.topics, newTopics) : diffCleaned(oldSide.topics, newTopics);
+  const diff = {
+    meta: {
+      format: DIFF_FORMAT,
+      version: DIFF_VERSION,
+      generated_at: new Date().toISOString(),
+      kind: newSide.kind,
+      incremental: Boolean(options.incremental),
+      old: oldInfo,
+      new: newInfo
+    },
+    ...changes
+  };
+
+  const changelogFile = path.join(outputDir, 'changes.md');
+  const patchFile = path.join(outputDir, 'changes.json');
+  const digestFile = options.digest ? path.join(outputDir, 'digest.md') : null;
+  fs.mkdirSync(outputDir, { recursive: true });
+  fs.writeFileSync(changelogFile, renderChangelog(diff), 'utf8');
+  fs.writeFileSync(patchFile, JSON.stringify(diff, null, 2), 'utf8');
+  if (digestFile) {
+    fs.writeFileSync(digestFile, renderDigest(diff, newTopics, options.template), 'utf8');
+  }
+
+  const { summary } = diff;
+  console.log('✅ Diff completed successfully!');
+  console.log('📊 Statistics:');
+  console.log(`   - Topics: ${summary.topics_added} new, ${summary.topics_updated} updated, ${summary.topics_renamed} renamed, ${summary.topics_removed} removed`);
+  if (diff.messages) {
+    console.log(`   - Messages: ${summary.messages_added} new, ${summary.messages_edited} edited, ${summary.messages_deleted} deleted, ${summary.messages_moved} moved`);
+  }
+  console.log(`   - Changelog: ${changelogFile}`);
+  console.log(`   - Patch: ${patchFile}`);
+  if (digestFile) {
+    console.log(`   - Digest: ${digestFile}`);
+  }
+  return { diff, changelogFile, patchFile, digestFile };
+}
+
+// Compare the datasets if this file is executed directly
+if (require.main === module) {
+  runCli(() => {
+    const { oldFile, newFile, outputDir, options } = parseArguments();
+    return diffDatasets(oldFile, newFile, outputDir, options);
+  }, 'Error comparing datasets', printUsage);
+}
+
+module.exports = {
+  diffDatasets,
+  diffScrapes,
+  diffCleaned,
+  renderChangelog,
+  renderDigest,
+  parseArguments,
+  printUsage
+};
@@ -0,0 +1,586 @@
+/**
+ * Dataset Streams
+ * ===============
+ *
+ * Reads and writes dataset files one topic at a time, for scrapes too large to load whole
+ * (JSON.parse needs the file's text and the parsed data in memory at once, several times the
+ * size of the file). Used by the --stream modes of zulip_cleaner.js and data_splitter.js, and
+ * by every stage that reads JSONL input.
+ *
+ * READING:
+ * The file is read in 1 MB chunks and only each topic's value is parsed, on its own, so memory
+ * stays around the size of the largest topic. Envelopes ({ "meta", "topics" }) and bare topic
+ * objects are both read, with their keys in any order: a "meta" or "topics" key whose value is
+ * an object belongs to the envelope, any other key is a topic (topics are arrays or strings).
+ * A first pass skips over the values to collect the metadata and topic names, which the
+ * cleaner needs to merge renamed topics and the splitter to name files.
+ *
+ * JSONL INPUT (.jsonl, .ndjson):
+ * One message per line, with its topic in a "topic" field, and optionally a metadata line:
+ *   {"meta": {"format": "zulip-scrape", "realm": "rocq-prover.zulipchat.com", "stream": "Ltac2"}}
+ *   {"topic": "Ltac2 bug", "id": 4201, "sender": "alice", "content": "First message"}
+ *   {"topic": "Ltac2 bug", "id": 4202, "sender": "bob", "content": "Reply"}
+ * Blank lines are skipped. A topic's lines don't need to be next to each other: when
+ * streaming, the lines are first sorted by topic into bucket files of about 16 MB (in a
+ * temporary directory, removed afterwards), and each bucket is grouped in memory. Topics keep
+ * the order they first appear in within their bucket, so a file under 16 MB keeps its order.
+ *
+ * WRITING:
+ * createDatasetWriter writes topics as they are cleaned to <output>.partial, and renames it to
+ * the output when done, so an interrupted run never leaves half a file behind. The metadata
+ * is written after the topics, because part of it (resolved_topics) is only known at the end.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { StringDecoder } = require('string_decoder');
+const { InputError } = require('./errors');
+
+const CHUNK_SIZE = 1024 * 1024;
+const BUCKET_SIZE = 16 * 1024 * 1024;
+const BUCKET_BUFFER_SIZE = 64 * 1024;
+const JSONL_EXTENSIONS = ['.jsonl', '.ndjson'];
+const TRUNCATED_HINT = ' (the file looks truncated: dataset_validator.js --repair can salvage its complete topics)';
+const TRUNCATED_LINE_HINT = ' (the file looks truncated: dataset_validator.js --repair can drop the cut-off last line)';
+
+/**
+ * Checks whether a file holds one message per line
+ * @param {string} file - Dataset file
+ * @returns {boolean} - True for .jsonl and .ndjson files
+ */
+function isJsonlFile(file) {
+  return JSONL_EXTENSIONS.includes(path.extname(file).toLowerCase());
+}
+
+/**
+ * Checks that an input file exists
+ * @param {string} file - Input file
+ * @throws {InputError} - When it doesn't
+ */
+function checkInputFile(file) {
+  if (!fs.existsSync(file)) {
+    throw new InputError(`Input file does not exist: ${file}`, { file });
+  }
+}
+
+/**
+ * Checks for JSON whitespace
+ * @param {string} char - One character
+ * @returns {boolean} - True for space, tab, line feed and carriage return
+ */
+function isSpace(char) {
+  return char === ' ' || char === '\n' || char === '\r' || char === '\t';
+}
+
+/**
+ * Creates a cursor over a JSON file that is read in chunks
+ * @param {string} file - JSON file
+ * @returns {Object} - Cursor with peek, skip, expect, readKey, readValue, skipValue, end and close
+ */
+function createJsonCursor(file) {
+  const fd = fs.openSync(file, 'r');
+  const decoder = new StringDecoder('utf8');
+  const buffer = Buffer.alloc(CHUNK_SIZE);
+  let text = '';
+  let pos = 0;
+  // Characters dropped from the front of text, for error positions
+  let offset = 0;
+  let done = false;
+  let closed = false;
+
+  function fill() {
+    if (done) return false;
+    const bytes = fs.readSync(fd, buffer, 0, CHUNK_SIZE, null);
+    const more = bytes > 0 ? decoder.write(buffer.subarray(0, bytes)) : decoder.end();
+    if (bytes === 0) done = true;
+    offset += pos;
+    text = text.slice(pos) + more;
+    pos = 0;
+    return bytes > 0 || more.length > 0;
+  }
+
+  function fail(message) {
+    throw new InputError(`Invalid JSON in ${file} at character ${offset + pos}: ${message}`, { file });
+  }
+
+  function failEnd() {
+    throw new InputError(`Unexpected end of JSON in ${file}${TRUNCATED_HINT}`, { file });
+  }
+
+  // Skips whitespace and returns the next character ('' at the end of the file)
+  function peek() {
+    for (;;) {
+      while (pos < text.length && isSpace(text[pos])) pos++;
+      if (pos < text.length) return text[pos];
+      if (!fill()) return '';
+    }
+  }
+
+  function expect(char) {
+    const next = peek();
+    if (next === '') failEnd();
+    if (next !== char) fail(`expected "${char}", found "${next}"`);
+    pos++;
+  }
+
+  // Collects the text of the next value, or with skip only moves past it. Strings, objects and
+  // arrays end at their closing character; numbers and literals at the next delimiter
+  function scanValue(skip) {
+    const first = peek();
+    if (first === '') failEnd();
+    const isLiteral = first !== '{' && first !== '[' && first !== '"';
+    const parts = [];
+    let depth = 0;
+    let inString = false;
+    let escaped = false;
+
+    for (;;) {
+      let end = -1;
+      for (let i = pos; i < text.length; i++) {
+        const char = text[i];
+        if (isLiteral) {
+          if (char === ',' || char === '}' || char === ']' || isSpace(char)) {
+            end = i;
+            break;
+          }
+        } else if (inString) {
+          if (escaped) {
+            escaped = false;
+          } else if (char === '\\') {
+            escaped = true;
+          } else if (char === '"') {
+            inString = false;
+            if (depth === 0) {
+              end = i + 1;
+              break;
+            }
+          }
+        } else if (char === '"') {
+          inString = true;
+        } else if (char === '{' || char === '[') {
+          depth++;
+        } else if (char === '}' || char === ']') {
+          depth--;
+          if (depth === 0) {
+            end = i + 1;
+            break;
+          }
+        }
+      }
+
+      const stop = end === -1 ? text.length : end;
+      if (!skip) parts.push(text.slice(pos, stop));
+      pos = stop;
+      if (end !== -1) break;
+      if (!fill()) {
+        // A literal can end the file; the missing closing brace is reported by the caller
+        if (isLiteral) break;
+        failEnd();
+      }
+    }
+    return skip ? null : parts.join('');
+  }
+
+  function parse(raw, what) {
+    try {
+      return JSON.parse(raw);
+    } catch (error) {
+      throw new InputError(`Invalid JSON in ${file} in ${what}: ${error.message}`, { file, cause: error });
+    }
+  }
+
+  function close() {
+    if (!closed) fs.closeSync(fd);
+    closed = true;
+  }
+
+  return {
+    peek,
+    expect,
+    skip: () => { pos++; },
+    readKey: () => {
+      if (peek() !== '"') fail(`expected a key, found "${peek() || 'the end of the file'}"`);
+      return parse(scanValue(false), 'a key');
+    },
+    readValue: what => parse(scanValue(false), what),
+    skipValue: () => { scanValue(true); },
+    end: () => {
+      if (peek() !== '') fail('unexpected text after the end of the data');
+    },
+    close
+  };
+}
+
+/**
+ * Reads the members of a JSON object the cursor is inside of
+ * @param {Object} cursor - Cursor from createJsonCursor, just past the opening brace
+ * @param {boolean} atRoot - Whether this is the root object (which may hold the envelope)
+ * @param {Object} options - See readJsonEntries
+ * @returns {Generator} - Yields { meta } and { topic, value } entries
+ */
+function* readMembers(cursor, atRoot, options) {
+  if (cursor.peek() === '}') {
+    cursor.skip();
+    return;
+  }
+  for (;;) {
+    const key = cursor.readKey();
+    cursor.expect(':');
+    const isObject = cursor.peek() === '{';
+    if (atRoot && isObject && key === 'meta') {
+      yield { meta: cursor.readValue('the metadata') };
+    } else if (atRoot && isObject && key === 'topics') {
+      cursor.expect('{');
+      yield* readMembers(cursor, false, options);
+    } else if (options.namesOnly) {
+      cursor.skipValue();
+      yield { topic: key };
+    } else {
+      yield { topic: key, value: cursor.readValue(`topic ${JSON.stringify(key)}`) };
+    }
+
+    if (cursor.peek() === '}') {
+      cursor.skip();
+      return;
+    }
+    cursor.expect(',');
+  }
+}
+
+/**
+ * Reads a JSON dataset file one topic at a time
+ * @param {string} file - Dataset file (envelope or bare topics)
+ * @param {Object} [options] - namesOnly: skip the topic values instead of parsing them
+ * @returns {Generator} - Yields { meta } for the metadata and { topic, value } for every topic
+ *   (value is undefined with namesOnly)
+ * @throws {InputError} - When the file is not valid JSON, or not an object
+ */
+function* readJsonEntries(file, options = {}) {
+  const cursor = createJsonCursor(file);
+  try {
+    cursor.expect('{');
+    yield* readMembers(cursor, true, options);
+    cursor.end();
+  } finally {
+    cursor.close();
+  }
+}
+
+/**
+ * Reads a text file line by line, in chunks
+ * @param {string} file - Text file
+ * @returns {Generator} - Yields [line, lineNumber]
+ */
+function* readLines(file) {
+  const fd = fs.openSync(file, 'r');
+  const decoder = new StringDecoder('utf8');
+  const buffer = Buffer.alloc(CHUNK_SIZE);
+  let rest = '';
+  let number = 0;
+  try {
+    for (;;) {
+      const bytes = fs.readSync(fd, buffer, 0, CHUNK_SIZE, null);
+      const lines = (rest + (bytes > 0 ? decoder.write(buffer.subarray(0, bytes)) : decoder.end())).split('\n');
+      rest = bytes > 0 ? lines.pop() : '';
+      for (const line of lines) {
+        yield [line, ++number];
+      }
+      if (bytes === 0) return;
+    }
+  } finally {
+    fs.closeSync(fd);
+  }
+}
+
+/**
+ * Parses one line of a JSONL dataset
+ * @param {string} line - Line text
+ * @param {number} number - Line number, for errors
+ * @param {string} file - JSONL file, for errors
+ * @returns {Object|null} - { meta } for the metadata line, { topic, message } for a message
+ *   (without its topic field), or null for a blank line
+ * @throws {InputError} - When the line isn't valid JSON, or is neither metadata nor a message with a topic
+ */
+function parseJsonlLine(line, number, file) {
+  const trimmed = line.trim();
+  if (!trimmed) return null;
+
+  let value;
+  try {
+    value = JSON.parse(trimmed);
+  } catch (error) {
+    throw new InputError(`Invalid JSON on line ${number} of ${file}: ${error.message}`, { file, cause: error });
+  }
+  if (value && typeof value === 'object' && !Array.isArray(value)) {
+    if (typeof value.meta === 'object' && value.meta !== null && Object.keys(value).length === 1) {
+      return { meta: value.meta };
+    }
+    if (typeof value.topic === 'string') {
+      const { topic, ...message } = value;
+      return { topic, message };
+    }
+  }
+  throw new InputError(`Line ${number} of ${file} is not a message with a "topic" field (or a {"meta": ...} line)`, { file });
+}
+
+/**
+ * Reads the entries of a JSONL dataset, line by line
+ * @param {string} file - JSONL file
+ * @param {Object} [options] - salvage: skip an invalid last line (e.g. a download that was cut
+ *   off) instead of failing
+ * @returns {Generator} - Yields the entries of parseJsonlLine, and with salvage a last
+ *   { lostLine } entry when a line was skipped
+ * @throws {InputError} - When a line is invalid
+ */
+function* readJsonlEntries(file, options = {}) {
+  let invalid = null;
+  for (const [line, number] of readLines(file)) {
+    if (!line.trim()) continue;
+    if (invalid) throw invalid.error;
+    let entry;
+    try {
+      entry = parseJsonlLine(line, number, file);
+    } catch (error) {
+      // Only a line that isn't JSON can be a cut-off last line, which is only known later
+      if (!(error.cause instanceof SyntaxError)) throw error;
+      invalid = { error, number };
+      continue;
+    }
+    yield entry;
+  }
+  if (invalid && !options.salvage) {
+    throw new InputError(`${invalid.error.message}${TRUNCATED_LINE_HINT}`, { file, cause: invalid.error.cause });
+  }
+  if (invalid) yield { lostLine: invalid.number };
+}
+
+/**
+ * Reads a whole JSONL dataset into memory, grouping the messages by topic
+ * @param {string} file - JSONL file
+ * @param {Object} [options] - salvage: see readJsonlEntries
+ * @returns {Object} - Object containing meta (null without a metadata line), topics and
+ *   lostLine (the number of the line skipped by salvage, or null)
+ * @throws {InputError} - When the file is missing or a line is invalid
+ */
+function readJsonlDataset(file, options = {}) {
+  checkInputFile(file);
+  let meta = null;
+  const topics = {};
+  let lostLine = null;
+
+  for (const entry of readJsonlEntries(file, options)) {
+    if (entry.lostLine) {
+      lostLine = entry.lostLine;
+    } else if (entry.meta) {
+      meta = entry.meta;
+    } else {
+      if (!Object.prototype.hasOwnProperty.call(topics, entry.topic)) topics[entry.topic] = [];
+      topics[entry.topic].push(entry.message);
+    }
+  }
+
+  return { meta, topics, lostLine };
+}
+
+/**
+ * Picks the bucket of a topic
+ * @param {string} topic - Topic name
+ * @param {number} count - Number of buckets
+ * @returns {number} - Bucket index
+ */
+function getBucket(topic, count) {
+  let hash = 0;
+  for (let i = 0; i < topic.length; i++) {
+    hash = (hash * 31 + topic.charCodeAt(i)) | 0;
+  }
+  return Math.abs(hash) % count;
+}
+
+/**
+ * Opens a JSONL dataset for reading topic by topic (see JSONL INPUT above)
+ * @param {string} file - JSONL file
+ * @returns {Object} - See openDatasetStream
+ */
+function openJsonlStream(file) {
+  const bucketCount = Math.max(1, Math.ceil(fs.statSync(file).size / BUCKET_SIZE));
+  const bucketDir = bucketCount > 1 ? fs.mkdtempSync(path.join(os.tmpdir(), 'zulip-stream-')) : null;
+  const bucketFiles = Array.from({ length: bucketCount }, (_, index) => bucketDir ? path.join(bucketDir, `${index}.jsonl`) : file);
+  const buffers = bucketFiles.map(() => ({ lines: [], length: 0 }));
+  let meta = null;
+  const names = new Set();
+
+  function flush(index) {
+    const bucket = buffers[index];
+    if (bucket.lines.length === 0) return;
+    fs.appendFileSync(bucketFiles[index], bucket.lines.join(''), 'utf8');
+    bucket.lines = [];
+    bucket.length = 0;
+  }
+
+  function close() {
+    if (bucketDir) fs.rmSync(bucketDir, { recursive: true, force: true });
+  }
+
+  // First pass: metadata and topic names, and every message line into its topic's bucket
+  try {
+    for (const entry of readJsonlEntries(file)) {
+      if (entry.meta) {
+        meta = entry.meta;
+        continue;
+      }
+      names.add(entry.topic);
+      if (bucketDir) {
+        const index = getBucket(entry.topic, bucketCount);
+        const line = `${JSON.stringify({ topic: entry.topic, ...entry.message })}\n`;
+        buffers[index].lines.push(line);
+        buffers[index].length += line.length;
+        if (buffers[index].length >= BUCKET_BUFFER_SIZE) flush(index);
+      }
+    }
+    buffers.forEach((_, index) => flush(index));
+  } catch (error) {
+    close();
+    throw error;
+  }
+
+  return {
+    meta,
+    names: [...names],
+    *topics() {
+      try {
+        for (const bucketFile of bucketFiles) {
+          if (!fs.existsSync(bucketFile)) continue;
+          const topics = new Map();
+          for (const [line, number] of readLines(bucketFile)) {
+            const entry = parseJsonlLine(line, number, bucketFile);
+            if (!entry || entry.meta) continue;
+            if (!topics.has(entry.topic)) topics.set(entry.topic, []);
+            topics.get(entry.topic).push(entry.message);
+          }
+          yield* topics;
+        }
+      } finally {
+        close();
+      }
+    },
+    close
+  };
+}
+
+/**
+ * Opens a dataset file (JSON or JSONL) for reading topic by topic, after a first pass for its
+ * metadata and topic names
+ * @param {string} file - Dataset file
+ * @returns {Object} - Object containing meta (null without metadata), names (topic names in
+ *   file order), topics() (a generator of [topic, value], to be run once) and close() (for when
+ *   the topics are not read to the end)
+ * @throws {InputError} - When the file is missing or not valid JSON (JSONL)
+ */
+function openDatasetStream(file) {
+  checkInputFile(file);
+  if (isJsonlFile(file)) return openJsonlStream(file);
+
+  let meta = null;
+  const names = [];
+  for (const entry of readJsonEntries(file, { namesOnly: true })) {
+    if (entry.meta) {
+      meta = entry.meta;
+    } else {
+      names.push(entry.topic);
+    }
+  }
+
+  return {
+    meta,
+    names,
+    *topics() {
+      for (const entry of readJsonEntries(file)) {
+        if (!entry.meta) yield [entry.topic, entry.value];
+      }
+    },
+    close: () => {}
+  };
+}
+
+/**
+ * Reads only the metadata of a dataset file, stopping as soon as it is found
+ * @param {string} file - Dataset file (JSON or JSONL)
+ * @returns {Object|null} - Metadata, or null when the file has none
+ * @throws {InputError} - When the file is missing or not valid JSON (JSONL)
+ */
+function readDatasetMeta(file) {
+  checkInputFile(file);
+  if (isJsonlFile(file)) {
+    for (const entry of readJsonlEntries(file)) {
+      if (entry.meta) return entry.meta;
+    }
+    return null;
+  }
+  for (const entry of readJsonEntries(file, { namesOnly: true })) {
+    if (entry.meta) return entry.meta;
+  }
+  return null;
+}
+
+/**
+ * Creates a writer that saves a dataset topic by topic, in the layout JSON.stringify(data, null, 2)
+ * would give it (see WRITING above)
+ * @param {string} outputFile - Dataset file to write
+ * @param {Object} [options] - envelope: write { topics, meta } rather than bare topics
+ * @returns {Object} - Writer with writeTopic(topic, value), finish(meta) and abort()
+ */
+function createDatasetWriter(outputFile, options = {}) {
+  const partialFile = `${outputFile}.partial`;
+  const fd = fs.openSync(partialFile, 'w');
+  const indent = options.envelope ? '    ' : '  ';
+  let pending = [];
+  let pendingLength = 0;
+  let topicCount = 0;
+  let closed = false;
+
+  function write(text, flush = false) {
+    pending.push(text);
+    pendingLength += text.length;
+    if (flush || pendingLength >= CHUNK_SIZE) {
+      fs.writeSync(fd, pending.join(''));
+      pending = [];
+      pendingLength = 0;
+    }
+  }
+
+  write(options.envelope ? '{\n  "topics": {' : '{');
+
+  return {
+    writeTopic(topic, value) {
+      const json = JSON.stringify(value, null, 2).replace(/\n/g, `\n${indent}`);
+      write(`${topicCount > 0 ? ',' : ''}\n${indent}${JSON.stringify(topic)}: ${json}`);
+      topicCount++;
+    },
+    finish(meta = null) {
+      let end = topicCount > 0 ? `\n${indent.slice(2)}}` : '}';
+      if (options.envelope) {
+        end += `,\n  "meta": ${JSON.stringify(meta, null, 2).replace(/\n/g, '\n  ')}\n}`;
+      }
+      write(end, true);
+      fs.closeSync(fd);
+      closed = true;
+      fs.renameSync(partialFile, outputFile);
+      return topicCount;
+    },
+    abort() {
+      if (!closed) fs.closeSync(fd);
+      closed = true;
+      fs.rmSync(partialFile, { force: true });
+    }
+  };
+}
+
+module.exports = {
+  isJsonlFile,
+  readJsonEntries,
+  readJsonlDataset,
+  openDatasetStream,
+  readDatasetMeta,
+  createDatasetWriter
+};
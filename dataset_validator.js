@@ -0,0 +1,743 @@
+/**
+ * Dataset Validator
+ * =================
+ *
+ * This script checks scraper output, cleaned files and split manifests against their JSON
+ * Schemas (schemas/*.schema.json), and can repair scrapes that don't pass: malformed entries
+ * are fixed or dropped, and a truncated file is cut back to its last complete topic.
+ *
+ * PIPELINE OVERVIEW:
+ * Stage 1: zulip_scraper.js    → Raw JSON data
+ *          dataset_validator.js → Validation report, repaired file ← YOU ARE HERE
+ * Stage 2: zulip_cleaner.js    → Cleaned markdown per topic
+ * Stage 3: data_splitter.js    → Individual markdown files (and manifest.json)
+ *
+ * WHAT THIS SCRIPT DOES:
+ * 1. Reads each input file (or every dataset file of a batch directory)
+ * 2. Works out its format from meta.format, or for files without metadata from the topic
+ *    values (message arrays for scrapes, strings for cleaned files); --format overrides this
+ * 3. Reports every problem with its JSON path, e.g. $.topics["Ltac2 bug"][3].content
+ * 4. With --repair, writes a repaired copy to --output and lists every fix
+ *
+ * SCHEMAS:
+ * - zulip-scrape          schemas/zulip-scrape.schema.json          raw scraper output
+ * - zulip-cleaned         schemas/zulip-cleaned.schema.json         zulip_cleaner.js output
+ * - zulip-split-manifest  schemas/zulip-split-manifest.schema.json  data_splitter.js manifest.json
+ * The schemas are standard JSON Schema (draft 2020-12) and can be used with other tools. This
+ * script checks the keywords they use: $ref, type, const, enum, properties, required,
+ * additionalProperties, items, minimum, pattern and anyOf. "format" is only an annotation.
+ * Every stage that reads raw scrapes runs the same check first, so a bad file fails up front
+ * instead of halfway through a run.
+ *
+ * REPAIRS (--repair, scrapes and cleaned files):
+ * - Topic that is a single message instead of an array: wrapped in an array
+ * - Topic that is neither (null, a string in a scrape, ...): dropped
+ * - Message that isn't an object, or whose content is missing or null: dropped
+ * - Missing sender: "Unknown Sender", as the browser scraper records it
+ * - Numbers or booleans where text is expected: converted to text
+ * - Optional fields of the wrong type (id, timestamp, reactions, ...): reset to null or []
+ * - Invalid reaction, quote or attachment entries: dropped
+ * - Truncated file (e.g. an interrupted download): every topic that was written completely is
+ *   kept, the topic that was cut off is reported as lost
+ *
+ * JSONL FILES:
+ * .jsonl and .ndjson inputs (one message per line, see dataset_stream.js) are grouped by
+ * topic and checked like the JSON file they stand for, with the same paths. --repair writes
+ * that JSON file, and drops a cut-off last line.
+ *
+ * USAGE:
+ * node dataset_validator.js <input_file|input_dir>... [--format <format>] [--max-errors <n>]
+ * node dataset_validator.js <input_file|input_dir> --repair --output <output_file|output_dir>
+ * --max-errors sets how many problems are listed per file (default: 20).
+ *
+ * EXAMPLES:
+ * node dataset_validator.js data/rocq_ltac2_zulip_messages.json
+ * node dataset_validator.js data/2025-06/ cleaned_data/2025-06/
+ * node dataset_validator.js data/partial_download.json --repair --output data/repaired.json
+ * node dataset_validator.js markdown_files/manifest.json --format zulip-split-manifest
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { parseArgs } = require('util');
+const { listDatasetFiles, SCRAPE_FORMAT, CLEANED_FORMAT } = require('./zulip_dataset');
+const { isJsonlFile, readJsonlDataset } = require('./dataset_stream');
+const { UsageError, InputError, runCli } = require('./errors');
+
+const SCHEMA_DIR = path.join(__dirname, 'schemas');
+const MANIFEST_FORMAT = 'zulip-split-manifest';
+const FORMATS = [SCRAPE_FORMAT, CLEANED_FORMAT, MANIFEST_FORMAT];
+const DEFAULT_MAX_ERRORS = 20;
+
+// One step of a JSON path as built by joinPath: .key, [3] or ["key"]
+const SINGLE_SEGMENT = /^(\.[A-Za-z_$][\w$]*|\[\d+\]|\["(?:[^"\\]|\\.)*"\])$/;
+
+const schemaCache = new Map();
+
+/**
+ * Prints command line usage
+ * @param {string} [command] - How the validator is invoked
+ */
+function printUsage(command = 'node dataset_validator.js') {
+  console.log(`Usage: ${command} <input_file|input_dir>... [--format <${FORMATS.join('|')}>] [--max-errors <n>]`);
+  console.log(`       ${command} <input_file|input_dir> --repair --output <output_file|output_dir>`);
+  console.log(`Example: ${command} data/rocq_ltac2_zulip_messages.json`);
+  console.log(`Example: ${command} data/partial_download.json --repair --output data/repaired.json`);
+}
+
+/**
+ * Parses command line arguments
+ * @param {Array} [argv] - Arguments without the node and script paths
+ * @returns {Object} - Object containing inputs (paths) and validation options
+ */
+function parseArguments(argv = process.argv.slice(2)) {
+  let parsed;
+  try {
+    parsed = parseArgs({
+      args: argv,
+      allowPositionals: true,
+      options: {
+        'format': { type: 'string' },
+        'max-errors': { type: 'string' },
+        'repair': { type: 'boolean' },
+        'output': { type: 'string' }
+      }
+    });
+  } catch (error) {
+    throw new UsageError(error.message);
+  }
+  const { values, positionals } = parsed;
+
+  if (positionals.length < 1) {
+    throw new UsageError('Missing required arguments');
+  }
+  if (values.format !== undefined && !FORMATS.includes(values.format)) {
+    throw new UsageError(`--format must be one of ${FORMATS.join(', ')}, got "${values.format}"`);
+  }
+  if (values.repair && (!values.output || positionals.length > 1)) {
+    throw new UsageError('--repair needs a single input and an --output path');
+  }
+  if (values.output && !values.repair) {
+    throw new UsageError('--output is only used with --repair');
+  }
+
+  let maxErrors = DEFAULT_MAX_ERRORS;
+  if (values['max-errors'] !== undefined) {
+    maxErrors = Number(values['max-errors']);
+    if (!Number.isInteger(maxErrors) || maxErrors < 1) {
+      throw new UsageError(`--max-errors must be a positive integer, got "${values['max-errors']}"`);
+    }
+  }
+
+  return {
+    inputs: positionals.map(input => path.resolve(input)),
+    options: {
+      format: values.format || null,
+      maxErrors,
+      repair: Boolean(values.repair),
+      output: values.output ? path.resolve(values.output) : null
+    }
+  };
+}
+
+/**
+ * Loads the JSON Schema of a format
+ * @param {string} format - One of FORMATS
+ * @returns {Object} - Parsed schema
+ */
+function loadSchema(format) {
+  if (!schemaCache.has(format)) {
+    schemaCache.set(format, JSON.parse(fs.readFileSync(path.join(SCHEMA_DIR, `${format}.schema.json`), 'utf8')));
+  }
+  return schemaCache.get(format);
+}
+
+/**
+ * Appends an object key or array index to a JSON path
+ * @param {string} base - Path so far, e.g. "$.topics"
+ * @param {string|number} key - Key or index
+ * @returns {string} - e.g. $.topics["Ltac2 bug"] or $.topics.general[3]
+ */
+function joinPath(base, key) {
+  if (typeof key === 'number') return `${base}[${key}]`;
+  return /^[A-Za-z_$][\w$]*$/.test(key) ? `${base}.${key}` : `${base}[${JSON.stringify(key)}]`;
+}
+
+/**
+ * Gets the JSON Schema type name of a value
+ * @param {*} value - Any JSON value
+ * @returns {string} - "null", "array", "integer", "number", "string", "boolean" or "object"
+ */
+function getJsonType(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (typeof value === 'number') return Number.isInteger(value) ? 'integer' : 'number';
+  return typeof value;
+}
+
+/**
+ * Checks a value against a JSON Schema (the subset described in the file header)
+ * @param {*} value - Value to check
+ * @param {Object} schema - Schema, or subschema, to check it against
+ * @param {Object} root - Root schema, for resolving $ref
+ * @param {string} [at] - JSON path of the value
+ * @returns {Array} - Array of { path, message }, empty when the value is valid
+ */
+function validateValue(value, schema, root, at = '$') {
+  if (schema.$ref) {
+    const target = schema.$ref.replace(/^#\//, '').split('/').reduce((node, key) => node && node[key], root);
+    if (!target) throw new Error(`Unresolvable $ref in schema: ${schema.$ref}`);
+    return validateValue(value, target, root, at);
+  }
+
+  if (schema.anyOf) {
+    // Report the branch that comes closest, rather than every branch's errors: the one whose
+    // shape fits best (fewest problems at this level or just below), then the fewest problems
+    const isShallow = error => error.path === at || SINGLE_SEGMENT.test(error.path.slice(at.length));
+    let best = null;
+    for (const branch of schema.anyOf) {
+      const errors = validateValue(value, branch, root, at);
+      if (errors.length === 0) return [];
+      const score = [errors.filter(isShallow).length, errors.length];
+      if (best === null || score[0] < best.score[0] || (score[0] === best.score[0] && score[1] < best.score[1])) {
+        best = { errors, score };
+      }
+    }
+    return best.errors;
+  }
+
+  const type = getJsonType(value);
+  if (schema.type) {
+    const allowed = [].concat(schema.type);
+    if (!allowed.includes(type) && !(type === 'integer' && allowed.includes('number'))) {
+      return [{ path: at, message: `expected ${allowed.join(' or ')}, got ${type}` }];
+    }
+  }
+  if ('const' in schema && value !== schema.const) {
+    return [{ path: at, message: `expected ${JSON.stringify(schema.const)}, got ${JSON.stringify(value)}` }];
+  }
+  if (schema.enum && !schema.enum.includes(value)) {
+    return [{ path: at, message: `expected one of ${schema.enum.map(item => JSON.stringify(item)).join(', ')}, got ${JSON.stringify(value)}` }];
+  }
+  if (schema.minimum !== undefined && typeof value === 'number' && value < schema.minimum) {
+    return [{ path: at, message: `must be at least ${schema.minimum}, got ${value}` }];
+  }
+  if (schema.pattern && typeof value === 'string' && !new RegExp(schema.pattern, 'u').test(value)) {
+    return [{ path: at, message: `does not match ${schema.pattern}: ${JSON.stringify(value)}` }];
+  }
+
+  const errors = [];
+  if (type === 'array' && schema.items) {
+    value.forEach((item, index) => errors.push(...validateValue(item, schema.items, root, joinPath(at, index))));
+  }
+  if (type === 'object') {
+    for (const key of schema.required || []) {
+      if (!(key in value)) errors.push({ path: joinPath(at, key), message: 'is required' });
+    }
+    const properties = schema.properties || {};
+    for (const [key, item] of Object.entries(value)) {
+      if (properties[key]) {
+        errors.push(...validateValue(item, properties[key], root, joinPath(at, key)));
+      } else if (schema.additionalProperties === false) {
+        errors.push({ path: joinPath(at, key), message: 'is not allowed' });
+      } else if (typeof schema.additionalProperties === 'object') {
+        errors.push(...validateValue(item, schema.additionalProperties, root, joinPath(at, key)));
+      }
+    }
+  }
+  return errors;
+}
+
+/**
+ * Works out which format a parsed dataset file is in
+ * @param {*} data - Parsed file contents
+ * @returns {string} - SCRAPE_FORMAT, CLEANED_FORMAT or MANIFEST_FORMAT
+ */
+function detectFormat(data) {
+  if (data && data.meta && FORMATS.includes(data.meta.format)) {
+    return data.meta.format;
+  }
+  const values = data && typeof data === 'object' && !Array.isArray(data) ? Object.values(data) : [];
+  // Without metadata, go by what most topics look like so a few bad ones are reported as such
+  const strings = values.filter(value => typeof value === 'string').length;
+  return strings > values.length - strings ? CLEANED_FORMAT : SCRAPE_FORMAT;
+}
+
+/**
+ * Checks parsed file contents against the schema of their format
+ * @param {*} data - Parsed file contents
+ * @param {string} [format] - Format to check against (default: detected)
+ * @returns {Object} - Object containing the format and errors ([{ path, message }])
+ */
+function validateDataset(data, format = detectFormat(data)) {
+  const schema = loadSchema(format);
+  return { format, errors: validateValue(data, schema, schema) };
+}
+
+/**
+ * Builds the error thrown when a stage's input doesn't match its schema
+ * @param {string} file - Input file
+ * @param {string} format - Format it was checked against
+ * @param {Array} errors - Problems found by validateDataset
+ * @returns {InputError} - Error listing the first few problems
+ */
+function createValidationError(file, format, errors) {
+  const shown = errors.slice(0, 5).map(error => `\n   - ${error.path}: ${error.message}`).join('');
+  const more = errors.length > 5 ? `\n   ... and ${errors.length - 5} more` : '';
+  return new InputError(
+    `${file} is not a valid ${format} file (${errors.length} problems):${shown}${more}\n` +
+    `   Run "node dataset_validator.js ${file} --repair --output <repaired.json>" to fix or drop them`,
+    { file }
+  );
+}
+
+/**
+ * Checks the topics of a dataset stream as they are read, for the --stream modes
+ * @param {Object} stream - Stream returned by openDatasetStream (see dataset_stream.js)
+ * @param {string} file - Input file, for errors
+ * @returns {Generator} - Yields [topic, value] for every topic
+ * @throws {InputError} - When the file is a split manifest, or at the metadata or first topic
+ *   that doesn't match the schema of the file's format
+ */
+function* validateStream(stream, file) {
+  const { meta } = stream;
+  let format = meta && FORMATS.includes(meta.format) ? meta.format : null;
+  if (format === MANIFEST_FORMAT) {
+    throw new InputError(`${file} is a split manifest, not a dataset`, { file });
+  }
+  if (meta) {
+    const schema = loadSchema(format || SCRAPE_FORMAT);
+    const errors = validateValue(meta, schema.$defs.meta, schema, '$.meta');
+    if (errors.length > 0) throw createValidationError(file, format || SCRAPE_FORMAT, errors);
+  }
+
+  for (const [topic, value] of stream.topics()) {
+    // Without metadata, the first topic decides (the stream can't be read ahead to vote)
+    if (!format) format = typeof value === 'string' ? CLEANED_FORMAT : SCRAPE_FORMAT;
+    const schema = loadSchema(format);
+    const errors = validateValue(value, schema.$defs.topics.additionalProperties, schema, joinPath(meta ? '$.topics' : '$', topic));
+    if (errors.length > 0) throw createValidationError(file, format, errors);
+    yield [topic, value];
+  }
+}
+
+/**
+ * Tries to recover a JSON dataset file that was cut off, keeping every complete topic
+ * @param {string} text - File contents
+ * @returns {Object|null} - Object containing data, topicCount and lostTopic (name of the topic
+ *   that was cut off, or null), or null when the text isn't a truncated dataset file
+ */
+function salvageTruncatedJson(text) {
+  // Scan the text, tracking open objects and arrays, and remember the last point where a
+  // topic value (at the depth of the topics object) had just been closed
+  const stack = [];
+  let bareCut = null;
+  let envelopeCut = null;
+  let envelopeOpened = false;
+  let bareCount = 0;
+  let envelopeCount = 0;
+  let truncated = false;
+  let firstKey = null;
+
+  const valueDone = position => {
+    const top = stack[stack.length - 1];
+    if (!top) return;
+    if (stack.length === 1 && top.type === '{') {
+      bareCut = { position, key: top.key };
+      bareCount++;
+    } else if (stack.length === 2 && top.type === '{' && top.isTopics) {
+      envelopeCut = { position, key: top.key };
+      envelopeCount++;
+    }
+  };
+
+  let i = 0;
+  while (i < text.length) {
+    const char = text[i];
+    if (/\s/.test(char)) {
+      i++;
+    } else if (char === '"') {
+      let end = i + 1;
+      while (end < text.length && text[end] !== '"') {
+        end += text[end] === '\\' ? 2 : 1;
+      }
+      if (end >= text.length) {
+        truncated = true;
+        break;
+      }
+      const top = stack[stack.length - 1];
+      if (top && top.type === '{' && top.expectKey) {
+        try {
+          top.key = JSON.parse(text.slice(i, end + 1));
+        } catch (error) {
+          return null;
+        }
+        top.expectKey = false;
+        if (stack.length === 1 && firstKey === null) firstKey = top.key;
+      } else {
+        valueDone(end + 1);
+      }
+      i = end + 1;
+    } else if (char === '{' || char === '[') {
+      const parent = stack[stack.length - 1];
+      const isTopics = char === '{' && stack.length === 1 && parent.type === '{' && parent.key === 'topics';
+      if (isTopics) {
+        envelopeOpened = true;
+        envelopeCut = { position: i + 1, key: null };
+      }
+      if (stack.length === 0 && char === '{') {
+        bareCut = { position: i + 1, key: null };
+      }
+      stack.push({ type: char, expectKey: char === '{', key: null, isTopics });
+      i++;
+    } else if (char === '}' || char === ']') {
+      stack.pop();
+      valueDone(i + 1);
+      i++;
+    } else if (char === ':') {
+      i++;
+    } else if (char === ',') {
+      const top = stack[stack.length - 1];
+      if (top && top.type === '{') top.expectKey = true;
+      i++;
+    } else {
+      // Numbers, true, false and null
+      let end = i;
+      while (end < text.length && /[\w.+-]/.test(text[end])) end++;
+      if (end >= text.length) {
+        truncated = true;
+        break;
+      }
+      valueDone(end);
+      i = end;
+    }
+  }
+
+  if (!truncated && stack.length === 0) return null;
+
+  // A file cut off in its metadata has no topics to salvage
+  if (!envelopeOpened && firstKey === 'meta') return null;
+  const cut = envelopeOpened ? envelopeCut : bareCut;
+  if (!cut) return null;
+  let data;
+  try {
+    data = JSON.parse(text.slice(0, cut.position) + (envelopeOpened ? '}}' : '}'));
+  } catch (error) {
+    return null;
+  }
+
+  // The key seen after the last cut belongs to the topic that was cut off
+  const topicsLevel = envelopeOpened ? stack[1] : stack[0];
+  const lostTopic = topicsLevel && topicsLevel.key !== null && topicsLevel.key !== cut.key ? topicsLevel.key : null;
+  return { data, topicCount: envelopeOpened ? envelopeCount : bareCount, lostTopic };
+}
+
+/**
+ * Repairs one scraped message
+ * @param {*} message - Message as found in the file
+ * @param {string} at - JSON path of the message
+ * @param {Array} fixes - Array of { path, action } to add the repairs to
+ * @returns {Object|null} - Repaired message, or null when it has to be dropped
+ */
+function repairMessage(message, at, fixes) {
+  if (getJsonType(message) !== 'object') {
+    fixes.push({ path: at, action: `dropped message (expected an object, got ${getJsonType(message)})` });
+    return null;
+  }
+  const repaired = { ...message };
+  const toText = value => (['integer', 'number', 'boolean'].includes(getJsonType(value)) ? String(value) : value);
+
+  repaired.content = toText(repaired.content);
+  if (typeof repaired.content !== 'string') {
+    fixes.push({ path: at, action: `dropped message (content is ${message.content === undefined ? 'missing' : getJsonType(message.content)})` });
+    return null;
+  }
+  if (repaired.content !== message.content) fixes.push({ path: joinPath(at, 'content'), action: 'converted to text' });
+
+  repaired.sender = toText(repaired.sender);
+  if (typeof repaired.sender !== 'string') {
+    repaired.sender = 'Unknown Sender';
+    fixes.push({ path: joinPath(at, 'sender'), action: 'set to "Unknown Sender"' });
+  } else if (repaired.sender !== message.sender) {
+    fixes.push({ path: joinPath(at, 'sender'), action: 'converted to text' });
+  }
+
+  // Optional fields: anything of the wrong type is reset, as if the scraper couldn't read it
+  const checks = {
+    id: value => Number.isInteger(value) || (typeof value === 'string' && /^[0-9]+$/.test(value)),
+    sender_id: value => ['integer', 'string'].includes(getJsonType(value)),
+    sender_email: value => typeof value === 'string',
+    timestamp: value => ['string', 'integer', 'number'].includes(getJsonType(value)),
+    permalink: value => typeof value === 'string'
+  };
+  for (const [field, isValid] of Object.entries(checks)) {
+    if (repaired[field] !== undefined && repaired[field] !== null && !isValid(repaired[field])) {
+      repaired[field] = null;
+      fixes.push({ path: joinPath(at, field), action: 'reset to null' });
+    }
+  }
+  if (repaired.edited !== undefined && repaired.edited !== null && typeof repaired.edited !== 'boolean') {
+    repaired.edited = Boolean(repaired.edited);
+    fixes.push({ path: joinPath(at, 'edited'), action: 'converted to true/false' });
+  }
+
+  const lists = {
+    reactions: item => getJsonType(item) === 'object' && typeof item.emoji === 'string' && Number.isInteger(item.count) && item.count >= 0 &&
+      (item.reactors === undefined || (Array.isArray(item.reactors) && item.reactors.every(name => typeof name === 'string'))),
+    quotes: item => getJsonType(item) === 'object' &&
+      ['string', 'null', 'undefined'].includes(getJsonType(item.author)) &&
+      ['integer', 'null', 'undefined'].includes(getJsonType(item.message_id)) &&
+      ['string', 'null', 'undefined'].includes(getJsonType(item.permalink)),
+    attachments: item => typeof item === 'string'
+  };
+  for (const [field, isValid] of Object.entries(lists)) {
+    if (repaired[field] === undefined) continue;
+    if (!Array.isArray(repaired[field])) {
+      repaired[field] = [];
+      fixes.push({ path: joinPath(at, field), action: 'reset to []' });
+      continue;
+    }
+    const kept = repaired[field].filter(isValid);
+    if (kept.length < repaired[field].length) {
+      fixes.push({ path: joinPath(at, field), action: `dropped ${repaired[field].length - kept.length} invalid ${repaired[field].length - kept.length === 1 ? 'entry' : 'entries'}` });
+      repaired[field] = kept;
+    }
+  }
+  return repaired;
+}
+
+/**
+ * Repairs the topics of a scrape or cleaned file
+ * @param {Object} topics - Topics as found in the file
+ * @param {string} format - SCRAPE_FORMAT or CLEANED_FORMAT
+ * @param {string} at - JSON path of the topics object
+ * @param {Array} fixes - Array of { path, action } to add the repairs to
+ * @returns {Object} - Repaired topics
+ */
+function repairTopics(topics, format, at, fixes) {
+  const repaired = {};
+  for (const [topic, value] of Object.entries(topics)) {
+    const topicPath = joinPath(at, topic);
+    if (format === CLEANED_FORMAT) {
+      if (typeof value === 'string') {
+        repaired[topic] = value;
+      } else {
+        fixes.push({ path: topicPath, action: `dropped topic (expected markdown, got ${getJsonType(value)})` });
+      }
+      continue;
+    }
+
+    let messages = value;
+    if (getJsonType(value) === 'object' && 'content' in value) {
+      messages = [value];
+      fixes.push({ path: topicPath, action: 'wrapped the single message in an array' });
+    } else if (!Array.isArray(value)) {
+      fixes.push({ path: topicPath, action: `dropped topic (expected an array of messages, got ${getJsonType(value)})` });
+      continue;
+    }
+    repaired[topic] = messages
+      .map((message, index) => repairMessage(message, Array.isArray(value) ? joinPath(topicPath, index) : topicPath, fixes))
+      .filter(message => message !== null);
+  }
+  return repaired;
+}
+
+/**
+ * Fixes or drops whatever keeps a scrape or cleaned file from matching its schema
+ * @param {*} data - Parsed file contents
+ * @param {string} [format] - SCRAPE_FORMAT or CLEANED_FORMAT (default: detected)
+ * @returns {Object} - Object containing the repaired data and fixes ([{ path, action }])
+ * @throws {InputError} - When the file isn't a dataset at all (e.g. a JSON array)
+ */
+function repairDataset(data, format = detectFormat(data)) {
+  if (format === MANIFEST_FORMAT) {
+    throw new UsageError('Split manifests can\'t be repaired: run data_splitter.js again to rewrite them');
+  }
+  if (getJsonType(data) !== 'object') {
+    throw new InputError(`Can't repair a ${getJsonType(data)}: a dataset file is an object of topics`);
+  }
+
+  const fixes = [];
+  const isEnvelope = getJsonType(data.meta) === 'object' && 'topics' in data;
+  if (!isEnvelope) {
+    return { data: repairTopics(data, format, '$', fixes), fixes };
+  }
+  if (getJsonType(data.topics) !== 'object') {
+    throw new InputError(`Can't repair $.topics: expected an object, got ${getJsonType(data.topics)}`);
+  }
+
+  const meta = { ...data.meta };
+  if (meta.format !== format) {
+    fixes.push({ path: '$.meta.format', action: `set to "${format}"` });
+    meta.format = format;
+  }
+  const schema = loadSchema(format);
+  for (const [field, fieldSchema] of Object.entries(schema.$defs.meta.properties)) {
+    if (field === 'format' || meta[field] === undefined) continue;
+    if (validateValue(meta[field], fieldSchema, schema).length > 0) {
+      delete meta[field];
+      fixes.push({ path: joinPath('$.meta', field), action: 'removed' });
+    }
+  }
+
+  return { data: { ...data, meta, topics: repairTopics(data.topics, format, '$.topics', fixes) }, fixes };
+}
+
+/**
+ * Reads a dataset file, falling back to salvaging it when it was cut off
+ * @param {string} file - Dataset file
+ * @param {boolean} salvage - Whether to salvage truncated files instead of failing
+ * @returns {Object} - Object containing data and salvaged (salvageTruncatedJson's result, or null)
+ */
+function readDataset(file, salvage) {
+  if (isJsonlFile(file)) {
+    return readJsonlFile(file, salvage);
+  }
+  const text = fs.readFileSync(file, 'utf8');
+  try {
+    return { data: JSON.parse(text), salvaged: null };
+  } catch (error) {
+    const salvaged = salvageTruncatedJson(text);
+    if (salvage && salvaged) {
+      return { data: salvaged.data, salvaged };
+    }
+    const hint = salvaged ? ` (the file looks truncated; --repair can keep its ${salvaged.topicCount} complete topic${salvaged.topicCount === 1 ? '' : 's'})` : '';
+    throw new InputError(`Invalid JSON in ${file}: ${error.message}${hint}`, { file, cause: error });
+  }
+}
+
+/**
+ * Reads a JSONL dataset (see dataset_stream.js) as the equivalent JSON dataset
+ * @param {string} file - JSONL file
+ * @param {boolean} salvage - Whether to drop a cut-off last line instead of failing
+ * @returns {Object} - Object containing data and salvaged ({ lostLine }, or null)
+ */
+function readJsonlFile(file, salvage) {
+  const { meta, topics, lostLine } = readJsonlDataset(file, { salvage });
+  return { data: meta ? { meta, topics } : topics, salvaged: lostLine !== null ? { lostLine } : null };
+}
+
+/**
+ * Prints up to a number of problems or fixes
+ * @param {Array} lines - Lines to print
+ * @param {number} maxLines - How many to print
+ */
+function printLimited(lines, maxLines) {
+  lines.slice(0, maxLines).forEach(line => console.log(`   - ${line}`));
+  if (lines.length > maxLines) {
+    console.log(`   ... and ${lines.length - maxLines} more`);
+  }
+}
+
+/**
+ * Lists the files behind the inputs, expanding batch directories
+ * @param {Array} inputs - Files and directories
+ * @returns {Array} - Array of { file, relative }, relative being the path inside its directory
+ */
+function expandInputs(inputs) {
+  const files = [];
+  for (const input of inputs) {
+    if (!fs.existsSync(input)) {
+      throw new InputError(`Input does not exist: ${input}`, { file: input });
+    }
+    if (!fs.statSync(input).isDirectory()) {
+      files.push({ file: input, relative: path.basename(input) });
+      continue;
+    }
+    const batch = listDatasetFiles(input);
+    if (batch.length === 0) {
+      throw new InputError(`No JSON or JSONL files found in input directory: ${input}`, { file: input });
+    }
+    batch.forEach(file => files.push({ file, relative: path.relative(input, file) }));
+  }
+  return files;
+}
+
+/**
+ * Validates dataset files and, with options.repair, writes repaired copies
+ * @param {Array|string} inputs - Files or batch directories
+ * @param {Object} [options] - format: check every file against this format; maxErrors: problems
+ *   listed per file; repair: write repaired files; output: repaired file (or directory, for a
+ *   batch)
+ * @returns {Promise<Array>} - Array of { file, format, errors, outputFile, fixes } per file
+ * @throws {InputError} - When a file is invalid and isn't being repaired
+ */
+async function validateFiles(inputs, options = {}) {
+  const inputList = [].concat(inputs);
+  const maxErrors = options.maxErrors || DEFAULT_MAX_ERRORS;
+  const isBatch = inputList.length === 1 && fs.existsSync(inputList[0]) && fs.statSync(inputList[0]).isDirectory();
+  const results = [];
+
+  for (const { file, relative } of expandInputs(inputList)) {
+    const { data, salvaged } = readDataset(file, options.repair);
+    const { format, errors } = validateDataset(data, options.format || detectFormat(data));
+
+    if (!options.repair) {
+      if (errors.length === 0) {
+        console.log(`✅ ${file}: valid ${format}`);
+      } else {
+        console.log(`❌ ${file}: ${errors.length} problems (${format})`);
+        printLimited(errors.map(error => `${error.path}: ${error.message}`), maxErrors);
+      }
+      results.push({ file, format, errors, outputFile: null, fixes: [] });
+      continue;
+    }
+
+    const outputFile = isBatch ? path.join(options.output, relative) : options.output;
+    const { data: repaired, fixes } = repairDataset(data, format);
+    const remaining = validateDataset(repaired, format).errors;
+    fs.mkdirSync(path.dirname(outputFile), { recursive: true });
+    fs.writeFileSync(outputFile, JSON.stringify(repaired, null, 2), 'utf8');
+
+    console.log(`🔧 ${file} → ${outputFile} (${format})`);
+    if (salvaged && salvaged.lostLine) {
+      console.log(`   ⚠️  Truncated JSONL: dropped the cut-off last line (line ${salvaged.lostLine})`);
+    } else if (salvaged) {
+      const lost = salvaged.lostTopic !== null ? `, lost the topic that was cut off ("${salvaged.lostTopic}")` : '';
+      console.log(`   ⚠️  Truncated JSON: salvaged ${salvaged.topicCount} complete topic${salvaged.topicCount === 1 ? '' : 's'}${lost}`);
+    }
+    if (fixes.length === 0 && !salvaged) {
+      console.log('   - Nothing to repair');
+    }
+    printLimited(fixes.map(fix => `${fix.path}: ${fix.action}`), maxErrors);
+    if (remaining.length > 0) {
+      console.log(`   ⚠️  ${remaining.length} problems could not be repaired:`);
+      printLimited(remaining.map(error => `${error.path}: ${error.message}`), maxErrors);
+    }
+    results.push({ file, format, errors: remaining, outputFile, fixes, salvaged });
+  }
+
+  const invalid = results.filter(result => result.errors.length > 0);
+  console.log(options.repair ? '✅ Repair completed' : '📊 Validation finished');
+  console.log(`   - Files ${options.repair ? 'repaired' : 'checked'}: ${results.length}`);
+  if (options.repair) {
+    console.log(`   - Fixes: ${results.reduce((sum, result) => sum + result.fixes.length, 0)}`);
+  }
+  if (invalid.length > 0) {
+    throw new InputError(`${invalid.length} of ${results.length} files ${options.repair ? 'are still invalid after repair' : 'failed validation'}`);
+  }
+  return results;
+}
+
+// Validate the files if this file is executed directly
+if (require.main === module) {
+  runCli(() => {
+    const { inputs, options } = parseArguments();
+    return validateFiles(inputs, options);
+  }, 'Error validating datasets', printUsage);
+}
+
+module.exports = {
+  validateFiles,
+  validateDataset,
+  validateStream,
+  validateValue,
+  detectFormat,
+  repairDataset,
+  salvageTruncatedJson,
+  createValidationError,
+  loadSchema,
+  MANIFEST_FORMAT,
+  parseArguments,
+  printUsage
+};
@@ -0,0 +1,106 @@
+/**
+ * Pipeline Errors
+ * ===============
+ *
+ * Typed errors thrown by the pipeline stages (zulip_api_scraper.js, zulip_cleaner.js,
+ * data_splitter.js, markdown_compactor.js, ...), build_scraper.js and zulip_pipeline.js. The
+ * exported stage functions throw these instead of exiting the process, so they can be chained
+ * and their failures told apart:
+ *
+ *   try {
+ *     await cleanZulipData(inputFile, outputFile);
+ *   } catch (error) {
+ *     if (error instanceof InputError) { ... }
+ *   }
+ *
+ * ERROR TYPES:
+ * - UsageError:  bad command line arguments or stage options (the CLI prints usage for these)
+ * - ConfigError: an invalid zulip-pipeline.config.json, template or credentials file
+ * - InputError:  an input file or directory is missing, unreadable, not valid JSON or doesn't
+ *                match its schema (see dataset_validator.js)
+ * All of them extend PipelineError and carry a stable `code`.
+ */
+
+/**
+ * Base class for all pipeline errors
+ */
+class PipelineError extends Error {
+  /**
+   * @param {string} message - Human-readable description
+   * @param {Object} [options] - cause: underlying error
+   */
+  constructor(message, options) {
+    super(message, options);
+    this.name = this.constructor.name;
+    this.code = 'E_PIPELINE';
+  }
+}
+
+/**
+ * Bad command line arguments or stage options
+ */
+class UsageError extends PipelineError {
+  constructor(message, options) {
+    super(message, options);
+    this.code = 'E_USAGE';
+  }
+}
+
+/**
+ * Invalid pipeline config or template file
+ */
+class ConfigError extends PipelineError {
+  /**
+   * @param {string} message - Human-readable description
+   * @param {Object} [options] - file: offending file; cause: underlying error
+   */
+  constructor(message, options = {}) {
+    super(message, options);
+    this.code = 'E_CONFIG';
+    this.file = options.file || null;
+  }
+}
+
+/**
+ * Missing, unreadable or malformed input
+ */
+class InputError extends PipelineError {
+  /**
+   * @param {string} message - Human-readable description
+   * @param {Object} [options] - file: offending file or directory; cause: underlying error
+   */
+  constructor(message, options = {}) {
+    super(message, options);
+    this.code = 'E_INPUT';
+    this.file = options.file || null;
+  }
+}
+
+/**
+ * Runs a script's main function, turning errors into a message and exit code 1.
+ * Only the `require.main === module` blocks use this; library code just throws.
+ * @param {function(): Promise} main - Script entry point
+ * @param {string} errorLabel - Prefix for error messages, e.g. "Error cleaning Zulip data"
+ * @param {function(): void} [printUsage] - Prints usage, shown after a UsageError
+ */
+async function runCli(main, errorLabel, printUsage) {
+  try {
+    await main();
+  } catch (error) {
+    if (error instanceof UsageError) {
+      console.error('❌ Error:', error.message);
+      if (printUsage) printUsage();
+    } else {
+      console.error(`❌ ${errorLabel}:`, error.message);
+    }
+    process.exit(1);
+  }
+}
+
+module.exports = {
+  PipelineError,
+  UsageError,
+  ConfigError,
+  InputError,
+  runCli
+};
@@ -2,7 +2,8 @@
  * Markdown Compactor (Stage 4 of 4)
  * =================================
  * 
- * This script compacts individual markdown files into N roughly equal-sized grouped files.
+ * This script compacts individual markdown files into grouped files, either N groups or as
+ * many groups as needed to stay under a size or token cap (e.g. an LLM's context limit).
  * It's an optional fourth stage in the Zulip processing pipeline for easier management.
  * 
  * PIPELINE OVERVIEW:
@@ -13,9 +14,10 @@
  * 
  * WHAT THIS SCRIPT DOES:
  * 1. Reads all markdown files from the input directory
- * 2. Distributes them evenly across N output files
- * 3. Combines files with horizontal rule separators
- * 4. Creates organized, manageable file groups
+ * 2. Splits topics larger than the cap at message boundaries
+ * 3. Distributes them across the groups, balanced by file count, bytes or estimated tokens,
+ *    or grouped by content similarity, topic-name prefix or date
+ * 4. Combines each group's files with horizontal rule separators, after a table of contents
  * 
  * USE CASES:
  * - Large numbers of topic files become unwieldy to navigate
@@ -24,59 +26,192 @@
  * - Create themed or sized groupings of related topics
  * 
  * FEATURES:
- * - Even distribution across N files (by count, not size)
+ * - Balancing by file count (round-robin), byte size or estimated tokens
+ * - --max-size / --max-tokens caps that pick the number of groups automatically
+ * - Oversized topics are split at message boundaries, never inside code blocks
+ * - Grouping of related topics (--group-by similarity|prefix|date) with named group files
+ * - A table of contents at the top of every group file (--no-toc to leave it out)
  * - Maintains original content and formatting
  * - Clear separation with horizontal rules
  * - Descriptive filenames showing file ranges
  * - Progress tracking and statistics
  * 
  * USAGE:
- * node markdown_compactor.js <input_directory> <output_directory> <N>
+ * node markdown_compactor.js <input_directory> <output_directory> <N> [--balance count|size|tokens]
+ * node markdown_compactor.js <input_directory> <output_directory> (--max-size <size> | --max-tokens <n>)
+ * node markdown_compactor.js <input_directory> <output_directory> [N] --group-by similarity|prefix|date
+ * Every form also accepts --no-toc.
  * 
  * EXAMPLES:
  * node markdown_compactor.js markdown_files/ compacted/ 5
- * node markdown_compactor.js docs/topics/ docs/grouped/ 10
+ * node markdown_compactor.js docs/topics/ docs/grouped/ 10 --balance size
+ * node markdown_compactor.js markdown_files/ compacted/ --max-tokens 100000
+ * node markdown_compactor.js markdown_files/ compacted/ --max-size 256KB
+ * node markdown_compactor.js markdown_files/ compacted/ 8 --group-by similarity
+ * node markdown_compactor.js markdown_files/ compacted/ --group-by date --max-tokens 100000
+ * 
+ * BALANCING:
+ * - count (default): round-robin by number of files, as before
+ * - size:   groups with about the same number of bytes
+ * - tokens: groups with about the same estimated token count (about 4 characters per token,
+ *   a rough but model-independent estimate; leave headroom below the real context limit)
+ * With --max-size or --max-tokens, files are packed into as few groups as fit under the cap.
+ * A topic that is larger than the cap on its own is split into parts at message boundaries
+ * ("**alice:**", "### alice", "User:" lines), falling back to paragraphs outside code blocks;
+ * each part repeats the topic's heading. A single paragraph over the cap is kept whole.
+ * 
+ * GROUPING (see topic_grouping.js):
+ * - similarity: TF-IDF + k-means clusters of related topics (needs N or a cap)
+ * - prefix:     one group per shared topic-name prefix ("Ltac2: notations" → "Ltac2")
+ * - date:       N contiguous date ranges, or one group per month
+ * Grouped files are named after their group, e.g. 02_ltac2_notation_tactic.md. With a cap,
+ * groups over the cap are split into several files.
  * 
  * OUTPUT FORMAT:
- * Creates files like: group_1_of_5.md, group_2_of_5.md, etc.
- * Each file contains multiple topics separated by "---" horizontal rules
+ * Creates files like: group_1_of_5_12_files.md, group_2_of_5_12_files.md, etc.
+ * Each file starts with a "Contents" list linking to its topics' headings, then contains multiple topics separated by "---" horizontal rules, each preceded by a
+ * "<!-- Source: topic.md -->" comment ("<!-- Source: topic.md (part 2 of 3) -->" for split topics)
  */
 
 const fs = require('fs');
 const path = require('path');
+const { parseArgs } = require('util');
+const { GROUP_BY_MODES, groupEntries, getEntryTitle } = require('./topic_grouping');
+const { UsageError, InputError, runCli } = require('./errors');
+
+// Characters per token used by estimateTokens
+const CHARS_PER_TOKEN = 4;
+// Separator placed between files in a group
+const GROUP_SEPARATOR = '\n\n---\n\n';
+// Lines that start a new message in the output templates (default/front-matter, wiki, chat)
+const MESSAGE_START_PATTERN = /^(\*\*[^*\n]+:\*\*|### \S|(User|Assistant): )/;
+// Characters reserved in each capped group for its title and "Contents" heading
+const TOC_HEADER_ALLOWANCE = 200;
+
+/**
+ * Prints command line usage
+ * @param {string} [command] - How the compactor is invoked
+ */
+function printUsage(command = 'node markdown_compactor.js') {
+  console.log(`Usage: ${command} <input_directory> <output_directory> <N> [--balance count|size|tokens]`);
+  console.log(`       ${command} <input_directory> <output_directory> (--max-size <size> | --max-tokens <n>)`);
+  console.log(`       ${command} <input_directory> <output_directory> [N] --group-by similarity|prefix|date`);
+  console.log('');
+  console.log('Arguments:');
+  console.log('  input_directory   - Directory containing individual markdown files');
+  console.log('  output_directory  - Directory for compacted group files');
+  console.log('  N                 - Number of groups to create');
+  console.log('  --balance         - Balance groups by file count (default), bytes or estimated tokens');
+  console.log('  --max-size        - Largest group size, e.g. 200000, 256KB or 1MB (picks N automatically)');
+  console.log('  --max-tokens      - Largest estimated token count per group (picks N automatically)');
+  console.log('  --group-by        - Keep related topics together: similarity (needs N or a cap), prefix or date');
+  console.log('  --no-toc          - Leave out the table of contents at the top of each group');
+  console.log('');
+  console.log('Examples:');
+  console.log(`  ${command} markdown_files/ compacted/ 5`);
+  console.log(`  ${command} docs/topics/ docs/grouped/ 10 --balance size`);
+  console.log(`  ${command} markdown_files/ compacted/ --max-tokens 100000`);
+  console.log(`  ${command} markdown_files/ compacted/ 8 --group-by similarity`);
+}
+
+/**
+ * Parses a size such as "200000", "256KB" or "1.5MB" (1 KB = 1024 bytes)
+ * @param {string} text - Size with an optional B/KB/MB/GB suffix
+ * @returns {number} - Size in bytes, or NaN if it can't be parsed
+ */
+function parseSize(text) {
+  const match = String(text).trim().match(/^(\d+(?:\.\d+)?)\s*(b|kb|mb|gb)?$/i);
+  if (!match) return NaN;
+  const units = { b: 1, kb: 1024, mb: 1024 ** 2, gb: 1024 ** 3 };
+  return Math.floor(parseFloat(match[1]) * units[(match[2] || 'b').toLowerCase()]);
+}
 
 /**
  * Parses command line arguments
- * @returns {Object} - Object containing inputDir, outputDir, and groupCount
+ * @param {Array} [argv] - Arguments without the node and script paths
+ * @returns {Object} - Object containing inputDir, outputDir, groupCount (null with a cap) and options
  */
-function parseArguments() {
-  const args = process.argv.slice(2);
-  
-  if (args.length < 3) {
-    console.error('❌ Error: Missing required arguments');
-    console.log('Usage: node markdown_compactor.js <input_directory> <output_directory> <N>');
-    console.log('');
-    console.log('Arguments:');
-    console.log('  input_directory   - Directory containing individual markdown files');
-    console.log('  output_directory  - Directory for compacted group files');
-    console.log('  N                 - Number of groups to create');
-    console.log('');
-    console.log('Examples:');
-    console.log('  node markdown_compactor.js markdown_files/ compacted/ 5');
-    console.log('  node markdown_compactor.js docs/topics/ docs/grouped/ 10');
-    process.exit(1);
-  }
-
-  const groupCount = parseInt(args[2], 10);
-  if (isNaN(groupCount) || groupCount < 1) {
-    console.error('❌ Error: N must be a positive integer');
-    process.exit(1);
+function parseArguments(argv = process.argv.slice(2)) {
+  let parsed;
+  try {
+    parsed = parseArgs({
+      args: argv,
+      allowPositionals: true,
+      options: {
+        'balance': { type: 'string' },
+        'max-size': { type: 'string' },
+        'max-tokens': { type: 'string' },
+        'group-by': { type: 'string' },
+        'no-toc': { type: 'boolean' }
+      }
+    });
+  } catch (error) {
+    throw new UsageError(error.message);
+  }
+  const { values, positionals: args } = parsed;
+  const hasCap = values['max-size'] !== undefined || values['max-tokens'] !== undefined;
+  const groupBy = values['group-by'];
+  // Prefix and date groups don't need N: there is one group per prefix or month
+  const needsGroupCount = !hasCap && groupBy !== 'prefix' && groupBy !== 'date';
+
+  if (groupBy !== undefined && !GROUP_BY_MODES.includes(groupBy)) {
+    throw new UsageError(`--group-by must be ${GROUP_BY_MODES.join(', ')} (got "${groupBy}")`);
+  }
+  if (groupBy !== undefined && values.balance !== undefined) {
+    throw new UsageError('--balance only applies without --group-by');
+  }
+  if (args.length < 2 || (args.length < 3 && needsGroupCount)) {
+    throw new UsageError('Missing required arguments');
+  }
+  if (values['max-size'] !== undefined && values['max-tokens'] !== undefined) {
+    throw new UsageError('Use either --max-size or --max-tokens, not both');
+  }
+  if (hasCap && args.length >= 3) {
+    throw new UsageError('N is picked automatically with --max-size/--max-tokens; leave it out');
+  }
+
+  let groupCount = null;
+  if (!hasCap && args.length >= 3) {
+    groupCount = parseInt(args[2], 10);
+    if (isNaN(groupCount) || groupCount < 1) {
+      throw new UsageError('N must be a positive integer');
+    }
+  }
+
+  const options = {};
+  if (values['max-size'] !== undefined) {
+    options.maxSize = parseSize(values['max-size']);
+    if (!(options.maxSize > 0)) {
+      throw new UsageError(`Invalid --max-size: ${values['max-size']}`);
+    }
+  }
+  if (values['max-tokens'] !== undefined) {
+    options.maxTokens = parseInt(values['max-tokens'], 10);
+    if (!(options.maxTokens > 0)) {
+      throw new UsageError(`Invalid --max-tokens: ${values['max-tokens']}`);
+    }
+  }
+  if (values.balance !== undefined) {
+    if (!['count', 'size', 'tokens'].includes(values.balance)) {
+      throw new UsageError(`--balance must be count, size or tokens (got "${values.balance}")`);
+    }
+    if (hasCap && values.balance !== (options.maxSize ? 'size' : 'tokens')) {
+      throw new UsageError(`--balance ${values.balance} doesn't match the cap; ${options.maxSize ? '--max-size balances by size' : '--max-tokens balances by tokens'}`);
+    }
+    options.balance = values.balance;
+  }
+  if (groupBy !== undefined) {
+    options.groupBy = groupBy;
+  }
+  if (values['no-toc']) {
+    options.toc = false;
   }
 
   return {
     inputDir: path.resolve(args[0]),
     outputDir: path.resolve(args[1]),
-    groupCount: groupCount
+    groupCount: groupCount,
+    options: options
   };
 }
 
@@ -93,7 +228,7 @@ function getMarkdownFiles(directory) {
       .map(file => path.join(directory, file))
       .sort(); // Sort for consistent ordering
   } catch (error) {
-    throw new Error(`Cannot read input directory: ${error.message}`);
+    throw new InputError(`Cannot read input directory: ${error.message}`, { file: directory, cause: error });
   }
 }
 
@@ -121,28 +256,281 @@ function distributeIntoGroups(items, groupCount) {
 }
 
 /**
- * Reads and combines markdown files with horizontal rule separators
- * @param {Array} filePaths - Array of file paths to combine
- * @returns {string} - Combined markdown content
+ * Estimates the number of LLM tokens in a text
+ * @param {string} text - Text to measure
+ * @returns {number} - Estimated token count (about 4 characters per token)
  */
-function combineMarkdownFiles(filePaths) {
-  const contents = [];
-  
+function estimateTokens(text) {
+  return Math.ceil(text.length / CHARS_PER_TOKEN);
+}
+
+/**
+ * Gets the function that measures an entry for a balancing mode
+ * @param {string} balance - "count", "size" or "tokens"
+ * @returns {function(string): number} - Weight of a piece of text
+ */
+function getWeigher(balance) {
+  if (balance === 'size') return text => Buffer.byteLength(text, 'utf8');
+  if (balance === 'tokens') return estimateTokens;
+  return () => 1;
+}
+
+/**
+ * Reads markdown files into group entries
+ * @param {Array} filePaths - Array of file paths
+ * @returns {Array} - Array of { name, content } entries (unreadable files are skipped with a warning)
+ */
+function readMarkdownEntries(filePaths) {
+  const entries = [];
   for (const filePath of filePaths) {
     try {
-      const content = fs.readFileSync(filePath, 'utf8');
-      const filename = path.basename(filePath, '.md');
-      
-      // Add a comment showing the original filename for reference
-      contents.push(`<!-- Source: ${filename}.md -->`);
-      contents.push(content.trim());
+      entries.push({ name: path.basename(filePath), content: fs.readFileSync(filePath, 'utf8').trim() });
     } catch (error) {
       console.warn(`⚠️  Warning: Could not read file ${filePath}: ${error.message}`);
     }
   }
-  
-  // Join with horizontal rules between files
-  return contents.join('\n\n---\n\n');
+  return entries;
+}
+
+/**
+ * Renders an entry as it appears in a group file
+ * @param {Object} entry - Entry with name, content and an optional part label
+ * @returns {string} - Source comment followed by the content
+ */
+function renderEntry(entry) {
+  // Add a comment showing the original filename for reference
+  const part = entry.part ? ` (${entry.part})` : '';
+  return `<!-- Source: ${entry.name}${part} -->\n\n${entry.content}`;
+}
+
+/**
+ * Combines entries with horizontal rule separators
+ * @param {Array} entries - Array of { name, content } entries
+ * @returns {string} - Combined markdown content
+ */
+function combineEntries(entries) {
+  return entries.map(renderEntry).join(GROUP_SEPARATOR);
+}
+
+/**
+ * Reads and combines markdown files with horizontal rule separators
+ * @param {Array} filePaths - Array of file paths to combine
+ * @returns {string} - Combined markdown content
+ */
+function combineMarkdownFiles(filePaths) {
+  return combineEntries(readMarkdownEntries(filePaths));
+}
+
+/**
+ * Splits a topic file into its heading block and its messages. Lines inside code blocks
+ * never start a message.
+ * @param {string} content - Markdown topic file
+ * @returns {Object} - Object containing header (front matter, title, links) and messages
+ */
+function splitIntoMessages(content) {
+  const header = [];
+  const messages = [];
+  let fence = null;
+
+  for (const line of content.split('\n')) {
+    const fenceMatch = line.match(/^\s*(`{3,}|~{3,})/);
+    if (fenceMatch && (!fence || fenceMatch[1].startsWith(fence))) {
+      fence = fence ? null : fenceMatch[1];
+    }
+    if (!fence && !fenceMatch && MESSAGE_START_PATTERN.test(line)) {
+      messages.push([]);
+    }
+    (messages.length > 0 ? messages[messages.length - 1] : header).push(line);
+  }
+
+  return { header: header.join('\n').trim(), messages: messages.map(lines => lines.join('\n').trim()) };
+}
+
+/**
+ * Splits a markdown text into paragraphs, keeping code blocks whole
+ * @param {string} text - Markdown text
+ * @returns {Array} - Paragraphs
+ */
+function splitIntoParagraphs(text) {
+  const paragraphs = [];
+  let current = [];
+  let fence = null;
+
+  for (const line of text.split('\n')) {
+    const fenceMatch = line.match(/^\s*(`{3,}|~{3,})/);
+    if (fenceMatch && (!fence || fenceMatch[1].startsWith(fence))) {
+      fence = fence ? null : fenceMatch[1];
+    }
+    if (!fence && line.trim() === '' && current.length > 0) {
+      paragraphs.push(current.join('\n'));
+      current = [];
+    } else if (line.trim() !== '' || current.length > 0) {
+      current.push(line);
+    }
+  }
+  if (current.length > 0) paragraphs.push(current.join('\n'));
+  return paragraphs;
+}
+
+/**
+ * Splits an entry that is larger than the cap into parts at message boundaries
+ * (or paragraph boundaries, for single messages over the cap). Every part repeats the heading.
+ * @param {Object} entry - Entry with name and content
+ * @param {number} cap - Largest weight per group
+ * @param {function(string): number} weigh - Weight of a piece of text
+ * @returns {Array} - The entry itself if it fits, otherwise its parts
+ */
+function splitOversizedEntry(entry, cap, weigh) {
+  const overhead = weigh(GROUP_SEPARATOR);
+  if (weigh(renderEntry(entry)) + overhead <= cap) return [entry];
+
+  const { header, messages } = splitIntoMessages(entry.content);
+  const pieces = messages.length > 0 ? messages : splitIntoParagraphs(entry.content);
+  const prefix = messages.length > 0 && header ? `${header}\n\n` : '';
+  // Budget for the body of each part, leaving room for the heading and the source comment
+  const budget = cap - overhead - weigh(renderEntry({ ...entry, content: prefix, part: 'part 99 of 99' }));
+
+  const bodies = [];
+  let current = [];
+  const flush = () => {
+    if (current.length > 0) bodies.push(current.join('\n\n'));
+    current = [];
+  };
+  for (const piece of pieces) {
+    // A message over the budget on its own is split into its paragraphs
+    const subPieces = weigh(piece) > budget ? splitIntoParagraphs(piece) : [piece];
+    for (const subPiece of subPieces) {
+      if (current.length > 0 && weigh([...current, subPiece].join('\n\n')) > budget) flush();
+      current.push(subPiece);
+    }
+  }
+  flush();
+
+  if (bodies.length <= 1) {
+    console.warn(`⚠️  Warning: ${entry.name} is larger than the cap and can't be split further`);
+    return [entry];
+  }
+  const parts = bodies.map((body, index) => ({
+    name: entry.name,
+    part: `part ${index + 1} of ${bodies.length}`,
+    content: `${prefix}${body}`
+  }));
+  const oversized = parts.filter(part => weigh(renderEntry(part)) + overhead > cap).length;
+  if (oversized > 0) {
+    console.warn(`⚠️  Warning: ${oversized} part(s) of ${entry.name} are still larger than the cap (a single paragraph doesn't fit)`);
+  }
+  return parts;
+}
+
+/**
+ * Distributes entries into N groups of about the same total weight: each entry, heaviest
+ * first, goes to the lightest group. Groups keep the entries in their original order.
+ * @param {Array} entries - Entries to distribute
+ * @param {number} groupCount - Number of groups to create
+ * @param {function(Object): number} weighEntry - Weight of an entry in a group file
+ * @returns {Array} - Array of arrays, each containing group entries
+ */
+function balanceIntoGroups(entries, groupCount, weighEntry) {
+  if (groupCount >= entries.length) {
+    return entries.map(entry => [entry]);
+  }
+
+  const groups = Array.from({ length: groupCount }, () => ({ weight: 0, items: [] }));
+  entries
+    .map((entry, index) => ({ entry, index, weight: weighEntry(entry) }))
+    .sort((a, b) => b.weight - a.weight || a.index - b.index)
+    .forEach(item => {
+      const lightest = groups.reduce((min, group) => (group.weight < min.weight ? group : min));
+      lightest.weight += item.weight;
+      lightest.items.push(item);
+    });
+
+  return groups.map(group => group.items.sort((a, b) => a.index - b.index).map(item => item.entry));
+}
+
+/**
+ * Packs entries into as few groups as fit under a cap (first fit, heaviest first).
+ * Groups keep the entries in their original order.
+ * @param {Array} entries - Entries to pack (each already under the cap where possible)
+ * @param {number} cap - Largest weight per group
+ * @param {function(Object): number} weighEntry - Weight of an entry in a group file
+ * @returns {Array} - Array of arrays, each containing group entries
+ */
+function packIntoGroups(entries, cap, weighEntry) {
+  const groups = [];
+  entries
+    .map((entry, index) => ({ entry, index, weight: weighEntry(entry) }))
+    .sort((a, b) => b.weight - a.weight || a.index - b.index)
+    .forEach(item => {
+      const group = groups.find(candidate => candidate.weight + item.weight <= cap);
+      if (group) {
+        group.weight += item.weight;
+        group.items.push(item);
+      } else {
+        groups.push({ weight: item.weight, items: [item] });
+      }
+    });
+
+  // Order groups by their first entry, so group 1 starts with the first file
+  return groups
+    .map(group => group.items.sort((a, b) => a.index - b.index))
+    .sort((a, b) => a[0].index - b[0].index)
+    .map(items => items.map(item => item.entry));
+}
+
+/**
+ * Gets the label of an entry in a table of contents
+ * @param {Object} entry - Entry with name, content and an optional part label
+ * @returns {string} - Topic title, e.g. "Big topic (part 2 of 3)"
+ */
+function getEntryLabel(entry) {
+  return `${getEntryTitle(entry)}${entry.part ? ` (${entry.part})` : ''}`;
+}
+
+/**
+ * Turns a heading into a link anchor the way GitHub does ("Ltac2: Notation" → "ltac2-notation")
+ * @param {string} heading - Heading text
+ * @param {Map} [used] - Anchors already used in the file, to number duplicates
+ * @returns {string} - Anchor without the leading "#"
+ */
+function getHeadingAnchor(heading, used = new Map()) {
+  const base = heading.trim().toLowerCase().replace(/[^\p{L}\p{N}\s_-]/gu, '').replace(/\s/g, '-');
+  const count = used.get(base) || 0;
+  used.set(base, count + 1);
+  return count === 0 ? base : `${base}-${count}`;
+}
+
+/**
+ * Builds the table of contents that starts a group file
+ * @param {string} title - Group title
+ * @param {Array} entries - Entries in the group
+ * @returns {string} - Markdown heading and list of topics, linked to their headings
+ */
+function buildTableOfContents(title, entries) {
+  const used = new Map();
+  getHeadingAnchor(title, used);
+  getHeadingAnchor('Contents', used);
+
+  const lines = entries.map(entry => {
+    const heading = entry.content.match(/^#\s+(.+)$/m);
+    // Files without a "# " heading (e.g. the chat template) are listed without a link
+    return heading
+      ? `- [${getEntryLabel(entry)}](#${getHeadingAnchor(heading[1], used)})`
+      : `- ${getEntryLabel(entry)}`;
+  });
+  return `# ${title}\n\n## Contents\n\n${lines.join('\n')}`;
+}
+
+/**
+ * Creates a filename for a named group, e.g. "03_ltac2_notation_tactic.md"
+ * @param {number} groupIndex - Zero-based group index
+ * @param {number} totalGroups - Total number of groups
+ * @param {string} slug - Filename-safe group name
+ * @returns {string} - Filename that sorts in group order
+ */
+function createNamedGroupFilename(groupIndex, totalGroups, slug) {
+  const width = Math.max(2, String(totalGroups).length);
+  return `${String(groupIndex + 1).padStart(width, '0')}_${slug}.md`;
 }
 
 /**
@@ -157,88 +545,189 @@ function createGroupFilename(groupIndex, totalGroups, fileCount) {
   return `group_${groupNumber}_of_${totalGroups}_${fileCount}_files.md`;
 }
 
+/**
+ * Formats a group's size for the progress output
+ * @param {string} content - Group file content
+ * @returns {string} - e.g. "48 KB, ~12k tokens"
+ */
+function describeSize(content) {
+  const tokens = estimateTokens(content);
+  const size = Buffer.byteLength(content, 'utf8');
+  const sizeText = size < 1024 ? `${size} bytes` : `${Math.round(size / 1024)} KB`;
+  return `${sizeText}, ~${tokens >= 1000 ? `${Math.round(tokens / 1000)}k` : tokens} tokens`;
+}
+
 /**
  * Main function to compact markdown files
+ * @param {string} inputDir - Directory containing individual markdown files
+ * @param {string} outputDir - Directory for compacted group files
+ * @param {number|null} groupCount - Number of groups to create (null when a cap, prefix or date picks it)
+ * @param {Object} [options] - balance: "count" (default), "size" or "tokens";
+ *   maxSize: largest group in bytes; maxTokens: largest group in estimated tokens;
+ *   groupBy: "similarity", "prefix" or "date" (see topic_grouping.js); toc: false to leave out
+ *   the table of contents
+ * @returns {Promise<Object>} - Object containing filesProcessed, groupsCreated, topicsSplit and
+ *   groups ({ title, file, topics } per group file)
+ * @throws {InputError} - When the input directory is missing or unreadable
+ * @throws {UsageError} - When neither a group count nor a cap is given
  */
-async function compactMarkdownFiles(inputDir, outputDir, groupCount) {
-  try {
-    console.log('🔄 Starting markdown compaction...');
-    console.log(`   Input directory: ${inputDir}`);
-    console.log(`   Output directory: ${outputDir}`);
-    console.log(`   Target groups: ${groupCount}`);
-    console.log('');
-
-    // Validate input directory exists
-    if (!fs.existsSync(inputDir)) {
-      throw new Error(`Input directory does not exist: ${inputDir}`);
-    }
+async function compactMarkdownFiles(inputDir, outputDir, groupCount, options = {}) {
+  const cap = options.maxSize || options.maxTokens || null;
+  const balance = options.maxSize ? 'size' : options.maxTokens ? 'tokens' : (options.balance || 'count');
+  const groupBy = options.groupBy || null;
+  if (!cap && !(groupCount >= 1) && groupBy !== 'prefix' && groupBy !== 'date') {
+    throw new UsageError('Give a number of groups or a --max-size/--max-tokens cap');
+  }
+  const weigh = getWeigher(balance);
+  const toc = options.toc !== false;
 
-    // Create output directory if it doesn't exist
-    if (!fs.existsSync(outputDir)) {
-      fs.mkdirSync(outputDir, { recursive: true });
-      console.log(`✅ Created output directory: ${outputDir}`);
-    }
+  // An entry's share of a group file: its content, separator and table of contents line
+  const tocLine = (entry, part) => `- [${getEntryTitle(entry)}${part ? ` (${part})` : ''}](#${getHeadingAnchor(getEntryTitle(entry))})\n`;
+  const weighEntry = entry => weigh(renderEntry(entry)) + weigh(GROUP_SEPARATOR) + (toc ? weigh(tocLine(entry, entry.part)) : 0);
+  const groupCap = cap && toc ? cap - weigh(' '.repeat(TOC_HEADER_ALLOWANCE)) : cap;
 
-    // Get all markdown files
-    const markdownFiles = getMarkdownFiles(inputDir);
-    
-    if (markdownFiles.length === 0) {
-      console.warn('⚠️  No markdown files found in input directory');
-      return;
-    }
+  console.log('🔄 Starting markdown compaction...');
+  console.log(`   Input directory: ${inputDir}`);
+  console.log(`   Output directory: ${outputDir}`);
+  if (cap) {
+    console.log(`   Cap per group: ${options.maxSize ? `${options.maxSize} bytes` : `${options.maxTokens} tokens (estimated)`}`);
+  } else if (groupCount) {
+    console.log(`   Target groups: ${groupCount} (${groupBy ? `grouped by ${groupBy}` : `balanced by ${balance}`})`);
+  }
+  if (groupBy && (cap || !groupCount)) {
+    console.log(`   Grouped by: ${groupBy}`);
+  }
+  console.log('');
 
-    console.log(`📄 Found ${markdownFiles.length} markdown files`);
+  // Validate input directory exists
+  if (!fs.existsSync(inputDir)) {
+    throw new InputError(`Input directory does not exist: ${inputDir}`, { file: inputDir });
+  }
 
-    // Distribute files into groups
-    const fileGroups = distributeIntoGroups(markdownFiles, groupCount);
-    const actualGroupCount = fileGroups.length;
+  // Create output directory if it doesn't exist
+  if (!fs.existsSync(outputDir)) {
+    fs.mkdirSync(outputDir, { recursive: true });
+    console.log(`✅ Created output directory: ${outputDir}`);
+  }
 
-    console.log(`📦 Distributing into ${actualGroupCount} groups:`);
-    
-    // Process each group
-    let totalFilesProcessed = 0;
-    
-    for (let i = 0; i < fileGroups.length; i++) {
-      const group = fileGroups[i];
-      if (group.length === 0) continue;
-
-      const groupFilename = createGroupFilename(i, actualGroupCount, group.length);
-      const outputPath = path.join(outputDir, groupFilename);
-      
-      console.log(`   Group ${i + 1}: ${group.length} files → ${groupFilename}`);
-      
-      // Combine files in this group
-      const combinedContent = combineMarkdownFiles(group);
-      
-      // Write the combined file
-      fs.writeFileSync(outputPath, combinedContent, 'utf8');
-      totalFilesProcessed += group.length;
+  // Get all markdown files
+  const markdownFiles = getMarkdownFiles(inputDir);
+  
+  if (markdownFiles.length === 0) {
+    console.warn('⚠️  No markdown files found in input directory');
+    return { filesProcessed: 0, groupsCreated: 0, topicsSplit: 0, groups: [] };
+  }
+
+  console.log(`📄 Found ${markdownFiles.length} markdown files`);
+  let entries = readMarkdownEntries(markdownFiles);
+
+  // Split topics that don't fit under the cap on their own
+  let topicsSplit = 0;
+  if (cap) {
+    entries = entries.flatMap(entry => {
+      const entryCap = groupCap - (toc ? weigh(tocLine(entry, 'part 99 of 99')) : 0);
+      const parts = splitOversizedEntry(entry, entryCap, weigh);
+      if (parts.length > 1) {
+        topicsSplit++;
+        console.log(`✂️  Split ${entry.name} into ${parts.length} parts`);
+      }
+      return parts;
+    });
+  }
+
+  // Distribute files into groups
+  let groups;
+  if (groupBy) {
+    // With a cap, similarity clustering aims for as many groups as the total size needs
+    const totalWeight = entries.reduce((sum, entry) => sum + weighEntry(entry), 0);
+    const clusterCount = groupCount || (groupBy === 'similarity' ? Math.max(1, Math.ceil(totalWeight / groupCap)) : null);
+    groups = groupEntries(entries, groupBy, clusterCount);
+    if (cap) {
+      // Groups over the cap are packed into several files
+      groups = groups.flatMap(group => {
+        const packed = packIntoGroups(group.entries, groupCap, weighEntry);
+        if (packed.length === 1) return [group];
+        return packed.map((groupEntries, index) => ({
+          title: `${group.title} (${index + 1} of ${packed.length})`,
+          slug: `${group.slug}_${index + 1}_of_${packed.length}`,
+          entries: groupEntries
+        }));
+      });
+    }
+  } else {
+    let fileGroups;
+    if (cap) {
+      fileGroups = packIntoGroups(entries, groupCap, weighEntry);
+    } else if (balance === 'count') {
+      fileGroups = distributeIntoGroups(entries, groupCount);
+    } else {
+      fileGroups = balanceIntoGroups(entries, groupCount, weighEntry);
     }
+    fileGroups = fileGroups.filter(group => group.length > 0);
+    groups = fileGroups.map((group, index) => ({
+      title: `Group ${index + 1} of ${fileGroups.length}`,
+      slug: null,
+      entries: group
+    }));
+  }
+  const actualGroupCount = groups.length;
 
-    console.log('');
-    console.log('✅ Compaction completed successfully!');
-    console.log('📊 Statistics:');
-    console.log(`   - Input files processed: ${totalFilesProcessed}`);
-    console.log(`   - Output groups created: ${actualGroupCount}`);
-    console.log(`   - Average files per group: ${Math.round(totalFilesProcessed / actualGroupCount)}`);
-    console.log(`   - Output directory: ${outputDir}`);
+  console.log(`📦 Distributing into ${actualGroupCount} groups:`);
+  
+  // Process each group
+  const written = [];
+  for (let i = 0; i < groups.length; i++) {
+    const group = groups[i];
+    const groupFilename = group.slug
+      ? createNamedGroupFilename(i, actualGroupCount, group.slug)
+      : createGroupFilename(i, actualGroupCount, group.entries.length);
+    const outputPath = path.join(outputDir, groupFilename);
+    
+    // Combine files in this group, after the table of contents
+    const parts = toc ? [buildTableOfContents(group.title, group.entries)] : [];
+    parts.push(combineEntries(group.entries));
+    const combinedContent = parts.join(GROUP_SEPARATOR);
+    const label = group.slug ? ` "${group.title}"` : '';
+    console.log(`   Group ${i + 1}${label}: ${group.entries.length} files (${describeSize(combinedContent)}) → ${groupFilename}`);
+    
+    // Write the combined file
+    fs.writeFileSync(outputPath, combinedContent, 'utf8');
+    written.push({ title: group.title, file: outputPath, topics: group.entries.map(getEntryLabel) });
+  }
 
-  } catch (error) {
-    console.error('❌ Error compacting markdown files:', error.message);
-    process.exit(1);
+  console.log('');
+  console.log('✅ Compaction completed successfully!');
+  console.log('📊 Statistics:');
+  console.log(`   - Input files processed: ${markdownFiles.length}`);
+  if (topicsSplit > 0) {
+    console.log(`   - Topics split into parts: ${topicsSplit}`);
   }
+  console.log(`   - Output groups created: ${actualGroupCount}`);
+  console.log(`   - Average files per group: ${Math.round(entries.length / actualGroupCount)}`);
+  console.log(`   - Output directory: ${outputDir}`);
+  return { filesProcessed: markdownFiles.length, groupsCreated: actualGroupCount, topicsSplit, groups: written };
 }
 
 // Run the compactor if this file is executed directly
 if (require.main === module) {
-  const { inputDir, outputDir, groupCount } = parseArguments();
-  compactMarkdownFiles(inputDir, outputDir, groupCount);
+  runCli(() => {
+    const { inputDir, outputDir, groupCount, options } = parseArguments();
+    return compactMarkdownFiles(inputDir, outputDir, groupCount, options);
+  }, 'Error compacting markdown files', printUsage);
 }
 
 module.exports = {
   compactMarkdownFiles,
   distributeIntoGroups,
+  balanceIntoGroups,
+  packIntoGroups,
+  buildTableOfContents,
+  splitOversizedEntry,
+  splitIntoMessages,
+  splitIntoParagraphs,
+  estimateTokens,
   combineMarkdownFiles,
   getMarkdownFiles,
-  parseArguments
+  parseArguments,
+  printUsage
 };
@@ -0,0 +1,253 @@
+/**
+ * Markdown to HTML
+ * ================
+ *
+ * A small markdown renderer for the messages the pipeline produces (Turndown output and
+ * Zulip markdown), used by site_generator.js. It has no dependencies, so the generated site
+ * can be built offline.
+ *
+ * SUPPORTED:
+ * - Blocks: paragraphs (single newlines become line breaks, like on Zulip), # headings,
+ *   fenced code blocks (```lang), ```quote and ```spoiler blocks, > blockquotes (nested),
+ *   - / 1. lists (nested by indentation), pipe tables and --- rules
+ * - Inline: `code`, **bold**, *italic* / _italic_, ~~strike~~, [links](url), ![images](url),
+ *   bare http(s) URLs and @**mentions**
+ * Everything else is shown as text. All text is HTML-escaped, and links other than http(s),
+ * mailto, /absolute, ./ or ../ relative and #anchor links are dropped.
+ */
+
+const FENCE_PATTERN = /^\s*(`{3,}|~{3,})\s*([^\s`]*)\s*(.*)$/;
+const LIST_ITEM_PATTERN = /^(\s*)([-*+]|\d+[.)])\s+(.*)$/;
+const TABLE_SEPARATOR_PATTERN = /^\s*\|?\s*:?-+:?\s*(\|\s*:?-+:?\s*)*\|?\s*$/;
+
+/**
+ * Escapes text for use in HTML content and attributes
+ * @param {string} text - Plain text
+ * @returns {string} - Escaped text
+ */
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+/**
+ * Keeps a link target only if it is safe to put in an href or src. Browsers ignore leading
+ * control characters and spaces in URLs, so targets containing any are dropped rather than
+ * checked.
+ * @param {string} url - Escaped URL from the markdown
+ * @returns {string|null} - The URL, or null for anything but http(s), mailto, absolute or
+ *   ./ ../ relative paths and #anchors
+ */
+function safeUrl(url) {
+  const decoded = url.replace(/&amp;/g, '&');
+  if (/[\u0000-\u0020\u007f-\u00a0\u2000-\u200f\u2028\u2029\ufeff]/.test(decoded)) {
+    return null;
+  }
+  if (/^(https?:|mailto:)/i.test(decoded) || /^(\/|#|\.\/|\.\.\/)/.test(decoded)) {
+    return url;
+  }
+  return null;
+}
+
+/**
+ * Renders inline markdown (code, emphasis, links, images, mentions)
+ * @param {string} text - One paragraph or heading of markdown
+ * @returns {string} - HTML
+ */
+function renderInline(text) {
+  const stash = [];
+  const keep = html => `\u0000${stash.push(html) - 1}\u0000`;
+
+  let html = text
+    // Code spans first, so nothing inside them is interpreted
+    .replace(/(`+)([\s\S]*?[^`])\1(?!`)/g, (match, ticks, code) => keep(`<code>${escapeHtml(code.trim())}</code>`));
+  html = escapeHtml(html)
+    .replace(/!\[([^\]]*)\]\(([^()\s]+)(?:\s+&quot;[\s\S]*?&quot;)?\)/g, (match, alt, url) => {
+      const src = safeUrl(url);
+      return src ? keep(`<img src="${src}" alt="${alt}" loading="lazy">`) : alt;
+    })
+    .replace(/\[([^\]]+)\]\(([^()\s]+)(?:\s+&quot;[\s\S]*?&quot;)?\)/g, (match, label, url) => {
+      const href = safeUrl(url);
+      return href ? keep(`<a href="${href}">${renderEmphasis(label)}</a>`) : label;
+    })
+    .replace(/\bhttps?:\/\/[^\s<]+[^\s<.,:;!?)\]'"]/g, url => keep(`<a href="${url}">${url}</a>`))
+    .replace(/@_?\*\*([^*|]+?)(?:\|\d+)?\*\*/g, (match, name) => keep(`<span class="mention">@${name}</span>`));
+
+  return renderEmphasis(html).replace(/\u0000(\d+)\u0000/g, (match, index) => stash[Number(index)]);
+}
+
+/**
+ * Renders bold, italic and strikethrough in already escaped text
+ * @param {string} html - Escaped text
+ * @returns {string} - HTML
+ */
+function renderEmphasis(html) {
+  return html
+    .replace(/\*\*(?=\S)([\s\S]*?\S)\*\*/g, '<strong>$1</strong>')
+    .replace(/__(?=\S)([\s\S]*?\S)__/g, '<strong>$1</strong>')
+    .replace(/(^|[^\w*])\*(?=\S)([\s\S]*?\S)\*(?![\w*])/g, '$1<em>$2</em>')
+    .replace(/(^|[^\w])_(?=\S)([\s\S]*?\S)_(?!\w)/g, '$1<em>$2</em>')
+    .replace(/~~(?=\S)([\s\S]*?\S)~~/g, '<del>$1</del>');
+}
+
+/**
+ * Splits a table row into its cells
+ * @param {string} line - Row such as "| a | b |"
+ * @returns {Array} - Cell texts
+ */
+function splitTableRow(line) {
+  return line.trim().replace(/^\||\|$/g, '').split('|').map(cell => cell.trim());
+}
+
+/**
+ * Renders block-level markdown
+ * @param {string} markdown - Markdown text
+ * @returns {string} - HTML
+ */
+function renderMarkdown(markdown) {
+  const lines = String(markdown || '').replace(/\r\n?/g, '\n').split('\n');
+  const html = [];
+  let i = 0;
+
+  const isBlockStart = line => FENCE_PATTERN.test(line) || /^#{1,6}\s/.test(line) || /^\s*>/.test(line) ||
+    LIST_ITEM_PATTERN.test(line) || /^\s*([-*_])(\s*\1){2,}\s*$/.test(line);
+
+  while (i < lines.length) {
+    const line = lines[i];
+
+    if (line.trim() === '') {
+      i++;
+      continue;
+    }
+
+    // Fenced code, quote and spoiler blocks
+    const fence = line.match(FENCE_PATTERN);
+    if (fence) {
+      const body = [];
+      i++;
+      while (i < lines.length && !(lines[i].trim().startsWith(fence[1]) && lines[i].trim().replace(/[`~]/g, '') === '')) {
+        body.push(lines[i]);
+        i++;
+      }
+      i++; // closing fence
+      const language = fence[2].toLowerCase();
+      if (language === 'quote') {
+        html.push(`<blockquote>${renderMarkdown(body.join('\n'))}</blockquote>`);
+      } else if (language === 'spoiler') {
+        html.push(`<details><summary>${renderInline(fence[3] || 'Spoiler')}</summary>${renderMarkdown(body.join('\n'))}</details>`);
+      } else {
+        const languageClass = language ? ` class="language-${escapeHtml(language)}"` : '';
+        html.push(`<pre><code${languageClass}>${escapeHtml(body.join('\n'))}</code></pre>`);
+      }
+      continue;
+    }
+
+    // Headings
+    const heading = line.match(/^(#{1,6})\s+(.*?)\s*#*\s*$/);
+    if (heading) {
+      html.push(`<h${heading[1].length}>${renderInline(heading[2])}</h${heading[1].length}>`);
+      i++;
+      continue;
+    }
+
+    // Horizontal rules
+    if (/^\s*([-*_])(\s*\1){2,}\s*$/.test(line)) {
+      html.push('<hr>');
+      i++;
+      continue;
+    }
+
+    // Blockquotes
+    if (/^\s*>/.test(line)) {
+      const body = [];
+      while (i < lines.length && /^\s*>/.test(lines[i])) {
+        body.push(lines[i].replace(/^\s*> ?/, ''));
+        i++;
+      }
+      html.push(`<blockquote>${renderMarkdown(body.join('\n'))}</blockquote>`);
+      continue;
+    }
+
+    // Lists: items continue on lines indented past the marker
+    const listItem = line.match(LIST_ITEM_PATTERN);
+    if (listItem) {
+      const ordered = /\d/.test(listItem[2]);
+      const baseIndent = listItem[1].length;
+      const items = [];
+      while (i < lines.length) {
+        const item = lines[i].match(LIST_ITEM_PATTERN);
+        if (item && item[1].length === baseIndent) {
+          // A different kind of marker starts a new list
+          if (/\d/.test(item[2]) !== ordered) break;
+          items.push([item[3]]);
+        } else if (items.length > 0 && (lines[i].trim() === '' || lines[i].match(/^\s*/)[0].length > baseIndent)) {
+          items[items.length - 1].push(lines[i].replace(new RegExp(`^\\s{0,${baseIndent + 4}}`), ''));
+        } else {
+          break;
+        }
+        i++;
+      }
+      const tag = ordered ? 'ol' : 'ul';
+      html.push(`<${tag}>${items.map(item => {
+        const content = item.join('\n').trim();
+        // Single-paragraph items are rendered without a <p>
+        const rendered = renderMarkdown(content);
+        const unwrapped = rendered.match(/^<p>([\s\S]*?)<\/p>([\s\S]*)$/);
+        return `<li>${unwrapped && !unwrapped[1].includes('<p>') ? unwrapped[1] + unwrapped[2] : rendered}</li>`;
+      }).join('')}</${tag}>`);
+      continue;
+    }
+
+    // Pipe tables
+    if (line.includes('|') && i + 1 < lines.length && TABLE_SEPARATOR_PATTERN.test(lines[i + 1]) && lines[i + 1].includes('-')) {
+      const header = splitTableRow(line);
+      const rows = [];
+      i += 2;
+      while (i < lines.length && lines[i].includes('|') && lines[i].trim() !== '') {
+        rows.push(splitTableRow(lines[i]));
+        i++;
+      }
+      const head = header.map(cell => `<th>${renderInline(cell)}</th>`).join('');
+      const body = rows.map(row => `<tr>${row.map(cell => `<td>${renderInline(cell)}</td>`).join('')}</tr>`).join('');
+      html.push(`<table><thead><tr>${head}</tr></thead><tbody>${body}</tbody></table>`);
+      continue;
+    }
+
+    // Paragraphs
+    const paragraph = [];
+    while (i < lines.length && lines[i].trim() !== '' && (paragraph.length === 0 || !isBlockStart(lines[i]))) {
+      paragraph.push(lines[i].trim());
+      i++;
+    }
+    html.push(`<p>${paragraph.map(renderInline).join('<br>\n')}</p>`);
+  }
+
+  return html.join('\n');
+}
+
+/**
+ * Reduces markdown to plain text, for search indexes and snippets
+ * @param {string} markdown - Markdown text
+ * @returns {string} - Text without markup, on a single line
+ */
+function markdownToText(markdown) {
+  return String(markdown || '')
+    .replace(/^\s*(`{3,}|~{3,}).*$/gm, ' ')
+    .replace(/!\[([^\]]*)\]\([^)]*\)/g, '$1')
+    .replace(/\[([^\]]+)\]\([^)]*\)/g, '$1')
+    .replace(/@_?\*\*([^*|]+?)(?:\|\d+)?\*\*/g, '@$1')
+    .replace(/[*_~`#>|]+/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+module.exports = {
+  renderMarkdown,
+  renderInline,
+  markdownToText,
+  escapeHtml
+};
@@ -0,0 +1,182 @@
+/**
+ * Output Templates
+ * ================
+ *
+ * Shared templating layer for the markdown written by zulip_cleaner.js and data_splitter.js.
+ * A template has three levels:
+ * - message: one (collapsed) message, e.g. "**{{sender}}:** {{content}}"
+ * - topic:   a whole topic, built from the rendered messages (this is the cleaned markdown)
+ * - file:    a topic file written by data_splitter.js, e.g. "# {{topic}}\n\n{{content}}"
+ *
+ * BUILT-IN PRESETS:
+ * - default:      **alice:** message, "# Topic" file heading (the pipeline's original output),
+ *                 "# ✔ Topic" for resolved topics
+ * - front-matter: like default, with YAML front matter (title, stream, source, and
+ *                 "resolved: true" for resolved topics) for docs sites
+ * - chat:         "User: ..." / "Assistant: ..." turns for LLM corpora; the topic starter is
+ *                 the User and everyone else the Assistant
+ * - wiki:         "### alice — 2025-05-31 12:00 UTC" heading per message, nothing collapsed
+ *
+ * TEMPLATE FILES:
+ * A JSON file overriding any fields of a preset (default: "default"):
+ * {
+ *   "extends": "default",
+ *   "message": "**{{sender}}** ({{date}}):{{content_separator}}{{content}}",
+ *   "messageSeparator": "\n\n",
+ *   "topic": "{{messages}}",
+ *   "file": "# {{topic}}\n\n{{source_link}}{{content}}",
+ *   "collapse": true
+ * }
+ * "collapse" merges consecutive messages from the same sender into one (the first
+ * message's id, time and permalink are kept).
+ *
+ * PLACEHOLDERS:
+ * {{name}} inserts a value; {{name|yaml}} inserts it as a quoted YAML/JSON scalar.
+ * Missing values render as empty strings (or null with |yaml). {{#name}}...{{/name}} is
+ * only rendered when the value is present, e.g. "{{#time}} — {{time}}{{/time}}".
+ * - message: sender, sender_email, role, content, content_separator (" ", or a blank line
+ *   when the content starts with a quote or code block), id, timestamp, date, time, permalink
+ * - topic:   topic, messages, message_count, participants, first_date, last_date
+ * - file:    topic, content, permalink, source_link ("[View on Zulip](...)" plus a blank
+ *   line, or nothing), stream, realm, resolved (true for topics marked resolved on Zulip)
+ */
+
+const fs = require('fs');
+const { ConfigError } = require('./errors');
+
+const TEMPLATE_FIELDS = {
+  message: ['sender', 'sender_email', 'role', 'content', 'content_separator', 'id', 'timestamp', 'date', 'time', 'permalink'],
+  topic: ['topic', 'messages', 'message_count', 'participants', 'first_date', 'last_date'],
+  file: ['topic', 'content', 'permalink', 'source_link', 'stream', 'realm', 'resolved']
+};
+
+const TEMPLATE_PRESETS = {
+  'default': {
+    message: '**{{sender}}:**{{content_separator}}{{content}}',
+    messageSeparator: '\n\n',
+    topic: '{{messages}}',
+    file: '# {{#resolved}}✔ {{/resolved}}{{topic}}\n\n{{source_link}}{{content}}',
+    collapse: true
+  },
+  'front-matter': {
+    message: '**{{sender}}:**{{content_separator}}{{content}}',
+    messageSeparator: '\n\n',
+    topic: '{{messages}}',
+    file: '---\ntitle: {{topic|yaml}}\nstream: {{stream|yaml}}\nsource: {{permalink|yaml}}\n{{#resolved}}resolved: true\n{{/resolved}}---\n\n# {{topic}}\n\n{{content}}\n',
+    collapse: true
+  },
+  'chat': {
+    message: '{{role}}: {{content}}',
+    messageSeparator: '\n\n',
+    topic: '{{messages}}',
+    file: '{{content}}\n',
+    collapse: true
+  },
+  'wiki': {
+    message: '### {{sender}}{{#time}} — {{time}}{{/time}}\n\n{{content}}',
+    messageSeparator: '\n\n',
+    topic: '{{messages}}',
+    file: '# {{#resolved}}✔ {{/resolved}}{{topic}}\n\n{{source_link}}{{content}}\n',
+    collapse: false
+  }
+};
+
+const SECTION_PATTERN = /\{\{#\s*([a-z_]+)\s*\}\}([\s\S]*?)\{\{\/\s*\1\s*\}\}/g;
+const PLACEHOLDER_PATTERN = /\{\{\s*([a-z_]+)\s*(?:\|\s*([a-z]+)\s*)?\}\}/g;
+
+const FILTERS = {
+  yaml: value => JSON.stringify(value === undefined || value === '' ? null : value)
+};
+
+/**
+ * Checks that a template only uses known placeholders and filters
+ * @param {Object} template - Template with message, topic and file strings
+ * @param {string} source - Preset name or file, for error messages
+ */
+function validateTemplate(template, source) {
+  for (const [level, fields] of Object.entries(TEMPLATE_FIELDS)) {
+    if (typeof template[level] !== 'string') {
+      throw new ConfigError(`Template ${source}: "${level}" must be a string`);
+    }
+    for (const [, name] of template[level].matchAll(SECTION_PATTERN)) {
+      if (!fields.includes(name)) {
+        throw new ConfigError(`Template ${source}: unknown ${level} section {{#${name}}} (available: ${fields.join(', ')})`);
+      }
+    }
+    for (const [, name, filter] of template[level].matchAll(PLACEHOLDER_PATTERN)) {
+      if (!fields.includes(name)) {
+        throw new ConfigError(`Template ${source}: unknown ${level} placeholder {{${name}}} (available: ${fields.join(', ')})`);
+      }
+      if (filter && !FILTERS[filter]) {
+        throw new ConfigError(`Template ${source}: unknown filter |${filter} (available: ${Object.keys(FILTERS).join(', ')})`);
+      }
+    }
+  }
+}
+
+/**
+ * Loads a built-in preset or a JSON template file
+ * @param {string} [nameOrFile] - Preset name or path to a template file (default: "default")
+ * @returns {Object} - Template with message, messageSeparator, topic, file and collapse
+ * @throws {ConfigError} - When the template is unknown or invalid
+ */
+function loadTemplate(nameOrFile = 'default') {
+  if (TEMPLATE_PRESETS[nameOrFile]) {
+    return TEMPLATE_PRESETS[nameOrFile];
+  }
+
+  if (!fs.existsSync(nameOrFile)) {
+    throw new ConfigError(`Unknown template "${nameOrFile}" (presets: ${Object.keys(TEMPLATE_PRESETS).join(', ')}, or a JSON template file)`);
+  }
+
+  let overrides;
+  try {
+    overrides = JSON.parse(fs.readFileSync(nameOrFile, 'utf8'));
+  } catch (error) {
+    throw new ConfigError(`Template ${nameOrFile}: invalid JSON (${error.message})`, { file: nameOrFile, cause: error });
+  }
+  const base = TEMPLATE_PRESETS[overrides.extends || 'default'];
+  if (!base) {
+    throw new ConfigError(`Template ${nameOrFile}: unknown preset "${overrides.extends}" in "extends"`);
+  }
+
+  const template = { ...base, ...overrides };
+  delete template.extends;
+  validateTemplate(template, nameOrFile);
+  return template;
+}
+
+/**
+ * Fills in a template string
+ * @param {string} text - Template string with {{placeholders}}
+ * @param {Object} values - Placeholder values
+ * @returns {string} - Rendered text
+ */
+function renderTemplate(text, values) {
+  const isPresent = value => value !== undefined && value !== null && value !== '';
+  return text
+    .replace(SECTION_PATTERN, (match, name, body) => (isPresent(values[name]) ? body : ''))
+    .replace(PLACEHOLDER_PATTERN, (match, name, filter) => {
+      const value = values[name];
+      if (filter) return FILTERS[filter](value);
+      return isPresent(value) ? String(value) : '';
+    });
+}
+
+/**
+ * Formats an ISO timestamp for display, e.g. "2025-05-31 12:00 UTC"
+ * @param {string|null} timestamp - ISO 8601 timestamp
+ * @returns {string} - Formatted time, or an empty string
+ */
+function formatTime(timestamp) {
+  return timestamp ? `${timestamp.slice(0, 10)} ${timestamp.slice(11, 16)} UTC` : '';
+}
+
+module.exports = {
+  TEMPLATE_PRESETS,
+  TEMPLATE_FIELDS,
+  loadTemplate,
+  validateTemplate,
+  renderTemplate,
+  formatTime
+};
@@ -0,0 +1,513 @@
+/**
+ * Static Site Generator (Stage 3, alternative output)
+ * ===================================================
+ *
+ * This script builds an offline HTML archive of Zulip topics that anyone can browse with a
+ * web browser, straight from the files on disk (file://) or from any static web host.
+ *
+ * PIPELINE OVERVIEW:
+ * Stage 1: zulip_scraper.js  → Raw JSON data
+ * Stage 2: zulip_cleaner.js  → Cleaned markdown per topic
+ * Stage 3: data_splitter.js  → Individual markdown files
+ *          site_generator.js → Static HTML archive ← YOU ARE HERE
+ *
+ * WHAT THIS SCRIPT DOES:
+ * 1. Reads raw (or cleaned) JSON data, one dataset or a batch directory of them
+ * 2. Writes one page per topic, with an anchor per message (#msg-<id>), rendered markdown
+ *    and code blocks, and a colour per sender
+ * 3. Writes an index of topics with message counts, participants and last activity
+ * 4. Writes a search index that the index page searches in the browser, without a server
+ *
+ * OUTPUT LAYOUT:
+ * <output_dir>/
+ * ├── index.html            Topic index and search
+ * ├── style.css, search.js  Shared assets
+ * ├── search_index.js       Search data (a script, so it also loads from file://)
+ * └── <stream>/<topic>.html One page per topic (named like data_splitter.js names its files)
+ *
+ * INPUT:
+ * Raw scraper output gives the best pages: message times, permalinks, edits and reactions.
+ * Cleaned data (zulip_cleaner.js output) works too; its messages are recovered from the
+ * "**alice:**" lines, without times or message links.
+ *
+ * USAGE:
+ * node site_generator.js <input_file|input_dir> <output_dir> [--title <text>] [--assets <manifest.json|assets_dir>]
+ *
+ * EXAMPLES:
+ * node site_generator.js data/messages.json site/
+ * node site_generator.js data/2025-06/ site/ --title "Rocq Zulip archive"
+ * node site_generator.js data/messages.json site/ --assets data/zulip_messages_assets.json
+ *
+ * ASSETS:
+ * With --assets, uploads referenced by a topic are copied next to its page (see
+ * asset_bundler.js). Without it, upload links point back to the Zulip realm when the
+ * dataset's metadata names it.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { parseArgs } = require('util');
+const { createTopicSlugs } = require('./data_splitter');
+const { renderMessageContent, readAndMergeScrapes } = require('./zulip_cleaner');
+const { splitIntoMessages } = require('./markdown_compactor');
+const { getRenderedSender } = require('./chunk_exporter');
+const { renderMarkdown, markdownToText, escapeHtml } = require('./markdown_html');
+const { loadAssetSource, localizeAssets } = require('./asset_bundler');
+const { normalizeMessages, getStreamSlug, listDatasetFiles, getMessageTime, filterTopics } = require('./zulip_dataset');
+const { formatTime } = require('./output_templates');
+const { UsageError, InputError, runCli } = require('./errors');
+
+// Characters of each message kept in the search index
+const SEARCH_TEXT_LIMIT = 2000;
+// Participants listed on the index before "and N more"
+const INDEX_PARTICIPANTS = 5;
+
+const STYLE_CSS = `:root { --text: #1f2328; --muted: #656d76; --border: #d0d7de; --code: #f6f8fa; --link: #0969da; }
+* { box-sizing: border-box; }
+body { margin: 0 auto; max-width: 960px; padding: 1.5rem; font: 16px/1.5 system-ui, sans-serif; color: var(--text); }
+a { color: var(--link); }
+header { border-bottom: 1px solid var(--border); margin-bottom: 1.5rem; }
+header p { color: var(--muted); margin-top: 0; }
+table.topics { width: 100%; border-collapse: collapse; margin-bottom: 2rem; }
+table.topics th, table.topics td { text-align: left; padding: 0.4rem; border-bottom: 1px solid var(--border); vertical-align: top; }
+table.topics td.count { text-align: right; white-space: nowrap; }
+.muted, .participants, time { color: var(--muted); font-size: 0.9em; }
+#search { width: 100%; padding: 0.5rem; font-size: 1rem; margin-bottom: 1rem; }
+#results li { margin-bottom: 0.75rem; }
+#results mark { background: #fff8c5; }
+.message { border-left: 4px solid hsl(var(--hue) 60% 45%); padding: 0.25rem 0 0.25rem 0.75rem; margin: 0 0 1rem; }
+.message:target { background: #fff8c5; }
+.message .meta { display: flex; gap: 0.75rem; align-items: baseline; }
+.message .sender { font-weight: 600; color: hsl(var(--hue) 60% 35%); }
+.message .meta a { color: var(--muted); font-size: 0.85em; text-decoration: none; }
+.mention { background: #ddf4ff; border-radius: 3px; padding: 0 2px; }
+pre { background: var(--code); padding: 0.75rem; overflow-x: auto; border-radius: 6px; }
+code { background: var(--code); padding: 0 0.2em; border-radius: 3px; font-size: 0.9em; }
+pre code { background: none; padding: 0; }
+blockquote { margin: 0 0 0.75rem; padding-left: 0.75rem; border-left: 3px solid var(--border); color: var(--muted); }
+img { max-width: 100%; }
+table:not(.topics) { border-collapse: collapse; }
+table:not(.topics) th, table:not(.topics) td { border: 1px solid var(--border); padding: 0.25rem 0.5rem; }
+`;
+
+const SEARCH_JS = `// Searches window.SEARCH_INDEX (see search_index.js) for messages containing every word
+(function () {
+  var input = document.getElementById('search');
+  var results = document.getElementById('results');
+  var listing = document.getElementById('listing');
+  var index = window.SEARCH_INDEX || { pages: [], messages: [] };
+  var MAX_RESULTS = 100;
+
+  function snippet(text, word) {
+    var at = Math.max(0, text.toLowerCase().indexOf(word) - 60);
+    return (at > 0 ? '…' : '') + text.slice(at, at + 200) + (at + 200 < text.length ? '…' : '');
+  }
+
+  function addText(parent, text, word) {
+    var lower = text.toLowerCase();
+    var start = 0;
+    var at = word ? lower.indexOf(word) : -1;
+    while (at !== -1) {
+      parent.appendChild(document.createTextNode(text.slice(start, at)));
+      var mark = document.createElement('mark');
+      mark.textContent = text.slice(at, at + word.length);
+      parent.appendChild(mark);
+      start = at + word.length;
+      at = lower.indexOf(word, start);
+    }
+    parent.appendChild(document.createTextNode(text.slice(start)));
+  }
+
+  function search() {
+    var words = input.value.toLowerCase().split(/\\s+/).filter(Boolean);
+    results.textContent = '';
+    listing.hidden = words.length > 0;
+    if (words.length === 0) return;
+
+    var found = 0;
+    for (var i = 0; i < index.messages.length && found < MAX_RESULTS; i++) {
+      var message = index.messages[i];
+      var page = index.pages[message[0]];
+      var haystack = (page.topic + ' ' + message[2] + ' ' + message[3]).toLowerCase();
+      if (!words.every(function (word) { return haystack.indexOf(word) !== -1; })) continue;
+      found++;
+
+      var item = document.createElement('li');
+      var link = document.createElement('a');
+      link.href = page.url + (message[1] ? '#' + message[1] : '');
+      link.textContent = page.topic;
+      item.appendChild(link);
+      var meta = document.createElement('span');
+      meta.className = 'muted';
+      meta.textContent = ' · ' + page.stream + ' · ' + message[2];
+      item.appendChild(meta);
+      var text = document.createElement('div');
+      addText(text, snippet(message[3], words[0]), words[0]);
+      item.appendChild(text);
+      results.appendChild(item);
+    }
+    if (found === 0) {
+      var none = document.createElement('li');
+      none.textContent = 'No messages found.';
+      results.appendChild(none);
+    }
+  }
+
+  input.addEventListener('input', search);
+  var query = new URLSearchParams(window.location.search).get('q');
+  if (query) {
+    input.value = query;
+    search();
+  }
+})();
+`;
+
+/**
+ * Prints command line usage
+ * @param {string} [command] - How the generator is invoked
+ */
+function printUsage(command = 'node site_generator.js') {
+  console.log(`Usage: ${command} <input_file|input_dir> <output_dir> [--title <text>] [--assets <manifest.json|assets_dir>]`);
+  console.log(`Example: ${command} data/messages.json site/`);
+  console.log(`Example: ${command} data/2025-06/ site/ --title "Rocq Zulip archive"   (batch: one section per stream)`);
+}
+
+/**
+ * Parses command line arguments
+ * @param {Array} [argv] - Arguments without the node and script paths
+ * @returns {Object} - Object containing inputFile and outputDir paths, plus site options
+ */
+function parseArguments(argv = process.argv.slice(2)) {
+  let parsed;
+  try {
+    parsed = parseArgs({
+      args: argv,
+      allowPositionals: true,
+      options: {
+        'title': { type: 'string' },
+        'assets': { type: 'string' }
+      }
+    });
+  } catch (error) {
+    throw new UsageError(error.message);
+  }
+  const { values, positionals } = parsed;
+
+  if (positionals.length < 2) {
+    throw new UsageError('Missing required arguments');
+  }
+
+  return {
+    inputFile: path.resolve(positionals[0]),
+    outputDir: path.resolve(positionals[1]),
+    options: {
+      title: values.title || null,
+      assetSource: values.assets ? path.resolve(values.assets) : null
+    }
+  };
+}
+
+/**
+ * Turns a topic entry into the messages shown on its page
+ * @param {string|Array} entry - Raw message array or cleaned markdown
+ * @returns {Array} - Array of { id, anchor, sender, timestamp, permalink, markdown }, where id is
+ *   the Zulip message id (null for cleaned input)
+ */
+function getPageMessages(entry) {
+  if (Array.isArray(entry)) {
+    return normalizeMessages(entry).map((message, index) => {
+      const time = getMessageTime(message);
+      return {
+        id: message.id,
+        anchor: `msg-${message.id !== null ? message.id : index + 1}`,
+        sender: message.sender || 'unknown',
+        timestamp: time !== null ? new Date(time).toISOString() : null,
+        permalink: message.permalink,
+        markdown: renderMessageContent(message)
+      };
+    });
+  }
+
+  // Cleaned markdown: recover messages from the sender lines
+  const { header, messages } = splitIntoMessages(String(entry));
+  const texts = messages.length > 0 ? messages : [header];
+  return texts.filter(Boolean).map((text, index) => ({
+    id: null,
+    anchor: `msg-${index + 1}`,
+    sender: getRenderedSender(text) || 'unknown',
+    timestamp: null,
+    permalink: null,
+    markdown: text.replace(/^(\*\*[^*\n]+:\*\*[ \t]*|### [^\n]*\n+|(User|Assistant): )/, '')
+  }));
+}
+
+/**
+ * Picks a stable hue for a sender, so each person keeps their colour on every page
+ * @param {string} sender - Sender name
+ * @returns {number} - Hue between 0 and 359
+ */
+function getSenderHue(sender) {
+  // FNV-1a, which spreads similar names ("u1", "u2") across the colour wheel
+  let hash = 0x811c9dc5;
+  for (const char of sender) {
+    hash = Math.imul(hash ^ char.codePointAt(0), 0x01000193) >>> 0;
+  }
+  return hash % 360;
+}
+
+/**
+ * Gets the realm's base URL from dataset metadata, for links to uploads
+ * @param {Object} meta - Dataset metadata, or null
+ * @returns {string|null} - e.g. "https://example.zulipchat.com"
+ */
+function getRealmUrl(meta) {
+  if (!meta || !meta.realm) return null;
+  const realm = String(meta.realm).replace(/\/+$/, '');
+  return /^https?:\/\//.test(realm) ? realm : `https://${realm}`;
+}
+
+/**
+ * Wraps page content in the shared HTML layout
+ * @param {string} title - Page title
+ * @param {string} body - Page body HTML
+ * @param {string} root - Relative path to the site root ("" or "../")
+ * @param {Array} [scripts] - Scripts to load, relative to the site root
+ * @returns {string} - Complete HTML document
+ */
+function renderLayout(title, body, root, scripts = []) {
+  const scriptTags = scripts.map(script => `<script src="${root}${script}"></script>`).join('\n');
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeHtml(title)}</title>
+<link rel="stylesheet" href="${root}style.css">
+</head>
+<body>
+${body}
+${scriptTags}
+</body>
+</html>
+`;
+}
+
+/**
+ * Builds the HTML page of one topic
+ * @param {Object} page - Page with topic, stream, messages and permalink
+ * @param {string} siteTitle - Title of the whole site
+ * @returns {string} - HTML document
+ */
+function renderTopicPage(page, siteTitle) {
+  const messages = page.messages.map(message => {
+    const time = message.timestamp
+      ? `<a href="#${message.anchor}"><time datetime="${message.timestamp}">${escapeHtml(formatTime(message.timestamp))}</time></a>`
+      : `<a href="#${message.anchor}">#</a>`;
+    const zulipLink = message.permalink ? `<a href="${escapeHtml(message.permalink)}">View on Zulip</a>` : '';
+    return `<article class="message" id="${message.anchor}" style="--hue: ${getSenderHue(message.sender)}">
+<div class="meta"><span class="sender">${escapeHtml(message.sender)}</span>${time}${zulipLink}</div>
+${renderMarkdown(message.markdown)}
+</article>`;
+  }).join('\n');
+
+  const source = page.permalink ? ` · <a href="${escapeHtml(page.permalink)}">View on Zulip</a>` : '';
+  const body = `<header>
+<p><a href="../index.html">${escapeHtml(siteTitle)}</a> › ${escapeHtml(page.stream)}</p>
+<h1>${escapeHtml(page.topic)}</h1>
+<p>${page.messages.length} messages · ${escapeHtml(page.participants.join(', '))}${source}</p>
+</header>
+<main>
+${messages}
+</main>`;
+  return renderLayout(`${page.topic} · ${siteTitle}`, body, '../');
+}
+
+/**
+ * Builds the index page listing every topic
+ * @param {Array} streams - Streams with their pages
+ * @param {string} siteTitle - Title of the whole site
+ * @returns {string} - HTML document
+ */
+function renderIndexPage(streams, siteTitle) {
+  const sections = streams.map(stream => {
+    const rows = stream.pages.map(page => {
+      const shown = page.participants.slice(0, INDEX_PARTICIPANTS).join(', ');
+      const more = page.participants.length > INDEX_PARTICIPANTS ? ` and ${page.participants.length - INDEX_PARTICIPANTS} more` : '';
+      const lastActivity = page.lastTimestamp ? `<time datetime="${page.lastTimestamp}">${page.lastTimestamp.slice(0, 10)}</time>` : '';
+      return `<tr><td><a href="${page.url}">${escapeHtml(page.topic)}</a></td><td class="count">${page.messages.length}</td>` +
+        `<td class="participants">${escapeHtml(shown + more)}</td><td>${lastActivity}</td></tr>`;
+    }).join('\n');
+    return `<h2>${escapeHtml(stream.name)}</h2>
+<table class="topics">
+<thead><tr><th>Topic</th><th>Messages</th><th>Participants</th><th>Last activity</th></tr></thead>
+<tbody>
+${rows}
+</tbody>
+</table>`;
+  }).join('\n');
+
+  const topicCount = streams.reduce((sum, stream) => sum + stream.pages.length, 0);
+  const messageCount = streams.reduce((sum, stream) => sum + stream.pages.reduce((total, page) => total + page.messages.length, 0), 0);
+  const body = `<header>
+<h1>${escapeHtml(siteTitle)}</h1>
+<p>${topicCount} topics · ${messageCount} messages</p>
+</header>
+<main>
+<input id="search" type="search" placeholder="Search messages…" autocomplete="off">
+<ol id="results"></ol>
+<div id="listing">
+${sections}
+</div>
+</main>`;
+  return renderLayout(siteTitle, body, '', ['search_index.js', 'search.js']);
+}
+
+/**
+ * Builds the search index script
+ * @param {Array} streams - Streams with their pages
+ * @returns {string} - JavaScript assigning window.SEARCH_INDEX
+ */
+function buildSearchIndex(streams) {
+  const pages = [];
+  const messages = [];
+  streams.forEach(stream => stream.pages.forEach(page => {
+    const pageIndex = pages.push({ topic: page.topic, stream: stream.name, url: page.url }) - 1;
+    page.messages.forEach(message => {
+      messages.push([pageIndex, message.anchor, message.sender, markdownToText(message.markdown).slice(0, SEARCH_TEXT_LIMIT)]);
+    });
+  }));
+  // "<" is escaped so message text can't close the script
+  return `window.SEARCH_INDEX = ${JSON.stringify({ pages, messages }).replace(/</g, '\\u003c')};\n`;
+}
+
+/**
+ * Reads a dataset and prepares its topic pages
+ * @param {string} file - Raw or cleaned JSON file
+ * @param {Set} usedDirs - Stream directory names already taken
+ * @param {Object} options - mergeFiles, filters and topicAliases, as for zulip_cleaner.js
+ * @returns {Object} - Stream with name, dir, meta and pages
+ */
+function loadStream(file, usedDirs, options) {
+  let { meta, topics } = readAndMergeScrapes(file, options.mergeFiles || [], { reconcile: true, topicAliases: options.topicAliases });
+  if (options.filters) {
+    // Filters apply to raw message arrays; cleaned topics are already filtered
+    if (Object.values(topics).every(Array.isArray)) {
+      topics = filterTopics(topics, options.filters).data;
+    } else {
+      console.warn('⚠️  Warning: Filters are ignored for cleaned input');
+    }
+  }
+  let dir = getStreamSlug(meta, file);
+  for (let n = 2; usedDirs.has(dir); n++) dir = `${getStreamSlug(meta, file)}_${n}`;
+  usedDirs.add(dir);
+
+  // Topics whose names only differ in punctuation or case get distinct pages
+  const { slugs } = createTopicSlugs(Object.keys(topics));
+  const pages = Object.entries(topics).map(([topic, entry]) => {
+    const slug = slugs.get(topic);
+    const messages = getPageMessages(entry);
+    const timestamps = messages.map(message => message.timestamp).filter(Boolean).sort();
+    return {
+      topic: topic,
+      stream: meta && meta.stream ? meta.stream : dir,
+      slug: slug,
+      url: `${encodeURIComponent(dir)}/${encodeURIComponent(slug)}.html`,
+      messages: messages,
+      participants: Array.from(new Set(messages.map(message => message.sender))),
+      permalink: messages.length > 0 ? messages[0].permalink : null,
+      lastTimestamp: timestamps.length > 0 ? timestamps[timestamps.length - 1] : null
+    };
+  });
+
+  // Most recently active topics first, then by name
+  pages.sort((a, b) => (b.lastTimestamp || '').localeCompare(a.lastTimestamp || '') || a.topic.localeCompare(b.topic));
+  return { name: meta && meta.stream ? meta.stream : dir, dir, meta, pages };
+}
+
+/**
+ * Main function to generate the static site
+ * @param {string} inputFile - Raw or cleaned JSON file, or a directory of them
+ * @param {string} outputDir - Directory for the site
+ * @param {Object} [options] - title: site title (default: the stream name);
+ *   assetSource: asset bundle to copy referenced uploads from; mergeFiles, filters and
+ *   topicAliases: as for zulip_cleaner.js (used by zulip_pipeline.js)
+ * @returns {Promise<Object>} - Object containing outputDir, pagesCreated and messageCount
+ * @throws {InputError|UsageError} - When the input or asset source is missing or invalid
+ */
+async function generateSite(inputFile, outputDir, options = {}) {
+  if (!fs.existsSync(inputFile)) {
+    throw new InputError(`Input does not exist: ${inputFile}`, { file: inputFile });
+  }
+  const isBatch = fs.statSync(inputFile).isDirectory();
+  if (isBatch && (options.mergeFiles || []).length > 0) {
+    throw new UsageError('Merging only works with a single input file');
+  }
+  const files = isBatch ? listDatasetFiles(inputFile) : [inputFile];
+  if (files.length === 0) {
+    throw new InputError(`No JSON or JSONL files found in input directory: ${inputFile}`, { file: inputFile });
+  }
+
+  console.log(`Reading ${files.length} dataset${files.length === 1 ? '' : 's'}`);
+  const usedDirs = new Set();
+  const streams = files.map(file => loadStream(file, usedDirs, options));
+  const siteTitle = options.title || (streams.length === 1 ? `${streams[0].name} archive` : 'Zulip archive');
+  const getAsset = options.assetSource ? loadAssetSource(options.assetSource) : null;
+
+  fs.mkdirSync(outputDir, { recursive: true });
+  let pagesCreated = 0;
+  let messageCount = 0;
+  for (const stream of streams) {
+    const streamDir = path.join(outputDir, stream.dir);
+    fs.mkdirSync(streamDir, { recursive: true });
+    const realmUrl = getRealmUrl(stream.meta);
+
+    for (const page of stream.pages) {
+      for (const message of page.messages) {
+        if (getAsset) {
+          const localized = localizeAssets(message.markdown, getAsset, streamDir);
+          message.markdown = localized.markdown;
+          localized.missing.forEach(url => console.warn(`⚠️  Warning: Upload not found in asset bundle: ${url}`));
+        }
+        if (realmUrl) {
+          // Uploads that weren't copied still open on the realm
+          message.markdown = message.markdown.replace(/(\]\()\/user_uploads\//g, `$1${realmUrl}/user_uploads/`);
+        }
+      }
+      fs.writeFileSync(path.join(streamDir, `${page.slug}.html`), renderTopicPage(page, siteTitle), 'utf8');
+      console.log(`✅ Created: ${stream.dir}/${page.slug}.html`);
+      pagesCreated++;
+      messageCount += page.messages.length;
+    }
+  }
+
+  fs.writeFileSync(path.join(outputDir, 'index.html'), renderIndexPage(streams, siteTitle), 'utf8');
+  fs.writeFileSync(path.join(outputDir, 'search_index.js'), buildSearchIndex(streams), 'utf8');
+  fs.writeFileSync(path.join(outputDir, 'search.js'), SEARCH_JS, 'utf8');
+  fs.writeFileSync(path.join(outputDir, 'style.css'), STYLE_CSS, 'utf8');
+
+  console.log('✅ Site generated successfully!');
+  console.log('📊 Statistics:');
+  console.log(`   - Topic pages: ${pagesCreated}`);
+  console.log(`   - Messages: ${messageCount}`);
+  console.log(`   - Open: ${path.join(outputDir, 'index.html')}`);
+  return { outputDir, pagesCreated, messageCount };
+}
+
+// Run the generator if this file is executed directly
+if (require.main === module) {
+  runCli(() => {
+    const { inputFile, outputDir, options } = parseArguments();
+    return generateSite(inputFile, outputDir, options);
+  }, 'Error generating site', printUsage);
+}
+
+module.exports = {
+  generateSite,
+  renderTopicPage,
+  renderIndexPage,
+  buildSearchIndex,
+  getPageMessages,
+  getSenderHue,
+  parseArguments,
+  printUsage
+};
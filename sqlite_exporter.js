@@ -0,0 +1,436 @@
+/**
+ * SQLite Exporter
+ * ===============
+ *
+ * This script loads raw Zulip scrapes into a SQLite database, for analysis with SQL instead
+ * of walking the { topic: [message] } JSON by hand.
+ *
+ * PIPELINE OVERVIEW:
+ * Stage 1: zulip_scraper.js   → Raw JSON data
+ *          sqlite_exporter.js → SQLite database ← YOU ARE HERE
+ * Stage 2: zulip_cleaner.js   → Cleaned markdown per topic
+ *
+ * WHAT THIS SCRIPT DOES:
+ * 1. Reads one or more raw scrapes (files or batch directories), with the same --merge and
+ *    filter options as zulip_cleaner.js
+ * 2. Creates the schema below if the database is new
+ * 3. Upserts streams, topics, users, messages, reactions and attachments, so importing an
+ *    updated scrape again updates the rows it already loaded instead of duplicating them
+ * 4. Keeps a full-text index of message content in messages_fts (SQLite FTS5)
+ *
+ * SCHEMA:
+ * streams        (id, realm, name)                                  unique (realm, name)
+ * topics         (id, stream_id, name)                              unique (stream_id, name)
+ * users          (id, realm, key, zulip_id, email, name)            unique (realm, key)
+ * messages       (id, key, zulip_id, topic_id, user_id, content, timestamp, permalink, edited)
+ * reactions      (message_id, emoji, count)
+ * reaction_users (message_id, emoji, user_id)
+ * attachments    (message_id, path, url)
+ * messages_fts   FTS5 over messages.content (kept in sync by triggers)
+ * A message's key is its realm and Zulip id, or for old scrapes without ids its stream,
+ * topic, sender and content. A user's key is the Zulip user id, else the email, else the
+ * display name. Reactors are only known by name, so they are matched to users by name.
+ *
+ * REQUIREMENTS:
+ * Node.js 22.5 or later, for the built-in node:sqlite module (FTS5 included). On older
+ * versions the export stops with a PipelineError saying so, before it touches the database.
+ * Node.js flags node:sqlite as experimental; that warning is not printed.
+ *
+ * USAGE:
+ * node sqlite_exporter.js <input_file|input_dir>... <output.db> [--merge <previous_raw.json>]... [filters]
+ * Filters: [--since <date>] [--until <date>] [--topic-regex <pattern>]
+ *   [--include-sender <name>]... [--exclude-sender <name>]... [--min-messages <n>]
+ *
+ * EXAMPLES:
+ * node sqlite_exporter.js data/messages.json zulip.db
+ * node sqlite_exporter.js data/2025-06/ data/2025-07/ zulip.db
+ * node sqlite_exporter.js data/update.json zulip.db --merge data/messages.json
+ * sqlite3 zulip.db "SELECT m.timestamp, t.name FROM messages_fts f JOIN messages m ON m.id = f.rowid
+ *   JOIN topics t ON t.id = m.topic_id WHERE messages_fts MATCH 'unification' ORDER BY rank"
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { parseArgs } = require('util');
+const { readAndMergeScrapes, printFilterSummary, FILTER_OPTIONS, parseFilters } = require('./zulip_cleaner');
+const { normalizeMessages, getStreamSlug, listDatasetFiles, getMessageKey, getMessageTime, filterTopics } = require('./zulip_dataset');
+const { extractUploadUrls, getUploadPath } = require('./asset_bundler');
+const { PipelineError, UsageError, InputError, runCli } = require('./errors');
+
+// First Node.js release with node:sqlite available without a flag (also package.json "engines")
+const MIN_NODE_VERSION = '22.5';
+
+const SCHEMA = `
+CREATE TABLE IF NOT EXISTS streams (
+  id INTEGER PRIMARY KEY,
+  realm TEXT NOT NULL,
+  name TEXT NOT NULL,
+  UNIQUE (realm, name)
+);
+CREATE TABLE IF NOT EXISTS topics (
+  id INTEGER PRIMARY KEY,
+  stream_id INTEGER NOT NULL REFERENCES streams(id),
+  name TEXT NOT NULL,
+  UNIQUE (stream_id, name)
+);
+CREATE TABLE IF NOT EXISTS users (
+  id INTEGER PRIMARY KEY,
+  realm TEXT NOT NULL,
+  key TEXT NOT NULL,
+  zulip_id INTEGER,
+  email TEXT,
+  name TEXT NOT NULL,
+  UNIQUE (realm, key)
+);
+CREATE TABLE IF NOT EXISTS messages (
+  id INTEGER PRIMARY KEY,
+  key TEXT NOT NULL UNIQUE,
+  zulip_id INTEGER,
+  topic_id INTEGER NOT NULL REFERENCES topics(id),
+  user_id INTEGER NOT NULL REFERENCES users(id),
+  content TEXT NOT NULL,
+  timestamp TEXT,
+  permalink TEXT,
+  edited INTEGER NOT NULL DEFAULT 0
+);
+CREATE INDEX IF NOT EXISTS messages_topic ON messages (topic_id, timestamp);
+CREATE INDEX IF NOT EXISTS messages_user ON messages (user_id);
+CREATE TABLE IF NOT EXISTS reactions (
+  message_id INTEGER NOT NULL REFERENCES messages(id) ON DELETE CASCADE,
+  emoji TEXT NOT NULL,
+  count INTEGER NOT NULL,
+  PRIMARY KEY (message_id, emoji)
+);
+CREATE TABLE IF NOT EXISTS reaction_users (
+  message_id INTEGER NOT NULL REFERENCES messages(id) ON DELETE CASCADE,
+  emoji TEXT NOT NULL,
+  user_id INTEGER NOT NULL REFERENCES users(id),
+  PRIMARY KEY (message_id, emoji, user_id)
+);
+CREATE TABLE IF NOT EXISTS attachments (
+  message_id INTEGER NOT NULL REFERENCES messages(id) ON DELETE CASCADE,
+  path TEXT NOT NULL,
+  url TEXT NOT NULL,
+  PRIMARY KEY (message_id, path)
+);
+CREATE VIRTUAL TABLE IF NOT EXISTS messages_fts USING fts5 (content, content = 'messages', content_rowid = 'id');
+CREATE TRIGGER IF NOT EXISTS messages_fts_insert AFTER INSERT ON messages BEGIN
+  INSERT INTO messages_fts (rowid, content) VALUES (new.id, new.content);
+END;
+CREATE TRIGGER IF NOT EXISTS messages_fts_delete AFTER DELETE ON messages BEGIN
+  INSERT INTO messages_fts (messages_fts, rowid, content) VALUES ('delete', old.id, old.content);
+END;
+CREATE TRIGGER IF NOT EXISTS messages_fts_update AFTER UPDATE OF content ON messages BEGIN
+  INSERT INTO messages_fts (messages_fts, rowid, content) VALUES ('delete', old.id, old.content);
+  INSERT INTO messages_fts (rowid, content) VALUES (new.id, new.content);
+END;
+`;
+
+/**
+ * Prints command line usage
+ * @param {string} [command] - How the exporter is invoked
+ */
+function printUsage(command = 'node sqlite_exporter.js') {
+  console.log(`Usage: ${command} <input_file|input_dir>... <output.db> [--merge <previous_raw.json>]... [filters]`);
+  console.log('Filters: [--since <date>] [--until <date>] [--topic-regex <pattern>] [--include-sender <name>]... [--exclude-sender <name>]... [--min-messages <n>]');
+  console.log(`Example: ${command} data/messages.json zulip.db`);
+  console.log(`Example: ${command} data/2025-06/ data/2025-07/ zulip.db   (every scrape in both batches)`);
+  console.log(`Example: ${command} data/update.json zulip.db --merge data/messages.json`);
+}
+
+/**
+ * Parses command line arguments
+ * @param {Array} [argv] - Arguments without the node and script paths
+ * @returns {Object} - Object containing inputFiles and outputFile paths, plus export options
+ */
+function parseArguments(argv = process.argv.slice(2)) {
+  let parsed;
+  try {
+    parsed = parseArgs({
+      args: argv,
+      allowPositionals: true,
+      options: {
+        'merge': { type: 'string', multiple: true },
+        ...FILTER_OPTIONS
+      }
+    });
+  } catch (error) {
+    throw new UsageError(error.message);
+  }
+  const { values, positionals } = parsed;
+
+  if (positionals.length < 2) {
+    throw new UsageError('Missing required arguments');
+  }
+
+  return {
+    inputFiles: positionals.slice(0, -1).map(input => path.resolve(input)),
+    outputFile: path.resolve(positionals[positionals.length - 1]),
+    options: {
+      mergeFiles: (values.merge || []).map(file => path.resolve(file)),
+      filters: parseFilters(values)
+    }
+  };
+}
+
+/**
+ * Loads the built-in SQLite module, without the "experimental feature" warning Node.js
+ * prints the first time it is loaded (other warnings still go through)
+ * @returns {Object} - The node:sqlite module
+ * @throws {PipelineError} - When this Node.js has no node:sqlite
+ */
+function loadSqlite() {
+  const emitWarning = process.emitWarning;
+  process.emitWarning = (warning, ...args) => {
+    const type = typeof args[0] === 'string' ? args[0] : (args[0] || {}).type;
+    if (type === 'ExperimentalWarning' && /SQLite/.test(String(warning))) return;
+    emitWarning.call(process, warning, ...args);
+  };
+  try {
+    return require('node:sqlite');
+  } catch (error) {
+    throw new PipelineError(`SQLite export needs Node.js ${MIN_NODE_VERSION} or later, which has SQLite built in (node:sqlite); ` +
+      `this is Node.js ${process.version}. Install a newer Node.js (e.g. "nvm install 22") to use it`, { cause: error });
+  } finally {
+    process.emitWarning = emitWarning;
+  }
+}
+
+/**
+ * Opens (or creates) the database and makes sure the schema exists
+ * @param {string} outputFile - Database file
+ * @returns {Object} - node:sqlite DatabaseSync
+ * @throws {PipelineError} - When this Node.js has no node:sqlite
+ */
+function openDatabase(outputFile) {
+  const sqlite = loadSqlite();
+  fs.mkdirSync(path.dirname(outputFile), { recursive: true });
+  const db = new sqlite.DatabaseSync(outputFile);
+  db.exec('PRAGMA foreign_keys = ON');
+  db.exec(SCHEMA);
+  return db;
+}
+
+/**
+ * Prepares the statements used to upsert rows
+ * @param {Object} db - Open database
+ * @returns {Object} - Prepared statements
+ */
+function prepareStatements(db) {
+  return {
+    upsertStream: db.prepare(`INSERT INTO streams (realm, name) VALUES (?, ?)
+      ON CONFLICT (realm, name) DO UPDATE SET name = excluded.name RETURNING id`),
+    upsertTopic: db.prepare(`INSERT INTO topics (stream_id, name) VALUES (?, ?)
+      ON CONFLICT (stream_id, name) DO UPDATE SET name = excluded.name RETURNING id`),
+    upsertUser: db.prepare(`INSERT INTO users (realm, key, zulip_id, email, name) VALUES (?, ?, ?, ?, ?)
+      ON CONFLICT (realm, key) DO UPDATE SET
+        zulip_id = COALESCE(excluded.zulip_id, zulip_id), email = COALESCE(excluded.email, email), name = excluded.name
+      RETURNING id`),
+    findUserByName: db.prepare('SELECT id FROM users WHERE realm = ? AND name = ? ORDER BY zulip_id IS NULL, id LIMIT 1'),
+    findMessage: db.prepare('SELECT id, topic_id, user_id, content, timestamp, permalink, edited FROM messages WHERE key = ?'),
+    insertMessage: db.prepare(`INSERT INTO messages (key, zulip_id, topic_id, user_id, content, timestamp, permalink, edited)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?) RETURNING id`),
+    updateMessage: db.prepare(`UPDATE messages SET topic_id = ?, user_id = ?, content = ?, timestamp = ?, permalink = ?, edited = ?
+      WHERE id = ?`),
+    deleteReactions: db.prepare('DELETE FROM reactions WHERE message_id = ?'),
+    deleteReactionUsers: db.prepare('DELETE FROM reaction_users WHERE message_id = ?'),
+    deleteAttachments: db.prepare('DELETE FROM attachments WHERE message_id = ?'),
+    insertReaction: db.prepare('INSERT OR REPLACE INTO reactions (message_id, emoji, count) VALUES (?, ?, ?)'),
+    insertReactionUser: db.prepare('INSERT OR IGNORE INTO reaction_users (message_id, emoji, user_id) VALUES (?, ?, ?)'),
+    insertAttachment: db.prepare('INSERT OR IGNORE INTO attachments (message_id, path, url) VALUES (?, ?, ?)')
+  };
+}
+
+/**
+ * Upserts the sender of a message
+ * @param {Object} statements - Prepared statements
+ * @param {string} realm - Realm of the scrape ("" when unknown)
+ * @param {Object} message - Normalized message object
+ * @returns {number} - users.id
+ */
+function upsertSender(statements, realm, message) {
+  const key = message.sender_id !== null
+    ? `id:${message.sender_id}`
+    : message.sender_email ? `email:${message.sender_email.toLowerCase()}` : `name:${message.sender}`;
+  const zulipId = message.sender_id !== null && Number.isFinite(Number(message.sender_id)) ? Number(message.sender_id) : null;
+  return statements.upsertUser.get(realm, key, zulipId, message.sender_email, String(message.sender || 'unknown')).id;
+}
+
+/**
+ * Finds a reactor by display name, adding them as a user if they are new
+ * @param {Object} statements - Prepared statements
+ * @param {string} realm - Realm of the scrape
+ * @param {string} name - Display name
+ * @returns {number} - users.id
+ */
+function findReactor(statements, realm, name) {
+  const existing = statements.findUserByName.get(realm, name);
+  return existing ? existing.id : statements.upsertUser.get(realm, `name:${name}`, null, null, name).id;
+}
+
+/**
+ * Replaces a message's reactions and attachments
+ * @param {Object} statements - Prepared statements
+ * @param {string} realm - Realm of the scrape
+ * @param {number} messageId - messages.id
+ * @param {Object} message - Normalized message object
+ */
+function replaceMessageDetails(statements, realm, messageId, message) {
+  statements.deleteReactions.run(messageId);
+  statements.deleteReactionUsers.run(messageId);
+  statements.deleteAttachments.run(messageId);
+
+  for (const reaction of message.reactions) {
+    if (!reaction || !reaction.emoji) continue;
+    const reactors = Array.isArray(reaction.reactors) ? reaction.reactors : [];
+    const count = Number.isFinite(Number(reaction.count)) ? Number(reaction.count) : reactors.length;
+    statements.insertReaction.run(messageId, String(reaction.emoji), count);
+    reactors.forEach(name => statements.insertReactionUser.run(messageId, String(reaction.emoji), findReactor(statements, realm, String(name))));
+  }
+
+  // Older scrapes have no attachments field, but their upload links are in the content
+  const urls = message.attachments.length > 0 ? message.attachments : extractUploadUrls(message.content || '');
+  urls.forEach(url => statements.insertAttachment.run(messageId, getUploadPath(url), url));
+}
+
+/**
+ * Loads one scrape into the database, in a single transaction
+ * @param {Object} db - Open database
+ * @param {Object} statements - Prepared statements
+ * @param {string} inputFile - Raw scrape
+ * @param {Object} options - mergeFiles, filters and topicAliases, as for zulip_cleaner.js
+ * @returns {Object} - Object containing stream, topicCount, added, updated and unchanged
+ */
+function exportFile(db, statements, inputFile, options) {
+  console.log('Reading input file:', inputFile);
+  if (!fs.existsSync(inputFile)) {
+    throw new InputError(`Input file does not exist: ${inputFile}`, { file: inputFile });
+  }
+
+  let { meta, topics } = readAndMergeScrapes(inputFile, options.mergeFiles || [], { reconcile: true, topicAliases: options.topicAliases });
+  if (!Object.values(topics).every(Array.isArray)) {
+    throw new InputError(`Not a raw scrape (cleaned files have no messages to load): ${inputFile}`, { file: inputFile });
+  }
+  if (options.filters) {
+    const { data, dropped } = filterTopics(topics, options.filters);
+    printFilterSummary(dropped, Object.keys(data).length);
+    topics = data;
+  }
+
+  const realm = meta && meta.realm ? String(meta.realm) : '';
+  const stream = meta && meta.stream ? meta.stream : getStreamSlug(meta, inputFile);
+  const stats = { stream, topicCount: 0, added: 0, updated: 0, unchanged: 0 };
+
+  db.exec('BEGIN');
+  try {
+    const streamId = statements.upsertStream.get(realm, stream).id;
+    for (const [topicName, messages] of Object.entries(topics)) {
+      const topicId = statements.upsertTopic.get(streamId, topicName).id;
+      stats.topicCount++;
+
+      for (const message of normalizeMessages(messages)) {
+        // Messages without ids are only told apart by sender and content, within their topic
+        const key = message.id !== null
+          ? `${realm}|${getMessageKey(message)}`
+          : `${realm}|${stream}|${topicName}|${getMessageKey(message)}`;
+        const userId = upsertSender(statements, realm, message);
+        const time = getMessageTime(message);
+        const row = [topicId, userId, String(message.content || ''), time !== null ? new Date(time).toISOString() : null,
+          message.permalink, message.edited ? 1 : 0];
+
+        const existing = statements.findMessage.get(key);
+        let messageId;
+        if (!existing) {
+          messageId = statements.insertMessage.get(key, message.id, ...row).id;
+          stats.added++;
+        } else {
+          messageId = existing.id;
+          const current = [existing.topic_id, existing.user_id, existing.content, existing.timestamp, existing.permalink, existing.edited];
+          if (current.every((value, i) => value === row[i])) {
+            stats.unchanged++;
+          } else {
+            statements.updateMessage.run(...row, messageId);
+            stats.updated++;
+          }
+        }
+        // Reactions change without the message changing, so they are always refreshed
+        replaceMessageDetails(statements, realm, messageId, message);
+      }
+    }
+    db.exec('COMMIT');
+  } catch (error) {
+    db.exec('ROLLBACK');
+    throw error;
+  }
+
+  console.log(`Loaded ${stats.topicCount} topics: ${stats.added} new, ${stats.updated} updated, ${stats.unchanged} unchanged messages`);
+  return stats;
+}
+
+/**
+ * Main function to export scrapes to SQLite
+ * @param {Array|string} inputFiles - Raw scrapes, or directories of them
+ * @param {string} outputFile - Database file, created if it doesn't exist
+ * @param {Object} [options] - mergeFiles: earlier scrapes to merge a single input into;
+ *   filters: topic and message filters (see filterTopics in zulip_dataset.js); topicAliases:
+ *   topic renames to merge, as for zulip_cleaner.js
+ * @returns {Promise<Array>} - Array of { file, stream, topicCount, added, updated, unchanged }
+ * @throws {InputError|UsageError|PipelineError} - When an input is missing or invalid, the
+ *   options don't fit the inputs, or node:sqlite is unavailable
+ */
+async function exportToSqlite(inputFiles, outputFile, options = {}) {
+  const inputs = [].concat(inputFiles);
+  const files = [];
+  for (const input of inputs) {
+    if (!fs.existsSync(input)) {
+      throw new InputError(`Input does not exist: ${input}`, { file: input });
+    }
+    if (fs.statSync(input).isDirectory()) {
+      const batch = listDatasetFiles(input);
+      if (batch.length === 0) {
+        throw new InputError(`No JSON or JSONL files found in input directory: ${input}`, { file: input });
+      }
+      files.push(...batch);
+    } else {
+      files.push(input);
+    }
+  }
+  if ((options.mergeFiles || []).length > 0 && (inputs.length > 1 || fs.statSync(inputs[0]).isDirectory())) {
+    throw new UsageError('--merge only works with a single input file');
+  }
+
+  const db = openDatabase(outputFile);
+  let results;
+  try {
+    const statements = prepareStatements(db);
+    results = files.map(file => ({ file, ...exportFile(db, statements, file, options) }));
+  } finally {
+    db.close();
+  }
+
+  const sum = key => results.reduce((total, result) => total + result[key], 0);
+  console.log('✅ SQLite export completed successfully!');
+  console.log('📊 Statistics:');
+  console.log(`   - Scrapes loaded: ${results.length}`);
+  console.log(`   - Topics: ${sum('topicCount')}`);
+  console.log(`   - Messages: ${sum('added')} new, ${sum('updated')} updated, ${sum('unchanged')} unchanged`);
+  console.log(`   - Database: ${outputFile}`);
+  return results;
+}
+
+// Run the exporter if this file is executed directly
+if (require.main === module) {
+  runCli(() => {
+    const { inputFiles, outputFile, options } = parseArguments();
+    return exportToSqlite(inputFiles, outputFile, options);
+  }, 'Error exporting to SQLite', printUsage);
+}
+
+module.exports = {
+  exportToSqlite,
+  openDatabase,
+  loadSqlite,
+  SCHEMA,
+  parseArguments,
+  printUsage
+};
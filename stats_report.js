@@ -0,0 +1,560 @@
+/**
+ * Stats Report
+ * ============
+ *
+ * This script builds an activity report for raw Zulip scrapes: who posts, where, when, how
+ * quickly questions get answered, and which topics never got a reply.
+ *
+ * PIPELINE OVERVIEW:
+ * Stage 1: zulip_scraper.js → Raw JSON data
+ *          stats_report.js  → Markdown and JSON report ← YOU ARE HERE
+ * Stage 2: zulip_cleaner.js → Cleaned markdown per topic
+ *
+ * WHAT THIS SCRIPT DOES:
+ * 1. Reads one or more raw scrapes (files or batch directories), with the same --merge and
+ *    filter options as zulip_cleaner.js. Topics of the same stream found in several scrapes
+ *    are combined, without counting a message twice.
+ * 2. Counts messages per topic, per sender and (when messages have timestamps) per week
+ * 3. Measures topic lifetimes (first to last message) and response times
+ * 4. Lists unanswered topics: topics where only one sender ever posted
+ * 5. Writes <output_dir>/stats.md and <output_dir>/stats.json
+ *
+ * RESPONSE TIMES:
+ * - First response: from a topic's first message to the first message by anyone else
+ * - Reply: from a message to the next message in the topic, when a different sender posts it
+ * Both are reported as min/median/p90/max and in buckets (< 1 hour, 1-6 hours, ...).
+ * Older scrapes without timestamps still get message counts and unanswered topics, but no
+ * weeks, lifetimes or response times.
+ *
+ * USAGE:
+ * node stats_report.js <input_file|input_dir>... <output_dir> [--merge <previous_raw.json>]... [--top <n>] [filters]
+ * Filters: [--since <date>] [--until <date>] [--topic-regex <pattern>]
+ *   [--include-sender <name>]... [--exclude-sender <name>]... [--min-messages <n>]
+ * --top sets how many topics and senders the markdown tables show (default: 20); the JSON
+ * report always has all of them.
+ *
+ * EXAMPLES:
+ * node stats_report.js data/messages.json reports/ltac2
+ * node stats_report.js data/2025-06/ reports/2025-06 --exclude-sender "Notification Bot"
+ * node stats_report.js data/messages.json reports/q2 --since 2025-04-01 --until 2025-06-30 --top 50
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { parseArgs } = require('util');
+const { readAndMergeScrapes, printFilterSummary, FILTER_OPTIONS, parseFilters } = require('./zulip_cleaner');
+const { normalizeMessages, getStreamSlug, listDatasetFiles, getMessageKey, getMessageTime, filterTopics } = require('./zulip_dataset');
+const { UsageError, InputError, runCli } = require('./errors');
+
+const DEFAULT_TOP = 20;
+const HOUR = 3600;
+const DAY = 24 * HOUR;
+const WEEK_MS = 7 * DAY * 1000;
+
+// Upper bounds (in seconds) of the response time buckets; the last bucket is open-ended
+const RESPONSE_BUCKETS = [
+  { label: '< 1 hour', max: HOUR },
+  { label: '1-6 hours', max: 6 * HOUR },
+  { label: '6-24 hours', max: DAY },
+  { label: '1-7 days', max: 7 * DAY },
+  { label: '> 7 days', max: Infinity }
+];
+
+/**
+ * Prints command line usage
+ * @param {string} [command] - How the report is invoked
+ */
+function printUsage(command = 'node stats_report.js') {
+  console.log(`Usage: ${command} <input_file|input_dir>... <output_dir> [--merge <previous_raw.json>]... [--top <n>] [filters]`);
+  console.log('Filters: [--since <date>] [--until <date>] [--topic-regex <pattern>] [--include-sender <name>]... [--exclude-sender <name>]... [--min-messages <n>]');
+  console.log(`--top sets how many topics and senders the markdown tables show (default: ${DEFAULT_TOP})`);
+  console.log(`Example: ${command} data/messages.json reports/ltac2`);
+  console.log(`Example: ${command} data/2025-06/ reports/2025-06 --exclude-sender "Notification Bot"`);
+}
+
+/**
+ * Parses command line arguments
+ * @param {Array} [argv] - Arguments without the node and script paths
+ * @returns {Object} - Object containing inputFiles and outputDir paths, plus report options
+ */
+function parseArguments(argv = process.argv.slice(2)) {
+  let parsed;
+  try {
+    parsed = parseArgs({
+      args: argv,
+      allowPositionals: true,
+      options: {
+        'merge': { type: 'string', multiple: true },
+        'top': { type: 'string' },
+        ...FILTER_OPTIONS
+      }
+    });
+  } catch (error) {
+    throw new UsageError(error.message);
+  }
+  const { values, positionals } = parsed;
+
+  if (positionals.length < 2) {
+    throw new UsageError('Missing required arguments');
+  }
+
+  let top = DEFAULT_TOP;
+  if (values.top !== undefined) {
+    top = Number(values.top);
+    if (!Number.isInteger(top) || top < 1) {
+      throw new UsageError(`--top must be a positive integer, got "${values.top}"`);
+    }
+  }
+
+  return {
+    inputFiles: positionals.slice(0, -1).map(input => path.resolve(input)),
+    outputDir: path.resolve(positionals[positionals.length - 1]),
+    options: {
+      mergeFiles: (values.merge || []).map(file => path.resolve(file)),
+      filters: parseFilters(values),
+      top
+    }
+  };
+}
+
+/**
+ * Formats a duration for the markdown report, e.g. "3d 4h", "2h 5m" or "45s"
+ * @param {number|null} seconds - Duration in seconds
+ * @returns {string} - Formatted duration, or "-" when unknown
+ */
+function formatDuration(seconds) {
+  if (seconds === null || seconds === undefined) return '-';
+  const rounded = Math.round(seconds);
+  if (rounded < 60) return `${rounded}s`;
+  const minutes = Math.floor(rounded / 60);
+  if (minutes < 60) return `${minutes}m`;
+  const hours = Math.floor(minutes / 60);
+  if (hours < 24) return minutes % 60 > 0 ? `${hours}h ${minutes % 60}m` : `${hours}h`;
+  const days = Math.floor(hours / 24);
+  return hours % 24 > 0 ? `${days}d ${hours % 24}h` : `${days}d`;
+}
+
+/**
+ * Formats milliseconds since the epoch as an ISO timestamp
+ * @param {number|null} time - Milliseconds, or null
+ * @returns {string|null} - ISO 8601 timestamp, or null
+ */
+function toIso(time) {
+  return time === null ? null : new Date(time).toISOString();
+}
+
+/**
+ * Gets the start (Monday 00:00 UTC) of the week a time falls in
+ * @param {number} time - Milliseconds since the epoch
+ * @returns {number} - Milliseconds at the start of the week
+ */
+function getWeekStart(time) {
+  const date = new Date(time);
+  date.setUTCHours(0, 0, 0, 0);
+  // getUTCDay() is 0 on Sunday, which belongs to the week that started six days earlier
+  date.setUTCDate(date.getUTCDate() - ((date.getUTCDay() + 6) % 7));
+  return date.getTime();
+}
+
+/**
+ * Summarizes a list of durations
+ * @param {Array} values - Durations in seconds
+ * @returns {Object} - Object containing count, min, median, p90, max and mean (null when empty)
+ */
+function summarize(values) {
+  if (values.length === 0) {
+    return { count: 0, min: null, median: null, p90: null, max: null, mean: null };
+  }
+  const sorted = [...values].sort((a, b) => a - b);
+  // Nearest-rank percentiles, so every reported value is one that actually occurred
+  const percentile = p => sorted[Math.max(0, Math.ceil(p * sorted.length) - 1)];
+  return {
+    count: sorted.length,
+    min: sorted[0],
+    median: percentile(0.5),
+    p90: percentile(0.9),
+    max: sorted[sorted.length - 1],
+    mean: Math.round(sorted.reduce((sum, value) => sum + value, 0) / sorted.length)
+  };
+}
+
+/**
+ * Sorts durations into RESPONSE_BUCKETS
+ * @param {Array} values - Durations in seconds
+ * @returns {Array} - Array of { label, count }
+ */
+function bucketDurations(values) {
+  const buckets = RESPONSE_BUCKETS.map(bucket => ({ label: bucket.label, count: 0 }));
+  for (const value of values) {
+    buckets[RESPONSE_BUCKETS.findIndex(bucket => value < bucket.max)].count++;
+  }
+  return buckets;
+}
+
+/**
+ * Gets the key a sender is counted under: the Zulip user id when known, else the name
+ * @param {Object} message - Normalized message object
+ * @returns {string} - Sender key
+ */
+function getSenderKey(message) {
+  return message.sender_id !== null ? `id:${message.sender_id}` : `name:${message.sender}`;
+}
+
+/**
+ * Reads the topics of one raw scrape, merged and filtered like the cleaner does
+ * @param {string} inputFile - Raw scrape
+ * @param {Object} options - mergeFiles, filters and topicAliases, as for zulip_cleaner.js
+ * @returns {Object} - Object containing realm, stream and topics ({ topic: [message] })
+ * @throws {InputError} - When the file is missing, invalid or not a raw scrape
+ */
+function readStream(inputFile, options) {
+  console.log('Reading input file:', inputFile);
+  if (!fs.existsSync(inputFile)) {
+    throw new InputError(`Input file does not exist: ${inputFile}`, { file: inputFile });
+  }
+
+  let { meta, topics } = readAndMergeScrapes(inputFile, options.mergeFiles || [], { reconcile: true, topicAliases: options.topicAliases });
+  if (!Object.values(topics).every(Array.isArray)) {
+    throw new InputError(`Not a raw scrape (cleaned files have no messages to count): ${inputFile}`, { file: inputFile });
+  }
+  if (options.filters) {
+    const { data, dropped } = filterTopics(topics, options.filters);
+    printFilterSummary(dropped, Object.keys(data).length);
+    topics = data;
+  }
+
+  return {
+    realm: meta && meta.realm ? String(meta.realm) : '',
+    stream: meta && meta.stream ? meta.stream : getStreamSlug(meta, inputFile),
+    topics
+  };
+}
+
+/**
+ * Measures one topic
+ * @param {string} stream - Stream name
+ * @param {string} topicName - Topic name
+ * @param {Array} messages - Normalized messages in chronological order
+ * @returns {Object} - Topic statistics, plus the reply times (in seconds) found in it
+ */
+function measureTopic(stream, topicName, messages) {
+  const times = messages.map(getMessageTime);
+  const known = times.filter(time => time !== null);
+  const first = known.length > 0 ? Math.min(...known) : null;
+  const last = known.length > 0 ? Math.max(...known) : null;
+  const starter = messages[0];
+
+  let firstResponse = null;
+  const firstReply = messages.findIndex(message => getSenderKey(message) !== getSenderKey(starter));
+  if (firstReply !== -1 && times[0] !== null && times[firstReply] !== null) {
+    firstResponse = Math.max(0, (times[firstReply] - times[0]) / 1000);
+  }
+
+  const replyTimes = [];
+  for (let i = 1; i < messages.length; i++) {
+    if (getSenderKey(messages[i]) === getSenderKey(messages[i - 1])) continue;
+    if (times[i] === null || times[i - 1] === null) continue;
+    replyTimes.push(Math.max(0, (times[i] - times[i - 1]) / 1000));
+  }
+
+  return {
+    stream,
+    topic: topicName,
+    messages: messages.length,
+    senders: new Set(messages.map(getSenderKey)).size,
+    started_by: starter.sender,
+    first_message: toIso(first),
+    last_message: toIso(last),
+    lifetime_seconds: first !== null ? (last - first) / 1000 : null,
+    first_response_seconds: firstResponse,
+    permalink: starter.permalink,
+    replyTimes
+  };
+}
+
+/**
+ * Builds the report data from the streams read from the inputs
+ * @param {Array} streams - Array of { realm, stream, topics } (see readStream)
+ * @returns {Object} - Report: totals, topics, senders, weeks, lifetimes, response times and
+ *   unanswered topics
+ */
+function buildStats(streams) {
+  // Topics of the same stream from several scrapes are combined; a message is counted once
+  const combined = new Map();
+  for (const { realm, stream, topics } of streams) {
+    for (const [topicName, messages] of Object.entries(topics)) {
+      const key = `${realm}\0${stream}\0${topicName}`;
+      if (!combined.has(key)) combined.set(key, { stream, topic: topicName, messages: new Map() });
+      for (const message of normalizeMessages(messages)) {
+        combined.get(key).messages.set(getMessageKey(message), message);
+      }
+    }
+  }
+
+  const topics = [];
+  const senders = new Map();
+  const weeks = new Map();
+  const replyTimes = [];
+  let messageCount = 0;
+  for (const entry of combined.values()) {
+    const messages = normalizeMessages(Array.from(entry.messages.values()));
+    if (messages.length === 0) continue;
+    const { replyTimes: topicReplies, ...topic } = measureTopic(entry.stream, entry.topic, messages);
+    topics.push(topic);
+    replyTimes.push(...topicReplies);
+    messageCount += messages.length;
+
+    const topicKey = `${entry.stream}\0${entry.topic}`;
+    messages.forEach((message, i) => {
+      const senderKey = getSenderKey(message);
+      if (!senders.has(senderKey)) {
+        senders.set(senderKey, { name: message.sender, messages: 0, topics: new Set(), topics_started: 0, first: null, last: null });
+      }
+      const sender = senders.get(senderKey);
+      const time = getMessageTime(message);
+      sender.messages++;
+      sender.topics.add(topicKey);
+      if (i === 0) sender.topics_started++;
+      if (time === null) return;
+      // The latest display name wins, for people who renamed themselves
+      if (sender.last === null || time >= sender.last) sender.name = message.sender;
+      sender.first = sender.first === null ? time : Math.min(sender.first, time);
+      sender.last = sender.last === null ? time : Math.max(sender.last, time);
+
+      const weekStart = getWeekStart(time);
+      if (!weeks.has(weekStart)) weeks.set(weekStart, { messages: 0, topics: new Set(), senders: new Set() });
+      const week = weeks.get(weekStart);
+      week.messages++;
+      week.topics.add(topicKey);
+      week.senders.add(senderKey);
+    });
+  }
+
+  // Quiet weeks are listed too, so the timeline has no gaps
+  const weekList = [];
+  if (weeks.size > 0) {
+    const starts = Array.from(weeks.keys());
+    for (let start = Math.min(...starts); start <= Math.max(...starts); start += WEEK_MS) {
+      const week = weeks.get(start);
+      weekList.push({
+        week: new Date(start).toISOString().slice(0, 10),
+        messages: week ? week.messages : 0,
+        topics: week ? week.topics.size : 0,
+        senders: week ? week.senders.size : 0
+      });
+    }
+  }
+
+  const byTime = (a, b) => {
+    if (a.first_message === b.first_message) return a.topic.localeCompare(b.topic);
+    if (a.first_message === null) return 1;
+    if (b.first_message === null) return -1;
+    return a.first_message < b.first_message ? -1 : 1;
+  };
+  topics.sort((a, b) => b.messages - a.messages || byTime(a, b));
+
+  const firsts = topics.map(topic => topic.first_message).filter(Boolean).sort();
+  const lasts = topics.map(topic => topic.last_message).filter(Boolean).sort();
+  const lifetimes = topics.map(topic => topic.lifetime_seconds).filter(value => value !== null);
+  const firstResponses = topics.map(topic => topic.first_response_seconds).filter(value => value !== null);
+
+  return {
+    totals: {
+      streams: new Set(topics.map(topic => topic.stream)).size,
+      topics: topics.length,
+      messages: messageCount,
+      senders: senders.size,
+      first_message: firsts.length > 0 ? firsts[0] : null,
+      last_message: lasts.length > 0 ? lasts[lasts.length - 1] : null
+    },
+    topics,
+    senders: Array.from(senders.values())
+      .map(sender => ({
+        name: sender.name,
+        messages: sender.messages,
+        topics: sender.topics.size,
+        topics_started: sender.topics_started,
+        first_message: toIso(sender.first),
+        last_message: toIso(sender.last)
+      }))
+      .sort((a, b) => b.messages - a.messages || a.name.localeCompare(b.name)),
+    weeks: weekList,
+    topic_lifetimes: summarize(lifetimes),
+    response_times: {
+      first_response: { ...summarize(firstResponses), buckets: bucketDurations(firstResponses) },
+      reply: { ...summarize(replyTimes), buckets: bucketDurations(replyTimes) }
+    },
+    // Oldest first: those have waited the longest
+    unanswered: topics.filter(topic => topic.senders === 1).sort(byTime)
+  };
+}
+
+/**
+ * Escapes text for a markdown table cell
+ * @param {string} text - Cell text
+ * @returns {string} - Text with pipes escaped and line breaks removed
+ */
+function escapeCell(text) {
+  return String(text).replace(/\|/g, '\\|').replace(/\s*\n\s*/g, ' ');
+}
+
+/**
+ * Renders a markdown table
+ * @param {Array} header - Column titles
+ * @param {Array} rows - Arrays of cell values
+ * @returns {string} - Markdown table
+ */
+function renderTable(header, rows) {
+  const line = cells => `| ${cells.map(escapeCell).join(' | ')} |`;
+  return [line(header), line(header.map(() => '---')), ...rows.map(line)].join('\n');
+}
+
+/**
+ * Renders the report as markdown
+ * @param {Object} stats - Report data (see buildStats)
+ * @param {number} [top] - How many topics and senders the tables show
+ * @returns {string} - Markdown report
+ */
+function renderStatsMarkdown(stats, top = DEFAULT_TOP) {
+  const { totals } = stats;
+  const date = iso => (iso ? iso.slice(0, 10) : '-');
+  const multipleStreams = totals.streams > 1;
+  const topicLabel = topic => (multipleStreams ? `${topic.stream} > ${topic.topic}` : topic.topic);
+  const sections = [];
+
+  sections.push('# Channel activity report');
+  sections.push([
+    `- Streams: ${totals.streams}`,
+    `- Topics: ${totals.topics}`,
+    `- Messages: ${totals.messages}`,
+    `- Senders: ${totals.senders}`,
+    `- Unanswered topics: ${stats.unanswered.length}`,
+    totals.first_message ? `- Period: ${date(totals.first_message)} to ${date(totals.last_message)}` : '- Period: unknown (no timestamps)'
+  ].join('\n'));
+
+  if (stats.weeks.length > 0) {
+    const busiest = Math.max(...stats.weeks.map(week => week.messages));
+    sections.push('## Activity per week');
+    sections.push(renderTable(['Week of', 'Messages', 'Topics', 'Senders', ''], stats.weeks.map(week => [
+      week.week, week.messages, week.topics, week.senders,
+      '█'.repeat(busiest > 0 ? Math.round((week.messages / busiest) * 30) : 0)
+    ])));
+  }
+
+  sections.push(stats.topics.length > top ? `## Top ${top} topics by messages` : '## Topics by messages');
+  sections.push(renderTable(['Topic', 'Messages', 'Senders', 'Started', 'Lifetime', 'First response'],
+    stats.topics.slice(0, top).map(topic => [
+      topicLabel(topic), topic.messages, topic.senders, date(topic.first_message),
+      formatDuration(topic.lifetime_seconds), formatDuration(topic.first_response_seconds)
+    ])));
+
+  sections.push(stats.senders.length > top ? `## Top ${top} senders by messages` : '## Senders by messages');
+  sections.push(renderTable(['Sender', 'Messages', 'Topics', 'Topics started', 'First', 'Last'],
+    stats.senders.slice(0, top).map(sender => [
+      sender.name, sender.messages, sender.topics, sender.topics_started, date(sender.first_message), date(sender.last_message)
+    ])));
+
+  const summaryRow = (label, summary) => [label, summary.count, formatDuration(summary.min), formatDuration(summary.median),
+    formatDuration(summary.p90), formatDuration(summary.max)];
+  const { first_response: firstResponse, reply } = stats.response_times;
+  sections.push('## Topic lifetimes and response times');
+  sections.push(renderTable(['', 'Count', 'Min', 'Median', 'p90', 'Max'], [
+    summaryRow('Topic lifetime', stats.topic_lifetimes),
+    summaryRow('First response', firstResponse),
+    summaryRow('Reply', reply)
+  ]));
+  sections.push(renderTable(['Response time', 'First responses', 'Replies'],
+    firstResponse.buckets.map((bucket, i) => [bucket.label, bucket.count, reply.buckets[i].count])));
+
+  sections.push('## Unanswered topics');
+  if (stats.unanswered.length === 0) {
+    sections.push('Every topic has messages from more than one sender.');
+  } else {
+    sections.push(`Topics where only one sender ever posted, oldest first:`);
+    sections.push(renderTable(['Topic', 'Sender', 'Messages', 'Started', 'Link'], stats.unanswered.map(topic => [
+      topicLabel(topic), topic.started_by, topic.messages, date(topic.first_message),
+      topic.permalink ? `[view](${topic.permalink})` : ''
+    ])));
+  }
+
+  return `${sections.join('\n\n')}\n`;
+}
+
+/**
+ * Main function to build the stats report
+ * @param {Array|string} inputFiles - Raw scrapes, or directories of them
+ * @param {string} outputDir - Directory for stats.md and stats.json
+ * @param {Object} [options] - mergeFiles: earlier scrapes to merge a single input into;
+ *   filters: topic and message filters (see filterTopics in zulip_dataset.js); topicAliases:
+ *   topic renames to merge, as for zulip_cleaner.js; top: how many topics and senders the markdown tables show
+ * @returns {Promise<Object>} - Object containing the report data and the markdown and JSON files
+ * @throws {InputError|UsageError} - When an input is missing or invalid, or the options don't
+ *   fit the inputs
+ */
+async function writeStatsReport(inputFiles, outputDir, options = {}) {
+  const inputs = [].concat(inputFiles);
+  const files = [];
+  for (const input of inputs) {
+    if (!fs.existsSync(input)) {
+      throw new InputError(`Input does not exist: ${input}`, { file: input });
+    }
+    if (fs.statSync(input).isDirectory()) {
+      const batch = listDatasetFiles(input);
+      if (batch.length === 0) {
+        throw new InputError(`No JSON or JSONL files found in input directory: ${input}`, { file: input });
+      }
+      files.push(...batch);
+    } else {
+      files.push(input);
+    }
+  }
+  if ((options.mergeFiles || []).length > 0 && (inputs.length > 1 || fs.statSync(inputs[0]).isDirectory())) {
+    throw new UsageError('--merge only works with a single input file');
+  }
+
+  const stats = {
+    generated_at: new Date().toISOString(),
+    inputs: files,
+    ...buildStats(files.map(file => readStream(file, options)))
+  };
+
+  const markdownFile = path.join(outputDir, 'stats.md');
+  const jsonFile = path.join(outputDir, 'stats.json');
+  fs.mkdirSync(outputDir, { recursive: true });
+  fs.writeFileSync(markdownFile, renderStatsMarkdown(stats, options.top || DEFAULT_TOP), 'utf8');
+  fs.writeFileSync(jsonFile, JSON.stringify(stats, null, 2), 'utf8');
+
+  const { totals } = stats;
+  console.log('✅ Stats report completed successfully!');
+  console.log('📊 Statistics:');
+  console.log(`   - Topics: ${totals.topics} (${stats.unanswered.length} unanswered)`);
+  console.log(`   - Messages: ${totals.messages} from ${totals.senders} senders`);
+  if (stats.weeks.length > 0) {
+    console.log(`   - Weeks: ${stats.weeks.length} (${stats.weeks[0].week} to ${stats.weeks[stats.weeks.length - 1].week})`);
+  } else {
+    console.log('   ⚠️  No timestamps: weeks, lifetimes and response times are empty');
+  }
+  console.log(`   - Report: ${markdownFile}`);
+  console.log(`   - Data: ${jsonFile}`);
+  return { stats, markdownFile, jsonFile };
+}
+
+// Build the report if this file is executed directly
+if (require.main === module) {
+  runCli(() => {
+    const { inputFiles, outputDir, options } = parseArguments();
+    return writeStatsReport(inputFiles, outputDir, options);
+  }, 'Error building stats report', printUsage);
+}
+
+module.exports = {
+  writeStatsReport,
+  buildStats,
+  renderStatsMarkdown,
+  renderTable,
+  formatDuration,
+  getWeekStart,
+  summarize,
+  parseArguments,
+  printUsage
+};
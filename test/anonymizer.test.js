@@ -0,0 +1,167 @@
+/**
+ * Tests for the cleaner's anonymization
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { cleanZulipData, parseArguments } = require('../zulip_cleaner');
+const { splitData } = require('../data_splitter');
+const { validateDataset } = require('../dataset_validator');
+const {
+  loadPseudonymMap,
+  savePseudonymMap,
+  getPseudonym,
+  compileRedactPatterns,
+  createAudit,
+  scrubText,
+  anonymizeMessage
+} = require('../anonymizer');
+const { ConfigError, UsageError } = require('../errors');
+
+/**
+ * Creates a temporary directory, removed when the test ends
+ * @param {Object} t - Test context
+ * @returns {string} - Directory path
+ */
+function createTempDir(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'zulip-anonymize-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return dir;
+}
+
+test('writes anonymized output that the splitter and validator accept', async (t) => {
+  const dir = createTempDir(t);
+  t.mock.method(console, 'log', () => {});
+
+  const inputFile = path.join(dir, 'general.json');
+  fs.writeFileSync(inputFile, JSON.stringify({
+    meta: { format: 'zulip-scrape', version: 1, realm: 'https://chat.corp.example.com', stream: 'general', scraped_at: '2025-06-01T00:00:00Z' },
+    topics: {
+      hello: [
+        { id: 1, sender: 'Alice', sender_id: 10, content: 'hi @**Bob**, mail me at alice@corp.example.com' },
+        { id: 2, sender: 'Bob', sender_id: 11, content: 'see https://wiki.corp.example.com/page' }
+      ]
+    }
+  }));
+  const outputFile = path.join(dir, 'general_cleaned.json');
+  const { options } = parseArguments([inputFile, outputFile,
+    '--anonymize', path.join(dir, 'pseudonyms.json'), '--internal-host', 'corp.example.com']);
+  await cleanZulipData(inputFile, outputFile, options);
+
+  const cleaned = JSON.parse(fs.readFileSync(outputFile, 'utf8'));
+  assert.ok(!('realm' in cleaned.meta));
+  assert.strictEqual(cleaned.topics.hello,
+    '**User-1:** hi @**User-2**, mail me at [email redacted]\n\n**User-2:** see [internal link]');
+  assert.deepStrictEqual(validateDataset(cleaned).errors, []);
+
+  const outputDir = path.join(dir, 'markdown');
+  await splitData(outputFile, outputDir);
+  assert.deepStrictEqual(fs.readdirSync(outputDir).sort(), ['hello.md', 'manifest.json']);
+});
+
+test('gives namesakes different pseudonyms and renamed users the same one', (t) => {
+  const mapping = loadPseudonymMap(path.join(createTempDir(t), 'pseudonyms.json'));
+
+  const reactor = getPseudonym(mapping, { name: 'Alice' });
+  const alice = getPseudonym(mapping, { name: 'Alice', id: 10 });
+  const otherAlice = getPseudonym(mapping, { name: 'Alice', id: 20 });
+  assert.strictEqual(alice, reactor);
+  assert.notStrictEqual(otherAlice, alice);
+  assert.strictEqual(getPseudonym(mapping, { name: 'Alicia', id: 10 }), alice);
+  assert.strictEqual(getPseudonym(mapping, { name: 'Alice', id: 20 }), otherAlice);
+  assert.strictEqual(getPseudonym(mapping, { name: 'Bob', email: 'bob@example.com' }),
+    getPseudonym(mapping, { name: 'Robert', email: 'bob@example.com' }));
+  // Without an id, the name is all there is
+  assert.strictEqual(getPseudonym(mapping, { name: 'Alice' }), alice);
+});
+
+test('redacts emails, phone numbers, internal links and custom patterns, counting each rule', () => {
+  const patterns = compileRedactPatterns(['PROJ-\\d+', '/secret/i']);
+  const settings = { internalHosts: ['corp.example.com'], patterns };
+  const audit = createAudit(patterns);
+
+  assert.strictEqual(scrubText([
+    'Mail bob.smith+zulip@corp.example.com or call +41 44 123 45 67 / (555) 123-4567.',
+    'See [the wiki](https://wiki.corp.example.com/x), https://jira.corp.example.com/PROJ-12 and https://example.org/ok',
+    'Ticket PROJ-77 is SECRET.'
+  ].join('\n'), settings, audit), [
+    'Mail [email redacted] or call [phone redacted] / [phone redacted].',
+    'See the wiki [internal link], [internal link] and https://example.org/ok',
+    'Ticket [redacted] is [redacted].'
+  ].join('\n'));
+  assert.deepStrictEqual(audit, {
+    sender: 0, mention: 0, quote_author: 0, reactor: 0, email: 1, internal_url: 2, phone: 2,
+    'pattern:PROJ-\\d+': 1, 'pattern:/secret/i': 1
+  });
+
+  assert.throws(() => compileRedactPatterns(['(']), /Invalid redact pattern/);
+  assert.throws(() => compileRedactPatterns(['a*']), /matches empty text/);
+});
+
+test('rewrites mentions, quoted authors and reactors to the senders\' pseudonyms', (t) => {
+  const mapping = loadPseudonymMap(path.join(createTempDir(t), 'pseudonyms.json'));
+  const settings = { mapping, internalHosts: [], patterns: [] };
+  const audit = createAudit();
+
+  const bob = anonymizeMessage({ id: 1, sender: 'Bob', sender_id: 11, sender_email: 'bob@example.com', content: 'hi' }, settings, audit);
+  const alice = anonymizeMessage({
+    id: 2, sender: 'Alice', sender_id: 10, content: '@**Bob** and @_**Bob|11** and @**Carol**',
+    quotes: [{ author: 'Bob', content: 'hi' }],
+    reactions: [{ emoji: 'tada', count: 1, reactors: ['Bob'] }]
+  }, settings, audit);
+
+  assert.deepStrictEqual([bob.sender, bob.sender_id, bob.sender_email], ['User-1', null, null]);
+  assert.strictEqual(alice.sender, 'User-2');
+  assert.strictEqual(alice.content, '@**User-1** and @_**User-1** and @**User-3**');
+  assert.strictEqual(alice.quotes[0].author, 'User-1');
+  assert.deepStrictEqual(alice.reactions[0].reactors, ['User-1']);
+  assert.deepStrictEqual(audit, { sender: 2, mention: 3, quote_author: 1, reactor: 1, email: 0, internal_url: 0, phone: 0 });
+});
+
+test('keeps pseudonyms across runs and writes the audit report', async (t) => {
+  const dir = createTempDir(t);
+  t.mock.method(console, 'log', () => {});
+  const mappingFile = path.join(dir, 'private', 'pseudonyms.json');
+  const auditFile = path.join(dir, 'audit.json');
+  const inputFile = path.join(dir, 'general.json');
+  const writeScrape = messages => fs.writeFileSync(inputFile, JSON.stringify({
+    meta: { format: 'zulip-scrape', version: 1, stream: 'general', scraped_at: '2025-06-01T00:00:00Z' },
+    topics: { hello: messages }
+  }));
+  const clean = async () => {
+    const outputFile = path.join(dir, 'general_cleaned.json');
+    const { options } = parseArguments([inputFile, outputFile, '--anonymize', mappingFile,
+      '--redact-pattern', 'PROJ-\\d+', '--audit-report', auditFile]);
+    await cleanZulipData(inputFile, outputFile, options);
+    return JSON.parse(fs.readFileSync(outputFile, 'utf8')).topics.hello;
+  };
+
+  writeScrape([{ id: 1, sender: 'Alice', sender_id: 10, content: 'PROJ-1 is done' }]);
+  assert.strictEqual(await clean(), '**User-1:** [redacted] is done');
+  const mapping = fs.readFileSync(mappingFile, 'utf8');
+  assert.ok(!mapping.includes('Alice'));
+
+  writeScrape([{ id: 2, sender: 'Bob', sender_id: 11, content: 'hi' }, { id: 3, sender: 'Alice', sender_id: 10, content: 'hello' }]);
+  assert.strictEqual(await clean(), '**User-2:** hi\n\n**User-1:** hello');
+  const report = JSON.parse(fs.readFileSync(auditFile, 'utf8'));
+  assert.deepStrictEqual([report.pseudonyms, report.new_pseudonyms, report.replacements.sender, report.replacements['pattern:PROJ-\\d+']],
+    [2, 1, 2, 0]);
+});
+
+test('rejects unusable mapping files and options with typed errors', (t) => {
+  const dir = createTempDir(t);
+  const mappingFile = path.join(dir, 'pseudonyms.json');
+  fs.writeFileSync(mappingFile, '{"names": {}}');
+  assert.throws(() => loadPseudonymMap(mappingFile), error => error instanceof ConfigError && error.file === mappingFile);
+  fs.writeFileSync(mappingFile, '{');
+  assert.throws(() => loadPseudonymMap(mappingFile), ConfigError);
+
+  savePseudonymMap(loadPseudonymMap(path.join(dir, 'new.json')), mappingFile);
+  assert.strictEqual(loadPseudonymMap(mappingFile).next, 1);
+
+  assert.throws(() => parseArguments(['in.json', 'out.json', '--internal-host', 'corp.example.com']), UsageError);
+  assert.throws(() => parseArguments(['in.json', 'out.json', '--anonymize', mappingFile, '--redact-pattern', '(']), UsageError);
+});
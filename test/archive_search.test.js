@@ -0,0 +1,108 @@
+/**
+ * Tests for the archive search index and queries
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { updateIndex, queryIndex, loadIndex, searchIndex, parseQuery, parseArguments } = require('../archive_search');
+const { UsageError, InputError } = require('../errors');
+
+/**
+ * Creates a temporary directory, removed when the test ends
+ * @param {Object} t - Test context
+ * @returns {string} - Directory path
+ */
+function createTempDir(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'zulip-search-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return dir;
+}
+
+/**
+ * Writes a raw scrape
+ * @param {string} file - Output file
+ * @param {string} stream - Stream name
+ * @param {Object} topics - { topic: [message] }
+ */
+function writeScrape(file, stream, topics) {
+  fs.writeFileSync(file, JSON.stringify({
+    meta: { format: 'zulip-scrape', version: 1, realm: 'https://example.zulipchat.com', stream, scraped_at: '2025-06-01T00:00:00Z' },
+    topics
+  }));
+}
+
+const LTAC2_TOPICS = {
+  quoting: [
+    { id: 1, sender: 'alice', timestamp: '2025-01-10T10:00:00Z', content: 'Use `ltac2:(reflexivity)` to quote a tactic.' },
+    { id: 2, sender: 'bob', timestamp: '2025-03-02T10:00:00Z', content: 'The unification hint explains it:\n\n```\nltac2:(exact I)\n```' },
+    { id: 3, sender: 'carol', timestamp: '2025-03-03T10:00:00Z', content: 'A hint for unification is different.' }
+  ]
+};
+
+test('finds phrases, punctuated words and code, with filters and positions', async (t) => {
+  const dir = createTempDir(t);
+  t.mock.method(console, 'log', () => {});
+  writeScrape(path.join(dir, 'ltac2.json'), 'ltac2', LTAC2_TOPICS);
+  writeScrape(path.join(dir, 'general.json'), 'general', {
+    hello: [{ id: 10, sender: 'alice', timestamp: '2025-02-01T10:00:00Z', content: 'Does anyone use ltac2?' }]
+  });
+  const indexFile = path.join(dir, 'index.json');
+  await updateIndex([dir], indexFile);
+  const index = loadIndex(indexFile, true);
+  const find = (query, options) => searchIndex(index, query, options).results.map(result => `${result.topic}:${result.sender}`);
+
+  assert.deepStrictEqual(find('"unification hint"'), ['quoting:bob']);
+  assert.deepStrictEqual(find('unification hint').sort(), ['quoting:bob', 'quoting:carol']);
+  assert.deepStrictEqual(find('ltac2:(').sort(), ['quoting:alice', 'quoting:bob']);
+  assert.deepStrictEqual(find('ltac2', { codeOnly: true }).sort(), ['quoting:alice', 'quoting:bob']);
+  assert.deepStrictEqual(find('exact', { codeOnly: true }), ['quoting:bob']);
+  assert.deepStrictEqual(find('unification', { codeOnly: true }), []);
+  assert.deepStrictEqual(find('ltac2', { filters: { streams: ['general'] } }), ['hello:alice']);
+  assert.deepStrictEqual(find('ltac2', { filters: { senders: ['bob'] } }), ['quoting:bob']);
+  assert.deepStrictEqual(find('ltac2', { filters: { since: Date.parse('2025-02-15') } }), ['quoting:bob']);
+
+  const [result] = searchIndex(index, '"unification hint"').results;
+  assert.deepStrictEqual([result.stream, result.position, result.topicMessages], ['ltac2', 2, 3]);
+  assert.match(result.snippet, /unification hint/i);
+
+  assert.deepStrictEqual(parseQuery('ltac2 "Unification  Hint"'),
+    [{ words: ['ltac2'], literal: null }, { words: ['unification', 'hint'], literal: 'unification hint' }]);
+});
+
+test('updates the index incrementally when scrapes change', async (t) => {
+  const dir = createTempDir(t);
+  t.mock.method(console, 'log', () => {});
+  const scrapeFile = path.join(dir, 'ltac2.json');
+  const indexFile = path.join(dir, 'index.json');
+  writeScrape(scrapeFile, 'ltac2', LTAC2_TOPICS);
+  const first = await updateIndex([scrapeFile], indexFile);
+  assert.deepStrictEqual([first.filesIndexed, first.added, first.documentCount], [1, 3, 3]);
+
+  const unchanged = await updateIndex([scrapeFile], indexFile);
+  assert.deepStrictEqual([unchanged.filesIndexed, unchanged.filesUnchanged, unchanged.added], [0, 1, 0]);
+
+  // Carol's message is edited, alice's deleted and dave's added
+  const [, bob, carol] = LTAC2_TOPICS.quoting;
+  writeScrape(scrapeFile, 'ltac2', { quoting: [bob, { ...carol, content: 'A hint for higher-order unification.' },
+    { id: 4, sender: 'dave', timestamp: '2025-04-01T10:00:00Z', content: 'Thanks!' }] });
+  const second = await updateIndex([scrapeFile], indexFile);
+  assert.deepStrictEqual([second.added, second.updated, second.removed, second.documentCount], [1, 1, 1, 3]);
+
+  const found = await queryIndex(indexFile, 'higher-order', { json: true });
+  assert.deepStrictEqual(found.results.map(result => result.sender), ['carol']);
+  assert.strictEqual((await queryIndex(indexFile, 'reflexivity', {})).total, 0);
+});
+
+test('rejects bad arguments and missing indexes with typed errors', async (t) => {
+  const dir = createTempDir(t);
+  assert.throws(() => parseArguments(['index']), UsageError);
+  assert.throws(() => parseArguments(['index', 'data/', '--code']), UsageError);
+  assert.throws(() => parseArguments(['query', 'x', '--limit', '0']), UsageError);
+  assert.throws(() => parseArguments(['find', 'x']), UsageError);
+  assert.deepStrictEqual(parseArguments(['query', 'ltac2', 'quoting', '--stream', 'ltac2']).options.filters, { streams: ['ltac2'] });
+
+  await assert.rejects(queryIndex(path.join(dir, 'missing.json'), 'x'), InputError);
+});
@@ -0,0 +1,47 @@
+/**
+ * Tests for the upload helpers shared by the scrapers and data_splitter.js
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { extractUploadUrls, getUploadPath, loadAssetSource, localizeAssets } = require('../asset_bundler');
+
+const UPLOADS_DIR = path.join(__dirname, 'fixtures', 'uploads');
+
+test('leaves sentence punctuation out of bare upload links', () => {
+  const markdown = 'See /user_uploads/2/ab/xyz/diagram.png. Or https://example.zulipchat.com/user_uploads/2/ab/xyz/notes.pdf, ' +
+    'and [this](/user_uploads/2/ab/xyz/a.png)! What about /user_uploads/2/ab/xyz/b.txt?';
+  assert.deepStrictEqual(extractUploadUrls(markdown), [
+    '/user_uploads/2/ab/xyz/diagram.png',
+    'https://example.zulipchat.com/user_uploads/2/ab/xyz/notes.pdf',
+    '/user_uploads/2/ab/xyz/a.png',
+    '/user_uploads/2/ab/xyz/b.txt'
+  ]);
+});
+
+test('decodes upload paths, keeping a literal "%" as written', () => {
+  assert.strictEqual(getUploadPath('https://example.zulipchat.com/user_uploads/2/ab/xyz/my%20file.png?raw=1'), '2/ab/xyz/my file.png');
+  assert.strictEqual(getUploadPath('/user_uploads/2/ab/c/100%_done.png'), '2/ab/c/100%_done.png');
+});
+
+test('copies uploads next to the markdown and rewrites their links', (t) => {
+  const outputDir = fs.mkdtempSync(path.join(os.tmpdir(), 'zulip-assets-'));
+  t.after(() => fs.rmSync(outputDir, { recursive: true, force: true }));
+
+  const markdown = 'Here: /user_uploads/2/ab/xyz/diagram.png. Gone: /user_uploads/2/ab/xyz/missing.png';
+  const result = localizeAssets(markdown, loadAssetSource(UPLOADS_DIR), outputDir);
+
+  assert.strictEqual(result.markdown, 'Here: ./assets/2/ab/xyz/diagram.png. Gone: /user_uploads/2/ab/xyz/missing.png');
+  assert.strictEqual(result.copied, 1);
+  assert.deepStrictEqual(result.missing, ['/user_uploads/2/ab/xyz/missing.png']);
+  assert.ok(fs.readFileSync(path.join(outputDir, 'assets', '2', 'ab', 'xyz', 'diagram.png'))
+    .equals(fs.readFileSync(path.join(UPLOADS_DIR, '2', 'ab', 'xyz', 'diagram.png'))));
+});
+
+test('does not fail on uploads with a literal "%" in their name', () => {
+  const result = localizeAssets('/user_uploads/2/ab/c/100%_done.png', () => null, os.tmpdir(), { dryRun: true });
+  assert.deepStrictEqual(result.missing, ['/user_uploads/2/ab/c/100%_done.png']);
+});
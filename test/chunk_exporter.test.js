@@ -0,0 +1,105 @@
+/**
+ * Tests for the JSONL chunk export
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { chunkTopic, exportChunks } = require('../chunk_exporter');
+
+const META = { stream: 'general', realm: 'https://example.zulipchat.com' };
+
+/**
+ * Builds a raw message
+ * @param {number} id - Message id
+ * @param {string} sender - Sender name
+ * @param {string} content - Message markdown
+ * @returns {Object} - Raw message
+ */
+function message(id, sender, content) {
+  return { id, sender, content, timestamp: new Date(Date.UTC(2025, 5, 1, 0, id)).toISOString() };
+}
+
+test('overlaps consecutive chunks even when every message is larger than the overlap', () => {
+  // About 40 tokens each, so no whole message fits in a 10-token overlap
+  const messages = [1, 2, 3, 4].map(id => message(id, id % 2 ? 'alice' : 'bob',
+    `Message ${id} starts here and goes on for quite a while. It has a rather long middle part as well, to make it bigger. Its end is number ${id}.`));
+  const chunks = chunkTopic('hello', messages, META, { chunkSize: 60, overlap: 10 });
+
+  assert.strictEqual(chunks.length, 4);
+  for (let i = 1; i < chunks.length; i++) {
+    assert.ok(chunks[i].text.startsWith(`Its end is number ${i}.\n\n**`), chunks[i].text);
+    assert.ok(chunks[i - 1].text.endsWith(`Its end is number ${i}.`));
+    assert.ok(chunks[i].tokens <= 60);
+    assert.strictEqual(chunks[i].first_message_id, i);
+  }
+});
+
+test('repeats whole trailing messages when they fit in the overlap', () => {
+  const messages = [message(1, 'alice', 'a'.repeat(120)), message(2, 'bob', 'short'), message(3, 'alice', 'b'.repeat(120))];
+  const chunks = chunkTopic('hello', messages, META, { chunkSize: 40, overlap: 10 });
+
+  assert.deepStrictEqual(chunks.map(chunk => [chunk.first_message_id, chunk.last_message_id]), [[1, 2], [2, 3]]);
+  assert.ok(chunks[1].text.startsWith('**bob:** short\n\n'));
+});
+
+test('keeps chunk ids stable when messages are added', () => {
+  const messages = [1, 2, 3].map(id => message(id, 'alice', `Message ${id}. `.repeat(20)));
+  const before = chunkTopic('hello', messages, META, { chunkSize: 60, overlap: 10 });
+  const after = chunkTopic('hello', [...messages, message(4, 'bob', 'new')], META, { chunkSize: 60, overlap: 10 });
+
+  assert.deepStrictEqual(after.slice(0, -1).map(chunk => chunk.id), before.slice(0, -1).map(chunk => chunk.id));
+});
+
+test('never splits a fenced code block, even when it is larger than the chunk size', () => {
+  const code = '```\n' + Array.from({ length: 40 }, (_, i) => `let value_${i} = ${i};`).join('\n\n') + '\n```';
+  const messages = [message(1, 'alice', 'intro'), message(2, 'bob', `Here it is:\n\n${code}\n\nThat's all.`), message(3, 'alice', 'thanks')];
+  const chunks = chunkTopic('hello', messages, META, { chunkSize: 60, overlap: 10 });
+
+  const withCode = chunks.filter(chunk => chunk.text.includes('```'));
+  assert.strictEqual(withCode.length, 1);
+  assert.ok(withCode[0].text.includes(code));
+  assert.ok(withCode[0].tokens > 60);
+});
+
+test('writes one JSON line per chunk with the messages\' metadata', async (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'zulip-chunks-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  t.mock.method(console, 'log', () => {});
+
+  const inputFile = path.join(dir, 'general.json');
+  fs.writeFileSync(inputFile, JSON.stringify({
+    meta: { format: 'zulip-scrape', version: 1, ...META, scraped_at: '2025-06-01T00:00:00Z' },
+    topics: {
+      hello: [
+        { ...message(5, 'alice', 'hi'), permalink: 'https://example.zulipchat.com/#narrow/near/5' },
+        { ...message(7, 'bob', 'hello'), permalink: 'https://example.zulipchat.com/#narrow/near/7' }
+      ]
+    }
+  }));
+  const outputFile = path.join(dir, 'chunks', 'general_chunks.jsonl');
+  const [result] = await exportChunks(inputFile, outputFile);
+
+  assert.deepStrictEqual([result.topicCount, result.chunkCount], [1, 1]);
+  const [chunk, ...rest] = fs.readFileSync(outputFile, 'utf8').trim().split('\n').map(line => JSON.parse(line));
+  assert.strictEqual(rest.length, 0);
+  assert.match(chunk.id, /^[0-9a-f]{16}$/);
+  assert.deepStrictEqual({ ...chunk, id: undefined, content_hash: undefined }, {
+    id: undefined,
+    stream: 'general',
+    realm: 'https://example.zulipchat.com',
+    topic: 'hello',
+    chunk_index: 0,
+    text: '**alice:** hi\n\n**bob:** hello',
+    tokens: 8,
+    participants: ['alice', 'bob'],
+    first_message_id: 5,
+    last_message_id: 7,
+    first_timestamp: '2025-06-01T00:05:00.000Z',
+    last_timestamp: '2025-06-01T00:07:00.000Z',
+    permalink: 'https://example.zulipchat.com/#narrow/near/5',
+    content_hash: undefined
+  });
+});
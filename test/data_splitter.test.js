@@ -0,0 +1,111 @@
+/**
+ * Tests for the splitter's file names, manifest and raw input
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { sanitizeFilename, createTopicSlugs, splitData, parseArguments } = require('../data_splitter');
+
+test('gives every topic an ASCII file name', () => {
+  assert.strictEqual(sanitizeFilename('Café crème'), 'cafe_creme');
+  assert.strictEqual(sanitizeFilename('Don’t panic'), "don't_panic");
+  assert.match(sanitizeFilename('Rust 日本語 help'), /^rust_help_[0-9a-f]{8}$/);
+  assert.notStrictEqual(sanitizeFilename('Rust 日本語 help'), sanitizeFilename('Rust 中文 help'));
+  assert.strictEqual(sanitizeFilename('Rust 日本語 help'), sanitizeFilename('Rust 日本語 help'));
+
+  const { slugs } = createTopicSlugs(['日本語', '中文', '🎉']);
+  for (const slug of slugs.values()) {
+    assert.match(slug, /^topic_[0-9a-f]{8}$/);
+  }
+  assert.strictEqual(new Set(slugs.values()).size, 3);
+});
+
+test('records the input relative to the output directory in the manifest', async (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'zulip-split-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  t.mock.method(console, 'log', () => {});
+
+  const inputFile = path.join(dir, 'cleaned', 'general_cleaned.json');
+  fs.mkdirSync(path.dirname(inputFile));
+  fs.writeFileSync(inputFile, JSON.stringify({
+    meta: { format: 'zulip-cleaned', version: 1, stream: 'general' },
+    topics: { 'Rust 日本語 help': '**alice:** hi' }
+  }));
+  const outputDir = path.join(dir, 'docs', 'general');
+  await splitData(inputFile, outputDir);
+
+  const manifest = JSON.parse(fs.readFileSync(path.join(outputDir, 'manifest.json'), 'utf8'));
+  assert.strictEqual(manifest.meta.source, '../../cleaned/general_cleaned.json');
+  assert.match(manifest.files['Rust 日本語 help'], /^rust_help_[0-9a-f]{8}\.md$/);
+  assert.ok(fs.existsSync(path.join(outputDir, manifest.files['Rust 日本語 help'])));
+});
+
+test('archives stale files across filesystems without replacing earlier archives', async (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'zulip-split-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  t.mock.method(console, 'log', () => {});
+  t.mock.method(console, 'warn', () => {});
+
+  const inputFile = path.join(dir, 'general_cleaned.json');
+  const outputDir = path.join(dir, 'docs');
+  const archiveDir = path.join(dir, 'archive');
+  const split = async (topics, options) => {
+    fs.writeFileSync(inputFile, JSON.stringify({ meta: { format: 'zulip-cleaned', version: 1, stream: 'general' }, topics }));
+    await splitData(inputFile, outputDir, options);
+  };
+
+  await split({ foo: 'first foo', bar: 'bar' });
+  fs.mkdirSync(archiveDir);
+  fs.writeFileSync(path.join(archiveDir, 'foo.md'), 'archived earlier');
+
+  // rename() can't move files between filesystems
+  const renameSync = fs.renameSync;
+  t.mock.method(fs, 'renameSync', (source, target) => {
+    if (path.dirname(target) === archiveDir) {
+      throw Object.assign(new Error('EXDEV: cross-device link not permitted'), { code: 'EXDEV' });
+    }
+    return renameSync(source, target);
+  });
+  await split({ bar: 'bar' }, { archiveDir });
+
+  assert.ok(!fs.existsSync(path.join(outputDir, 'foo.md')));
+  assert.strictEqual(fs.readFileSync(path.join(archiveDir, 'foo.md'), 'utf8'), 'archived earlier');
+  const archived = fs.readdirSync(archiveDir).filter(file => file !== 'foo.md');
+  assert.strictEqual(archived.length, 1);
+  assert.match(archived[0], /^foo\.\d{8}T\d{6}Z\.md$/);
+  assert.match(fs.readFileSync(path.join(archiveDir, archived[0]), 'utf8'), /first foo/);
+});
+
+test('merges renamed and moved topics of a raw scrape into one file, streamed or not', async (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'zulip-split-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  t.mock.method(console, 'log', () => {});
+
+  const inputFile = path.join(dir, 'general.json');
+  fs.writeFileSync(inputFile, JSON.stringify({
+    meta: { format: 'zulip-scrape', version: 1, stream: 'general' },
+    topics: {
+      'tactics': [{ id: 1, sender: 'alice', content: 'one' }, { id: 3, sender: 'bob', content: 'moved' }],
+      'Tactics ': [{ id: 2, sender: 'bob', content: 'two' }],
+      '✔ tactics': [{ id: 3, sender: 'bob', content: 'moved' }, { id: 4, sender: 'alice', content: 'four' }],
+      'old name': [{ id: 5, sender: 'carol', content: 'five' }]
+    }
+  }));
+  const aliasFile = path.join(dir, 'aliases.json');
+  fs.writeFileSync(aliasFile, JSON.stringify({ 'old name': 'New name' }));
+
+  for (const stream of [false, true]) {
+    const outputDir = path.join(dir, stream ? 'streamed' : 'loaded');
+    const { options } = parseArguments([inputFile, outputDir, '--topic-aliases', aliasFile, ...(stream ? ['--stream'] : [])]);
+    await splitData(inputFile, outputDir, options);
+
+    const manifest = JSON.parse(fs.readFileSync(path.join(outputDir, 'manifest.json'), 'utf8'));
+    assert.deepStrictEqual(manifest.files, { 'tactics': 'tactics.md', 'New name': 'new_name.md' });
+    const content = fs.readFileSync(path.join(outputDir, 'tactics.md'), 'utf8');
+    assert.strictEqual(content.match(/moved/g).length, 1);
+    assert.ok(content.indexOf('one') < content.indexOf('two') && content.indexOf('two') < content.indexOf('four'));
+  }
+});
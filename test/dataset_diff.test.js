@@ -0,0 +1,176 @@
+/**
+ * Tests for comparing two scrapes or cleaned files
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { diffDatasets, parseArguments } = require('../dataset_diff');
+const { UsageError, InputError } = require('../errors');
+
+/**
+ * Creates a temporary directory, removed when the test ends
+ * @param {Object} t - Test context
+ * @returns {string} - Directory path
+ */
+function createTempDir(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'zulip-diff-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return dir;
+}
+
+/**
+ * Writes a dataset file of the "ops" stream
+ * @param {string} file - Output file
+ * @param {string} format - "zulip-scrape" or "zulip-cleaned"
+ * @param {string} scrapedAt - When the data was scraped
+ * @param {Object} topics - { topic: [message] } or { topic: markdown }
+ * @returns {string} - The file
+ */
+function writeDataset(file, format, scrapedAt, topics) {
+  fs.writeFileSync(file, JSON.stringify({
+    meta: { format, version: 1, realm: 'https://example.zulipchat.com', stream: 'ops', scraped_at: scrapedAt },
+    topics
+  }));
+  return file;
+}
+
+const OLD_TOPICS = {
+  'deploys': [
+    { id: 1, sender: 'alice', content: 'Deploy is stuck' },
+    { id: 2, sender: 'bob', content: 'Looking' },
+    { id: 3, sender: 'carol', content: 'spam' }
+  ],
+  'ci flakes': [{ id: 4, sender: 'alice', content: 'CI is flaky' }],
+  'old stuff': [{ id: 5, sender: 'dave', content: 'bye' }],
+  'misc': [
+    { id: 9, sender: 'frank', content: 'Deploy logs attached' },
+    { id: 10, sender: 'frank', content: 'lunch?' }
+  ]
+};
+
+// bob's message is edited, carol's deleted, frank's first message moved to "deploys",
+// "ci flakes" resolved and "old stuff" removed
+const NEW_TOPICS = {
+  'deploys': [
+    { id: 1, sender: 'alice', content: 'Deploy is stuck' },
+    { id: 2, sender: 'bob', content: 'Looking into it', permalink: 'https://example.zulipchat.com/#narrow/near/2' },
+    { id: 6, sender: 'bob', content: 'Fixed' },
+    { id: 9, sender: 'frank', content: 'Deploy logs attached' }
+  ],
+  '✔ ci flakes': [
+    { id: 4, sender: 'alice', content: 'CI is flaky' },
+    { id: 7, sender: 'erin', content: 'Fixed by a retry' }
+  ],
+  'release': [{ id: 8, sender: 'alice', content: 'Release notes?' }],
+  'misc': [{ id: 10, sender: 'frank', content: 'lunch?' }]
+};
+
+test('reports new, edited, deleted and moved messages and renamed topics of two scrapes', async (t) => {
+  const dir = createTempDir(t);
+  t.mock.method(console, 'log', () => {});
+  const oldFile = writeDataset(path.join(dir, 'may.json'), 'zulip-scrape', '2025-05-31T00:00:00Z', OLD_TOPICS);
+  const newFile = writeDataset(path.join(dir, 'june.json'), 'zulip-scrape', '2025-06-30T00:00:00Z', NEW_TOPICS);
+
+  const { diff, changelogFile, patchFile, digestFile } = await diffDatasets(oldFile, newFile, path.join(dir, 'report'), { digest: true });
+
+  assert.deepStrictEqual(diff.summary, {
+    topics_added: 1, topics_updated: 3, topics_renamed: 1, topics_removed: 1,
+    messages_added: 3, messages_edited: 1, messages_deleted: 2, messages_moved: 1
+  });
+  assert.deepStrictEqual(diff.topics.added, [{ topic: 'release', messages: 1 }]);
+  assert.deepStrictEqual([...diff.topics.updated].sort((a, b) => a.topic.localeCompare(b.topic)), [
+    { topic: '✔ ci flakes', added: 1, edited: 0, deleted: 0, moved_in: 0, moved_out: 0 },
+    { topic: 'deploys', added: 1, edited: 1, deleted: 1, moved_in: 1, moved_out: 0 },
+    { topic: 'misc', added: 0, edited: 0, deleted: 0, moved_in: 0, moved_out: 1 }
+  ]);
+  assert.deepStrictEqual(diff.topics.renamed, [{ from: 'ci flakes', to: '✔ ci flakes', resolved: true }]);
+  assert.deepStrictEqual(diff.topics.removed, [{ topic: 'old stuff', messages: 1 }]);
+  assert.deepStrictEqual(diff.messages.added.map(change => change.message.id).sort(), [6, 7, 8]);
+  assert.deepStrictEqual(diff.messages.deleted.map(change => [change.topic, change.message.id]), [['deploys', 3], ['old stuff', 5]]);
+  assert.deepStrictEqual(diff.messages.moved, [{ id: 9, sender: 'frank', from: 'misc', to: 'deploys' }]);
+  assert.deepStrictEqual(JSON.parse(fs.readFileSync(patchFile, 'utf8')), diff);
+
+  const changelog = fs.readFileSync(changelogFile, 'utf8');
+  assert.match(changelog, /^# Changes in ops\n\n`may\.json` \(scraped 2025-05-31\) → `june\.json` \(scraped 2025-06-30\)\n/);
+  assert.match(changelog, /## Renamed topics\n\n- ci flakes → ✔ ci flakes \(resolved\)\n/);
+  assert.match(changelog, /## Removed topics\n\n- old stuff \(1 message\)\n/);
+  assert.ok(changelog.includes('- [bob](https://example.zulipchat.com/#narrow/near/2) in deploys\n  - Before: Looking\n  - After: Looking into it'));
+  assert.match(changelog, /## Moved messages\n\n- \*\*frank\*\*: misc → deploys\n/);
+
+  // The digest has new topics in full and only the new messages of ongoing ones
+  const digest = fs.readFileSync(digestFile, 'utf8');
+  assert.match(digest, /## New topics\n\n### release\n\n.*Release notes\?/);
+  assert.match(digest, /### deploys\n\n_1 new message_\n\n.*Fixed/);
+  assert.ok(!digest.includes('Deploy is stuck'));
+});
+
+test('reports no deletions for an incremental update', async (t) => {
+  const dir = createTempDir(t);
+  t.mock.method(console, 'log', () => {});
+  const oldFile = writeDataset(path.join(dir, 'may.json'), 'zulip-scrape', '2025-05-31T00:00:00Z', OLD_TOPICS);
+  const updateFile = writeDataset(path.join(dir, 'update.json'), 'zulip-scrape', '2025-06-30T00:00:00Z', {
+    'deploys': [{ id: 6, sender: 'bob', content: 'Fixed' }]
+  });
+
+  const { diff } = await diffDatasets(oldFile, updateFile, path.join(dir, 'report'), { incremental: true });
+
+  assert.strictEqual(diff.meta.incremental, true);
+  assert.deepStrictEqual(diff.summary, {
+    topics_added: 0, topics_updated: 1, topics_renamed: 0, topics_removed: 0,
+    messages_added: 1, messages_edited: 0, messages_deleted: 0, messages_moved: 0
+  });
+});
+
+test('compares cleaned files topic by topic', async (t) => {
+  const dir = createTempDir(t);
+  t.mock.method(console, 'log', () => {});
+  const oldFile = writeDataset(path.join(dir, 'may_cleaned.json'), 'zulip-cleaned', '2025-05-31T00:00:00Z', {
+    'deploys': '**alice:** Deploy is stuck\n',
+    'ci': '**bob:** Looking',
+    'Foo': '**carol:** hi',
+    'gone': '**dave:** bye'
+  });
+  const newFile = writeDataset(path.join(dir, 'june_cleaned.json'), 'zulip-cleaned', '2025-06-30T00:00:00Z', {
+    'deploys': '**alice:** Deploy is stuck\n\n**bob:** Fixed\n',
+    'ci': '**bob:** Looking into it',
+    'foo': '**carol:** hi',
+    'release': '**alice:** Release notes?'
+  });
+
+  const { diff, changelogFile, digestFile } = await diffDatasets(oldFile, newFile, path.join(dir, 'report'), { digest: true });
+
+  assert.strictEqual(diff.meta.kind, 'cleaned');
+  assert.strictEqual(diff.messages, null);
+  // Extending the last message is an edit, not a new message
+  assert.deepStrictEqual(diff.topics.updated, [
+    { topic: 'deploys', change: 'appended', appended: '**bob:** Fixed' },
+    { topic: 'ci', change: 'edited', appended: null }
+  ]);
+  assert.deepStrictEqual(diff.topics.renamed, [{ from: 'Foo', to: 'foo' }]);
+  assert.deepStrictEqual(diff.topics.added, [{ topic: 'release' }]);
+  assert.deepStrictEqual(diff.topics.removed, [{ topic: 'gone' }]);
+
+  const changelog = fs.readFileSync(changelogFile, 'utf8');
+  assert.ok(!changelog.includes('New messages:'));
+  assert.match(changelog, /\| deploys \| new messages \|\n\| ci \| edited \|/);
+  assert.match(fs.readFileSync(digestFile, 'utf8'), /## Ongoing topics\n\n### deploys\n\n\*\*bob:\*\* Fixed\n$/);
+});
+
+test('rejects bad arguments and mismatched inputs with typed errors', async (t) => {
+  const dir = createTempDir(t);
+  t.mock.method(console, 'log', () => {});
+  assert.throws(() => parseArguments(['old.json', 'new.json']), UsageError);
+  assert.throws(() => parseArguments(['old.json', 'new.json', 'out', 'extra']), UsageError);
+  assert.throws(() => parseArguments(['old.json', 'new.json', 'out', '--since', '2025-01-01']), UsageError);
+
+  const rawFile = writeDataset(path.join(dir, 'raw.json'), 'zulip-scrape', '2025-05-31T00:00:00Z', OLD_TOPICS);
+  const cleanedFile = writeDataset(path.join(dir, 'cleaned.json'), 'zulip-cleaned', '2025-06-30T00:00:00Z', { deploys: '**alice:** hi' });
+  const outputDir = path.join(dir, 'report');
+  await assert.rejects(diffDatasets(path.join(dir, 'missing.json'), rawFile, outputDir), InputError);
+  await assert.rejects(diffDatasets(rawFile, cleanedFile, outputDir), InputError);
+  await assert.rejects(diffDatasets(cleanedFile, cleanedFile, outputDir, { incremental: true }), UsageError);
+  assert.ok(!fs.existsSync(outputDir));
+});
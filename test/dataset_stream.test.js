@@ -0,0 +1,136 @@
+/**
+ * Tests for reading and writing datasets one topic at a time
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { openDatasetStream, readDatasetMeta, readJsonlDataset, createDatasetWriter } = require('../dataset_stream');
+const { InputError } = require('../errors');
+
+/**
+ * Creates a temporary directory, removed when the test ends
+ * @param {Object} t - Test context
+ * @returns {string} - Directory path
+ */
+function createTempDir(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'zulip-stream-test-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return dir;
+}
+
+/**
+ * Writes a JSONL dataset
+ * @param {string} file - Output file
+ * @param {Array} lines - Line objects, written one per line
+ */
+function writeJsonl(file, lines) {
+  fs.writeFileSync(file, lines.map(line => JSON.stringify(line)).join('\n') + '\n');
+}
+
+const META = { format: 'zulip-scrape', version: 1, realm: 'https://example.zulipchat.com', stream: 'general' };
+
+// Names and text that a naive scanner would trip over
+const TOPICS = {
+  'Ltac2 bug': [
+    { id: 1, sender: 'alice', content: 'Use `ltac2:({ x })` and "[quotes]"' },
+    { id: 2, sender: 'bob', content: 'ok \\o/ \u00e9\u2714' }
+  ],
+  'meta': [{ id: 3, sender: 'carol', content: 'a topic called meta' }],
+  '{"topics": []}': []
+};
+
+test('reads a JSON dataset topic by topic, with the metadata before or after the topics', (t) => {
+  const dir = createTempDir(t);
+  const file = path.join(dir, 'general.json');
+
+  for (const data of [{ meta: META, topics: TOPICS }, { topics: TOPICS, meta: META }]) {
+    fs.writeFileSync(file, JSON.stringify(data, null, 2));
+    const stream = openDatasetStream(file);
+    assert.deepStrictEqual(stream.meta, META);
+    assert.deepStrictEqual(stream.names, Object.keys(TOPICS));
+    assert.deepStrictEqual(Object.fromEntries(stream.topics()), TOPICS);
+    assert.deepStrictEqual(readDatasetMeta(file), META);
+  }
+
+  // Bare topic objects have no metadata, and topics named "meta" are still topics
+  fs.writeFileSync(file, JSON.stringify(TOPICS));
+  const bare = openDatasetStream(file);
+  assert.strictEqual(bare.meta, null);
+  assert.deepStrictEqual(Object.fromEntries(bare.topics()), TOPICS);
+  assert.strictEqual(readDatasetMeta(file), null);
+
+  fs.writeFileSync(file, JSON.stringify({ meta: META, topics: TOPICS }).slice(0, -20));
+  assert.throws(() => [...openDatasetStream(file).topics()], error => error instanceof InputError && /truncated/.test(error.message));
+  assert.throws(() => openDatasetStream(path.join(dir, 'missing.json')), InputError);
+});
+
+test('reads a JSONL dataset, grouping lines by topic wherever they are', (t) => {
+  const dir = createTempDir(t);
+  const file = path.join(dir, 'general.jsonl');
+  writeJsonl(file, [
+    { topic: 'Ltac2 bug', ...TOPICS['Ltac2 bug'][0] },
+    { meta: META },
+    { topic: 'meta', ...TOPICS.meta[0] },
+    { topic: 'Ltac2 bug', ...TOPICS['Ltac2 bug'][1] }
+  ]);
+  fs.appendFileSync(file, '\n   \n');
+
+  const stream = openDatasetStream(file);
+  assert.deepStrictEqual(stream.meta, META);
+  assert.deepStrictEqual(stream.names, ['Ltac2 bug', 'meta']);
+  const topics = { 'Ltac2 bug': TOPICS['Ltac2 bug'], meta: TOPICS.meta };
+  assert.deepStrictEqual(Object.fromEntries(stream.topics()), topics);
+  assert.deepStrictEqual(readJsonlDataset(file), { meta: META, topics, lostLine: null });
+  assert.deepStrictEqual(readDatasetMeta(file), META);
+
+  fs.appendFileSync(file, '{"topic": "x"}\n["not a message"]\n');
+  assert.throws(() => openDatasetStream(file), /Line 8 of .* is not a message with a "topic" field/);
+});
+
+test('sorts a large JSONL file into temporary buckets and removes them', (t) => {
+  const dir = createTempDir(t);
+  const file = path.join(dir, 'large.jsonl');
+  const lines = [{ meta: META }];
+  for (let i = 0; i < 60; i++) {
+    lines.push({ topic: `topic ${i % 20}`, id: i, sender: 'alice', content: `message ${i}` });
+  }
+  writeJsonl(file, lines);
+  // Pretend the file is 40 MB, so it is split into three 16 MB buckets
+  const statSync = fs.statSync;
+  t.mock.method(fs, 'statSync', (target, ...rest) => (target === file ? { ...statSync(target, ...rest), size: 40 * 1024 * 1024 } : statSync(target, ...rest)));
+  const mkdtemp = t.mock.method(fs, 'mkdtempSync');
+
+  const stream = openDatasetStream(file);
+  assert.strictEqual(mkdtemp.mock.callCount(), 1);
+  const bucketDir = mkdtemp.mock.calls[0].result;
+  assert.strictEqual(fs.readdirSync(bucketDir).length, 3);
+
+  const topics = Object.fromEntries(stream.topics());
+  assert.deepStrictEqual(Object.keys(topics).sort(), stream.names.slice().sort());
+  assert.deepStrictEqual(topics, readJsonlDataset(file).topics);
+  assert.ok(!fs.existsSync(bucketDir));
+});
+
+test('writes topics as JSON.stringify would, only renaming the file when done', (t) => {
+  const dir = createTempDir(t);
+  const meta = { ...META, resolved_topics: ['meta'] };
+
+  for (const [envelope, expected] of [[true, { topics: TOPICS, meta }], [false, TOPICS], [true, { topics: {}, meta }], [false, {}]]) {
+    const outputFile = path.join(dir, 'out.json');
+    const writer = createDatasetWriter(outputFile, { envelope });
+    const topics = envelope ? expected.topics : expected;
+    for (const [topic, value] of Object.entries(topics)) writer.writeTopic(topic, value);
+    assert.ok(!fs.existsSync(outputFile));
+    assert.strictEqual(writer.finish(envelope ? meta : null), Object.keys(topics).length);
+    assert.strictEqual(fs.readFileSync(outputFile, 'utf8'), JSON.stringify(expected, null, 2));
+    fs.rmSync(outputFile);
+  }
+
+  const aborted = createDatasetWriter(path.join(dir, 'aborted.json'));
+  aborted.writeTopic('Ltac2 bug', TOPICS['Ltac2 bug']);
+  aborted.abort();
+  assert.deepStrictEqual(fs.readdirSync(dir), []);
+});
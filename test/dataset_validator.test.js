@@ -0,0 +1,160 @@
+/**
+ * Tests for dataset validation and repair
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { validateFiles, validateDataset, repairDataset, salvageTruncatedJson } = require('../dataset_validator');
+const { cleanZulipData, parseArguments } = require('../zulip_cleaner');
+const { InputError } = require('../errors');
+
+/**
+ * Creates a temporary directory, removed when the test ends
+ * @param {Object} t - Test context
+ * @returns {string} - Directory path
+ */
+function createTempDir(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'zulip-validate-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return dir;
+}
+
+// One problem of each kind the repairs handle
+const BROKEN_SCRAPE = {
+  meta: { format: 'zulip-scrape', version: 0, stream: 'general' },
+  topics: {
+    'Ltac2 bug': [
+      { id: 1, sender: 'alice', content: 'ok' },
+      { id: 2, sender: 'bob' },
+      { id: 'x3', sender: 3, content: 'y', reactions: [{ emoji: 'tada' }] }
+    ],
+    general: { sender: 'carol', content: 'hi' },
+    empty: null
+  }
+};
+
+test('accepts the cleaner\'s --anonymize output, streamed or not', async (t) => {
+  const dir = createTempDir(t);
+  t.mock.method(console, 'log', () => {});
+
+  const inputFile = path.join(dir, 'general.json');
+  fs.writeFileSync(inputFile, JSON.stringify({
+    meta: { format: 'zulip-scrape', version: 1, realm: 'https://chat.corp.example.com', stream: 'general', scraped_at: '2025-06-01T00:00:00Z' },
+    topics: {
+      'deploys on wiki.corp.example.com': [
+        { id: 1, sender: 'Alice', sender_id: 10, sender_email: 'alice@corp.example.com', content: 'call +41 44 123 45 67',
+          permalink: 'https://chat.corp.example.com/#narrow/near/1', reactions: [{ emoji: 'tada', count: 1, reactors: ['Bob'] }] }
+      ]
+    }
+  }));
+
+  for (const stream of [false, true]) {
+    const outputFile = path.join(dir, stream ? 'streamed_cleaned.json' : 'general_cleaned.json');
+    const args = [inputFile, outputFile, '--anonymize', path.join(dir, 'pseudonyms.json'), '--internal-host', 'corp.example.com'];
+    const { options } = parseArguments(stream ? [...args, '--stream'] : args);
+    await cleanZulipData(inputFile, outputFile, options);
+
+    const [result] = await validateFiles(outputFile);
+    assert.strictEqual(result.format, 'zulip-cleaned');
+    assert.deepStrictEqual(result.errors, []);
+  }
+});
+
+test('reports every problem with its JSON path', async (t) => {
+  const dir = createTempDir(t);
+  t.mock.method(console, 'log', () => {});
+  const { format, errors } = validateDataset(BROKEN_SCRAPE);
+
+  assert.strictEqual(format, 'zulip-scrape');
+  assert.deepStrictEqual(errors, [
+    { path: '$.meta.version', message: 'must be at least 1, got 0' },
+    { path: '$.topics["Ltac2 bug"][1].content', message: 'is required' },
+    { path: '$.topics["Ltac2 bug"][2].id', message: 'does not match ^[0-9]+$: "x3"' },
+    { path: '$.topics["Ltac2 bug"][2].sender', message: 'expected string, got integer' },
+    { path: '$.topics["Ltac2 bug"][2].reactions[0].count', message: 'is required' },
+    { path: '$.topics.general', message: 'expected array, got object' },
+    { path: '$.topics.empty', message: 'expected array, got null' }
+  ]);
+  // Without metadata the paths start at the topics
+  assert.deepStrictEqual(validateDataset({ hello: [{ sender: 'alice' }] }).errors, [{ path: '$.hello[0].content', message: 'is required' }]);
+
+  const inputFile = path.join(dir, 'broken.json');
+  fs.writeFileSync(inputFile, JSON.stringify(BROKEN_SCRAPE));
+  await assert.rejects(validateFiles(inputFile), InputError);
+});
+
+test('repairs what it can and lists every fix', async (t) => {
+  const dir = createTempDir(t);
+  t.mock.method(console, 'log', () => {});
+  const inputFile = path.join(dir, 'broken.json');
+  fs.writeFileSync(inputFile, JSON.stringify(BROKEN_SCRAPE));
+  const outputFile = path.join(dir, 'repaired', 'general.json');
+
+  const [result] = await validateFiles(inputFile, { repair: true, output: outputFile });
+
+  assert.deepStrictEqual(result.errors, []);
+  assert.deepStrictEqual(result.fixes, [
+    { path: '$.meta.version', action: 'removed' },
+    { path: '$.topics["Ltac2 bug"][1]', action: 'dropped message (content is missing)' },
+    { path: '$.topics["Ltac2 bug"][2].sender', action: 'converted to text' },
+    { path: '$.topics["Ltac2 bug"][2].id', action: 'reset to null' },
+    { path: '$.topics["Ltac2 bug"][2].reactions', action: 'dropped 1 invalid entry' },
+    { path: '$.topics.general', action: 'wrapped the single message in an array' },
+    { path: '$.topics.empty', action: 'dropped topic (expected an array of messages, got null)' }
+  ]);
+  const repaired = JSON.parse(fs.readFileSync(outputFile, 'utf8'));
+  assert.deepStrictEqual(repaired.meta, { format: 'zulip-scrape', stream: 'general' });
+  assert.deepStrictEqual(repaired.topics, {
+    'Ltac2 bug': [
+      { id: 1, sender: 'alice', content: 'ok' },
+      { id: null, sender: '3', content: 'y', reactions: [] }
+    ],
+    general: [{ sender: 'carol', content: 'hi' }]
+  });
+  assert.deepStrictEqual(validateDataset(repaired).errors, []);
+  assert.throws(() => repairDataset([1, 2]), InputError);
+});
+
+test('salvages the complete topics of a truncated file', async (t) => {
+  const dir = createTempDir(t);
+  t.mock.method(console, 'log', () => {});
+  const text = JSON.stringify({
+    meta: { format: 'zulip-scrape', version: 1, stream: 'general' },
+    topics: {
+      first: [{ id: 1, sender: 'alice', content: 'one' }],
+      'second {"tricky": [name]}': [{ id: 2, sender: 'bob', content: 'two }]' }],
+      third: [{ id: 3, sender: 'carol', content: 'cut here and never finished' }]
+    }
+  }, null, 2);
+  const truncated = text.slice(0, text.indexOf('cut here') + 3);
+  const inputFile = path.join(dir, 'partial_download.json');
+  fs.writeFileSync(inputFile, truncated);
+
+  assert.strictEqual(salvageTruncatedJson(truncated).lostTopic, 'third');
+  assert.strictEqual(salvageTruncatedJson(text), null);
+  // Cut off in the metadata: nothing to salvage
+  assert.strictEqual(salvageTruncatedJson(text.slice(0, text.indexOf('general'))), null);
+  await assert.rejects(validateFiles(inputFile), /looks truncated; --repair can keep its 2 complete topics/);
+
+  const outputFile = path.join(dir, 'repaired.json');
+  const [result] = await validateFiles(inputFile, { repair: true, output: outputFile });
+  assert.deepStrictEqual([result.salvaged.topicCount, result.salvaged.lostTopic], [2, 'third']);
+  const repaired = JSON.parse(fs.readFileSync(outputFile, 'utf8'));
+  assert.deepStrictEqual(Object.keys(repaired.topics), ['first', 'second {"tricky": [name]}']);
+  assert.strictEqual(repaired.topics['second {"tricky": [name]}'][0].content, 'two }]');
+
+  // A JSONL file loses only its cut-off last line
+  const jsonlFile = path.join(dir, 'partial_download.jsonl');
+  fs.writeFileSync(jsonlFile, [
+    JSON.stringify({ meta: { format: 'zulip-scrape', version: 1, stream: 'general' } }),
+    JSON.stringify({ topic: 'first', id: 1, sender: 'alice', content: 'one' }),
+    '{"topic": "first", "id": 2, "sen'
+  ].join('\n'));
+  await assert.rejects(validateFiles(jsonlFile), InputError);
+  const [jsonlResult] = await validateFiles(jsonlFile, { repair: true, output: path.join(dir, 'repaired_jsonl.json') });
+  assert.deepStrictEqual(jsonlResult.salvaged, { lostLine: 3 });
+  assert.deepStrictEqual(JSON.parse(fs.readFileSync(jsonlResult.outputFile, 'utf8')).topics.first.map(message => message.id), [1]);
+});
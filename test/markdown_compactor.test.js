@@ -0,0 +1,100 @@
+/**
+ * Tests for the compactor's size- and token-aware grouping
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  compactMarkdownFiles,
+  distributeIntoGroups,
+  balanceIntoGroups,
+  splitOversizedEntry,
+  estimateTokens,
+  parseArguments
+} = require('../markdown_compactor');
+const { UsageError } = require('../errors');
+
+/**
+ * Creates a temporary directory, removed when the test ends
+ * @param {Object} t - Test context
+ * @returns {string} - Directory path
+ */
+function createTempDir(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'zulip-compact-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return dir;
+}
+
+test('picks the group count from a cap and rejects options that contradict it', () => {
+  const { groupCount, options } = parseArguments(['in', 'out', '--max-size', '256KB']);
+  assert.strictEqual(groupCount, null);
+  assert.strictEqual(options.maxSize, 256 * 1024);
+  assert.strictEqual(parseArguments(['in', 'out', '4', '--balance', 'tokens']).options.balance, 'tokens');
+
+  assert.throws(() => parseArguments(['in', 'out', '4', '--max-tokens', '1000']), UsageError);
+  assert.throws(() => parseArguments(['in', 'out', '--max-size', '1MB', '--max-tokens', '1000']), UsageError);
+  assert.throws(() => parseArguments(['in', 'out', '--max-tokens', '1000', '--balance', 'size']), UsageError);
+  assert.throws(() => parseArguments(['in', 'out', '--max-size', 'lots']), UsageError);
+});
+
+test('balances groups by size where round-robin balances by count', () => {
+  const entries = [{ name: 'big.md', weight: 200 }, ...Array.from({ length: 50 }, (_, i) => ({ name: `small_${i}.md`, weight: 1 }))];
+  const weigh = entry => entry.weight;
+  const total = group => group.reduce((sum, entry) => sum + weigh(entry), 0);
+
+  assert.deepStrictEqual(distributeIntoGroups(entries, 2).map(total), [225, 25]);
+  const balanced = balanceIntoGroups(entries, 2, weigh);
+  assert.deepStrictEqual(balanced.map(total), [200, 50]);
+  // Groups keep the files in their original order
+  assert.deepStrictEqual(balanced[1].map(entry => entry.name), entries.slice(1).map(entry => entry.name));
+});
+
+test('splits an oversized topic at message boundaries, never inside a code block', (t) => {
+  const code = '```\n' + Array.from({ length: 12 }, (_, i) => `**not_a_sender:** line ${i}`).join('\n') + '\n```';
+  const content = [
+    '# Big topic',
+    `**alice:** ${'a'.repeat(300)}`,
+    `**bob:** here is the log\n\n${code}`,
+    `**alice:** ${'c'.repeat(300)}`
+  ].join('\n\n');
+  const warn = t.mock.method(console, 'warn', () => {});
+  const parts = splitOversizedEntry({ name: 'big.md', content }, 150, estimateTokens);
+
+  assert.deepStrictEqual(parts.map(part => part.part), ['part 1 of 3', 'part 2 of 3', 'part 3 of 3']);
+  parts.forEach(part => assert.match(part.content, /^# Big topic\n\n\*\*(alice|bob):\*\*/));
+  assert.ok(parts[1].content.includes(code));
+  assert.strictEqual(warn.mock.callCount(), 0);
+});
+
+test('writes every group under the token cap', async (t) => {
+  const dir = createTempDir(t);
+  t.mock.method(console, 'log', () => {});
+  const inputDir = path.join(dir, 'markdown');
+  fs.mkdirSync(inputDir);
+  const message = (sender, i) => `**${sender}:** ${`message ${i} `.repeat(30).trim()}`;
+  fs.writeFileSync(path.join(inputDir, 'big.md'), ['# Big', ...Array.from({ length: 12 }, (_, i) => message('alice', i))].join('\n\n'));
+  for (let i = 0; i < 6; i++) {
+    fs.writeFileSync(path.join(inputDir, `small_${i}.md`), `# Small ${i}\n\n${message('bob', i)}`);
+  }
+  const outputDir = path.join(dir, 'compacted');
+
+  const result = await compactMarkdownFiles(inputDir, outputDir, null, { maxTokens: 500 });
+
+  assert.strictEqual(result.filesProcessed, 7);
+  assert.strictEqual(result.topicsSplit, 1);
+  assert.ok(result.groupsCreated > 1);
+  const files = fs.readdirSync(outputDir);
+  assert.strictEqual(files.length, result.groupsCreated);
+  for (const file of files) {
+    const content = fs.readFileSync(path.join(outputDir, file), 'utf8');
+    assert.ok(estimateTokens(content) <= 500, `${file} has ${estimateTokens(content)} tokens`);
+  }
+  const combined = files.map(file => fs.readFileSync(path.join(outputDir, file), 'utf8')).join('\n');
+  for (let i = 0; i < 12; i++) {
+    assert.ok(combined.includes(message('alice', i)));
+  }
+  assert.match(combined, /<!-- Source: big\.md \(part 1 of \d\) -->/);
+});
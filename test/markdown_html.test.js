@@ -0,0 +1,46 @@
+/**
+ * Tests for the site generator's markdown renderer
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { renderMarkdown, markdownToText } = require('../markdown_html');
+
+test('renders code blocks, quotes, lists and mentions', () => {
+  const html = renderMarkdown([
+    'hi @**Bob**, see **this**',
+    'next line',
+    '',
+    '```js',
+    'if (a < b) {}',
+    '```',
+    '',
+    '```quote',
+    '**alice:** said',
+    '```',
+    '',
+    '- one',
+    '  - nested',
+    '- two'
+  ].join('\n'));
+
+  assert.strictEqual(html, [
+    '<p>hi <span class="mention">@Bob</span>, see <strong>this</strong><br>',
+    'next line</p>',
+    '<pre><code class="language-js">if (a &lt; b) {}</code></pre>',
+    '<blockquote><p><strong>alice:</strong> said</p></blockquote>',
+    '<ul><li>one\n<ul><li>nested</li></ul></li><li>two</li></ul>'
+  ].join('\n'));
+});
+
+test('escapes HTML and drops unsafe links', () => {
+  assert.strictEqual(renderMarkdown('<script>alert(1)</script>'), '<p>&lt;script&gt;alert(1)&lt;/script&gt;</p>');
+  assert.strictEqual(renderMarkdown('[bad](javascript:alert) [ok](https://example.com/?a=1&b=2) [up](/user_uploads/1/a.png)'),
+    '<p>bad <a href="https://example.com/?a=1&amp;b=2">ok</a> <a href="/user_uploads/1/a.png">up</a></p>');
+  assert.strictEqual(renderMarkdown('![x](data:image/png;base64,AAAA)'), '<p>x</p>');
+  assert.strictEqual(renderMarkdown('`<b>` **`x`**'), '<p><code>&lt;b&gt;</code> <strong><code>x</code></strong></p>');
+});
+
+test('reduces markdown to one line of text for the search index', () => {
+  assert.strictEqual(markdownToText('**hi** @**Bob|12** [docs](https://example.com)\n```\ncode\n```'), 'hi @Bob docs code');
+});
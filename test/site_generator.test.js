@@ -0,0 +1,99 @@
+/**
+ * Tests for the static HTML archive
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { pathToFileURL } = require('url');
+const { JSDOM } = require('jsdom');
+const { generateSite, getSenderHue } = require('../site_generator');
+
+/**
+ * Generates a site from a raw scrape of the "general" stream
+ * @param {Object} t - Test context; the files are removed when the test ends
+ * @param {Object} topics - { topic: [message] }
+ * @returns {Promise<string>} - Site directory
+ */
+async function generateTestSite(t, topics) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'zulip-site-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  t.mock.method(console, 'log', () => {});
+
+  const inputFile = path.join(dir, 'general.json');
+  fs.writeFileSync(inputFile, JSON.stringify({
+    meta: { format: 'zulip-scrape', version: 1, realm: 'https://example.zulipchat.com', stream: 'general', scraped_at: '2025-06-01T00:00:00Z' },
+    topics
+  }));
+  const outputDir = path.join(dir, 'site');
+  await generateSite(inputFile, outputDir);
+  return outputDir;
+}
+
+/**
+ * Loads a generated page in jsdom, running its scripts as a browser would from file://
+ * @param {string} file - HTML file
+ * @param {string} [search] - Query string, e.g. "?q=cache"
+ * @returns {Promise<Object>} - The page's window
+ */
+async function openPage(file, search = '') {
+  const dom = await JSDOM.fromFile(file, { url: pathToFileURL(file).href + search, runScripts: 'dangerously', resources: 'usable' });
+  await new Promise(resolve => dom.window.addEventListener('load', resolve));
+  return dom.window;
+}
+
+const TOPICS = {
+  'Deploys?': [
+    { id: 11, sender: 'alice', content: 'The **docker** cache is stale:\n\n```sh\ndocker build --no-cache .\n```', timestamp: '2025-06-02T10:00:00Z',
+      permalink: 'https://example.zulipchat.com/#narrow/near/11' },
+    { id: 12, sender: 'bob', content: 'Thanks <b>alice</b>', timestamp: '2025-06-02T11:00:00Z' }
+  ],
+  deploys: [
+    { id: 21, sender: 'carol', content: 'Another thread about the pipeline', timestamp: '2025-06-01T09:00:00Z' }
+  ]
+};
+
+test('writes a page per topic with message anchors, code blocks and sender colours', async (t) => {
+  const outputDir = await generateTestSite(t, TOPICS);
+
+  // "Deploys?" and "deploys" sanitize to the same name, as in data_splitter.js
+  const pages = fs.readdirSync(path.join(outputDir, 'general')).sort();
+  assert.strictEqual(pages.length, 2);
+  assert.ok(pages.includes('deploys.html'));
+
+  const page = fs.readFileSync(path.join(outputDir, 'general', 'deploys.html'), 'utf8');
+  const other = fs.readFileSync(path.join(outputDir, 'general', pages.find(name => name !== 'deploys.html')), 'utf8');
+  assert.match(page, /<h1>deploys<\/h1>/);
+  assert.match(other, /<h1>Deploys\?<\/h1>/);
+  assert.match(other, new RegExp(`<article class="message" id="msg-11" style="--hue: ${getSenderHue('alice')}">`));
+  assert.match(other, /<article class="message" id="msg-12"/);
+  assert.ok(other.includes('<pre><code class="language-sh">docker build --no-cache .</code></pre>'));
+  assert.ok(other.includes('Thanks &lt;b&gt;alice&lt;/b&gt;'));
+  assert.ok(other.includes('<a href="https://example.zulipchat.com/#narrow/near/11">View on Zulip</a>'));
+  assert.notStrictEqual(getSenderHue('u1'), getSenderHue('u2'));
+
+  const index = fs.readFileSync(path.join(outputDir, 'index.html'), 'utf8');
+  assert.match(index, /<p>2 topics · 3 messages<\/p>/);
+  // Most recently active first, with message counts and participants
+  assert.match(index, /Deploys\?<\/a><\/td><td class="count">2<\/td><td class="participants">alice, bob<\/td>[\s\S]*>deploys<\/a><\/td><td class="count">1</);
+});
+
+test('searches the archive in the browser, from file://', async (t) => {
+  const outputDir = await generateTestSite(t, TOPICS);
+  const window = await openPage(path.join(outputDir, 'index.html'), '?q=docker%20cache');
+  t.after(() => window.close());
+
+  const page = fs.readdirSync(path.join(outputDir, 'general')).find(name => name !== 'deploys.html');
+  const results = [...window.document.querySelectorAll('#results li')];
+  assert.strictEqual(results.length, 1);
+  assert.strictEqual(results[0].querySelector('a').getAttribute('href'), `general/${page}#msg-11`);
+  assert.strictEqual(results[0].querySelector('mark').textContent, 'docker');
+  assert.ok(window.document.getElementById('listing').hidden);
+
+  const input = window.document.getElementById('search');
+  input.value = 'no such words';
+  input.dispatchEvent(new window.Event('input'));
+  assert.strictEqual(window.document.getElementById('results').textContent, 'No messages found.');
+});
@@ -0,0 +1,95 @@
+/**
+ * Tests for the SQLite export (node:sqlite needs Node.js 22.5 or later)
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { exportToSqlite, openDatabase } = require('../sqlite_exporter');
+const { PipelineError } = require('../errors');
+
+const [NODE_MAJOR, NODE_MINOR] = process.versions.node.split('.').map(Number);
+const HAS_SQLITE = NODE_MAJOR > 22 || (NODE_MAJOR === 22 && NODE_MINOR >= 5);
+
+/**
+ * Creates a temporary directory, removed when the test ends
+ * @param {Object} t - Test context
+ * @returns {string} - Directory path
+ */
+function createTempDir(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'zulip-sqlite-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return dir;
+}
+
+/**
+ * Writes a raw scrape of the "general" stream
+ * @param {string} file - Output file
+ * @param {Object} topics - { topic: [message] }
+ */
+function writeScrape(file, topics) {
+  fs.writeFileSync(file, JSON.stringify({
+    meta: { format: 'zulip-scrape', version: 1, realm: 'https://example.zulipchat.com', stream: 'general', scraped_at: '2025-06-01T00:00:00Z' },
+    topics
+  }));
+}
+
+test('stops with a PipelineError naming the Node.js version when node:sqlite is missing',
+  { skip: HAS_SQLITE && 'this Node.js has node:sqlite' }, async (t) => {
+    const dir = createTempDir(t);
+    t.mock.method(console, 'log', () => {});
+    const inputFile = path.join(dir, 'general.json');
+    writeScrape(inputFile, { hello: [{ id: 1, sender: 'Alice', content: 'hi' }] });
+    const outputFile = path.join(dir, 'zulip.db');
+
+    await assert.rejects(exportToSqlite(inputFile, outputFile),
+      error => error instanceof PipelineError && error.message.includes('22.5') && error.message.includes(process.version));
+    assert.ok(!fs.existsSync(outputFile));
+  });
+
+test('loads messages, users, reactions and uploads, and upserts on re-import',
+  { skip: !HAS_SQLITE && 'node:sqlite needs Node.js 22.5 or later' }, async (t) => {
+    const dir = createTempDir(t);
+    t.mock.method(console, 'log', () => {});
+    const emitWarning = t.mock.method(process, 'emitWarning');
+    const inputFile = path.join(dir, 'general.json');
+    writeScrape(inputFile, {
+      hello: [
+        { id: 1, sender: 'Bob', sender_id: 11, content: 'ready?', timestamp: 1748736000 },
+        { id: 2, sender: 'Alice', sender_id: 10, content: 'deploying [log](/user_uploads/2/ab/deploy.log)', timestamp: 1748736060,
+          reactions: [{ emoji: 'tada', count: 2, reactors: ['Bob', 'Carol'] }] }
+      ]
+    });
+    const outputFile = path.join(dir, 'zulip.db');
+
+    const [first] = await exportToSqlite(inputFile, outputFile);
+    assert.deepStrictEqual([first.stream, first.topicCount, first.added, first.updated, first.unchanged], ['general', 1, 2, 0, 0]);
+    assert.ok(!emitWarning.mock.calls.some(call => /SQLite/.test(String(call.arguments[0]))));
+
+    // Alice edits her message: only that row changes
+    const scrape = JSON.parse(fs.readFileSync(inputFile, 'utf8'));
+    scrape.topics.hello[1].content = 'deployed [log](/user_uploads/2/ab/deploy.log)';
+    fs.writeFileSync(inputFile, JSON.stringify(scrape));
+    const [second] = await exportToSqlite(inputFile, outputFile);
+    assert.deepStrictEqual([second.added, second.updated, second.unchanged], [0, 1, 1]);
+
+    const db = openDatabase(outputFile);
+    t.after(() => db.close());
+    assert.deepStrictEqual(db.prepare('SELECT name, zulip_id FROM users ORDER BY id').all().map(row => ({ ...row })), [
+      { name: 'Bob', zulip_id: 11 },
+      { name: 'Alice', zulip_id: 10 },
+      { name: 'Carol', zulip_id: null }
+    ]);
+    // Reactors are matched to the users who sent messages by name
+    const reactors = db.prepare(`SELECT u.name, u.zulip_id FROM reaction_users r JOIN users u ON u.id = r.user_id
+      WHERE r.emoji = 'tada' ORDER BY u.name`).all();
+    assert.deepStrictEqual(reactors.map(row => [row.name, row.zulip_id]), [['Bob', 11], ['Carol', null]]);
+    assert.strictEqual(db.prepare('SELECT path FROM attachments').get().path, '2/ab/deploy.log');
+    // The full-text index follows the edit
+    const search = word => db.prepare('SELECT m.zulip_id FROM messages_fts f JOIN messages m ON m.id = f.rowid WHERE messages_fts MATCH ?')
+      .all(word).map(row => row.zulip_id);
+    assert.deepStrictEqual(search('deployed'), [2]);
+    assert.deepStrictEqual(search('deploying'), []);
+  });
@@ -0,0 +1,137 @@
+/**
+ * Tests for the channel activity report
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { writeStatsReport, buildStats, formatDuration, getWeekStart, summarize, parseArguments } = require('../stats_report');
+const { UsageError, InputError } = require('../errors');
+
+/**
+ * Creates a temporary directory, removed when the test ends
+ * @param {Object} t - Test context
+ * @returns {string} - Directory path
+ */
+function createTempDir(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'zulip-stats-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return dir;
+}
+
+/**
+ * Writes a raw scrape of the "general" stream
+ * @param {string} file - Output file
+ * @param {Object} topics - { topic: [message] }
+ */
+function writeScrape(file, topics) {
+  fs.writeFileSync(file, JSON.stringify({
+    meta: { format: 'zulip-scrape', version: 1, realm: 'https://example.zulipchat.com', stream: 'general', scraped_at: '2025-06-11T00:00:00Z' },
+    topics
+  }));
+}
+
+// Weeks of 2025-06-02 and 2025-06-09 (both Mondays); "question" never got a reply
+const TOPICS = {
+  deploy: [
+    { id: 1, sender: 'alice', sender_id: 10, timestamp: '2025-06-02T10:00:00Z', content: 'Deploy is stuck' },
+    { id: 2, sender: 'bob', sender_id: 11, timestamp: '2025-06-02T10:30:00Z', content: 'Looking' },
+    { id: 3, sender: 'bob', sender_id: 11, timestamp: '2025-06-02T12:30:00Z', content: 'Fixed' },
+    { id: 5, sender: 'Alice A.', sender_id: 10, timestamp: '2025-06-10T12:30:00Z', content: 'Thanks!' }
+  ],
+  question: [
+    { id: 4, sender: 'carol', sender_id: 12, timestamp: '2025-06-04T09:00:00Z', content: 'Anyone?',
+      permalink: 'https://example.zulipchat.com/#narrow/near/4' }
+  ]
+};
+
+test('counts messages per topic, sender and week, and measures response times', () => {
+  const stats = buildStats([{ realm: 'https://example.zulipchat.com', stream: 'general', topics: TOPICS }]);
+
+  assert.deepStrictEqual(stats.totals, {
+    streams: 1, topics: 2, messages: 5, senders: 3,
+    first_message: '2025-06-02T10:00:00.000Z', last_message: '2025-06-10T12:30:00.000Z'
+  });
+  assert.deepStrictEqual(stats.topics.map(topic => [topic.topic, topic.messages, topic.senders, topic.started_by]),
+    [['deploy', 4, 2, 'alice'], ['question', 1, 1, 'carol']]);
+  assert.strictEqual(stats.topics[0].lifetime_seconds, 8 * 86400 + 2.5 * 3600);
+  assert.strictEqual(stats.topics[0].first_response_seconds, 1800);
+
+  // Senders are counted by id, under their latest display name
+  assert.deepStrictEqual(stats.senders.map(sender => [sender.name, sender.messages, sender.topics, sender.topics_started]),
+    [['Alice A.', 2, 1, 1], ['bob', 2, 1, 0], ['carol', 1, 1, 1]]);
+  assert.deepStrictEqual(stats.weeks, [
+    { week: '2025-06-02', messages: 4, topics: 2, senders: 3 },
+    { week: '2025-06-09', messages: 1, topics: 1, senders: 1 }
+  ]);
+
+  // bob answering alice, then alice answering bob eight days later; bob following himself is no reply
+  const { first_response: firstResponse, reply } = stats.response_times;
+  assert.deepStrictEqual([firstResponse.count, firstResponse.median], [1, 1800]);
+  assert.deepStrictEqual([reply.count, reply.min, reply.max], [2, 1800, 8 * 86400]);
+  assert.deepStrictEqual(reply.buckets.map(bucket => bucket.count), [1, 0, 0, 0, 1]);
+
+  assert.deepStrictEqual(stats.unanswered.map(topic => [topic.topic, topic.permalink]),
+    [['question', 'https://example.zulipchat.com/#narrow/near/4']]);
+});
+
+test('still counts messages and unanswered topics in scrapes without timestamps', () => {
+  const stats = buildStats([{ realm: '', stream: 'old', topics: {
+    hello: [{ sender: 'alice', content: 'hi' }, { sender: 'bob', content: 'hello' }],
+    lonely: [{ sender: 'carol', content: 'anyone?' }, { sender: 'carol', content: 'bump' }]
+  } }]);
+
+  assert.deepStrictEqual([stats.totals.messages, stats.totals.senders, stats.totals.first_message], [4, 3, null]);
+  assert.deepStrictEqual(stats.weeks, []);
+  assert.strictEqual(stats.topic_lifetimes.count, 0);
+  assert.strictEqual(stats.response_times.reply.count, 0);
+  assert.deepStrictEqual(stats.unanswered.map(topic => topic.topic), ['lonely']);
+});
+
+test('writes stats.md and stats.json, counting messages found in several scrapes once', async (t) => {
+  const dir = createTempDir(t);
+  t.mock.method(console, 'log', () => {});
+  const inputDir = path.join(dir, 'data');
+  fs.mkdirSync(inputDir);
+  writeScrape(path.join(inputDir, 'early.json'), { deploy: TOPICS.deploy.slice(0, 3) });
+  writeScrape(path.join(inputDir, 'late.json'), TOPICS);
+  const outputDir = path.join(dir, 'report');
+
+  const { stats, markdownFile, jsonFile } = await writeStatsReport([inputDir], outputDir, { top: 1 });
+
+  assert.deepStrictEqual([stats.totals.topics, stats.totals.messages], [2, 5]);
+  assert.strictEqual(stats.inputs.length, 2);
+  assert.deepStrictEqual(JSON.parse(fs.readFileSync(jsonFile, 'utf8')).topics, stats.topics);
+  const markdown = fs.readFileSync(markdownFile, 'utf8');
+  assert.match(markdown, /^# Channel activity report\n/);
+  assert.match(markdown, /- Period: 2025-06-02 to 2025-06-10/);
+  assert.match(markdown, /## Top 1 topics by messages\n\n\| Topic .*\n.*\n\| deploy \| 4 \| 2 \| 2025-06-02 \| 8d 2h \| 30m \|\n\n/);
+  assert.match(markdown, /\| question \| carol \| 1 \| 2025-06-04 \| \[view\]\(https:\/\/example\.zulipchat\.com\/#narrow\/near\/4\) \|/);
+});
+
+test('formats durations, weeks and percentiles', () => {
+  assert.deepStrictEqual([null, 45, 125, 7500, 7200, 90000, 86400].map(formatDuration), ['-', '45s', '2m', '2h 5m', '2h', '1d 1h', '1d']);
+  // A Sunday belongs to the week that started on the Monday before
+  assert.strictEqual(new Date(getWeekStart(Date.parse('2025-06-08T23:00:00Z'))).toISOString(), '2025-06-02T00:00:00.000Z');
+  assert.strictEqual(new Date(getWeekStart(Date.parse('2025-06-09T00:00:00Z'))).toISOString(), '2025-06-09T00:00:00.000Z');
+  assert.deepStrictEqual(summarize([10, 1, 4, 3]), { count: 4, min: 1, median: 3, p90: 10, max: 10, mean: 5 });
+});
+
+test('rejects bad arguments and inputs with typed errors', async (t) => {
+  const dir = createTempDir(t);
+  t.mock.method(console, 'log', () => {});
+  assert.throws(() => parseArguments(['data.json']), UsageError);
+  assert.throws(() => parseArguments(['data.json', 'out', '--top', '0']), UsageError);
+  assert.throws(() => parseArguments(['data.json', 'out', '--colour']), UsageError);
+  assert.deepStrictEqual(parseArguments(['a.json', 'b.json', 'out']).inputFiles.map(file => path.basename(file)), ['a.json', 'b.json']);
+
+  await assert.rejects(writeStatsReport([path.join(dir, 'missing.json')], path.join(dir, 'out')), InputError);
+  const cleanedFile = path.join(dir, 'cleaned.json');
+  fs.writeFileSync(cleanedFile, JSON.stringify({ meta: { format: 'zulip-cleaned', version: 1 }, topics: { hello: '**alice:** hi' } }));
+  await assert.rejects(writeStatsReport([cleanedFile], path.join(dir, 'out')), InputError);
+  const scrapeFile = path.join(dir, 'general.json');
+  writeScrape(scrapeFile, TOPICS);
+  await assert.rejects(writeStatsReport([scrapeFile, scrapeFile], path.join(dir, 'out'), { mergeFiles: [scrapeFile] }), UsageError);
+});
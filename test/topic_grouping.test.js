@@ -0,0 +1,110 @@
+/**
+ * Tests for the compactor's topic grouping
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { groupEntries, getTopicPrefix, getEntryDate } = require('../topic_grouping');
+const { compactMarkdownFiles } = require('../markdown_compactor');
+
+/**
+ * Makes a compactor entry
+ * @param {string} name - File name
+ * @param {string} content - Markdown content
+ * @returns {Object} - Entry with name and content
+ */
+function entry(name, content) {
+  return { name, content };
+}
+
+// Both clusters come out named after the word they share with the other one
+const PARSER_TOPICS = [
+  entry('one.md', '# one\n\nparser lexer grammar tokens parser lexer grammar'),
+  entry('two.md', '# two\n\nparser lexer grammar tokens parser lexer grammar'),
+  entry('three.md', '# three\n\nparser lexer grammar tokens build'),
+  entry('four.md', '# four\n\nparser lexer grammar tokens build')
+];
+
+test('keeps related topics together and names groups after them', () => {
+  const entries = [
+    entry('ltac2_notations.md', '# Ltac2: notations\n\n**alice:** hi'),
+    entry('ci_failures.md', '# CI - failures\n\n**bob:** red again'),
+    entry('ltac2_quotations.md', '# Ltac2: quotations\n\n**alice:** hi'),
+    entry('release.md', '# Release 1.0\n\n**carol:** done')
+  ];
+  const groups = groupEntries(entries, 'prefix', null);
+  assert.deepStrictEqual(groups.map(group => [group.title, group.slug, group.entries.map(e => e.name)]), [
+    ['Ltac2', 'ltac2', ['ltac2_notations.md', 'ltac2_quotations.md']],
+    ['Other', 'other', ['ci_failures.md', 'release.md']]
+  ]);
+
+  assert.strictEqual(getTopicPrefix('CI - failures'), 'CI');
+  assert.strictEqual(getEntryDate(entry('a.md', '---\ndate: "2025-02-03"\n---\n# a')), '2025-02-03');
+  const byMonth = groupEntries([
+    entry('a.md', '# a\n\n2025-02-03'),
+    entry('b.md', '# b\n\n2025-01-09'),
+    entry('c.md', '# c\n\nno date')
+  ], 'date', null);
+  assert.deepStrictEqual(byMonth.map(group => group.title), ['2025-01', '2025-02', 'Undated']);
+});
+
+test('clusters topics by content and keeps the parts of a split topic together', () => {
+  const entries = [
+    entry('ltac2_notations.md', '# Ltac2 notations\n\n**alice:** How do ltac2 notations interact with tactic quotations?'),
+    entry('ci_red.md', '# CI red\n\n**bob:** The pipeline runner failed, docker cache is stale'),
+    { ...entry('ltac2_quoting.md', '# Ltac2 quoting\n\n**carol:** ltac2 quotations need the notation scope'), part: 'part 1 of 2' },
+    entry('ci_cache.md', '# CI cache\n\n**dave:** Clearing the docker cache fixed the pipeline runner'),
+    { ...entry('ltac2_quoting.md', '# Ltac2 quoting\n\n**erin:** for the tactic'), part: 'part 2 of 2' },
+    // No words shared with any other topic: joins the smallest group (the first, on a tie)
+    entry('hello.md', '# 👋\n\n**frank:** 👋')
+  ];
+  const groups = groupEntries(entries, 'similarity', 2);
+
+  assert.deepStrictEqual(groups.map(group => [group.title, group.entries.map(e => e.part ? `${e.name} ${e.part}` : e.name)]), [
+    ['ltac2, quotations, tactic', ['ltac2_notations.md', 'ltac2_quoting.md part 1 of 2', 'ltac2_quoting.md part 2 of 2', 'hello.md']],
+    ['cache, docker, pipeline', ['ci_red.md', 'ci_cache.md']]
+  ]);
+  assert.strictEqual(groups[1].slug, 'cache_docker_pipeline');
+});
+
+test('gives groups with the same name different titles and slugs', () => {
+  const groups = groupEntries(PARSER_TOPICS, 'similarity', 2);
+  assert.strictEqual(groups.length, 2);
+  assert.strictEqual(groups[0].slug, 'build');
+  assert.strictEqual(groups[1].title, `${groups[0].title} (2)`);
+  assert.match(groups[1].slug, /^build_[0-9a-f]{8}$/);
+  // The suffix depends on the group's topics, so it is the same on every run
+  assert.strictEqual(groupEntries(PARSER_TOPICS, 'similarity', 2)[1].slug, groups[1].slug);
+
+  // Prefixes that only differ after the slug's 60 characters
+  const long = 'x'.repeat(60);
+  const prefixed = groupEntries([
+    entry('a1.md', `# ${long} a: one`),
+    entry('a2.md', `# ${long} a: two`),
+    entry('b1.md', `# ${long} b: one`),
+    entry('b2.md', `# ${long} b: two`)
+  ], 'prefix', null);
+  assert.strictEqual(new Set(prefixed.map(group => group.slug)).size, 2);
+  assert.strictEqual(new Set(prefixed.map(group => group.title)).size, 2);
+});
+
+test('writes one compacted file per similarity group, even when their names match', async (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'zulip-group-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  t.mock.method(console, 'log', () => {});
+
+  const inputDir = path.join(dir, 'markdown');
+  fs.mkdirSync(inputDir);
+  PARSER_TOPICS.forEach(topic => fs.writeFileSync(path.join(inputDir, topic.name), topic.content));
+  const outputDir = path.join(dir, 'compacted');
+  const result = await compactMarkdownFiles(inputDir, outputDir, 2, { groupBy: 'similarity' });
+
+  assert.strictEqual(result.groupsCreated, 2);
+  const files = fs.readdirSync(outputDir).sort();
+  assert.strictEqual(files.length, 2);
+  assert.strictEqual(files[0], '01_build.md');
+  assert.match(files[1], /^02_build_[0-9a-f]{8}\.md$/);
+});
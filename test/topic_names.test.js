@@ -0,0 +1,129 @@
+/**
+ * Tests for reconciling topics scraped under several names
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { parseTopicName, loadTopicAliases, reconcileTopics, groupThreads } = require('../topic_names');
+const { ConfigError } = require('../errors');
+
+/**
+ * Creates a temporary directory, removed when the test ends
+ * @param {Object} t - Test context
+ * @returns {string} - Directory path
+ */
+function createTempDir(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'zulip-topics-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return dir;
+}
+
+/**
+ * Writes a topic alias file and loads it
+ * @param {string} dir - Directory for the file
+ * @param {Object} aliases - { "old name": "new name" }
+ * @returns {Map} - Loaded aliases (see loadTopicAliases)
+ */
+function writeAliases(dir, aliases) {
+  const file = path.join(dir, 'topic_aliases.json');
+  fs.writeFileSync(file, JSON.stringify(aliases));
+  return loadTopicAliases(file);
+}
+
+// One thread renamed twice and then resolved; message 3 was moved into the resolved topic
+// and edited there
+const SCRAPE = {
+  'foo': [
+    { id: 1, sender: 'alice', content: 'first' },
+    { id: 3, sender: 'bob', content: 'third' }
+  ],
+  'Foo  ': [{ id: 2, sender: 'bob', content: 'second' }],
+  '✔ foo': [
+    { id: 4, sender: 'alice', content: 'fourth' },
+    { id: 3, sender: 'bob', content: 'third (edited)' }
+  ],
+  'tactic unification bug': [{ id: 6, sender: 'carol', content: 'later' }],
+  'ltac2 unification': [{ id: 5, sender: 'carol', content: 'earlier' }],
+  'hello': [
+    { sender: 'dave', content: '+1' },
+    { sender: 'dave', content: '+1' }
+  ]
+};
+
+test('normalizes names and reads the resolved status', () => {
+  assert.deepStrictEqual(parseTopicName('✔  Foo   bar '), { name: 'Foo bar', key: 'foo bar', resolved: true });
+  assert.deepStrictEqual(parseTopicName('Foo bar [Resolved]'), { name: 'Foo bar', key: 'foo bar', resolved: true });
+  assert.deepStrictEqual(parseTopicName('Foo (resolved) bar'), { name: 'Foo (resolved) bar', key: 'foo (resolved) bar', resolved: false });
+  // "é" written as "e" plus a combining accent
+  assert.strictEqual(parseTopicName('Cafe\u0301').key, parseTopicName('Caf\u00e9').key);
+  assert.deepStrictEqual(parseTopicName('✔'), { name: '✔', key: '✔', resolved: true });
+});
+
+test('merges the names of a thread, in message order, under its latest name', (t) => {
+  const dir = createTempDir(t);
+  const aliases = writeAliases(dir, {
+    'Tactic unification bug': 'ltac2 unification',
+    'ltac2 unification': 'Unification in Ltac2'
+  });
+  const { data, merges, resolved, duplicatesDropped, renamed } = reconcileTopics(SCRAPE, aliases);
+
+  assert.deepStrictEqual(Object.keys(data), ['foo', 'Unification in Ltac2', 'hello']);
+  assert.deepStrictEqual(data.foo.map(message => message.content), ['first', 'second', 'third (edited)', 'fourth']);
+  assert.deepStrictEqual(data['Unification in Ltac2'].map(message => message.id), [5, 6]);
+  // Messages without ids are only duplicates when found under another name
+  assert.strictEqual(data.hello.length, 2);
+  assert.strictEqual(duplicatesDropped, 1);
+  assert.deepStrictEqual([...resolved], ['foo']);
+  assert.deepStrictEqual(merges, [
+    { topic: 'foo', names: ['foo', 'Foo  ', '✔ foo'] },
+    { topic: 'Unification in Ltac2', names: ['tactic unification bug', 'ltac2 unification'] }
+  ]);
+  assert.strictEqual(renamed.get('Foo  '), 'foo');
+  assert.strictEqual(renamed.get('tactic unification bug'), 'Unification in Ltac2');
+  assert.strictEqual(renamed.get('hello'), 'hello');
+});
+
+test('orders messages without ids by time and names the thread after the newest', () => {
+  const { data, resolved } = reconcileTopics({
+    '✔ Deploys': [{ sender: 'alice', content: 'old', timestamp: '2025-01-01T10:00:00Z' }],
+    'deploys': [{ sender: 'bob', content: 'new', timestamp: '2025-02-01T10:00:00Z' }],
+    'Deploys': [{ sender: 'carol', content: 'middle', timestamp: '2025-01-15T10:00:00Z' }]
+  });
+
+  // Reopened after it was resolved
+  assert.deepStrictEqual(Object.keys(data), ['deploys']);
+  assert.deepStrictEqual(data.deploys.map(message => message.content), ['old', 'middle', 'new']);
+  assert.strictEqual(resolved.size, 0);
+});
+
+test('holds back streamed topics until every name of their thread has been read', (t) => {
+  const dir = createTempDir(t);
+  const aliases = writeAliases(dir, { 'tactic unification bug': 'Unification in Ltac2', 'ltac2 unification': 'Unification in Ltac2' });
+  const threads = [...groupThreads(Object.entries(SCRAPE), Object.keys(SCRAPE), aliases)];
+
+  assert.deepStrictEqual(threads.map(thread => Object.keys(thread)), [
+    ['foo', 'Foo  ', '✔ foo'],
+    ['tactic unification bug', 'ltac2 unification'],
+    ['hello']
+  ]);
+  const streamed = Object.assign({}, ...threads.map(thread => reconcileTopics(thread, aliases).data));
+  assert.deepStrictEqual(streamed, reconcileTopics(SCRAPE, aliases).data);
+});
+
+test('rejects alias files that are missing, invalid, contradictory or circular', (t) => {
+  const dir = createTempDir(t);
+  assert.throws(() => loadTopicAliases(path.join(dir, 'missing.json')), ConfigError);
+  const invalid = path.join(dir, 'invalid.json');
+  fs.writeFileSync(invalid, '{"a": ');
+  assert.throws(() => loadTopicAliases(invalid), ConfigError);
+
+  assert.throws(() => writeAliases(dir, ['a', 'b']), ConfigError);
+  assert.throws(() => writeAliases(dir, { a: '  ' }), ConfigError);
+  assert.throws(() => writeAliases(dir, { 'A': 'b', 'a ': 'c' }), /maps to both/);
+  assert.throws(() => writeAliases(dir, { a: 'b', b: 'c', c: 'A' }), /cycle: a → b → c → a/);
+  // An alias onto its own name only sets the spelling
+  assert.deepStrictEqual([...writeAliases(dir, { foo: 'Foo', bar: 'foo' })], [['foo', 'Foo'], ['bar', 'Foo']]);
+});
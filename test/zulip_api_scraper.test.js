@@ -0,0 +1,222 @@
+/**
+ * Tests for the API scraper, against a local server that answers like Zulip's REST API
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+const { scrapeToFile, parseArguments } = require('../zulip_api_scraper');
+const { PipelineError, UsageError, ConfigError, InputError } = require('../errors');
+
+test('rejects bad arguments with a UsageError', () => {
+  assert.throws(() => parseArguments(['https://example.zulipchat.com', '.zuliprc']), UsageError);
+  assert.throws(() => parseArguments(['https://example.zulipchat.com', '.zuliprc', 'general', '--narrow', '{']), UsageError);
+  assert.throws(() => parseArguments(['https://example.zulipchat.com', '.zuliprc', 'general', 'out.json', '--stream', 'ops']), UsageError);
+});
+
+test('throws typed errors for unusable credentials instead of exiting', async (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'zulip-api-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const exit = t.mock.method(process, 'exit', () => {});
+
+  const missing = path.join(dir, 'missing.zuliprc');
+  await assert.rejects(scrapeToFile('https://example.zulipchat.com', missing, ['general']),
+    error => error instanceof InputError && error.file === missing);
+
+  const incomplete = path.join(dir, '.zuliprc');
+  fs.writeFileSync(incomplete, '[api]\nemail=bot@example.zulipchat.com\n');
+  await assert.rejects(scrapeToFile('https://example.zulipchat.com', incomplete, ['general']),
+    error => error instanceof ConfigError && error.file === incomplete);
+
+  assert.strictEqual(exit.mock.callCount(), 0);
+});
+
+const STREAM = { id: 7, name: 'general' };
+const MESSAGES = [101, 102, 103, 104, 105].map(id => ({
+  id,
+  subject: id < 103 ? 'hello' : 'deploys',
+  sender_full_name: id % 2 ? 'Alice' : 'Bob',
+  sender_id: id % 2 ? 10 : 11,
+  sender_email: id % 2 ? 'alice@example.com' : 'bob@example.com',
+  stream_id: STREAM.id,
+  timestamp: 1748736000 + id,
+  content: `message ${id}`,
+  reactions: []
+}));
+
+/**
+ * Starts a server that pages through MESSAGES like GET /api/v1/messages
+ * @param {Object} t - Test context; the server is closed when the test ends
+ * @param {function(Object): (Object|null)} [intercept] - Called with every parsed request URL;
+ *   returns { status, headers, body } to answer instead, { hang: true } to never answer, or null
+ * @returns {Promise<Object>} - Object containing realmUrl and requests (parsed URLs, in order)
+ */
+async function startZulipServer(t, intercept = () => null) {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+    requests.push(url);
+    const reply = (status, body, headers = {}) => {
+      res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+      res.end(JSON.stringify(body));
+    };
+
+    const intercepted = intercept(url);
+    if (intercepted && intercepted.hang) return;
+    if (intercepted) return reply(intercepted.status, intercepted.body, intercepted.headers);
+    if (url.pathname !== '/api/v1/messages') return reply(404, { result: 'error', msg: 'Not found' });
+
+    const anchor = url.searchParams.get('anchor');
+    const includeAnchor = url.searchParams.get('include_anchor') === 'true';
+    const numAfter = Number(url.searchParams.get('num_after'));
+    const after = MESSAGES.filter(message => anchor === 'oldest' ||
+      (includeAnchor ? message.id >= Number(anchor) : message.id > Number(anchor)));
+    const messages = after.slice(0, numAfter);
+    reply(200, { result: 'success', messages, found_newest: messages.length === after.length });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  t.after(() => {
+    server.closeAllConnections();
+    server.close();
+  });
+  return { realmUrl: `http://127.0.0.1:${server.address().port}`, requests };
+}
+
+/**
+ * Creates a temporary directory with a .zuliprc, removed when the test ends
+ * @param {Object} t - Test context
+ * @returns {Object} - Object containing dir and zuliprcFile
+ */
+function createScrapeDir(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'zulip-api-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const zuliprcFile = path.join(dir, '.zuliprc');
+  fs.writeFileSync(zuliprcFile, '[api]\nemail=bot@example.com\nkey=abc123\n');
+  return { dir, zuliprcFile };
+}
+
+/**
+ * Reads the message ids of a scrape, by topic
+ * @param {string} file - Raw scrape written by scrapeToFile
+ * @returns {Object} - { topic: [id] }
+ */
+function readMessageIds(file) {
+  const { topics } = JSON.parse(fs.readFileSync(file, 'utf8'));
+  return Object.fromEntries(Object.entries(topics).map(([topic, messages]) => [topic, messages.map(message => message.id)]));
+}
+
+test('pages through a stream, anchoring each page after the last message', async (t) => {
+  t.mock.method(console, 'log', () => {});
+  const { realmUrl, requests } = await startZulipServer(t);
+  const { dir, zuliprcFile } = createScrapeDir(t);
+  const outputFile = path.join(dir, 'general.json');
+
+  const [result] = await scrapeToFile(realmUrl, zuliprcFile, [STREAM.name], { outputFile, batchSize: 2, requestDelayMs: 0 });
+
+  assert.deepStrictEqual(requests.map(url => [url.searchParams.get('anchor'), url.searchParams.get('include_anchor')]),
+    [['oldest', 'true'], ['102', 'false'], ['104', 'false']]);
+  assert.deepStrictEqual(JSON.parse(requests[0].searchParams.get('narrow')), [{ operator: 'stream', operand: 'general' }]);
+  assert.strictEqual(result.topicCount, 2);
+  assert.deepStrictEqual(readMessageIds(outputFile), { hello: [101, 102], deploys: [103, 104, 105] });
+
+  const [message] = JSON.parse(fs.readFileSync(outputFile, 'utf8')).topics.hello;
+  assert.strictEqual(message.sender, 'Alice');
+  assert.strictEqual(message.permalink, `${realmUrl}/#narrow/stream/7-general/topic/hello/near/101`);
+  assert.ok(!fs.existsSync(`${outputFile}.checkpoint.json`));
+});
+
+test('resumes an interrupted scrape from its checkpoint', async (t) => {
+  t.mock.method(console, 'log', () => {});
+  // The server fails the second request of the first run
+  let failing = true;
+  const { realmUrl, requests } = await startZulipServer(t, () => (failing && requests.length === 2
+    ? { status: 500, body: { result: 'error', msg: 'Internal server error' } }
+    : null));
+  const { dir, zuliprcFile } = createScrapeDir(t);
+  const outputFile = path.join(dir, 'general.json');
+  const options = { outputFile, batchSize: 2, requestDelayMs: 0 };
+
+  await assert.rejects(scrapeToFile(realmUrl, zuliprcFile, [STREAM.name], options), PipelineError);
+  const checkpoint = JSON.parse(fs.readFileSync(`${outputFile}.checkpoint.json`, 'utf8'));
+  assert.strictEqual(checkpoint.anchor, 102);
+  assert.deepStrictEqual(Object.keys(checkpoint.topics), ['hello']);
+  assert.ok(!fs.existsSync(outputFile));
+
+  failing = false;
+  requests.length = 0;
+  await scrapeToFile(realmUrl, zuliprcFile, [STREAM.name], options);
+
+  assert.deepStrictEqual(requests.map(url => url.searchParams.get('anchor')), ['102', '104']);
+  assert.deepStrictEqual(readMessageIds(outputFile), { hello: [101, 102], deploys: [103, 104, 105] });
+  assert.strictEqual(JSON.parse(fs.readFileSync(outputFile, 'utf8')).meta.scraped_at, checkpoint.scraped_at);
+  assert.ok(!fs.existsSync(`${outputFile}.checkpoint.json`));
+});
+
+test('backs off when rate limited and retries requests that time out', async (t) => {
+  t.mock.method(console, 'log', () => {});
+  const warn = t.mock.method(console, 'warn', () => {});
+  let calls = 0;
+  const { realmUrl, requests } = await startZulipServer(t, () => {
+    calls++;
+    if (calls === 1) return { status: 429, headers: { 'Retry-After': '0.05' }, body: { result: 'error', msg: 'API usage exceeded rate limit' } };
+    if (calls === 2) return { hang: true };
+    return null;
+  });
+  const { dir, zuliprcFile } = createScrapeDir(t);
+  const outputFile = path.join(dir, 'general.json');
+
+  const started = Date.now();
+  await scrapeToFile(realmUrl, zuliprcFile, [STREAM.name], { outputFile, requestDelayMs: 0, requestTimeoutMs: 100 });
+
+  // 429, then a request the server never answers, then the page
+  assert.strictEqual(requests.length, 3);
+  assert.ok(requests.every(url => url.searchParams.get('anchor') === 'oldest'));
+  assert.ok(Date.now() - started >= 50 + 100 + 2000);
+  assert.match(warn.mock.calls[0].arguments[0], /Rate limited, retrying in 0.05s/);
+  assert.match(warn.mock.calls[1].arguments[0], /No response from .* in 0.1s, retrying in 2s/);
+  assert.deepStrictEqual(readMessageIds(outputFile), { hello: [101, 102], deploys: [103, 104, 105] });
+});
+
+test('gives up after repeated rate limiting with a PipelineError', async (t) => {
+  t.mock.method(console, 'log', () => {});
+  t.mock.method(console, 'warn', () => {});
+  const { realmUrl, requests } = await startZulipServer(t, () => ({ status: 429, headers: { 'Retry-After': '0' }, body: { result: 'error' } }));
+  const { dir, zuliprcFile } = createScrapeDir(t);
+
+  await assert.rejects(scrapeToFile(realmUrl, zuliprcFile, [STREAM.name], { outputFile: path.join(dir, 'general.json'), requestDelayMs: 0 }),
+    error => error instanceof PipelineError && /Still rate limited/.test(error.message));
+  assert.strictEqual(requests.length, 6);
+});
+
+test('updates several streams from a directory of earlier scrapes, reading it once', async (t) => {
+  t.mock.method(console, 'log', () => {});
+  const { realmUrl, requests } = await startZulipServer(t);
+  const { dir, zuliprcFile } = createScrapeDir(t);
+  const previousDir = path.join(dir, 'previous');
+  fs.mkdirSync(previousDir);
+  const writeScrape = (name, stream, scrapedAt, ids) => fs.writeFileSync(path.join(previousDir, name), JSON.stringify({
+    meta: { format: 'zulip-scrape', version: 1, stream, scraped_at: scrapedAt },
+    topics: { hello: MESSAGES.filter(message => ids.includes(message.id)).map(message => ({ id: message.id, content: message.content })) }
+  }));
+  // The newest scrape is the one scraped last, whatever its file name says
+  writeScrape('general_2025-06-01.json', 'general', '2025-06-01T00:00:00Z', [101]);
+  writeScrape('general_2025-05-01.json', 'general', '2025-06-15T00:00:00Z', [101, 102, 103]);
+  writeScrape('ops_2025-06-01.json', 'ops', '2025-06-01T00:00:00Z', [101, 102, 103, 104]);
+  const openSync = t.mock.method(fs, 'openSync');
+  const readFileSync = t.mock.method(fs, 'readFileSync');
+
+  const results = await scrapeToFile(realmUrl, zuliprcFile, ['general', 'ops'],
+    { outputDir: path.join(dir, 'update'), sinceFile: previousDir, requestDelayMs: 0 });
+
+  assert.deepStrictEqual(requests.map(url => url.searchParams.get('anchor')), ['103', '104']);
+  assert.deepStrictEqual(readMessageIds(results[0].outputFile), { deploys: [104, 105] });
+  assert.deepStrictEqual(readMessageIds(results[1].outputFile), { deploys: [105] });
+  const reads = mock => mock.mock.calls.map(call => call.arguments[0]).filter(file => String(file).startsWith(previousDir));
+  assert.deepStrictEqual(reads(openSync).map(file => path.basename(file)).sort(),
+    ['general_2025-05-01.json', 'general_2025-06-01.json', 'ops_2025-06-01.json']);
+  assert.deepStrictEqual(reads(readFileSync).map(file => path.basename(file)),
+    ['general_2025-05-01.json', 'ops_2025-06-01.json']);
+});
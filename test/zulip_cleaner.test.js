@@ -0,0 +1,41 @@
+/**
+ * Tests for cleaning batches of scrapes
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { cleanZulipData } = require('../zulip_cleaner');
+
+test('cleans the JSON and JSONL scrapes of a batch directory, reading each once', async (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'zulip-clean-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  t.mock.method(console, 'log', () => {});
+
+  const inputDir = path.join(dir, 'raw');
+  fs.mkdirSync(inputDir);
+  const meta = stream => ({ format: 'zulip-scrape', version: 1, realm: 'https://example.zulipchat.com', stream, scraped_at: '2025-06-01T00:00:00Z' });
+  fs.writeFileSync(path.join(inputDir, 'general_messages.json'), JSON.stringify({
+    meta: meta('general'),
+    topics: { hello: [{ id: 1, sender: 'alice', content: 'hi' }] }
+  }));
+  fs.writeFileSync(path.join(inputDir, 'ops_messages.jsonl'), [
+    { meta: meta('ops') },
+    { topic: 'deploys', id: 2, sender: 'bob', content: 'shipped' }
+  ].map(line => JSON.stringify(line)).join('\n') + '\n');
+  fs.writeFileSync(path.join(inputDir, 'ops_chunks.jsonl'), '{"id":"not a scrape"}\n');
+
+  const read = t.mock.method(fs, 'readFileSync');
+  const results = await cleanZulipData(inputDir, path.join(dir, 'cleaned'), {});
+
+  assert.deepStrictEqual(results.map(result => path.relative(dir, result.outputFile)).sort(), [
+    path.join('cleaned', 'general', 'general_cleaned.json'),
+    path.join('cleaned', 'ops', 'ops_cleaned.json')
+  ]);
+  const jsonReads = read.mock.calls.filter(call => call.arguments[0] === path.join(inputDir, 'general_messages.json'));
+  assert.strictEqual(jsonReads.length, 1);
+  const ops = JSON.parse(fs.readFileSync(path.join(dir, 'cleaned', 'ops', 'ops_cleaned.json'), 'utf8'));
+  assert.deepStrictEqual(Object.keys(ops.topics), ['deploys']);
+});
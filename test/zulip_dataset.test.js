@@ -0,0 +1,37 @@
+/**
+ * Tests for the topic and message filters shared by the stages
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { parseTopicPattern, filterTopics } = require('../zulip_dataset');
+
+const message = (sender, timestamp) => ({ sender, content: 'hi', timestamp });
+
+test('matches every topic with a /pattern/g topic regex', () => {
+  const data = { 'RFC: a': [message('Alice')], 'rfc: b': [message('Bob')], 'RFC: c': [message('Carol')], other: [message('Dan')] };
+  const pattern = parseTopicPattern('/^rfc/gi');
+  assert.strictEqual(pattern.flags, 'i');
+  const { data: filtered, dropped } = filterTopics(data, { topicPattern: pattern });
+  assert.deepStrictEqual(Object.keys(filtered), ['RFC: a', 'rfc: b', 'RFC: c']);
+  assert.strictEqual(dropped.topicsByPattern, 1);
+});
+
+test('counts topics emptied by the date and sender filters apart from --min-messages', () => {
+  const data = {
+    old: [message('Alice', '2025-01-01T00:00:00Z')],
+    bots: [message('Notification Bot', '2025-06-01T00:00:00Z')],
+    short: [message('Alice', '2025-06-01T00:00:00Z')],
+    kept: [message('Alice', '2025-06-01T00:00:00Z'), message('Bob', '2025-06-02T00:00:00Z')]
+  };
+  const { data: filtered, dropped } = filterTopics(data, {
+    since: Date.parse('2025-05-01'),
+    excludeSenders: ['Notification Bot'],
+    minMessages: 2
+  });
+  assert.deepStrictEqual(Object.keys(filtered), ['kept']);
+  assert.strictEqual(dropped.topicsEmptied, 2);
+  assert.strictEqual(dropped.topicsBelowMinimum, 1);
+  assert.strictEqual(dropped.messagesByDate, 1);
+  assert.strictEqual(dropped.messagesBySender, 1);
+});
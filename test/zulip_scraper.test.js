@@ -0,0 +1,152 @@
+/**
+ * Tests for the browser scraper's HTML-to-markdown conversion
+ * ===========================================================
+ *
+ * Each test/fixtures/zulip_html/<name>.html is a message body as Zulip renders it, and
+ * <name>.md the markdown the scraper should store for it. The scraper runs against jsdom,
+ * with the vendored Turndown loaded into the page as the bundle does.
+ *
+ * Run with: npm test
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { JSDOM } = require('jsdom');
+
+const FIXTURES_DIR = path.join(__dirname, 'fixtures', 'zulip_html');
+const UPLOADS_DIR = path.join(__dirname, 'fixtures', 'uploads');
+const VENDORED_TURNDOWN = path.join(__dirname, '..', 'vendor', 'turndown.js');
+
+// The scraper's helpers use the page's globals, as they do in the browser console
+const dom = new JSDOM('<!DOCTYPE html><body></body>', {
+  url: 'https://example.zulipchat.com/#narrow/channel/7-general',
+  runScripts: 'outside-only'
+});
+dom.window.eval(fs.readFileSync(VENDORED_TURNDOWN, 'utf8'));
+global.window = dom.window;
+global.document = dom.window.document;
+global.FileReader = dom.window.FileReader;
+
+const {
+  addZulipTurndownRules,
+  getPreprocessedMessageHtml,
+  getMessageQuotes,
+  getMessageAttachments,
+  collectAssetBundle
+} = require('../zulip_scraper');
+const { loadAssetSource, localizeAssets } = require('../asset_bundler');
+
+/**
+ * Builds a converter configured like the one the scraper uses
+ * @returns {TurndownService} - Turndown with the Zulip rules
+ */
+function createConverter() {
+  return addZulipTurndownRules(new dom.window.TurndownService({
+    headingStyle: 'atx',
+    codeBlockStyle: 'fenced'
+  }));
+}
+
+/**
+ * Wraps message HTML in a .message_content element
+ * @param {string} html - Rendered message body
+ * @returns {Element} - The message content element
+ */
+function createMessageContent(html) {
+  const element = document.createElement('div');
+  element.className = 'message_content';
+  element.innerHTML = html;
+  return element;
+}
+
+/**
+ * Converts message HTML the way scrapeCurrentNarrow does
+ * @param {string} html - Rendered message body
+ * @returns {string} - Markdown
+ */
+function convert(html) {
+  return createConverter().turndown(getPreprocessedMessageHtml(createMessageContent(html)));
+}
+
+for (const file of fs.readdirSync(FIXTURES_DIR).filter(name => name.endsWith('.html')).sort()) {
+  const name = path.basename(file, '.html');
+  test(`converts ${name}`, () => {
+    const html = fs.readFileSync(path.join(FIXTURES_DIR, file), 'utf8');
+    const expected = fs.readFileSync(path.join(FIXTURES_DIR, `${name}.md`), 'utf8');
+    assert.strictEqual(convert(html), expected.trimEnd());
+  });
+}
+
+test('keeps HTML in a spoiler title as text', () => {
+  const markdown = convert('<div class="spoiler-block"><div class="spoiler-header"><p>&lt;img src=x onerror=alert(1)&gt;</p></div>' +
+    '<div class="spoiler-content"><p>hidden</p></div></div>');
+  assert.strictEqual(markdown, '<details><summary>&lt;img src=x onerror=alert(1)&gt;</summary>\n\nhidden\n\n</details>');
+});
+
+test('names a spoiler without a title "Spoiler"', () => {
+  const markdown = convert('<div class="spoiler-block"><div class="spoiler-header"></div>' +
+    '<div class="spoiler-content"><p>hidden</p></div></div>');
+  assert.strictEqual(markdown, '<details><summary>Spoiler</summary>\n\nhidden\n\n</details>');
+});
+
+test('records quoted messages', () => {
+  const html = fs.readFileSync(path.join(FIXTURES_DIR, 'quotes.html'), 'utf8');
+  assert.deepStrictEqual(getMessageQuotes(createMessageContent(html)), [{
+    author: 'Alice Example',
+    message_id: 123400,
+    permalink: '/#narrow/channel/7-general/topic/tactics/near/123400'
+  }]);
+});
+
+test('records uploads linked from the message', () => {
+  const html = fs.readFileSync(path.join(FIXTURES_DIR, 'image_previews.html'), 'utf8') +
+    '<p><a href="https://elsewhere.example.com/user_uploads/1/x.png">elsewhere</a></p>';
+  assert.deepStrictEqual(getMessageAttachments(createMessageContent(html)), [
+    '/user_uploads/2/ab/xyz/diagram.png',
+    '/user_uploads/thumbnail/2/ab/xyz/diagram.png/840x560.webp'
+  ]);
+});
+
+test('bundles the uploads of the scraped messages', async (t) => {
+  // Serves test/fixtures/uploads/ in place of the realm
+  const requested = [];
+  t.mock.method(global, 'fetch', async (url) => {
+    requested.push(url);
+    const file = path.join(UPLOADS_DIR, url.replace(/^\/user_uploads\//, ''));
+    if (!fs.existsSync(file)) return { ok: false, status: 404 };
+    return { ok: true, status: 200, blob: async () => new dom.window.Blob([fs.readFileSync(file)], { type: 'image/png' }) };
+  });
+  t.mock.method(console, 'log', () => {});
+  t.mock.method(console, 'warn', () => {});
+
+  const topics = {
+    diagrams: [
+      { content: '![diagram.png](/user_uploads/2/ab/xyz/diagram.png)', attachments: ['/user_uploads/2/ab/xyz/diagram.png'] },
+      { content: 'again', attachments: ['/user_uploads/2/ab/xyz/diagram.png', '/user_uploads/2/ab/xyz/missing.png'] }
+    ]
+  };
+  const manifest = await collectAssetBundle(topics);
+
+  assert.deepStrictEqual(requested, ['/user_uploads/2/ab/xyz/diagram.png', '/user_uploads/2/ab/xyz/missing.png']);
+  assert.strictEqual(manifest.realm, 'https://example.zulipchat.com');
+  assert.deepStrictEqual(Object.keys(manifest.assets), ['/user_uploads/2/ab/xyz/diagram.png']);
+  const contents = fs.readFileSync(path.join(UPLOADS_DIR, '2', 'ab', 'xyz', 'diagram.png'));
+  assert.deepStrictEqual(manifest.assets['/user_uploads/2/ab/xyz/diagram.png'], {
+    mime: 'image/png',
+    size: contents.length,
+    data_base64: contents.toString('base64')
+  });
+
+  // The manifest is what data_splitter.js --assets reads
+  const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'zulip-assets-'));
+  t.after(() => fs.rmSync(tempDir, { recursive: true, force: true }));
+  const manifestFile = path.join(tempDir, 'assets.json');
+  fs.writeFileSync(manifestFile, JSON.stringify(manifest));
+  const getAsset = loadAssetSource(manifestFile);
+  assert.ok(getAsset('2/ab/xyz/diagram.png').equals(contents));
+  const localized = localizeAssets(topics.diagrams[0].content, getAsset, tempDir, { dryRun: true });
+  assert.strictEqual(localized.markdown, '![diagram.png](./assets/2/ab/xyz/diagram.png)');
+});
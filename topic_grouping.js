@@ -0,0 +1,484 @@
+/**
+ * Topic Grouping
+ * ==============
+ *
+ * Groups topic files so related topics end up in the same compacted file. Used by
+ * markdown_compactor.js --group-by; everything runs locally, with no network models.
+ *
+ * MODES:
+ * - similarity: clusters topics by content with TF-IDF vectors and k-means (cosine
+ *   similarity). Each group is named after its most characteristic words.
+ * - prefix:     one group per shared topic-name prefix: the text before the first ":",
+ *   " - " or " — " ("tactic X: foo" → "tactic X"), or the first word. Prefixes used by a
+ *   single topic go to an "Other" group.
+ * - date:       contiguous date ranges (N groups), or one group per month. A topic's date is
+ *   its front matter "date:" or the first YYYY-MM-DD in the file (e.g. from the wiki
+ *   template); topics without a date go to an "Undated" group.
+ *
+ * The functions take the compactor's entries ({ name, content, part? }) and return groups as
+ * { title, slug, entries }. Parts of a split topic always stay in the same group, and every
+ * group gets its own title and slug: when two groups come out with the same name (e.g. two
+ * similarity clusters with the same top words), the later one's slug gets a hash suffix.
+ */
+
+const { sanitizeFilename, hashTopicName } = require('./data_splitter');
+
+const GROUP_BY_MODES = ['similarity', 'prefix', 'date'];
+
+// k-means stops after this many rounds even if topics still move between clusters
+const MAX_KMEANS_ITERATIONS = 25;
+// Number of words used to name a similarity group
+const LABEL_WORDS = 3;
+// Weight of the topic title's words relative to the body
+const TITLE_WEIGHT = 3;
+
+const STOPWORDS = new Set(`
+  a about above after again against all also am an and any are as at be because been before
+  being below between both but by can could did do does doing done down during each else even
+  few for from further get got had has have having he her here hers him his how however i if in
+  into is it its itself just like make may me might more most much must my no nor not now of
+  off on once one only or other our ours out over own same she should so some such than that
+  the their theirs them then there these they this those through to too under until up use
+  used using very was we were what when where which while who whom why will with would yes yet
+  you your yours thanks thank think know want need see seems something still really maybe
+  view zulip http https www com org html png jpg user_uploads
+`.trim().split(/\s+/));
+
+/**
+ * Reads the simple "key: value" front matter written by the front-matter template
+ * @param {string} content - Markdown file content
+ * @returns {Object} - Front matter values (empty when the file has none)
+ */
+function getFrontMatter(content) {
+  const block = content.match(/^---\n([\s\S]*?)\n---(?:\n|$)/);
+  const values = {};
+  if (block) {
+    for (const line of block[1].split('\n')) {
+      const field = line.match(/^([A-Za-z_]+):\s*(.*)$/);
+      if (field) values[field[1]] = unquoteYaml(field[2]);
+    }
+  }
+  return values;
+}
+
+/**
+ * Gets the title of a topic file: its front matter title, first "# " heading or filename
+ * @param {Object} entry - Entry with name and content
+ * @returns {string} - Topic title
+ */
+function getEntryTitle(entry) {
+  const frontMatter = getFrontMatter(entry.content);
+  if (frontMatter.title) {
+    return frontMatter.title;
+  }
+  const heading = entry.content.match(/^#\s+(.+)$/m);
+  if (heading) {
+    return heading[1].trim();
+  }
+  return entry.name.replace(/\.md$/i, '');
+}
+
+/**
+ * Gets the date of a topic file: its front matter date or the first YYYY-MM-DD in it
+ * @param {Object} entry - Entry with content
+ * @returns {string|null} - Date as YYYY-MM-DD, or null when the file has none
+ */
+function getEntryDate(entry) {
+  const frontMatter = getFrontMatter(entry.content);
+  const frontMatterDate = String(frontMatter.date || '').match(/^\d{4}-\d{2}-\d{2}/);
+  if (frontMatterDate) return frontMatterDate[0];
+  const anyDate = entry.content.match(/\b(\d{4}-\d{2}-\d{2})\b/);
+  return anyDate ? anyDate[1] : null;
+}
+
+/**
+ * Removes the quotes around a YAML scalar written by the front-matter template
+ * @param {string} value - Raw YAML value
+ * @returns {string} - Unquoted value
+ */
+function unquoteYaml(value) {
+  const trimmed = value.trim();
+  if (trimmed === 'null') return '';
+  if (trimmed.startsWith('"')) {
+    try {
+      return JSON.parse(trimmed);
+    } catch (error) {
+      return trimmed.slice(1, -1);
+    }
+  }
+  return trimmed;
+}
+
+/**
+ * Gets the prefix a topic name shares with related topics
+ * @param {string} title - Topic title
+ * @returns {string} - Text before the first ":", " - " or " — ", or the first word
+ */
+function getTopicPrefix(title) {
+  const separated = title.match(/^(.+?)(?::|\s[-—–]\s)/);
+  if (separated && separated[1].trim()) {
+    return separated[1].trim();
+  }
+  return title.trim().split(/\s+/)[0] || title;
+}
+
+/**
+ * Collects entries into topics, keeping the parts of a split topic together
+ * @param {Array} entries - Compactor entries
+ * @returns {Array} - Array of { index, title, entries } in the order of first appearance
+ */
+function collectTopics(entries) {
+  const byName = new Map();
+  entries.forEach(entry => {
+    if (!byName.has(entry.name)) {
+      byName.set(entry.name, { index: byName.size, title: getEntryTitle(entry), entries: [] });
+    }
+    byName.get(entry.name).entries.push(entry);
+  });
+  return [...byName.values()];
+}
+
+/**
+ * Makes a group from topics
+ * @param {string} title - Group title
+ * @param {Array} topics - Topics in the group
+ * @returns {Object} - Object containing title, slug and entries
+ */
+function makeGroup(title, topics) {
+  const slug = sanitizeFilename(title.replace(/[,.·]/g, ' ')).slice(0, 60).replace(/_+$/, '');
+  return {
+    title: title,
+    slug: slug || 'group',
+    entries: topics.flatMap(topic => topic.entries)
+  };
+}
+
+/**
+ * Splits a text into the words used for similarity
+ * @param {string} text - Markdown text
+ * @returns {Array} - Lowercase words, without stopwords, links and sender names
+ */
+function tokenize(text) {
+  const words = text
+    .toLowerCase()
+    .replace(/https?:\/\/\S+/g, ' ')
+    .replace(/<!--[\s\S]*?-->/g, ' ')
+    .replace(/\*\*[^*\n]+:\*\*/g, ' ')
+    .match(/[\p{L}\p{N}_]{3,}/gu) || [];
+  return words.filter(word => !STOPWORDS.has(word) && !/^\d+$/.test(word));
+}
+
+/**
+ * Builds normalized TF-IDF vectors for topics
+ * @param {Array} topics - Topics from collectTopics
+ * @returns {Array} - One Map of word → weight per topic (empty for topics with no words)
+ */
+function buildTfIdfVectors(topics) {
+  const termCounts = topics.map(topic => {
+    const counts = new Map();
+    const add = (word, amount) => counts.set(word, (counts.get(word) || 0) + amount);
+    tokenize(topic.entries.map(entry => entry.content).join('\n')).forEach(word => add(word, 1));
+    tokenize(topic.title).forEach(word => add(word, TITLE_WEIGHT));
+    return counts;
+  });
+
+  const documentFrequency = new Map();
+  termCounts.forEach(counts => {
+    for (const word of counts.keys()) {
+      documentFrequency.set(word, (documentFrequency.get(word) || 0) + 1);
+    }
+  });
+
+  return termCounts.map(counts => {
+    const vector = new Map();
+    for (const [word, count] of counts) {
+      const frequency = documentFrequency.get(word);
+      // Words found in a single topic can't relate it to any other
+      if (frequency < 2) continue;
+      const weight = (1 + Math.log(count)) * Math.log(topics.length / frequency);
+      if (weight > 0) vector.set(word, weight);
+    }
+    return normalize(vector);
+  });
+}
+
+/**
+ * Scales a vector to unit length
+ * @param {Map} vector - Word → weight
+ * @returns {Map} - The same vector, normalized
+ */
+function normalize(vector) {
+  let norm = 0;
+  for (const weight of vector.values()) norm += weight * weight;
+  norm = Math.sqrt(norm);
+  if (norm > 0) {
+    for (const [word, weight] of vector) vector.set(word, weight / norm);
+  }
+  return vector;
+}
+
+/**
+ * Cosine similarity of two normalized vectors
+ * @param {Map} a - First vector
+ * @param {Map} b - Second vector
+ * @returns {number} - Similarity between 0 and 1
+ */
+function similarity(a, b) {
+  const [small, large] = a.size <= b.size ? [a, b] : [b, a];
+  let sum = 0;
+  for (const [word, weight] of small) {
+    const other = large.get(word);
+    if (other) sum += weight * other;
+  }
+  return sum;
+}
+
+/**
+ * Picks k starting centroids that are as far apart as possible (deterministic)
+ * @param {Array} vectors - Non-empty topic vectors
+ * @param {number} k - Number of centroids
+ * @returns {Array} - Indexes of the chosen vectors
+ */
+function pickInitialCentroids(vectors, k) {
+  const chosen = [0];
+  const closest = vectors.map(vector => similarity(vector, vectors[0]));
+  while (chosen.length < k) {
+    let next = -1;
+    closest.forEach((value, index) => {
+      if (!chosen.includes(index) && (next === -1 || value < closest[next])) next = index;
+    });
+    chosen.push(next);
+    vectors.forEach((vector, index) => {
+      closest[index] = Math.max(closest[index], similarity(vector, vectors[next]));
+    });
+  }
+  return chosen;
+}
+
+/**
+ * Gets the normalized mean of some vectors
+ * @param {Array} vectors - Vectors to average
+ * @returns {Map} - Centroid
+ */
+function getCentroid(vectors) {
+  const centroid = new Map();
+  vectors.forEach(vector => {
+    for (const [word, weight] of vector) centroid.set(word, (centroid.get(word) || 0) + weight);
+  });
+  return normalize(centroid);
+}
+
+/**
+ * Clusters topics by content similarity (TF-IDF + k-means)
+ * @param {Array} entries - Compactor entries
+ * @param {number} groupCount - Number of groups to create
+ * @returns {Array} - Array of { title, slug, entries }, named after each group's top words
+ */
+function groupBySimilarity(entries, groupCount) {
+  const topics = collectTopics(entries);
+  const vectors = buildTfIdfVectors(topics);
+  const withWords = topics.map((topic, index) => index).filter(index => vectors[index].size > 0);
+  const k = Math.min(groupCount, withWords.length);
+
+  let assignment = new Array(topics.length).fill(-1);
+  let centroids = [];
+  if (k > 0) {
+    centroids = pickInitialCentroids(withWords.map(index => vectors[index]), k)
+      .map(position => vectors[withWords[position]]);
+
+    for (let iteration = 0; iteration < MAX_KMEANS_ITERATIONS; iteration++) {
+      const next = assignment.slice();
+      withWords.forEach(index => {
+        let bestScore = -1;
+        centroids.forEach((centroid, cluster) => {
+          const score = similarity(vectors[index], centroid);
+          if (score > bestScore) {
+            bestScore = score;
+            next[index] = cluster;
+          }
+        });
+      });
+      const changed = next.some((cluster, index) => cluster !== assignment[index]);
+      assignment = next;
+      if (!changed) break;
+      centroids = centroids.map((centroid, cluster) => {
+        const members = withWords.filter(index => assignment[index] === cluster);
+        return members.length > 0 ? getCentroid(members.map(index => vectors[index])) : centroid;
+      });
+    }
+  }
+
+  const clusters = centroids.map(centroid => ({ centroid, topics: [] }));
+  topics.forEach((topic, index) => {
+    if (assignment[index] >= 0) clusters[assignment[index]].topics.push(topic);
+  });
+
+  // Topics with no shared words join the smallest cluster (or a group of their own)
+  const wordless = topics.filter((topic, index) => assignment[index] < 0);
+  if (wordless.length > 0) {
+    if (clusters.length < groupCount) {
+      clusters.push({ centroid: new Map(), topics: wordless, title: 'Miscellaneous' });
+    } else {
+      const smallest = clusters.reduce((min, cluster) => (cluster.topics.length < min.topics.length ? cluster : min));
+      smallest.topics.push(...wordless);
+      smallest.topics.sort((a, b) => a.index - b.index);
+    }
+  }
+
+  return clusters
+    .filter(cluster => cluster.topics.length > 0)
+    .sort((a, b) => a.topics[0].index - b.topics[0].index)
+    .map(cluster => makeGroup(cluster.title || getClusterLabel(cluster.centroid), cluster.topics));
+}
+
+/**
+ * Names a cluster after the heaviest words of its centroid
+ * @param {Map} centroid - Cluster centroid
+ * @returns {string} - e.g. "ltac2, notation, tactic"
+ */
+function getClusterLabel(centroid) {
+  const words = [...centroid.entries()]
+    .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+    .slice(0, LABEL_WORDS)
+    .map(([word]) => word);
+  return words.length > 0 ? words.join(', ') : 'Miscellaneous';
+}
+
+/**
+ * Groups topics by shared topic-name prefix
+ * @param {Array} entries - Compactor entries
+ * @param {number|null} groupCount - Largest number of groups (the smallest prefixes move to "Other")
+ * @returns {Array} - Array of { title, slug, entries }
+ */
+function groupByPrefix(entries, groupCount) {
+  const topics = collectTopics(entries);
+  const byPrefix = new Map();
+  topics.forEach(topic => {
+    const prefix = getTopicPrefix(topic.title);
+    const key = prefix.toLowerCase();
+    if (!byPrefix.has(key)) byPrefix.set(key, { title: prefix, topics: [] });
+    byPrefix.get(key).topics.push(topic);
+  });
+
+  let shared = [...byPrefix.values()].filter(group => group.topics.length > 1);
+  const other = [...byPrefix.values()].filter(group => group.topics.length === 1).flatMap(group => group.topics);
+
+  if (groupCount && shared.length + (other.length > 0 ? 1 : 0) > groupCount) {
+    // Keep the largest prefixes and move the rest to "Other"
+    const keep = shared
+      .slice()
+      .sort((a, b) => b.topics.length - a.topics.length || a.topics[0].index - b.topics[0].index)
+      .slice(0, Math.max(groupCount - 1, 1));
+    shared.filter(group => !keep.includes(group)).forEach(group => other.push(...group.topics));
+    shared = shared.filter(group => keep.includes(group));
+  }
+
+  const groups = shared.map(group => makeGroup(group.title, group.topics));
+  if (other.length > 0) {
+    groups.push(makeGroup('Other', other.sort((a, b) => a.index - b.index)));
+  }
+  return groups;
+}
+
+/**
+ * Groups topics by date: N contiguous ranges, or one group per month
+ * @param {Array} entries - Compactor entries
+ * @param {number|null} groupCount - Number of date ranges (null for one group per month)
+ * @returns {Array} - Array of { title, slug, entries }, oldest first
+ */
+function groupByDate(entries, groupCount) {
+  const topics = collectTopics(entries);
+  topics.forEach(topic => { topic.date = getEntryDate(topic.entries[0]); });
+  const dated = topics
+    .filter(topic => topic.date)
+    .sort((a, b) => a.date.localeCompare(b.date) || a.index - b.index);
+  const undated = topics.filter(topic => !topic.date);
+
+  const ranges = [];
+  if (groupCount) {
+    const count = Math.min(groupCount, dated.length);
+    for (let i = 0; i < count; i++) {
+      const start = Math.floor((i * dated.length) / count);
+      const end = Math.floor(((i + 1) * dated.length) / count);
+      ranges.push(dated.slice(start, end));
+    }
+  } else {
+    dated.forEach(topic => {
+      const last = ranges[ranges.length - 1];
+      if (last && last[0].date.slice(0, 7) === topic.date.slice(0, 7)) {
+        last.push(topic);
+      } else {
+        ranges.push([topic]);
+      }
+    });
+  }
+
+  const groups = ranges.map(range => {
+    const first = range[0].date;
+    const last = range[range.length - 1].date;
+    let title;
+    if (!groupCount) {
+      title = first.slice(0, 7);
+    } else {
+      title = first === last ? first : `${first} to ${last}`;
+    }
+    return makeGroup(title, range);
+  });
+  if (undated.length > 0) {
+    groups.push(makeGroup('Undated', undated));
+  }
+  return groups;
+}
+
+/**
+ * Makes group titles and slugs unique. A group whose slug is already taken keeps its name,
+ * numbered in the title, and gets a suffix of its topics' hash in the slug (the same
+ * helper data_splitter.js uses for topic slugs), so its file name is stable across runs.
+ * @param {Array} groups - Array of { title, slug, entries }
+ * @returns {Array} - The same groups, renamed where needed
+ */
+function makeGroupNamesUnique(groups) {
+  const taken = new Set(groups.map(group => group.slug));
+  const seen = new Map();
+  groups.forEach(group => {
+    const count = (seen.get(group.slug) || 0) + 1;
+    seen.set(group.slug, count);
+    if (count === 1) return;
+
+    const topicNames = [...new Set(group.entries.map(entry => entry.name))].join('\n');
+    let length = 8;
+    let slug = `${group.slug}_${hashTopicName(topicNames, length)}`;
+    while (taken.has(slug)) slug = `${group.slug}_${hashTopicName(topicNames, ++length)}`;
+    taken.add(slug);
+    group.title = `${group.title} (${count})`;
+    group.slug = slug;
+  });
+  return groups;
+}
+
+/**
+ * Groups entries with one of the --group-by modes
+ * @param {Array} entries - Compactor entries
+ * @param {string} mode - "similarity", "prefix" or "date"
+ * @param {number|null} groupCount - Number of groups (required for similarity)
+ * @returns {Array} - Array of { title, slug, entries }, with unique titles and slugs
+ */
+function groupEntries(entries, mode, groupCount) {
+  if (mode === 'similarity') return makeGroupNamesUnique(groupBySimilarity(entries, groupCount));
+  if (mode === 'prefix') return makeGroupNamesUnique(groupByPrefix(entries, groupCount));
+  if (mode === 'date') return makeGroupNamesUnique(groupByDate(entries, groupCount));
+  throw new Error(`Unknown grouping mode: ${mode}`);
+}
+
+module.exports = {
+  GROUP_BY_MODES,
+  groupEntries,
+  groupBySimilarity,
+  groupByPrefix,
+  groupByDate,
+  getEntryTitle,
+  getEntryDate,
+  getTopicPrefix,
+  buildTfIdfVectors,
+  tokenize
+};
@@ -0,0 +1,208 @@
+/**
+ * Topic Names
+ * ===========
+ *
+ * Puts a thread back together when it was scraped under several topic names. The scrapers key
+ * topics by the literal topic text, so after Zulip renames, resolves or moves messages the same
+ * thread can show up as "foo", "Foo " and "✔ foo". Used by zulip_cleaner.js, and through its
+ * readAndMergeScrapes by the other stages that read raw scrapes.
+ *
+ * NORMALIZATION:
+ * - Whitespace is trimmed and collapsed, and the text is Unicode-normalized (NFC)
+ * - Zulip's resolved prefix ("✔ ") and a trailing "(resolved)" or "[resolved]" are read as a
+ *   status, not as part of the name
+ * - Names are compared case-insensitively, as Zulip does
+ * Topics whose names are the same after this are merged. The merged topic is named after the
+ * variant that holds its newest message (i.e. the latest rename), and is resolved if that
+ * variant is. Messages found under several names (moved messages) are kept once, and the
+ * merged thread is ordered by message id or time when the messages have them.
+ *
+ * ALIAS FILES (--topic-aliases):
+ * {
+ *   "tactic unification bug": "Unification in Ltac2",
+ *   "ltac2 unification": "Unification in Ltac2"
+ * }
+ * Merges topics the normalization can't match, under the name on the right. Both sides are
+ * normalized like topic names, and chains ("a" → "b", "b" → "c") are followed.
+ */
+
+const fs = require('fs');
+const { normalizeMessages, compareMessages, getMessageKey } = require('./zulip_dataset');
+const { ConfigError } = require('./errors');
+
+const RESOLVED_PREFIX = /^\s*✔\uFE0F?\s*/;
+const RESOLVED_SUFFIX = /\s*[([]resolved[)\]]\s*$/i;
+
+/**
+ * Splits a scraped topic name into its normalized name and resolved status
+ * @param {string} topic - Topic name as scraped, e.g. "✔  Foo bar "
+ * @returns {Object} - Object containing name ("Foo bar"), key ("foo bar") and resolved (true)
+ */
+function parseTopicName(topic) {
+  let name = String(topic).normalize('NFC').replace(/\s+/g, ' ').trim();
+  const resolved = RESOLVED_PREFIX.test(name) || RESOLVED_SUFFIX.test(name);
+  name = name.replace(RESOLVED_PREFIX, '').replace(RESOLVED_SUFFIX, '').trim();
+  // A topic called just "✔" keeps its name
+  if (!name) name = String(topic).trim();
+  return { name, key: name.toLowerCase(), resolved };
+}
+
+/**
+ * Loads a topic alias file
+ * @param {string} file - JSON file mapping topic names to the names to merge them into
+ * @returns {Map} - Map from normalized topic key to the final name (chains followed)
+ * @throws {ConfigError} - When the file is missing or invalid, or the aliases form a cycle
+ */
+function loadTopicAliases(file) {
+  if (!fs.existsSync(file)) {
+    throw new ConfigError(`Topic alias file does not exist: ${file}`, { file });
+  }
+
+  let aliases;
+  try {
+    aliases = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (error) {
+    throw new ConfigError(`Invalid JSON in topic alias file ${file}: ${error.message}`, { file, cause: error });
+  }
+  if (!aliases || typeof aliases !== 'object' || Array.isArray(aliases)) {
+    throw new ConfigError(`Topic alias file ${file} must be an object of "old name": "new name"`, { file });
+  }
+
+  const targets = new Map();
+  for (const [from, to] of Object.entries(aliases)) {
+    if (typeof to !== 'string' || !to.trim()) {
+      throw new ConfigError(`Topic alias "${from}" in ${file} must map to a topic name`, { file });
+    }
+    const fromKey = parseTopicName(from).key;
+    const target = parseTopicName(to);
+    if (targets.has(fromKey) && targets.get(fromKey).key !== target.key) {
+      throw new ConfigError(`Topic alias "${from}" in ${file} maps to both "${targets.get(fromKey).name}" and "${target.name}"`, { file });
+    }
+    targets.set(fromKey, target);
+  }
+
+  const finalNames = new Map();
+  for (const fromKey of targets.keys()) {
+    const chain = [fromKey];
+    let target = targets.get(fromKey);
+    // An alias onto the same name (e.g. "foo": "Foo") only sets the spelling and ends a chain
+    while (targets.has(target.key) && targets.get(target.key).key !== target.key) {
+      if (chain.includes(target.key)) {
+        throw new ConfigError(`Topic aliases in ${file} form a cycle: ${[...chain, target.key].join(' → ')}`, { file });
+      }
+      chain.push(target.key);
+      target = targets.get(target.key);
+    }
+    finalNames.set(fromKey, targets.has(target.key) ? targets.get(target.key).name : target.name);
+  }
+  return finalNames;
+}
+
+/**
+ * Works out which thread a scraped topic belongs to
+ * @param {string} topic - Topic name as scraped
+ * @param {Map} [aliases] - Topic aliases (see loadTopicAliases)
+ * @returns {Object} - Object containing parsed (see parseTopicName), aliasName (the alias
+ *   target, or null) and key (the same for every topic of the thread)
+ */
+function getThreadKey(topic, aliases = null) {
+  const parsed = parseTopicName(topic);
+  const aliasName = aliases && aliases.has(parsed.key) ? aliases.get(parsed.key) : null;
+  const key = aliasName !== null ? parseTopicName(aliasName).key : parsed.key;
+  return { parsed, aliasName, key };
+}
+
+/**
+ * Merges the topics of a raw scrape that are one thread under several names
+ * @param {Object} data - Raw scraper data: { topic: [message] }
+ * @param {Map} [aliases] - Topic aliases (see loadTopicAliases)
+ * @returns {Object} - Object containing the merged data, merges ([{ topic, names }] for every
+ *   topic built from several names), resolved (Set of resolved topic names),
+ *   duplicatesDropped (messages found under more than one name) and renamed (Map from each
+ *   scraped topic name to the name of the topic it was merged into)
+ */
+function reconcileTopics(data, aliases = null) {
+  const threads = new Map();
+  let duplicatesDropped = 0;
+
+  for (const [topic, messages] of Object.entries(data)) {
+    const { parsed, aliasName, key } = getThreadKey(topic, aliases);
+
+    if (!threads.has(key)) threads.set(key, { aliasName, names: [], entries: [], byMessage: new Map() });
+    const thread = threads.get(key);
+    // An alias target's own spelling wins over that of the topics merged into it
+    if (aliasName !== null && thread.aliasName === null) thread.aliasName = aliasName;
+    thread.names.push(topic);
+    for (const message of normalizeMessages(messages)) {
+      const messageKey = getMessageKey(message);
+      const previous = thread.byMessage.get(messageKey);
+      // Only copies under another name are duplicates: old scrapes without ids can repeat a
+      // sender and text within one topic
+      if (previous && previous.topic !== topic) {
+        Object.assign(previous, { message, variant: parsed, topic });
+        duplicatesDropped++;
+        continue;
+      }
+      const entry = { message, variant: parsed, topic };
+      thread.entries.push(entry);
+      thread.byMessage.set(messageKey, entry);
+    }
+  }
+
+  const merged = {};
+  const merges = [];
+  const resolved = new Set();
+  const renamed = new Map();
+  for (const thread of threads.values()) {
+    // Array.prototype.sort is stable, so messages without ids or times keep their scraped order
+    const entries = thread.entries.sort((a, b) => compareMessages(a.message, b.message));
+    const newest = entries.length > 0 ? entries[entries.length - 1].variant : parseTopicName(thread.names[0]);
+    const name = thread.aliasName !== null ? thread.aliasName : newest.name;
+
+    merged[name] = entries.map(entry => entry.message);
+    if (newest.resolved) resolved.add(name);
+    if (thread.names.length > 1) merges.push({ topic: name, names: thread.names });
+    thread.names.forEach(topic => renamed.set(topic, name));
+  }
+
+  return { data: merged, merges, resolved, duplicatesDropped, renamed };
+}
+
+/**
+ * Groups streamed topics by thread, for reconciling a scrape that is read one topic at a time:
+ * the topics of a thread are held back until the last of its names has been read
+ * @param {Iterable} entries - [topic, messages] pairs
+ * @param {Array} names - Every topic name the entries will hold (e.g. from openDatasetStream)
+ * @param {Map} [aliases] - Topic aliases (see loadTopicAliases)
+ * @returns {Generator} - Raw scraper data ({ topic: [message] }) of one thread at a time
+ */
+function* groupThreads(entries, names, aliases = null) {
+  const namesLeft = new Map();
+  names.forEach(topic => {
+    const { key } = getThreadKey(topic, aliases);
+    namesLeft.set(key, (namesLeft.get(key) || 0) + 1);
+  });
+  const held = new Map();
+
+  for (const [topic, messages] of entries) {
+    const { key } = getThreadKey(topic, aliases);
+    const thread = held.get(key) || {};
+    thread[topic] = messages;
+    const left = namesLeft.get(key) - 1;
+    namesLeft.set(key, left);
+    if (left > 0) {
+      held.set(key, thread);
+      continue;
+    }
+    held.delete(key);
+    yield thread;
+  }
+}
+
+module.exports = {
+  parseTopicName,
+  getThreadKey,
+  loadTopicAliases,
+  reconcileTopics,
+  groupThreads
+};
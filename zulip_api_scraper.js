@@ -0,0 +1,832 @@
+/**
+ * Zulip API Scraper (Stage 1, headless alternative)
+ * =================================================
+ *
+ * This script pulls every message of one or more Zulip streams through the REST API and saves
+ * each stream as JSON.
+ * It produces the same raw format as zulip_scraper.js, but runs from Node instead of the
+ * browser console, so it can be scheduled (e.g. from cron) and needs no open tab.
+ *
+ * PIPELINE OVERVIEW:
+ * Stage 1: zulip_scraper.js / zulip_api_scraper.js → Raw JSON data ← YOU ARE HERE
+ * Stage 2: zulip_cleaner.js  → Cleaned markdown per topic
+ * Stage 3: data_splitter.js  → Individual markdown files
+ *
+ * WHAT THIS SCRIPT DOES:
+ * 1. Reads API credentials from a .zuliprc-style file
+ * 2. Works out the streams to scrape (named ones, or every stream you're subscribed to)
+ * 3. Pages through GET /api/v1/messages for each stream, oldest first
+ * 4. Groups the messages by topic
+ * 5. Writes one raw JSON file per stream, consumed by zulip_cleaner.js
+ *
+ * CREDENTIALS FILE (.zuliprc):
+ * [api]
+ * email=bot@example.zulipchat.com
+ * key=abcdefghijklmnopqrstuvwxyz123456
+ * site=https://example.zulipchat.com
+ *
+ * OUTPUT FORMAT:
+ * {
+ *   "meta": {
+ *     "format": "zulip-scrape", "version": 1,
+ *     "realm": "https://example.zulipchat.com", "stream": "general",
+ *     "scraped_at": "2025-05-31T12:00:00.000Z", "scraper": "zulip_api_scraper.js"
+ *   },
+ *   "topics": {
+ *     "topic_name": [
+ *       {
+ *         "id": 123456,
+ *         "sender": "username",
+ *         "sender_id": 42,
+ *         "sender_email": "user@example.com",
+ *         "timestamp": "2025-05-31T12:00:00.000Z",
+ *         "content": "message content in markdown",
+ *         "permalink": "https://example.zulipchat.com/#narrow/stream/7-general/topic/topic_name/near/123456",
+ *         "edited": false,
+ *         "reactions": [{ "emoji": "+1", "count": 1, "reactors": ["other user"] }],
+ *         "quotes": [],
+ *         "attachments": ["/user_uploads/2/ab/xyz/diagram.png"]
+ *       }
+ *     ]
+ *   }
+ * }
+ *
+ * USAGE:
+ * node zulip_api_scraper.js <realm_url> <zuliprc_file> <stream_name> [output_file] [--since <previous_raw.json>] [--download-assets <dir>]
+ * node zulip_api_scraper.js <realm_url> <zuliprc_file> (--stream <name>... | --all-subscribed) [--output-dir <dir>] [--since <previous_dir>] [--download-assets <dir>]
+ * Filters (either form): [--from <date>] [--until <date>] [--topic-regex <pattern>] [--narrow <json>]
+ *
+ * EXAMPLES:
+ * node zulip_api_scraper.js https://rocq-prover.zulipchat.com ~/.zuliprc "Ltac2"
+ * node zulip_api_scraper.js https://rocq-prover.zulipchat.com ~/.zuliprc "Ltac2" data/rocq_ltac2_zulip_messages.json
+ * node zulip_api_scraper.js https://rocq-prover.zulipchat.com ~/.zuliprc "Ltac2" data/ltac2_update.json --since data/rocq_ltac2_zulip_messages.json
+ * node zulip_api_scraper.js https://rocq-prover.zulipchat.com ~/.zuliprc --stream "Ltac2" --stream "Coq users" --output-dir data/2025-06/
+ * node zulip_api_scraper.js https://rocq-prover.zulipchat.com ~/.zuliprc --all-subscribed --output-dir data/2025-06/ --since data/2025-05/
+ *
+ * node zulip_api_scraper.js https://rocq-prover.zulipchat.com ~/.zuliprc "Ltac2" --from 2025-04-01 --until 2025-06-30 --topic-regex "/^RFC:/i"
+ *
+ * FILTERS:
+ * --from / --until keep messages sent in that window (dates are inclusive); paging stops at
+ * the first message after --until. --topic-regex keeps topics matching a pattern, such as
+ * "^RFC:" or "/^rfc:/i". --narrow adds Zulip narrow terms to the request, e.g.
+ * '[{"operator": "sender", "operand": "alice@example.com"}]' or a "search" term.
+ * (--since is not a date: it names an earlier scrape to continue from.)
+ *
+ * FILE NAMES:
+ * Without an explicit output_file, each stream is saved as <realm>_<stream>_<date>_messages.json
+ * (e.g. rocq_prover_zulipchat_com_ltac2_2025-06-01_messages.json) in --output-dir, which
+ * defaults to the current directory. A whole --output-dir can be cleaned and split as a batch.
+ *
+ * CHECKPOINTS & UPDATES:
+ * After every page the progress is saved to <output_file>.checkpoint.json. If a run is
+ * interrupted, running the same command again resumes from that checkpoint; the file is
+ * removed once the scrape completes. --since only fetches messages newer than the newest
+ * message in an existing scrape; fold the result in with zulip_cleaner.js --merge. When scraping
+ * several streams, --since takes a directory of earlier scrapes and matches them by stream.
+ * Checkpoints of auto-named files are <realm>_<stream>.checkpoint.json in the output directory.
+ *
+ * ASSETS:
+ * --download-assets saves every /user_uploads/... file the messages reference into a directory
+ * that data_splitter.js --assets can read. Files that are already there are not fetched again.
+ *
+ * NEXT STEPS:
+ * node zulip_cleaner.js data/your_channel_messages.json cleaned_data/your_channel_cleaned.json
+ */
+
+const fs = require('fs');
+const path = require('path');
+const http = require('http');
+const https = require('https');
+const { parseArgs } = require('util');
+const { extractUploadUrls, getUploadPath } = require('./asset_bundler');
+const {
+  SCRAPE_FORMAT,
+  unwrapDataset,
+  wrapDataset,
+  buildDatasetBasename,
+  listDatasetFiles,
+  getLatestMessageId,
+  getMessageTime,
+  parseDateBound,
+  parseTopicPattern
+} = require('./zulip_dataset');
+const { isJsonlFile, readJsonlDataset, readDatasetMeta } = require('./dataset_stream');
+const { PipelineError, UsageError, ConfigError, InputError, runCli } = require('./errors');
+
+// Zulip accepts up to 5000 messages per request, but smaller pages are kinder to the server
+const DEFAULT_BATCH_SIZE = 1000;
+// Pause between consecutive page requests (rate limiting)
+const DEFAULT_REQUEST_DELAY_MS = 500;
+// How many times a rate-limited (HTTP 429) or timed-out request is retried before giving up
+const MAX_RATE_LIMIT_RETRIES = 5;
+// How long a request may go without any data from the server before it is abandoned
+const DEFAULT_REQUEST_TIMEOUT_MS = 60000;
+
+/**
+ * Prints command line usage
+ * @param {string} [command] - How the script is invoked
+ */
+function printUsage(command = 'node zulip_api_scraper.js') {
+  console.log(`Usage: ${command} <realm_url> <zuliprc_file> <stream_name> [output_file] [--since <previous_raw.json>] [--download-assets <dir>]`);
+  console.log(`       ${command} <realm_url> <zuliprc_file> (--stream <name>... | --all-subscribed) [--output-dir <dir>] [--since <previous_dir>] [--download-assets <dir>]`);
+  console.log('Filters: [--from <date>] [--until <date>] [--topic-regex <pattern>] [--narrow <json>]');
+  console.log(`Example: ${command} https://example.zulipchat.com ~/.zuliprc "general" data/general_messages.json`);
+  console.log(`Example: ${command} https://example.zulipchat.com ~/.zuliprc --all-subscribed --output-dir data/`);
+}
+
+/**
+ * Parses command line arguments
+ * @param {Array} [argv] - Arguments without the node and script paths
+ * @returns {Object} - Object containing realmUrl, zuliprcFile, streamNames and options
+ * @throws {UsageError} - When arguments are missing or invalid
+ */
+function parseArguments(argv = process.argv.slice(2)) {
+  let parsed;
+  try {
+    parsed = parseArgs({
+      args: argv,
+      allowPositionals: true,
+      options: {
+        'stream': { type: 'string', multiple: true },
+        'all-subscribed': { type: 'boolean' },
+        'output-dir': { type: 'string' },
+        'since': { type: 'string' },
+        'download-assets': { type: 'string' },
+        'from': { type: 'string' },
+        'until': { type: 'string' },
+        'topic-regex': { type: 'string' },
+        'narrow': { type: 'string' }
+      }
+    });
+  } catch (error) {
+    throw new UsageError(error.message);
+  }
+  const { values, positionals: args } = parsed;
+
+  const streamNames = [...(args[2] !== undefined ? [args[2]] : []), ...(values.stream || [])];
+  if (args.length < 2 || (streamNames.length === 0 && !values['all-subscribed'])) {
+    throw new UsageError('Missing required arguments');
+  }
+
+  const filters = {};
+  let narrow = [];
+  try {
+    if (values.from) filters.since = parseDateBound(values.from);
+    if (values.until) filters.until = parseDateBound(values.until, true);
+    if (values['topic-regex']) filters.topicPattern = parseTopicPattern(values['topic-regex']);
+    if (values.narrow) narrow = parseNarrow(values.narrow);
+  } catch (error) {
+    throw new UsageError(error.message);
+  }
+
+  if (args[3] && (streamNames.length > 1 || values['all-subscribed'])) {
+    throw new UsageError('An output file can only be given for a single stream; use --output-dir instead');
+  }
+
+  return {
+    realmUrl: args[0],
+    zuliprcFile: path.resolve(args[1]),
+    streamNames: streamNames,
+    options: {
+      allSubscribed: Boolean(values['all-subscribed']),
+      outputFile: args[3] ? path.resolve(args[3]) : null,
+      outputDir: path.resolve(values['output-dir'] || '.'),
+      sinceFile: values.since ? path.resolve(values.since) : null,
+      assetsDir: values['download-assets'] ? path.resolve(values['download-assets']) : null,
+      filters: filters,
+      narrow: narrow
+    }
+  };
+}
+
+/**
+ * Parses a --narrow value: extra Zulip narrow terms, as in the API's narrow parameter
+ * @param {string} text - JSON array, e.g. [{"operator": "search", "operand": "tactic"}]
+ * @returns {Array} - Narrow terms
+ * @throws {UsageError} - When the value is not a JSON array of narrow terms
+ */
+function parseNarrow(text) {
+  let narrow;
+  try {
+    narrow = JSON.parse(text);
+  } catch (error) {
+    throw new UsageError(`Invalid --narrow JSON: ${error.message}`);
+  }
+  if (!Array.isArray(narrow) || !narrow.every(term => term && typeof term.operator === 'string')) {
+    throw new UsageError('--narrow must be a JSON array of {"operator": ..., "operand": ...} terms');
+  }
+  return narrow;
+}
+
+/**
+ * Parses the contents of a .zuliprc file (INI format with an [api] section)
+ * @param {string} text - Raw file contents
+ * @param {string} [file] - File the text was read from, for error messages
+ * @returns {Object} - Object containing email, key and (optionally) site
+ * @throws {ConfigError} - When the [api] section lacks the email or key
+ */
+function parseZuliprc(text, file = null) {
+  const sections = {};
+  let currentSection = null;
+
+  for (const rawLine of text.split(/\r?\n/)) {
+    const line = rawLine.trim();
+    if (!line || line.startsWith('#') || line.startsWith(';')) continue;
+
+    const sectionMatch = line.match(/^\[(.+)\]$/);
+    if (sectionMatch) {
+      currentSection = sectionMatch[1].trim();
+      sections[currentSection] = sections[currentSection] || {};
+      continue;
+    }
+
+    const separatorIndex = line.indexOf('=');
+    if (separatorIndex === -1 || !currentSection) continue;
+    const key = line.slice(0, separatorIndex).trim();
+    const value = line.slice(separatorIndex + 1).trim();
+    sections[currentSection][key] = value;
+  }
+
+  const api = sections.api || {};
+  if (!api.email || !api.key) {
+    const source = file ? `Credentials file ${file}` : 'Credentials file';
+    throw new ConfigError(`${source} must contain an [api] section with "email" and "key"`, { file });
+  }
+
+  return { email: api.email, key: api.key, site: api.site };
+}
+
+/**
+ * Performs a GET request, with HTTP basic auth when credentials are given
+ * @param {string} url - Full request URL
+ * @param {Object|null} credentials - Object with email and key, or null for unauthenticated requests
+ * @param {number} [timeoutMs] - Abandon the request when the server sends nothing for this long
+ * @returns {Promise<Object>} - Object containing status, headers and the raw body as a Buffer
+ * @throws {Error} - With code "ETIMEDOUT" when the server stops responding
+ */
+function request(url, credentials, timeoutMs = DEFAULT_REQUEST_TIMEOUT_MS) {
+  const client = url.startsWith('https:') ? https : http;
+  const headers = {};
+  if (credentials) {
+    headers.Authorization = `Basic ${Buffer.from(`${credentials.email}:${credentials.key}`).toString('base64')}`;
+  }
+
+  return new Promise((resolve, reject) => {
+    const req = client.get(url, { headers }, response => {
+      const chunks = [];
+      response.on('data', chunk => chunks.push(chunk));
+      response.on('end', () => {
+        resolve({ status: response.statusCode, headers: response.headers, body: Buffer.concat(chunks) });
+      });
+    });
+    req.setTimeout(timeoutMs, () => {
+      req.destroy(Object.assign(new Error(`No response from ${url} in ${timeoutMs / 1000}s`), { code: 'ETIMEDOUT' }));
+    });
+    req.on('error', reject);
+  });
+}
+
+/**
+ * Performs a GET request with HTTP basic auth and parses the JSON response
+ * @param {string} url - Full request URL
+ * @param {Object} credentials - Object with email and key
+ * @param {number} [timeoutMs] - See request
+ * @returns {Promise<Object>} - Object containing status, headers and parsed body
+ */
+async function requestJson(url, credentials, timeoutMs) {
+  const { status, headers, body } = await request(url, credentials, timeoutMs);
+  try {
+    return { status, headers, body: JSON.parse(body.toString('utf8')) };
+  } catch (error) {
+    throw new PipelineError(`Invalid JSON response from ${url} (HTTP ${status})`, { cause: error });
+  }
+}
+
+/**
+ * Lists the streams the credentials' user is subscribed to
+ * @param {string} realmUrl - Base URL of the Zulip realm
+ * @param {Object} credentials - Object with email and key
+ * @returns {Promise<Array>} - Stream names, sorted
+ */
+async function fetchSubscribedStreams(realmUrl, credentials) {
+  const url = new URL('/api/v1/users/me/subscriptions', realmUrl).toString();
+  const { status, body } = await requestJson(url, credentials);
+  if (status !== 200 || body.result !== 'success') {
+    throw new PipelineError(`Zulip API error (HTTP ${status}): ${body.msg || 'unknown error'}`);
+  }
+  return body.subscriptions.map(subscription => subscription.name).sort();
+}
+
+/**
+ * Builds the /api/v1/messages URL for one page of a stream
+ * @param {string} realmUrl - Base URL of the Zulip realm
+ * @param {string} streamName - Stream to narrow to
+ * @param {number|string} anchor - Message id to page from, or "oldest"
+ * @param {number} batchSize - Number of messages to request after the anchor
+ * @param {Array} [extraNarrow] - Further narrow terms (e.g. topic, sender or search)
+ * @returns {string} - Request URL
+ */
+function buildMessagesUrl(realmUrl, streamName, anchor, batchSize, extraNarrow = []) {
+  const url = new URL('/api/v1/messages', realmUrl);
+  url.searchParams.set('anchor', String(anchor));
+  url.searchParams.set('num_before', '0');
+  url.searchParams.set('num_after', String(batchSize));
+  // A numeric anchor is always the last message we already have
+  url.searchParams.set('include_anchor', anchor === 'oldest' ? 'true' : 'false');
+  url.searchParams.set('apply_markdown', 'false');
+  url.searchParams.set('narrow', JSON.stringify([{ operator: 'stream', operand: streamName }, ...extraNarrow]));
+  return url.toString();
+}
+
+/**
+ * Encodes a narrow component the way Zulip's web app does in URL fragments
+ * @param {string} text - Stream or topic name
+ * @returns {string} - Encoded component
+ */
+function encodeHashComponent(text) {
+  const replacements = { '%': '.', '(': '.28', ')': '.29', '.': '.2E' };
+  return encodeURIComponent(text).replace(/[%().]/g, match => replacements[match]);
+}
+
+/**
+ * Builds a permalink to a message in its topic
+ * @param {string} realmUrl - Base URL of the Zulip realm
+ * @param {Object} message - Message object as returned by the Zulip API
+ * @param {string} streamName - Stream the message belongs to
+ * @returns {string} - Permalink URL
+ */
+function buildPermalink(realmUrl, message, streamName) {
+  const streamSlug = `${message.stream_id}-${encodeHashComponent(streamName)}`;
+  const narrow = `#narrow/stream/${streamSlug}/topic/${encodeHashComponent(message.subject)}/near/${message.id}`;
+  return new URL('/', realmUrl).toString() + narrow;
+}
+
+/**
+ * Groups a message's API reactions by emoji
+ * @param {Array} reactions - Reaction objects as returned by the Zulip API
+ * @returns {Array} - Array of { emoji, count, reactors }
+ */
+function groupReactions(reactions) {
+  const byEmoji = new Map();
+  for (const reaction of reactions || []) {
+    if (!byEmoji.has(reaction.emoji_name)) {
+      byEmoji.set(reaction.emoji_name, { emoji: reaction.emoji_name, count: 0, reactors: [] });
+    }
+    const group = byEmoji.get(reaction.emoji_name);
+    group.count++;
+    group.reactors.push(reaction.user ? reaction.user.full_name : String(reaction.user_id));
+  }
+  return Array.from(byEmoji.values());
+}
+
+/**
+ * Finds quote-and-reply references in raw Zulip markdown ("@_**alice|12** [said](...near/123):")
+ * @param {string} content - Raw message markdown
+ * @returns {Array} - Array of { author, message_id, permalink }
+ */
+function extractQuotes(content) {
+  const quotes = [];
+  const quotePattern = /@_\*\*([^*|]+?)(?:\|\d+)?\*\* \[said\]\(([^)]*\/near\/(\d+)[^)]*)\):/g;
+  let match;
+  while ((match = quotePattern.exec(content)) !== null) {
+    quotes.push({ author: match[1], message_id: parseInt(match[3], 10), permalink: match[2] });
+  }
+  return quotes;
+}
+
+/**
+ * Converts a Zulip API message into the raw scraper message schema
+ * @param {Object} message - Message object as returned by the Zulip API
+ * @param {string} realmUrl - Base URL of the Zulip realm
+ * @param {string} streamName - Stream the message belongs to
+ * @returns {Object} - Message object (see zulip_dataset.js)
+ */
+function toScrapedMessage(message, realmUrl, streamName) {
+  return {
+    id: message.id,
+    sender: message.sender_full_name,
+    sender_id: message.sender_id,
+    sender_email: message.sender_email,
+    timestamp: new Date(message.timestamp * 1000).toISOString(),
+    content: message.content,
+    permalink: buildPermalink(realmUrl, message, streamName),
+    edited: Boolean(message.last_edit_timestamp),
+    reactions: groupReactions(message.reactions),
+    quotes: extractQuotes(message.content),
+    attachments: extractUploadUrls(message.content)
+  };
+}
+
+/**
+ * Fetches a single page of messages, waiting and retrying when rate limited or timed out
+ * @param {string} url - Request URL
+ * @param {Object} credentials - Object with email and key
+ * @param {number} [timeoutMs] - See request
+ * @returns {Promise<Object>} - Parsed Zulip API response
+ */
+async function fetchMessagePage(url, credentials, timeoutMs) {
+  for (let attempt = 0; attempt <= MAX_RATE_LIMIT_RETRIES; attempt++) {
+    let response;
+    try {
+      response = await requestJson(url, credentials, timeoutMs);
+    } catch (error) {
+      if (error.code !== 'ETIMEDOUT') throw error;
+      const retryAfter = 2 ** attempt;
+      console.warn(`⚠️  ${error.message}, retrying in ${retryAfter}s...`);
+      await new Promise(resolve => setTimeout(resolve, retryAfter * 1000));
+      continue;
+    }
+    const { status, headers, body } = response;
+
+    if (status === 429) {
+      const retryAfter = parseFloat(headers['retry-after'] || body['retry-after'] || '1');
+      console.warn(`⚠️  Rate limited, retrying in ${retryAfter}s...`);
+      await new Promise(resolve => setTimeout(resolve, retryAfter * 1000));
+      continue;
+    }
+
+    if (status !== 200 || body.result !== 'success') {
+      throw new PipelineError(`Zulip API error (HTTP ${status}): ${body.msg || 'unknown error'}`);
+    }
+
+    return body;
+  }
+
+  throw new PipelineError(`Still rate limited or timing out after ${MAX_RATE_LIMIT_RETRIES} retries`);
+}
+
+/**
+ * Scrapes every message of a stream, grouped by topic
+ * @param {string} realmUrl - Base URL of the Zulip realm
+ * @param {Object} credentials - Object with email and key
+ * @param {string} streamName - Stream to scrape
+ * @param {Object} [options] - Optional batchSize, requestDelayMs and requestTimeoutMs overrides;
+ *   anchor and topics to continue a previous run; onPage(topics, anchor) called after every page
+ *   (for checkpoints); narrow: further narrow terms; filters: since/until (milliseconds) and
+ *   topicPattern (RegExp)
+ * @returns {Promise<Object>} - Raw scraper data: { topic: [message] }
+ */
+async function scrapeStream(realmUrl, credentials, streamName, options = {}) {
+  const batchSize = options.batchSize || DEFAULT_BATCH_SIZE;
+  const requestDelayMs = options.requestDelayMs !== undefined ? options.requestDelayMs : DEFAULT_REQUEST_DELAY_MS;
+
+  const filters = options.filters || {};
+  const topics = options.topics || {};
+  let anchor = options.anchor || 'oldest';
+  let messageCount = 0;
+  let pastUntil = false;
+
+  while (true) {
+    const url = buildMessagesUrl(realmUrl, streamName, anchor, batchSize, options.narrow);
+    const page = await fetchMessagePage(url, credentials, options.requestTimeoutMs);
+
+    for (const message of page.messages) {
+      // Pages come oldest first, so nothing after --until can match any more
+      const time = getMessageTime(message);
+      if (filters.until !== undefined && time > filters.until) {
+        pastUntil = true;
+        break;
+      }
+      if ((filters.since !== undefined && time < filters.since) ||
+        (filters.topicPattern && !filters.topicPattern.test(message.subject))) {
+        continue;
+      }
+
+      if (!topics[message.subject]) {
+        topics[message.subject] = [];
+      }
+      topics[message.subject].push(toScrapedMessage(message, realmUrl, streamName));
+    }
+
+    messageCount += page.messages.length;
+    console.log(`Fetched ${page.messages.length} messages (${messageCount} total)`);
+
+    if (page.messages.length > 0) {
+      anchor = page.messages[page.messages.length - 1].id;
+    }
+    if (options.onPage) {
+      options.onPage(topics, anchor);
+    }
+
+    if (page.found_newest || page.messages.length === 0 || pastUntil) break;
+
+    await new Promise(resolve => setTimeout(resolve, requestDelayMs));
+  }
+
+  return topics;
+}
+
+/**
+ * Downloads every upload referenced by the scraped messages into an assets directory
+ * laid out like the upload paths (see asset_bundler.js). Files already present are skipped,
+ * so repeated runs only fetch new uploads.
+ * @param {string} realmUrl - Base URL of the Zulip realm
+ * @param {Object} credentials - Object with email and key
+ * @param {Object} topics - Raw scraper data: { topic: [message] }
+ * @param {string} assetsDir - Directory to download into
+ * @returns {Promise<Object>} - Object containing downloaded, skipped and failed counts
+ */
+async function downloadAssets(realmUrl, credentials, topics, assetsDir) {
+  const uploadPaths = new Set();
+  for (const messages of Object.values(topics)) {
+    for (const message of messages) {
+      (message.attachments || []).forEach(url => uploadPaths.add(getUploadPath(url)));
+    }
+  }
+
+  const stats = { downloaded: 0, skipped: 0, failed: 0 };
+  for (const uploadPath of uploadPaths) {
+    const targetPath = path.resolve(assetsDir, uploadPath);
+    if (!targetPath.startsWith(path.resolve(assetsDir) + path.sep) || fs.existsSync(targetPath)) {
+      stats.skipped++;
+      continue;
+    }
+
+    try {
+      // Uploads need a session cookie; the API hands out a temporary URL instead
+      const encodedPath = uploadPath.split('/').map(encodeURIComponent).join('/');
+      const { status, body } = await requestJson(new URL(`/api/v1/user_uploads/${encodedPath}`, realmUrl).toString(), credentials);
+      if (status !== 200 || body.result !== 'success') {
+        throw new Error(body.msg || `HTTP ${status}`);
+      }
+
+      const download = await request(new URL(body.url, realmUrl).toString(), null);
+      if (download.status !== 200) {
+        throw new Error(`HTTP ${download.status}`);
+      }
+
+      fs.mkdirSync(path.dirname(targetPath), { recursive: true });
+      fs.writeFileSync(targetPath, download.body);
+      stats.downloaded++;
+    } catch (error) {
+      console.warn(`⚠️  Warning: Could not download /user_uploads/${uploadPath}: ${error.message}`);
+      stats.failed++;
+    }
+  }
+
+  return stats;
+}
+
+/**
+ * Gets the checkpoint file used while scraping into an output file
+ * @param {string} outputFile - Final output file
+ * @returns {string} - Checkpoint file path
+ */
+function getCheckpointFile(outputFile) {
+  return `${outputFile}.checkpoint.json`;
+}
+
+/**
+ * Works out where a stream's output and checkpoint go. Auto-named checkpoints leave out
+ * the date, so an interrupted run can still be resumed the next day.
+ * @param {Object} meta - Dataset metadata of the scrape
+ * @param {Object} options - outputFile (single stream) or outputDir
+ * @returns {Object} - Object containing outputFile and checkpointFile
+ */
+function resolveOutputPaths(meta, options) {
+  if (options.outputFile) {
+    return { outputFile: options.outputFile, checkpointFile: getCheckpointFile(options.outputFile) };
+  }
+
+  const basename = buildDatasetBasename(meta);
+  return {
+    outputFile: path.join(options.outputDir, `${basename}_messages.json`),
+    checkpointFile: path.join(options.outputDir, `${basename.replace(/_[^_]*$/, '')}.checkpoint.json`)
+  };
+}
+
+/**
+ * Reads an earlier scrape
+ * @param {string} file - Raw scrape, as JSON or JSONL
+ * @returns {Object} - Object containing meta (null for bare files) and topics
+ * @throws {InputError} - When the file is not valid JSON
+ */
+function readPreviousScrape(file) {
+  if (isJsonlFile(file)) return readJsonlDataset(file);
+  try {
+    return unwrapDataset(JSON.parse(fs.readFileSync(file, 'utf8')));
+  } catch (error) {
+    throw new InputError(`Invalid JSON in previous scrape ${file}: ${error.message}`, { file, cause: error });
+  }
+}
+
+/**
+ * Indexes the earlier scrapes for update mode, once per run. In a directory, only each file's
+ * metadata is read here; a stream's scrape is read in full when that stream comes up.
+ * @param {string} since - Earlier raw scrape (JSON or JSONL), or a directory of them (matched by stream)
+ * @returns {Object} - Object containing since, and file (a single scrape) or byStream (stream → file)
+ * @throws {InputError} - When the path is missing or a scrape in the directory is not valid JSON
+ */
+function indexPreviousScrapes(since) {
+  if (!fs.existsSync(since)) {
+    throw new InputError(`Previous scrape does not exist: ${since}`, { file: since });
+  }
+
+  if (!fs.statSync(since).isDirectory()) {
+    return { since, file: since, byStream: null };
+  }
+
+  // Several scrapes of the same stream: the newest (by meta.scraped_at) wins
+  const newest = new Map();
+  for (const file of listDatasetFiles(since)) {
+    const meta = readDatasetMeta(file);
+    if (!meta || !meta.stream) continue;
+    const scrapedAt = String(meta.scraped_at);
+    const current = newest.get(meta.stream);
+    if (!current || scrapedAt.localeCompare(current.scrapedAt) >= 0) {
+      newest.set(meta.stream, { file, scrapedAt });
+    }
+  }
+  const byStream = new Map([...newest].map(([stream, { file }]) => [stream, file]));
+  return { since, file: null, byStream };
+}
+
+/**
+ * Finds the earlier scrape of a stream for update mode
+ * @param {Object} previousScrapes - Index from indexPreviousScrapes
+ * @param {string} streamName - Stream being scraped
+ * @returns {Object|null} - Topics of the earlier scrape, or null when a directory has none for the stream
+ */
+function loadPreviousScrape(previousScrapes, streamName) {
+  if (!previousScrapes.byStream) {
+    return readPreviousScrape(previousScrapes.file).topics;
+  }
+  const file = previousScrapes.byStream.get(streamName);
+  return file ? readPreviousScrape(file).topics : null;
+}
+
+/**
+ * Works out where a scrape starts: from a checkpoint, after an earlier scrape, or from the beginning
+ * @param {string} checkpointFile - Checkpoint file of an interrupted run
+ * @param {string} streamName - Stream being scraped
+ * @param {Object|null} previousScrapes - Earlier scrapes for update mode (see indexPreviousScrapes)
+ * @returns {Object} - Object containing the anchor, any topics already scraped and the checkpoint's scraped_at
+ */
+function resolveStartingPoint(checkpointFile, streamName, previousScrapes) {
+  if (fs.existsSync(checkpointFile)) {
+    const checkpoint = JSON.parse(fs.readFileSync(checkpointFile, 'utf8'));
+    if (checkpoint.stream !== streamName) {
+      throw new InputError(`Checkpoint ${checkpointFile} belongs to stream "${checkpoint.stream}"; delete it to start over`, { file: checkpointFile });
+    }
+    console.log(`♻️  Resuming from checkpoint saved ${checkpoint.saved_at} (after message ${checkpoint.anchor})`);
+    return { anchor: checkpoint.anchor, topics: checkpoint.topics, scrapedAt: checkpoint.scraped_at };
+  }
+
+  if (previousScrapes) {
+    const { since } = previousScrapes;
+    const previousTopics = loadPreviousScrape(previousScrapes, streamName);
+    if (previousTopics === null) {
+      console.warn(`⚠️  Warning: No previous scrape of "${streamName}" in ${since}, fetching everything`);
+      return { anchor: 'oldest', topics: {} };
+    }
+    const latestId = getLatestMessageId(previousTopics);
+    if (latestId === null) {
+      throw new InputError(`Previous scrape has no message ids, cannot update from it: ${since}`, { file: since });
+    }
+    console.log(`Fetching messages newer than ${latestId}`);
+    return { anchor: latestId, topics: {} };
+  }
+
+  return { anchor: 'oldest', topics: {} };
+}
+
+/**
+ * Scrapes one stream into a raw JSON file, resuming from its checkpoint if there is one
+ * @param {string} realmUrl - Base URL of the Zulip realm
+ * @param {Object} credentials - Object with email and key
+ * @param {string} streamName - Stream to scrape
+ * @param {Object} options - See scrapeToFile; previousScrapes: the sinceFile index from
+ *   indexPreviousScrapes (built here when missing)
+ * @returns {Promise<Object>} - Object containing outputFile, topicCount and assetStats
+ */
+async function scrapeStreamToFile(realmUrl, credentials, streamName, options) {
+  console.log(`Scraping stream "${streamName}" from ${realmUrl}`);
+
+  const meta = {
+    format: SCRAPE_FORMAT,
+    version: 1,
+    realm: new URL(realmUrl).origin,
+    stream: streamName,
+    scraped_at: new Date().toISOString(),
+    scraper: 'zulip_api_scraper.js'
+  };
+  // The checkpoint doesn't depend on the date, so look for it before naming the output
+  const { checkpointFile } = resolveOutputPaths(meta, options);
+  const previousScrapes = options.previousScrapes || (options.sinceFile ? indexPreviousScrapes(options.sinceFile) : null);
+  const start = resolveStartingPoint(checkpointFile, streamName, previousScrapes);
+  meta.scraped_at = start.scrapedAt || meta.scraped_at;
+  const { outputFile } = resolveOutputPaths(meta, options);
+
+  // Ensure output directory exists
+  fs.mkdirSync(path.dirname(outputFile), { recursive: true });
+
+  const topics = await scrapeStream(realmUrl, credentials, streamName, {
+    anchor: start.anchor,
+    topics: start.topics,
+    narrow: options.narrow,
+    filters: options.filters,
+    batchSize: options.batchSize,
+    requestDelayMs: options.requestDelayMs,
+    requestTimeoutMs: options.requestTimeoutMs,
+    onPage: (scrapedTopics, anchor) => {
+      const checkpoint = {
+        stream: streamName,
+        anchor,
+        scraped_at: meta.scraped_at,
+        saved_at: new Date().toISOString(),
+        topics: scrapedTopics
+      };
+      fs.writeFileSync(checkpointFile, JSON.stringify(checkpoint), 'utf8');
+    }
+  });
+
+  console.log('Writing output file:', outputFile);
+  fs.writeFileSync(outputFile, JSON.stringify(wrapDataset(topics, meta, SCRAPE_FORMAT), null, 2), 'utf8');
+  fs.rmSync(checkpointFile, { force: true });
+
+  let assetStats = null;
+  if (options.assetsDir) {
+    console.log('Downloading uploads to:', options.assetsDir);
+    assetStats = await downloadAssets(realmUrl, credentials, topics, options.assetsDir);
+  }
+
+  return { outputFile, topicCount: Object.keys(topics).length, assetStats };
+}
+
+/**
+ * Main function to scrape one or more streams into raw JSON files
+ * @param {string} realmUrl - Base URL of the Zulip realm
+ * @param {string} zuliprcFile - Credentials file
+ * @param {Array} streamNames - Streams to scrape
+ * @param {Object} [options] - allSubscribed: also scrape every subscribed stream;
+ *   outputFile: output for a single stream; outputDir: directory for auto-named outputs;
+ *   sinceFile: only fetch messages newer than this earlier scrape (or directory of scrapes);
+ *   assetsDir: download referenced uploads into this directory;
+ *   narrow, filters, batchSize, requestDelayMs and requestTimeoutMs: see scrapeStream
+ * @returns {Promise<Array>} - One { outputFile, topicCount, assetStats } per scraped stream
+ * @throws {InputError} - When the credentials file or an earlier scrape is missing or unusable
+ * @throws {ConfigError} - When the credentials file has no API email and key
+ * @throws {PipelineError} - When the Zulip API returns an error
+ */
+async function scrapeToFile(realmUrl, zuliprcFile, streamNames, options = {}) {
+  // Validate credentials file exists
+  if (!fs.existsSync(zuliprcFile)) {
+    throw new InputError(`Credentials file does not exist: ${zuliprcFile}`, { file: zuliprcFile });
+  }
+  const credentials = parseZuliprc(fs.readFileSync(zuliprcFile, 'utf8'), zuliprcFile);
+
+  let streams = streamNames;
+  if (options.allSubscribed) {
+    const subscribed = await fetchSubscribedStreams(realmUrl, credentials);
+    console.log(`Found ${subscribed.length} subscribed streams`);
+    streams = Array.from(new Set([...streamNames, ...subscribed]));
+  }
+  if (streams.length === 0) {
+    throw new InputError('No streams to scrape');
+  }
+
+  const outputOptions = { outputDir: path.resolve('.'), ...options };
+  // Index the earlier scrapes once, rather than reading the whole directory for every stream
+  if (options.sinceFile) {
+    outputOptions.previousScrapes = indexPreviousScrapes(options.sinceFile);
+  }
+  const results = [];
+  for (const streamName of streams) {
+    results.push(await scrapeStreamToFile(realmUrl, credentials, streamName, outputOptions));
+  }
+
+  console.log('✅ Scraping completed successfully!');
+  console.log('📊 Statistics:');
+  for (const { outputFile, topicCount, assetStats } of results) {
+    console.log(`   - ${outputFile}: ${topicCount} topics`);
+    if (assetStats) {
+      console.log(`     Uploads downloaded: ${assetStats.downloaded} (${assetStats.skipped} already present, ${assetStats.failed} failed)`);
+    }
+  }
+
+  return results;
+}
+
+// Run the scraper if this file is executed directly
+if (require.main === module) {
+  runCli(() => {
+    const { realmUrl, zuliprcFile, streamNames, options } = parseArguments();
+    return scrapeToFile(realmUrl, zuliprcFile, streamNames, options);
+  }, 'Error scraping Zulip stream', printUsage);
+}
+
+module.exports = {
+  scrapeToFile,
+  scrapeStream,
+  scrapeStreamToFile,
+  fetchSubscribedStreams,
+  downloadAssets,
+  fetchMessagePage,
+  buildMessagesUrl,
+  buildPermalink,
+  groupReactions,
+  extractQuotes,
+  parseZuliprc,
+  parseArguments,
+  printUsage
+};
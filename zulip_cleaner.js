@@ -12,9 +12,11 @@
  * 
  * WHAT THIS SCRIPT DOES:
  * 1. Reads raw scraped JSON data with message arrays per topic
- * 2. Merges consecutive messages from the same sender 
- * 3. Converts each topic's messages into a single markdown blob
- * 4. Outputs cleaned data ready for splitting into individual files
+ * 2. Orders messages by message id or timestamp when the scrape has them
+ * 3. Renders quote-replies as attributed blockquotes, plus edit and reaction footers
+ * 4. Merges consecutive messages from the same sender 
+ * 5. Converts each topic's messages into a single markdown blob
+ * 6. Outputs cleaned data ready for splitting into individual files
  * 
  * INPUT FORMAT:
  * {
@@ -24,6 +26,10 @@
  *     { "sender": "bob", "content": "Reply" }
  *   ]
  * }
+ * Messages may also carry id, sender_id, sender_email, timestamp, permalink, edited,
+ * reactions and quotes (see zulip_dataset.js); older two-field files are still accepted.
+ * JSONL files (.jsonl, .ndjson) with one message per line and its topic in a "topic" field
+ * are read as well (see dataset_stream.js).
  * 
  * OUTPUT FORMAT:
  * {
@@ -32,17 +38,86 @@
  * 
  * FEATURES:
  * - Smart message consolidation (merges consecutive messages from same sender)
+ * - Merging of incremental scrapes without duplicates
+ * - Batch mode for multi-stream scrapes
+ * - Filters by date range, sender, topic pattern and topic size
  * - Preserves conversation flow and context
  * - Clean markdown formatting with proper spacing
  * - Automatic directory creation
  * - Progress tracking and error handling
  * 
  * USAGE:
- * node zulip_cleaner.js <input_file> <output_file>
+ * node zulip_cleaner.js <input_file> <output_file> [--merge <previous_raw.json>]... [--save-merged <raw_file>] [--stream]
+ *   [--since <date>] [--until <date>] [--topic-regex <pattern>]
+ *   [--include-sender <name>]... [--exclude-sender <name>]... [--min-messages <n>]
+ *   [--template <default|front-matter|chat|wiki|template.json>] [--topic-aliases <aliases.json>]
+ *   [--anonymize <mapping.json>] [--internal-host <host>]... [--redact-pattern <regex>]... [--audit-report <file.json>]
+ * 
+ * MERGING INCREMENTAL SCRAPES:
+ * --merge folds the input into one or more earlier raw scrapes (e.g. the output of an
+ * "update" scrape into last month's full dump). Messages are deduplicated by message id
+ * (or sender and content for old files). --save-merged also writes the merged raw data.
+ * 
+ * BATCHES:
+ * If <input_file> is a directory (e.g. one scrape per stream), every scrape in it is cleaned
+ * and <output_file> is treated as a directory: <output_dir>/<stream>/<name>_cleaned.json.
+ * The stream name comes from each file's metadata (see zulip_dataset.js), which is kept
+ * in the cleaned output.
+ * 
+ * TOPIC NAMES:
+ * Topics that are one thread under several names are merged before anything else: names
+ * that only differ in case or whitespace, Zulip's resolved prefix ("✔ foo" is topic "foo",
+ * marked resolved) and the renames listed in a --topic-aliases file. The merged thread is
+ * ordered by message id or time, and named after its latest rename. Resolved topics are
+ * listed in the cleaned file's meta.resolved_topics. When --merge finds that a message has
+ * moved to another topic, its old copy is dropped. See topic_names.js.
+ * 
+ * TEMPLATES:
+ * --template picks how messages and topics are written: a built-in preset (default,
+ * front-matter, chat, wiki) or a JSON template file. See output_templates.js.
+ * 
+ * FILTERS:
+ * Filters are applied after merging and before any markdown is generated, and the cleaner
+ * prints how many topics and messages each one dropped. --save-merged keeps everything.
+ * - --since / --until: keep messages sent in this window (dates are inclusive, e.g. 2025-06-30)
+ * - --topic-regex: keep topics matching a pattern, e.g. "^RFC:" or "/^rfc:/i"
+ * - --include-sender / --exclude-sender: match display name, email or user id (repeatable)
+ * - --min-messages: drop topics with fewer messages left than this
+ * 
+ * INPUT CHECKS:
+ * Every input is checked against schemas/zulip-scrape.schema.json before anything is
+ * cleaned, and the run stops with the JSON path of each problem (e.g. a null content or a
+ * topic that isn't an array). dataset_validator.js --repair fixes or drops those entries, and
+ * salvages the complete topics of a truncated download.
+ * 
+ * STREAMING (--stream):
+ * For dumps too large to load, --stream reads the input a topic at a time (after a first
+ * pass for the metadata and topic names) and writes each cleaned topic as soon as it is done,
+ * so memory stays around the size of the largest thread instead of several times the file.
+ * The output is the same, except that it always has the meta envelope and lists the meta
+ * after the topics. Topics that are one thread under several names are held until all of
+ * their names were read. Each topic is checked when it is reached, so a bad topic stops the
+ * run partway (the output file is only written when the run completes). --merge and
+ * --save-merged don't work with --stream. See dataset_stream.js.
+ * 
+ * ANONYMIZATION:
+ * --anonymize replaces every sender, mention, quoted author and reactor with a stable
+ * pseudonym ("User-7") kept in the given mapping file (created if missing; keep it private),
+ * and redacts emails and phone numbers. --internal-host also redacts links to that host and
+ * its subdomains, and --redact-pattern anything matching a regular expression (both
+ * repeatable). It runs after the filters, and the cleaner prints how many replacements each
+ * rule made; --audit-report also saves those counts as JSON. See anonymizer.js.
+ * --save-merged still writes the original, un-anonymized data.
  * 
  * EXAMPLES:
  * node zulip_cleaner.js data/messages.json cleaned_data/messages_cleaned.json
  * node zulip_cleaner.js data/rocq_ltac2_zulip_messages.json cleaned_data/rocq_ltac2_cleaned.json
+ * node zulip_cleaner.js data/2025-06/ cleaned_data/2025-06/
+ * node zulip_cleaner.js data/messages.json cleaned_data/rfcs_cleaned.json --since 2025-04-01 --topic-regex "/^RFC:/i"
+ * node zulip_cleaner.js data/messages.json cleaned_data/corpus_cleaned.json --template chat
+ * node zulip_cleaner.js data/messages.json cleaned_data/messages_cleaned.json --topic-aliases topic_aliases.json
+ * node zulip_cleaner.js data/messages.json public/messages_cleaned.json --anonymize private/pseudonyms.json --internal-host corp.example.com
+ * node zulip_cleaner.js data/full_export.jsonl cleaned_data/full_export_cleaned.json --stream
  * 
  * NEXT STEPS:
  * After cleaning, use data_splitter.js to create individual markdown files:
@@ -51,132 +126,711 @@
 
 const fs = require('fs');
 const path = require('path');
+const { parseArgs } = require('util');
+const {
+  SCRAPE_FORMAT,
+  CLEANED_FORMAT,
+  unwrapDataset,
+  wrapDataset,
+  getDatasetName,
+  getStreamSlug,
+  listDatasetFiles,
+  normalizeMessages,
+  mergeScrapes,
+  filterTopics,
+  parseDateBound,
+  parseTopicPattern,
+  getMessageTime
+} = require('./zulip_dataset');
+const { TEMPLATE_PRESETS, loadTemplate, renderTemplate, formatTime } = require('./output_templates');
+const {
+  loadPseudonymMap,
+  savePseudonymMap,
+  compileRedactPatterns,
+  createAudit,
+  anonymizeTopics,
+  anonymizeMeta
+} = require('./anonymizer');
+const { loadTopicAliases, reconcileTopics, groupThreads } = require('./topic_names');
+const {
+  validateDataset,
+  validateStream,
+  createValidationError,
+  salvageTruncatedJson,
+  MANIFEST_FORMAT
+} = require('./dataset_validator');
+const { isJsonlFile, readJsonlDataset, openDatasetStream, readDatasetMeta, createDatasetWriter } = require('./dataset_stream');
+const { UsageError, InputError, runCli } = require('./errors');
+
+// Filter flags, shared with the other scripts that read raw scrapes (see parseFilters)
+const FILTER_OPTIONS = {
+  'since': { type: 'string' },
+  'until': { type: 'string' },
+  'topic-regex': { type: 'string' },
+  'include-sender': { type: 'string', multiple: true },
+  'exclude-sender': { type: 'string', multiple: true },
+  'min-messages': { type: 'string' }
+};
+
+/**
+ * Prints command line usage
+ * @param {string} [command] - How the cleaner is invoked
+ */
+function printUsage(command = 'node zulip_cleaner.js') {
+  console.log(`Usage: ${command} <input_file> <output_file> [--merge <previous_raw.json>]... [--save-merged <raw_file>] [--stream] [filters]`);
+  console.log('Output: [--template <default|front-matter|chat|wiki|template.json>] [--topic-aliases <aliases.json>]');
+  console.log('Filters: [--since <date>] [--until <date>] [--topic-regex <pattern>] [--include-sender <name>]... [--exclude-sender <name>]... [--min-messages <n>]');
+  console.log('Anonymization: [--anonymize <mapping.json>] [--internal-host <host>]... [--redact-pattern <regex>]... [--audit-report <file.json>]');
+  console.log(`Example: ${command} data/messages.json cleaned_data/messages_cleaned.json`);
+  console.log(`Example: ${command} data/2025-06/ cleaned_data/2025-06/   (batch: one output directory per stream)`);
+  console.log(`Example: ${command} data/update.json cleaned_data/messages_cleaned.json --merge data/messages.json --save-merged data/messages.json`);
+  console.log(`Example: ${command} data/messages.json cleaned_data/rfcs_cleaned.json --since 2025-04-01 --topic-regex "/^RFC:/i"`);
+  console.log(`Example: ${command} data/full_export.jsonl cleaned_data/full_export_cleaned.json --stream`);
+}
 
 /**
  * Parses command line arguments
- * @returns {Object} - Object containing inputFile and outputFile paths
+ * @param {Array} [argv] - Arguments without the node and script paths
+ * @returns {Object} - Object containing inputFile and outputFile paths, plus cleaning options
  */
-function parseArguments() {
-  const args = process.argv.slice(2);
+function parseArguments(argv = process.argv.slice(2)) {
+  let parsed;
+  try {
+    parsed = parseArgs({
+      args: argv,
+      allowPositionals: true,
+      options: {
+        'merge': { type: 'string', multiple: true },
+        'save-merged': { type: 'string' },
+        'stream': { type: 'boolean' },
+        ...FILTER_OPTIONS,
+        'template': { type: 'string' },
+        'topic-aliases': { type: 'string' },
+        'anonymize': { type: 'string' },
+        'internal-host': { type: 'string', multiple: true },
+        'redact-pattern': { type: 'string', multiple: true },
+        'audit-report': { type: 'string' }
+      }
+    });
+  } catch (error) {
+    throw new UsageError(error.message);
+  }
+  const { values, positionals } = parsed;
 
-  if (args.length < 2) {
-    console.error('❌ Error: Missing required arguments');
-    console.log('Usage: node zulip_cleaner.js <input_file> <output_file>');
-    console.log('Example: node zulip_cleaner.js data/messages.json cleaned_data/messages_cleaned.json');
-    process.exit(1);
+  if (positionals.length < 2) {
+    throw new UsageError('Missing required arguments');
+  }
+  if (values.stream && (values.merge || values['save-merged'])) {
+    throw new UsageError('--merge and --save-merged load every scrape whole, so they don\'t work with --stream');
+  }
+
+  const template = loadTemplate(values.template);
+  const topicAliases = values['topic-aliases'] ? loadTopicAliases(path.resolve(values['topic-aliases'])) : null;
+
+  let anonymize = null;
+  if (values.anonymize) {
+    let patterns;
+    try {
+      patterns = compileRedactPatterns(values['redact-pattern']);
+    } catch (error) {
+      throw new UsageError(error.message);
+    }
+    anonymize = {
+      mappingFile: path.resolve(values.anonymize),
+      internalHosts: (values['internal-host'] || []).map(host => host.toLowerCase().replace(/^https?:\/\//, '').replace(/\/.*$/, '')),
+      patterns: patterns,
+      auditFile: values['audit-report'] ? path.resolve(values['audit-report']) : null
+    };
+  } else {
+    const needsAnonymize = ['internal-host', 'redact-pattern', 'audit-report'].find(key => values[key] !== undefined);
+    if (needsAnonymize) {
+      throw new UsageError(`--${needsAnonymize} only works with --anonymize`);
+    }
   }
 
   return {
-    inputFile: path.resolve(args[0]),
-    outputFile: path.resolve(args[1])
+    inputFile: path.resolve(positionals[0]),
+    outputFile: path.resolve(positionals[1]),
+    options: {
+      mergeFiles: (values.merge || []).map(file => path.resolve(file)),
+      mergedOutputFile: values['save-merged'] ? path.resolve(values['save-merged']) : null,
+      stream: Boolean(values.stream),
+      filters: parseFilters(values),
+      template: template,
+      topicAliases: topicAliases,
+      anonymize: anonymize
+    }
   };
 }
 
+/**
+ * Turns the FILTER_OPTIONS flags into filters for filterTopics
+ * @param {Object} values - Parsed flag values
+ * @returns {Object|null} - Filters (see filterTopics in zulip_dataset.js), or null when no filter flag is set
+ * @throws {UsageError} - When a date, pattern or count is invalid
+ */
+function parseFilters(values) {
+  const filters = {};
+  try {
+    if (values.since) filters.since = parseDateBound(values.since);
+    if (values.until) filters.until = parseDateBound(values.until, true);
+    if (values['topic-regex']) filters.topicPattern = parseTopicPattern(values['topic-regex']);
+  } catch (error) {
+    throw new UsageError(error.message);
+  }
+  if (values['include-sender']) filters.includeSenders = values['include-sender'];
+  if (values['exclude-sender']) filters.excludeSenders = values['exclude-sender'];
+  if (values['min-messages']) {
+    filters.minMessages = parseInt(values['min-messages'], 10);
+    if (!(filters.minMessages >= 1)) {
+      throw new UsageError('--min-messages must be a positive integer');
+    }
+  }
+  return Object.keys(filters).length > 0 ? filters : null;
+}
+
+/**
+ * Splits messages into runs of consecutive messages from the same sender
+ * @param {Array} messages - Array of message objects with sender and content
+ * @returns {Array} - Array of runs, each an array of messages
+ */
+function groupConsecutiveMessages(messages) {
+  const runs = [];
+  for (const message of messages || []) {
+    const current = runs[runs.length - 1];
+    if (current && current[0].sender === message.sender) {
+      // Same sender, continue the run
+      current.push(message);
+    } else {
+      // Different sender, start a new run
+      runs.push([message]);
+    }
+  }
+  return runs;
+}
+
 /**
  * Collapses messages from the same sender into a single entry
  * @param {Array} messages - Array of message objects with sender and content
  * @returns {Array} - Array with consecutive messages from same sender collapsed
+ *   (other fields, such as id and timestamp, are taken from the first message)
  */
 function collapseConsecutiveMessages(messages) {
-  if (!messages || messages.length === 0) return [];
+  return groupConsecutiveMessages(messages).map(run => ({
+    ...run[0],
+    content: run.map(message => message.content).join('\n\n')
+  }));
+}
 
-  const collapsed = [];
-  let currentSender = messages[0].sender;
-  let currentContent = messages[0].content;
+/**
+ * Rewrites Zulip quote-and-reply blocks as markdown blockquotes that credit the quoted author.
+ * Handles both raw Zulip markdown (```quote fences) and Turndown output (> lines).
+ * @param {string} content - Message content in markdown
+ * @returns {string} - Content with normalized quote blocks
+ */
+function formatQuoteBlocks(content) {
+  // ```quote ... ``` → > lines
+  const withBlockquotes = content.replace(/^(`{3,}|~{3,})quote\n([\s\S]*?)\n\1[ \t]*(\n(?!\n))?/gm, (match, fence, body, nextLine) => {
+    const quote = body.split('\n').map(line => (line ? `> ${line}` : '>')).join('\n');
+    // Keep text that directly follows the fence from being pulled into the blockquote
+    return nextLine ? `${quote}\n\n` : quote;
+  });
 
-  for (let i = 1; i < messages.length; i++) {
-    if (messages[i].sender === currentSender) {
-      // Same sender, append content
-      currentContent += '\n\n' + messages[i].content;
-    } else {
-      // Different sender, save current and start new
-      collapsed.push({ sender: currentSender, content: currentContent });
-      currentSender = messages[i].sender;
-      currentContent = messages[i].content;
-    }
+  // "@_**alice|12** [said](link):" followed by a blockquote → attribution inside the blockquote
+  // (anonymized data may have "said:" without the link)
+  return withBlockquotes.replace(
+    /^@_\*\*([^*|]+?)(?:\|\d+)?\*\* (?:\[said\]\(([^)]+)\)|said):\n+((?:>.*(?:\n|$))+)/gm,
+    (match, author, link, quote) => `> **${author}** ${link ? `[said](${link})` : 'said'}:\n>\n${quote}`
+  );
+}
+
+/**
+ * Builds the compact footer line for a message's edit status and reactions
+ * @param {Object} message - Normalized message object
+ * @returns {string} - Footer line, or an empty string if there is nothing to show
+ */
+function formatMessageFooter(message) {
+  const parts = [];
+  if (message.edited) {
+    parts.push('edited');
+  }
+  if (message.reactions.length > 0) {
+    const reactions = message.reactions.map(reaction => {
+      const reactors = reaction.reactors && reaction.reactors.length > 0 ? ` (${reaction.reactors.join(', ')})` : '';
+      return `:${reaction.emoji}: ×${reaction.count}${reactors}`;
+    });
+    parts.push(`reactions: ${reactions.join(', ')}`);
   }
+  return parts.length > 0 ? `_(${parts.join(' · ')})_` : '';
+}
 
-  // Don't forget the last message
-  collapsed.push({ sender: currentSender, content: currentContent });
-  return collapsed;
+/**
+ * Renders the body of a single message: quote blocks plus the edit/reaction footer
+ * @param {Object} message - Normalized message object
+ * @returns {string} - Markdown body of the message
+ */
+function renderMessageContent(message) {
+  const content = formatQuoteBlocks(message.content || '');
+  const footer = formatMessageFooter(message);
+  return footer ? `${content}\n\n${footer}` : content;
+}
+
+/**
+ * Renders a topic's messages with the template's message level, one block per message
+ * (or per run of collapsed messages)
+ * @param {Array} messages - Array of message objects with sender and content
+ * @param {Object} [template] - Output template (see output_templates.js)
+ * @returns {Array} - Array of { text, messages } in chronological order, where messages are
+ *   the normalized messages behind the block
+ */
+function renderMessageBlocks(messages, template = TEMPLATE_PRESETS.default) {
+  if (!messages || messages.length === 0) return [];
+
+  // Put messages in chronological order and render each body (quotes, edits, reactions),
+  // then collapse consecutive messages from the same sender
+  const orderedMessages = normalizeMessages(messages);
+  const renderedMessages = orderedMessages
+    .map(message => ({ ...message, content: renderMessageContent(message) }));
+  const runs = template.collapse ? groupConsecutiveMessages(renderedMessages) : renderedMessages.map(message => [message]);
+
+  // Fill in the message template; block-level content (quotes, code) can't share the sender's line
+  const starter = orderedMessages[0].sender;
+  return runs.map(run => {
+    const message = collapseConsecutiveMessages(run)[0];
+    const time = getMessageTime(message);
+    const timestamp = time !== null ? new Date(time).toISOString() : null;
+    const text = renderTemplate(template.message, {
+      sender: message.sender,
+      sender_email: message.sender_email,
+      role: message.sender === starter ? 'User' : 'Assistant',
+      content: message.content,
+      content_separator: /^(>|`{3,}|~{3,})/.test(message.content) ? '\n\n' : ' ',
+      id: message.id,
+      timestamp: timestamp,
+      date: timestamp ? timestamp.slice(0, 10) : null,
+      time: formatTime(timestamp),
+      permalink: message.permalink
+    });
+    return { text, messages: run };
+  });
 }
 
 /**
  * Converts an array of messages to a markdown string
  * @param {Array} messages - Array of message objects with sender and content
+ * @param {Object} [template] - Output template (see output_templates.js)
+ * @param {string} [topicName] - Topic the messages belong to, for the topic template
  * @returns {string} - Markdown formatted string
  */
-function messagesToMarkdown(messages) {
-  if (!messages || messages.length === 0) return '';
+function messagesToMarkdown(messages, template = TEMPLATE_PRESETS.default, topicName = '') {
+  const blocks = renderMessageBlocks(messages, template);
+  if (blocks.length === 0) return '';
 
-  // First collapse consecutive messages from the same sender
-  const collapsedMessages = collapseConsecutiveMessages(messages);
+  const orderedMessages = blocks.flatMap(block => block.messages);
+  const renderedBlocks = blocks.map(block => block.text);
 
-  // Convert to markdown format
-  return collapsedMessages
-    .map(message => `**${message.sender}:** ${message.content}`)
-    .join('\n\n');
+  const times = orderedMessages.map(getMessageTime).filter(time => time !== null);
+  const toDate = time => new Date(time).toISOString().slice(0, 10);
+  return renderTemplate(template.topic, {
+    topic: topicName,
+    messages: renderedBlocks.join(template.messageSeparator),
+    message_count: orderedMessages.length,
+    participants: Array.from(new Set(orderedMessages.map(message => message.sender))).join(', '),
+    first_date: times.length > 0 ? toDate(Math.min(...times)) : null,
+    last_date: times.length > 0 ? toDate(Math.max(...times)) : null
+  });
 }
 
 /**
- * Main function to clean Zulip data
+ * Reads and parses a JSON file, checking that it exists first
+ * @param {string} file - Path to the JSON file
+ * @returns {*} - Parsed contents
  */
-async function cleanZulipData(inputFile, outputFile) {
+function readJsonFile(file) {
+  if (!fs.existsSync(file)) {
+    throw new InputError(`Input file does not exist: ${file}`, { file });
+  }
+  const text = fs.readFileSync(file, 'utf8');
   try {
-    console.log('Reading input file:', inputFile);
+    return JSON.parse(text);
+  } catch (error) {
+    const hint = salvageTruncatedJson(text) ? ' (the file looks truncated: dataset_validator.js --repair can salvage its complete topics)' : '';
+    throw new InputError(`Invalid JSON in ${file}: ${error.message}${hint}`, { file, cause: error });
+  }
+}
 
-    // Validate input file exists
-    if (!fs.existsSync(inputFile)) {
-      throw new Error(`Input file does not exist: ${inputFile}`);
-    }
+/**
+ * Reads a dataset file and checks it against the schema of its format (see dataset_validator.js)
+ * @param {string} file - Raw scrape (or cleaned file), as JSON or JSONL (see dataset_stream.js)
+ * @returns {Object} - Object containing meta (null for bare files) and topics
+ */
+function readDatasetFile(file) {
+  let data;
+  if (isJsonlFile(file)) {
+    const { meta, topics } = readJsonlDataset(file);
+    data = meta ? { meta, topics } : topics;
+  } else {
+    data = readJsonFile(file);
+  }
+  const { format, errors } = validateDataset(data);
+  if (format === MANIFEST_FORMAT) {
+    throw new InputError(`${file} is a split manifest, not a scrape`, { file });
+  }
+  if (errors.length > 0) {
+    throw createValidationError(file, format, errors);
+  }
+  return unwrapDataset(data);
+}
 
-    // Ensure output directory exists
-    const outputDir = path.dirname(outputFile);
-    if (!fs.existsSync(outputDir)) {
-      fs.mkdirSync(outputDir, { recursive: true });
-    }
+/**
+ * Reads a raw scrape and folds it into previous scrapes, newest last
+ * @param {string} inputFile - Raw scrape to clean (possibly an incremental update)
+ * @param {Array} mergeFiles - Earlier raw scrapes to merge the input into
+ * @param {Object} [options] - reconcile: also merge topics that are one thread under several
+ *   names, as the cleaner does, with the topicAliases (see loadTopicAliases)
+ * @returns {Object} - Object containing the metadata of the newest scrape and the merged topics
+ */
+function readAndMergeScrapes(inputFile, mergeFiles, options = {}) {
+  const [baseFile, ...laterFiles] = [...mergeFiles, inputFile];
+  let { meta, topics } = readDatasetFile(baseFile);
 
-    // Step 1: Read the JSON file
-    const rawData = fs.readFileSync(inputFile, 'utf8');
-    const zulipData = JSON.parse(rawData);
+  for (const file of laterFiles) {
+    const later = readDatasetFile(file);
+    const { data, addedCount, movedCount } = mergeScrapes(topics, later.topics);
+    console.log(`Merged ${path.basename(file)}: ${addedCount} new messages${movedCount > 0 ? `, ${movedCount} moved to another topic` : ''}`);
+    topics = data;
+    meta = later.meta || meta;
+  }
 
-    console.log('Found', Object.keys(zulipData).length, 'topics');
+  // Cleaned files were reconciled when they were cleaned
+  if (options.reconcile && Object.values(topics).every(Array.isArray)) {
+    topics = reconcileTopics(topics, options.topicAliases || null).data;
+  }
 
-    // Step 2: Process each topic
-    const cleanedData = {};
+  return { meta, topics };
+}
 
-    for (const [topicName, messages] of Object.entries(zulipData)) {
+/**
+ * Prints what the filters dropped
+ * @param {Object} dropped - Dropped summary returned by filterTopics
+ * @param {number} keptTopics - Number of topics left after filtering
+ */
+function printFilterSummary(dropped, keptTopics) {
+  console.log(`🔎 Filters kept ${keptTopics} topics and dropped:`);
+  console.log(`   - ${dropped.topicsByPattern} topics not matching --topic-regex`);
+  console.log(`   - ${dropped.topicsEmptied} topics with no messages left after the date and sender filters`);
+  console.log(`   - ${dropped.topicsBelowMinimum} topics below --min-messages`);
+  console.log(`   - ${dropped.messagesByDate} messages outside --since/--until`);
+  console.log(`   - ${dropped.messagesBySender} messages by sender filters`);
+  if (dropped.undatedKept > 0) {
+    console.warn(`⚠️  Warning: Kept ${dropped.undatedKept} messages without timestamps; the date filters can't apply to them`);
+  }
+}
+
+/**
+ * Prints which topic names were merged into one thread
+ * @param {Object} reconciled - Result of reconcileTopics
+ */
+function printTopicMerges(reconciled) {
+  if (reconciled.merges.length > 0) {
+    const mergedNames = reconciled.merges.reduce((sum, merge) => sum + merge.names.length, 0);
+    console.log(`🔀 Merged ${mergedNames} topic names into ${reconciled.merges.length} topics:`);
+    reconciled.merges.forEach(merge => {
+      console.log(`   - "${merge.topic}" ← ${merge.names.map(name => JSON.stringify(name)).join(', ')}`);
+    });
+  }
+  if (reconciled.duplicatesDropped > 0) {
+    console.log(`   - ${reconciled.duplicatesDropped} messages found under more than one name were kept once`);
+  }
+  if (reconciled.resolved.size > 0) {
+    console.log(`✔ ${reconciled.resolved.size} topics marked resolved`);
+  }
+}
+
+/**
+ * Cleans a single raw scrape file
+ * @param {string} inputFile - Raw scrape to clean
+ * @param {string} outputFile - Where to write the cleaned JSON
+ * @param {Object} options - See cleanZulipData
+ * @param {Object} [dataset] - The input, when the caller has already read it (see readDatasetFile)
+ * @returns {number} - Number of topics written
+ */
+function cleanFile(inputFile, outputFile, options, dataset = null) {
+  console.log('Reading input file:', inputFile);
+
+  // Validate input file exists
+  if (!fs.existsSync(inputFile)) {
+    throw new InputError(`Input file does not exist: ${inputFile}`, { file: inputFile });
+  }
+
+  // Ensure output directory exists
+  const outputDir = path.dirname(outputFile);
+  if (!fs.existsSync(outputDir)) {
+    fs.mkdirSync(outputDir, { recursive: true });
+  }
+
+  if (options.stream) {
+    return cleanFileStreaming(inputFile, outputFile, options);
+  }
+
+  // Step 1: Read the JSON file, folding it into any previous scrapes
+  let { meta, topics: zulipData } = dataset || readAndMergeScrapes(inputFile, options.mergeFiles || []);
+
+  if (options.mergedOutputFile) {
+    console.log('Writing merged raw data:', options.mergedOutputFile);
+    fs.writeFileSync(options.mergedOutputFile, JSON.stringify(wrapDataset(zulipData, meta, SCRAPE_FORMAT), null, 2), 'utf8');
+  }
+
+  console.log('Found', Object.keys(zulipData).length, 'topics');
+
+  // Step 2: Merge topics that are one thread under several names
+  const reconciled = reconcileTopics(zulipData, options.topicAliases);
+  printTopicMerges(reconciled);
+
+  // Step 3: Drop what the filters exclude and anonymize, before anything is rendered
+  let topics = reconciled.data;
+  if (options.filters) {
+    const { data, dropped } = filterTopics(topics, options.filters);
+    printFilterSummary(dropped, Object.keys(data).length);
+    topics = data;
+  }
+  let resolvedTopics = Object.keys(topics).filter(topicName => reconciled.resolved.has(topicName));
+  if (options.anonymizer) {
+    const renamed = new Map();
+    topics = anonymizeTopics(topics, options.anonymizer, options.anonymizer.audit, renamed);
+    meta = anonymizeMeta(meta, options.anonymizer, options.anonymizer.audit);
+    resolvedTopics = resolvedTopics.map(topicName => renamed.get(topicName));
+  }
+  if (resolvedTopics.length > 0) {
+    meta = { ...meta, resolved_topics: resolvedTopics };
+  }
+
+  // Step 4: Process each topic
+  const cleanedData = {};
+
+  for (const [topicName, messages] of Object.entries(topics)) {
+    console.log(`Processing topic: "${topicName}" (${messages.length} messages)`);
+
+    // Convert messages to markdown blob
+    const markdownBlob = messagesToMarkdown(messages, options.template, topicName);
+    cleanedData[topicName] = markdownBlob;
+  }
+
+  // Step 5: Write the cleaned data to a new JSON file, keeping the stream metadata
+  console.log('Writing output file:', outputFile);
+  fs.writeFileSync(outputFile, JSON.stringify(wrapDataset(cleanedData, meta, CLEANED_FORMAT), null, 2), 'utf8');
+
+  return Object.keys(cleanedData).length;
+}
+
+/**
+ * Cleans a single raw scrape one thread at a time, writing each as it is done (--stream)
+ * @param {string} inputFile - Raw scrape to clean (JSON or JSONL)
+ * @param {string} outputFile - Where to write the cleaned JSON
+ * @param {Object} options - See cleanZulipData
+ * @returns {number} - Number of topics written
+ */
+function cleanFileStreaming(inputFile, outputFile, options) {
+  // Step 1: A first pass for the metadata and the topic names
+  const stream = openDatasetStream(inputFile);
+  console.log('Found', stream.names.length, 'topics');
+
+  const reconciled = { merges: [], resolved: new Set(), duplicatesDropped: 0 };
+  const dropped = {
+    topicsByPattern: 0, topicsEmptied: 0, topicsBelowMinimum: 0, messagesByDate: 0, messagesBySender: 0, undatedKept: 0
+  };
+  const resolvedTopics = [];
+  const anonymizedNames = new Set();
+  // Always an envelope: whether resolved_topics is needed is only known at the end
+  const writer = createDatasetWriter(outputFile, { envelope: true });
+
+  // Steps 2 to 4 of cleanFile, for the topics of one thread
+  const cleanThread = data => {
+    const thread = reconcileTopics(data, options.topicAliases);
+    reconciled.merges.push(...thread.merges);
+    reconciled.duplicatesDropped += thread.duplicatesDropped;
+    thread.resolved.forEach(topicName => reconciled.resolved.add(topicName));
+
+    let topics = thread.data;
+    if (options.filters) {
+      const filtered = filterTopics(topics, options.filters);
+      Object.keys(dropped).forEach(key => { dropped[key] += filtered.dropped[key]; });
+      topics = filtered.data;
+    }
+    let resolved = Object.keys(topics).filter(topicName => thread.resolved.has(topicName));
+    if (options.anonymizer) {
+      const renamed = new Map();
+      topics = anonymizeTopics(topics, options.anonymizer, options.anonymizer.audit, renamed, anonymizedNames);
+      resolved = resolved.map(topicName => renamed.get(topicName));
+    }
+    resolvedTopics.push(...resolved);
+
+    for (const [topicName, messages] of Object.entries(topics)) {
       console.log(`Processing topic: "${topicName}" (${messages.length} messages)`);
+      writer.writeTopic(topicName, messagesToMarkdown(messages, options.template, topicName));
+    }
+  };
 
-      // Convert messages to markdown blob
-      const markdownBlob = messagesToMarkdown(messages);
-      cleanedData[topicName] = markdownBlob;
+  let topicCount;
+  try {
+    // Topics that are one thread under several names are held back until all of them were read
+    for (const thread of groupThreads(validateStream(stream, inputFile), stream.names, options.topicAliases)) {
+      cleanThread(thread);
     }
 
-    // Step 3: Write the cleaned data to a new JSON file
+    let meta = stream.meta;
+    if (options.anonymizer) {
+      meta = anonymizeMeta(meta, options.anonymizer, options.anonymizer.audit);
+    }
+    if (resolvedTopics.length > 0) {
+      meta = { ...meta, resolved_topics: resolvedTopics };
+    }
     console.log('Writing output file:', outputFile);
-    fs.writeFileSync(outputFile, JSON.stringify(cleanedData, null, 2), 'utf8');
+    topicCount = writer.finish({ ...meta, format: CLEANED_FORMAT });
+  } catch (error) {
+    writer.abort();
+    stream.close();
+    throw error;
+  }
+
+  printTopicMerges(reconciled);
+  if (options.filters) {
+    printFilterSummary(dropped, topicCount);
+  }
+  return topicCount;
+}
+
+/**
+ * Cleans every scrape in a batch directory into <outputDir>/<stream>/<name>_cleaned.json
+ * @param {string} inputDir - Directory of raw scrapes (e.g. one per stream)
+ * @param {string} outputDir - Directory for the per-stream output directories
+ * @param {Object} options - See cleanZulipData
+ * @returns {Array} - Array of { stream, outputFile, topicCount }
+ */
+function cleanBatch(inputDir, outputDir, options) {
+  if ((options.mergeFiles || []).length > 0 || options.mergedOutputFile) {
+    throw new UsageError('--merge and --save-merged only work with a single input file');
+  }
+
+  const files = listDatasetFiles(inputDir);
+  if (files.length === 0) {
+    throw new InputError(`No JSON or JSONL files found in input directory: ${inputDir}`, { file: inputDir });
+  }
+
+  console.log(`Found ${files.length} scrapes in batch`);
+  return files.map(file => {
+    // Read once: the metadata picks the output directory, and the topics are cleaned
+    const dataset = options.stream ? null : readDatasetFile(file);
+    const meta = options.stream ? readDatasetMeta(file) : dataset.meta;
+    const stream = getStreamSlug(meta, file);
+    const outputName = `${getDatasetName(file).replace(/_messages$/, '')}_cleaned.json`;
+    const outputFile = path.join(outputDir, stream, outputName);
+    return { stream, outputFile, topicCount: cleanFile(file, outputFile, options, dataset) };
+  });
+}
+
+/**
+ * Prints the anonymization audit and saves the pseudonym mapping (and audit report)
+ * @param {Object} anonymizer - mapping, audit and the count of pseudonyms before this run
+ * @param {Object} anonymize - mappingFile and auditFile
+ * @returns {Object} - Audit report: pseudonym counts and replacements per rule
+ */
+function finishAnonymization(anonymizer, anonymize) {
+  savePseudonymMap(anonymizer.mapping, anonymize.mappingFile);
+  const report = {
+    generated_at: new Date().toISOString(),
+    pseudonyms: anonymizer.mapping.next - 1,
+    new_pseudonyms: anonymizer.mapping.next - anonymizer.startNext,
+    replacements: anonymizer.audit
+  };
+
+  console.log('🕵️  Anonymization audit (replacements per rule):');
+  for (const [rule, count] of Object.entries(report.replacements)) {
+    console.log(`   - ${rule}: ${count}`);
+  }
+  console.log(`   - Pseudonyms: ${report.pseudonyms} (${report.new_pseudonyms} new), mapping saved to ${anonymize.mappingFile}`);
+  if (anonymize.auditFile) {
+    fs.mkdirSync(path.dirname(anonymize.auditFile), { recursive: true });
+    fs.writeFileSync(anonymize.auditFile, JSON.stringify(report, null, 2), 'utf8');
+    console.log(`   - Audit report: ${anonymize.auditFile}`);
+  }
+  return report;
+}
+
+/**
+ * Main function to clean Zulip data
+ * @param {string} inputFile - Raw scrape to clean, or a directory of scrapes to clean as a batch
+ * @param {string} outputFile - Where to write the cleaned JSON (an output directory for batches)
+ * @param {Object} [options] - mergeFiles: earlier scrapes to merge into; mergedOutputFile: where to save the merged raw data;
+ *   stream: read and clean one thread at a time (see STREAMING above);
+ *   filters: topic and message filters (see filterTopics in zulip_dataset.js);
+ *   template: output template for messages and topics (see output_templates.js);
+ *   topicAliases: topic renames to merge (see loadTopicAliases in topic_names.js);
+ *   anonymize: mappingFile, internalHosts, patterns and auditFile (see anonymizer.js)
+ * @returns {Promise<Array>} - Array of { stream, outputFile, topicCount }, one per cleaned file
+ * @throws {InputError|UsageError|ConfigError} - When the input is missing or invalid, the options
+ *   don't fit it, or the pseudonym mapping file is invalid
+ */
+async function cleanZulipData(inputFile, outputFile, options = {}) {
+  if (options.anonymize) {
+    // One mapping for every file of a batch, so people keep their pseudonym across streams
+    const mapping = loadPseudonymMap(options.anonymize.mappingFile);
+    const anonymizer = {
+      mapping: mapping,
+      internalHosts: options.anonymize.internalHosts || [],
+      patterns: options.anonymize.patterns || [],
+      audit: createAudit(options.anonymize.patterns),
+      startNext: mapping.next
+    };
+    const results = await cleanZulipData(inputFile, outputFile, { ...options, anonymize: null, anonymizer });
+    finishAnonymization(anonymizer, options.anonymize);
+    return results;
+  }
+
+  if (fs.existsSync(inputFile) && fs.statSync(inputFile).isDirectory()) {
+    const results = cleanBatch(inputFile, outputFile, options);
 
     console.log('✅ Cleaning completed successfully!');
     console.log('📊 Statistics:');
-    console.log(`   - Topics processed: ${Object.keys(cleanedData).length}`);
-    console.log(`   - Output file: ${outputFile}`);
-
-  } catch (error) {
-    console.error('❌ Error cleaning Zulip data:', error.message);
-    process.exit(1);
+    results.forEach(result => {
+      console.log(`   - ${result.stream}: ${result.topicCount} topics → ${result.outputFile}`);
+    });
+    return results;
   }
+
+  const topicCount = cleanFile(inputFile, outputFile, options);
+
+  console.log('✅ Cleaning completed successfully!');
+  console.log('📊 Statistics:');
+  console.log(`   - Topics processed: ${topicCount}`);
+  console.log(`   - Output file: ${outputFile}`);
+  return [{ stream: null, outputFile, topicCount }];
 }
 
 // Run the cleaner if this file is executed directly
 if (require.main === module) {
-  const { inputFile, outputFile } = parseArguments();
-  cleanZulipData(inputFile, outputFile);
+  runCli(() => {
+    const { inputFile, outputFile, options } = parseArguments();
+    return cleanZulipData(inputFile, outputFile, options);
+  }, 'Error cleaning Zulip data', printUsage);
 }
 
 module.exports = {
   cleanZulipData,
   messagesToMarkdown,
+  renderMessageBlocks,
+  renderMessageContent,
+  formatQuoteBlocks,
+  formatMessageFooter,
   collapseConsecutiveMessages,
-  parseArguments
+  readAndMergeScrapes,
+  readDatasetFile,
+  printFilterSummary,
+  printTopicMerges,
+  FILTER_OPTIONS,
+  parseFilters,
+  cleanFile,
+  cleanBatch,
+  parseArguments,
+  printUsage
 };
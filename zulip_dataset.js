@@ -0,0 +1,402 @@
+/**
+ * Zulip Dataset Helpers
+ * =====================
+ *
+ * Shared helpers for working with the raw scraper format produced by
+ * zulip_scraper.js and zulip_api_scraper.js. Used by the Node stages of the pipeline.
+ *
+ * DATASET FILES:
+ * Scrapes are saved with metadata describing where and when they were taken:
+ * {
+ *   "meta": { "format": "zulip-scrape", "version": 1, "realm": "https://example.zulipchat.com",
+ *             "stream": "general", "scraped_at": "2025-05-31T12:00:00.000Z" },
+ *   "topics": { "topic_name": [message, ...] }
+ * }
+ * Cleaned files use the same envelope with "format": "zulip-cleaned" and markdown strings
+ * as topic values. Files without the envelope (just the "topics" object) are still accepted.
+ *
+ * MESSAGE SCHEMA:
+ * Older scrapes only carry the first two fields; every other field is optional
+ * and is normalized to null when missing.
+ * {
+ *   "sender": "alice",                 // Display name of the sender
+ *   "content": "message in markdown",  // Message body
+ *   "id": 123456,                      // Zulip message id
+ *   "sender_id": 42,                   // Zulip user id of the sender
+ *   "sender_email": "alice@example.com",
+ *   "timestamp": "2025-05-31T12:00:00.000Z",  // ISO 8601
+ *   "permalink": "https://example.zulipchat.com/#narrow/.../near/123456",
+ *   "edited": true,                    // Whether Zulip marks the message as edited
+ *   "reactions": [                     // One entry per distinct emoji
+ *     { "emoji": "+1", "count": 2, "reactors": ["bob", "carol"] }
+ *   ],
+ *   "quotes": [                        // Messages quoted via Zulip's quote-and-reply
+ *     { "author": "bob", "message_id": 123400, "permalink": "#narrow/.../near/123400" }
+ *   ],
+ *   "attachments": ["/user_uploads/2/ab/xyz/diagram.png"]  // Uploads referenced by the message
+ * }
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const SCRAPE_FORMAT = 'zulip-scrape';
+const CLEANED_FORMAT = 'zulip-cleaned';
+
+/**
+ * Splits a dataset file's contents into metadata and topics
+ * @param {Object} data - Parsed dataset file, with or without the meta envelope
+ * @returns {Object} - Object containing meta (null for bare files) and topics
+ */
+function unwrapDataset(data) {
+  const isEnvelope = data && typeof data.meta === 'object' && data.meta !== null &&
+    typeof data.meta.format === 'string' && typeof data.topics === 'object';
+  return isEnvelope ? { meta: data.meta, topics: data.topics } : { meta: null, topics: data };
+}
+
+/**
+ * Wraps topics in a dataset envelope (or returns them bare when there is no metadata)
+ * @param {Object} topics - Topic data
+ * @param {Object|null} meta - Metadata to keep
+ * @param {string} format - SCRAPE_FORMAT or CLEANED_FORMAT
+ * @returns {Object} - Dataset file contents
+ */
+function wrapDataset(topics, meta, format) {
+  return meta ? { meta: { ...meta, format }, topics } : topics;
+}
+
+/**
+ * Builds the file basename for a stream's dataset: <realm>_<stream>_<date>
+ * @param {Object} meta - Dataset metadata with realm, stream and scraped_at
+ * @returns {string} - Basename without suffix or extension
+ */
+function buildDatasetBasename(meta) {
+  const slug = text => String(text).toLowerCase().replace(/[^\p{L}\p{N}]+/gu, '_').replace(/^_+|_+$/g, '');
+  const realmHost = meta.realm ? new URL(meta.realm).hostname : 'zulip';
+  return `${slug(realmHost)}_${slug(meta.stream) || 'stream'}_${String(meta.scraped_at).slice(0, 10)}`;
+}
+
+/**
+ * Gets a dataset file's name without its extension
+ * @param {string} file - Dataset file path (.json, or .jsonl / .ndjson)
+ * @returns {string} - e.g. "rocq_ltac2_messages" for data/rocq_ltac2_messages.jsonl
+ */
+function getDatasetName(file) {
+  return path.basename(file).replace(/\.(json|jsonl|ndjson)$/i, '');
+}
+
+/**
+ * Gets a directory-safe name for the stream a dataset file belongs to
+ * @param {Object|null} meta - Dataset metadata, if any
+ * @param {string} file - Dataset file path, used when there is no metadata
+ * @returns {string} - Stream slug
+ */
+function getStreamSlug(meta, file) {
+  const name = meta && meta.stream
+    ? meta.stream
+    : getDatasetName(file).replace(/_(messages|cleaned)$/, '');
+  return name.toLowerCase().replace(/[^\p{L}\p{N}]+/gu, '_').replace(/^_+|_+$/g, '') || 'stream';
+}
+
+/**
+ * Checks whether a file name looks like a dataset (not an asset bundle, checkpoint, manifest
+ * or chunk export)
+ * @param {string} name - File name
+ * @returns {boolean} - True for dataset JSON and JSONL files
+ */
+function isDatasetFileName(name) {
+  return /\.(json|jsonl|ndjson)$/i.test(name) &&
+    !name.endsWith('_chunks.jsonl') &&
+    !name.endsWith('_assets.json') &&
+    !name.endsWith('.checkpoint.json') &&
+    name !== 'manifest.json';
+}
+
+/**
+ * Lists the dataset files of a batch: *.json, *.jsonl and *.ndjson files in a directory and
+ * its direct subdirectories
+ * @param {string} directory - Batch directory
+ * @returns {Array} - Sorted file paths
+ */
+function listDatasetFiles(directory) {
+  const files = [];
+  for (const entry of fs.readdirSync(directory, { withFileTypes: true })) {
+    const entryPath = path.join(directory, entry.name);
+    if (entry.isDirectory()) {
+      fs.readdirSync(entryPath)
+        .filter(isDatasetFileName)
+        .forEach(name => files.push(path.join(entryPath, name)));
+    } else if (isDatasetFileName(entry.name)) {
+      files.push(entryPath);
+    }
+  }
+  return files.sort();
+}
+
+/**
+ * Normalizes a scraped message to the full schema, keeping any extra fields
+ * @param {Object} message - Message object in the old or new schema
+ * @returns {Object} - Message object with every schema field present
+ */
+function normalizeMessage(message) {
+  const id = message.id !== undefined && message.id !== null ? Number(message.id) : null;
+
+  return {
+    ...message,
+    id: Number.isFinite(id) ? id : null,
+    sender: message.sender,
+    sender_id: message.sender_id !== undefined ? message.sender_id : null,
+    sender_email: message.sender_email || null,
+    timestamp: message.timestamp || null,
+    content: message.content,
+    permalink: message.permalink || null,
+    edited: Boolean(message.edited),
+    reactions: Array.isArray(message.reactions) ? message.reactions : [],
+    quotes: Array.isArray(message.quotes) ? message.quotes : [],
+    attachments: Array.isArray(message.attachments) ? message.attachments : []
+  };
+}
+
+/**
+ * Gets the time of a message in milliseconds since the epoch
+ * @param {Object} message - Message object
+ * @returns {number|null} - Milliseconds, or null if the message has no usable timestamp
+ */
+function getMessageTime(message) {
+  if (!message.timestamp) return null;
+  const time = typeof message.timestamp === 'number'
+    ? message.timestamp * 1000 // Zulip API style unix seconds
+    : Date.parse(message.timestamp);
+  return Number.isNaN(time) ? null : time;
+}
+
+/**
+ * Compares two messages chronologically, by message id or else by timestamp
+ * @param {Object} a - First message
+ * @param {Object} b - Second message
+ * @returns {number} - Negative, zero or positive, as for Array.prototype.sort
+ */
+function compareMessages(a, b) {
+  if (a.id !== null && a.id !== undefined && b.id !== null && b.id !== undefined) {
+    return a.id - b.id;
+  }
+
+  const timeA = getMessageTime(a);
+  const timeB = getMessageTime(b);
+  if (timeA !== null && timeB !== null) {
+    return timeA - timeB;
+  }
+
+  // Old two-field messages have no ordering information, keep them where they are
+  return 0;
+}
+
+/**
+ * Normalizes a topic's messages and sorts them chronologically when possible
+ * @param {Array} messages - Array of message objects in the old or new schema
+ * @returns {Array} - New array of normalized messages
+ */
+function normalizeMessages(messages) {
+  if (!messages || messages.length === 0) return [];
+  // Array.prototype.sort is stable, so unordered messages keep their scraped order
+  return messages.map(normalizeMessage).sort(compareMessages);
+}
+
+/**
+ * Builds a key identifying a message, used to detect duplicates across scrapes
+ * @param {Object} message - Normalized message object
+ * @returns {string} - Message id when known, otherwise sender and content
+ */
+function getMessageKey(message) {
+  return message.id !== null ? `id:${message.id}` : `text:${message.sender}\u0000${message.content}`;
+}
+
+/**
+ * Finds the newest message id in a raw scrape
+ * @param {Object} data - Raw scraper data: { topic: [message] }
+ * @returns {number|null} - Highest message id, or null if no message has an id
+ */
+function getLatestMessageId(data) {
+  let latestId = null;
+  for (const messages of Object.values(data)) {
+    for (const message of messages) {
+      const { id } = normalizeMessage(message);
+      if (id !== null && (latestId === null || id > latestId)) {
+        latestId = id;
+      }
+    }
+  }
+  return latestId;
+}
+
+/**
+ * Folds a newer scrape into a previous one without duplicating messages.
+ * Messages present in both are taken from the newer scrape, so edits win. A message the
+ * newer scrape found in another topic was moved there, so its old copy is dropped.
+ * @param {Object} previousData - Earlier raw scraper data
+ * @param {Object} newData - Later raw scraper data (full or incremental)
+ * @returns {Object} - Object containing the merged data and the numbers of added and moved messages
+ */
+function mergeScrapes(previousData, newData) {
+  const merged = {};
+  let addedCount = 0;
+
+  // Where the newer scrape saw each message; only ids are stable enough to follow a move
+  const newTopics = new Map();
+  for (const [topic, messages] of Object.entries(newData)) {
+    for (const message of normalizeMessages(messages)) {
+      if (message.id !== null) newTopics.set(message.id, topic);
+    }
+  }
+  const isMoved = (message, topic) => newTopics.has(message.id) && newTopics.get(message.id) !== topic;
+  const movedKeys = new Set();
+  for (const [topic, messages] of Object.entries(previousData)) {
+    for (const message of normalizeMessages(messages)) {
+      if (isMoved(message, topic)) movedKeys.add(getMessageKey(message));
+    }
+  }
+
+  for (const topic of new Set([...Object.keys(previousData), ...Object.keys(newData)])) {
+    const previous = normalizeMessages(previousData[topic]);
+    const kept = previous.filter(message => !isMoved(message, topic));
+    // A topic whose messages were all moved away is gone
+    if (previous.length > 0 && kept.length === 0 && !newData[topic]) continue;
+
+    const byKey = new Map();
+    for (const message of kept) {
+      byKey.set(getMessageKey(message), message);
+    }
+    for (const message of normalizeMessages(newData[topic])) {
+      const key = getMessageKey(message);
+      if (!byKey.has(key) && !movedKeys.has(key)) addedCount++;
+      byKey.set(key, message);
+    }
+    merged[topic] = Array.from(byKey.values()).sort(compareMessages);
+  }
+
+  return { data: merged, addedCount, movedCount: movedKeys.size };
+}
+
+/**
+ * Parses a --since/--until style date. A bare date (YYYY-MM-DD) covers the whole day,
+ * so as an upper bound it means the end of that day.
+ * @param {string} text - ISO 8601 date or date-time
+ * @param {boolean} [endOfDay] - Whether this is an (inclusive) upper bound
+ * @returns {number} - Milliseconds since the epoch
+ */
+function parseDateBound(text, endOfDay = false) {
+  const time = Date.parse(text);
+  if (Number.isNaN(time)) {
+    throw new Error(`Invalid date: "${text}" (expected e.g. 2025-06-30 or 2025-06-30T12:00:00Z)`);
+  }
+  return endOfDay && /^\d{4}-\d{2}-\d{2}$/.test(text) ? time + 24 * 60 * 60 * 1000 - 1 : time;
+}
+
+/**
+ * Parses a --topic-regex value: a plain pattern, or /pattern/flags. The g and y flags are
+ * dropped: they make RegExp.prototype.test resume from lastIndex, so every other matching
+ * topic would be skipped.
+ * @param {string} text - Regular expression source
+ * @returns {RegExp} - Compiled pattern
+ */
+function parseTopicPattern(text) {
+  const literal = text.match(/^\/(.*)\/([a-z]*)$/s);
+  try {
+    return literal ? new RegExp(literal[1], literal[2].replace(/[gy]/g, '')) : new RegExp(text);
+  } catch (error) {
+    throw new Error(`Invalid topic pattern "${text}": ${error.message}`);
+  }
+}
+
+/**
+ * Checks whether a message was sent by one of the given senders
+ * @param {Object} message - Normalized message object
+ * @param {Array} senders - Display names, emails or user ids (case-insensitive)
+ * @returns {boolean} - True if the message matches any of them
+ */
+function matchesSender(message, senders) {
+  const identities = [message.sender, message.sender_email, message.sender_id]
+    .filter(value => value !== null && value !== undefined)
+    .map(value => String(value).toLowerCase());
+  return senders.some(sender => identities.includes(String(sender).toLowerCase()));
+}
+
+/**
+ * Drops topics and messages that don't match the filters. Topic and message filters run
+ * first, so minMessages counts only the messages that are left.
+ * @param {Object} data - Raw scraper data: { topic: [message] }
+ * @param {Object} filters - since/until (milliseconds), topicPattern (RegExp),
+ *   includeSenders/excludeSenders (arrays, see matchesSender) and minMessages, all optional
+ * @returns {Object} - Object containing the filtered data and a dropped summary (topics
+ *   emptied by the date and sender filters are counted apart from those below minMessages)
+ */
+function filterTopics(data, filters) {
+  const filtered = {};
+  const dropped = {
+    topicsByPattern: 0, topicsEmptied: 0, topicsBelowMinimum: 0, messagesByDate: 0, messagesBySender: 0, undatedKept: 0
+  };
+  const hasDateFilter = filters.since !== undefined || filters.until !== undefined;
+
+  for (const [topic, messages] of Object.entries(data)) {
+    if (filters.topicPattern && !filters.topicPattern.test(topic)) {
+      dropped.topicsByPattern++;
+      continue;
+    }
+
+    const normalized = normalizeMessages(messages);
+    const kept = normalized.filter(message => {
+      if (hasDateFilter) {
+        const time = getMessageTime(message);
+        if (time === null) {
+          // Old scrapes have no timestamps; keep them rather than guess
+          dropped.undatedKept++;
+        } else if ((filters.since !== undefined && time < filters.since) ||
+          (filters.until !== undefined && time > filters.until)) {
+          dropped.messagesByDate++;
+          return false;
+        }
+      }
+      if ((filters.includeSenders && filters.includeSenders.length > 0 && !matchesSender(message, filters.includeSenders)) ||
+        (filters.excludeSenders && matchesSender(message, filters.excludeSenders))) {
+        dropped.messagesBySender++;
+        return false;
+      }
+      return true;
+    });
+
+    if (kept.length === 0 && normalized.length > 0) {
+      // Every message was outside the date window or by a filtered sender
+      dropped.topicsEmptied++;
+      continue;
+    }
+    if (kept.length === 0 || kept.length < (filters.minMessages || 0)) {
+      dropped.topicsBelowMinimum++;
+      continue;
+    }
+    filtered[topic] = kept;
+  }
+
+  return { data: filtered, dropped };
+}
+
+module.exports = {
+  SCRAPE_FORMAT,
+  CLEANED_FORMAT,
+  unwrapDataset,
+  wrapDataset,
+  buildDatasetBasename,
+  getDatasetName,
+  getStreamSlug,
+  listDatasetFiles,
+  normalizeMessage,
+  normalizeMessages,
+  compareMessages,
+  getMessageTime,
+  getMessageKey,
+  getLatestMessageId,
+  mergeScrapes,
+  parseDateBound,
+  parseTopicPattern,
+  matchesSender,
+  filterTopics
+};
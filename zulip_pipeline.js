@@ -0,0 +1,525 @@
+/**
+ * Zulip Pipeline CLI
+ * ==================
+ *
+ * Single entry point for the Node stages of the pipeline. Each stage can be run on its own
+ * through a subcommand, or the whole clean → split → compact chain can be run in one go
+ * from a config file.
+ *
+ * PIPELINE OVERVIEW:
+ * Stage 1: zulip_scraper.js / zulip_api_scraper.js → Raw JSON data
+ * Stage 2: zulip_cleaner.js      → Cleaned markdown per topic   ┐
+ * Stage 3: data_splitter.js      → Individual markdown files    ├ zulip_pipeline.js run
+ * Stage 4: markdown_compactor.js → Grouped markdown files       ┘
+ *
+ * COMMANDS:
+ * clean   <input_file> <output_file> [options]  Same as node zulip_cleaner.js
+ * split   <input_file> [output_dir] [options]   Same as node data_splitter.js
+ * compact <input_dir> <output_dir> [N] [options] Same as node markdown_compactor.js
+ * chunk   <input_file> <output.jsonl> [options] Same as node chunk_exporter.js
+ * site    <input_file> <output_dir> [options]   Same as node site_generator.js
+ * search  index|query ... [options]            Same as node archive_search.js
+ * sqlite  <input>... <output.db> [options]      Same as node sqlite_exporter.js
+ * stats   <input>... <output_dir> [options]     Same as node stats_report.js
+ * diff    <old> <new> <output_dir> [options]    Same as node dataset_diff.js
+ * validate <input>... [options]                Same as node dataset_validator.js
+ * run     [--config <file>] [--input <raw>] [--workspace <dir>]
+ * Every command accepts --help.
+ *
+ * CONFIG FILE (zulip-pipeline.config.json, read by "run"):
+ * {
+ *   "input": "data/2025-06/",
+ *   "workspace": "workspace/2025-06",
+ *   "clean": { "since": "2025-04-01", "topic-regex": "^RFC:", "template": "default" },
+ *   "split": { "assets": "data/assets/", "template": "front-matter" },
+ *   "compact": { "groups": 5 },
+ *   "chunk": { "chunk-size": 500, "overlap": 50 },
+ *   "site": { "title": "Rocq Zulip archive" },
+ *   "sqlite": {},
+ *   "stats": { "top": 50 }
+ * }
+ * "input" is a raw scrape or a directory of scrapes (a batch). The "clean", "split" and
+ * "compact" sections take the same options as the stage scripts, named like their flags
+ * (without the dashes); list values become repeated flags and true becomes a bare flag.
+ * "compact" needs "groups" (N), a cap such as { "max-tokens": 100000 }, or a "group-by"
+ * mode that picks the groups itself ("prefix" or "date"). Leave out
+ * "compact" to stop after splitting. With a "chunk" section, the input is also exported as
+ * JSONL chunks (see chunk_exporter.js), and with a "site" section it is built into a static
+ * HTML archive (see site_generator.js). With a "sqlite" section it is also loaded into
+ * <workspace>/zulip.db (see sqlite_exporter.js), and with a "stats" section an activity report
+ * is written to <workspace>/stats (see stats_report.js). These use the "clean" section's merge
+ * and filter options. Relative paths are resolved from the config file's directory.
+ * For inputs too large to load, "stream": true in "clean" and "split" runs those two stages
+ * a topic at a time (see --stream); the other outputs still load the input whole.
+ *
+ * WORKSPACE LAYOUT:
+ * <workspace>/
+ * ├── cleaned/    <name>_cleaned.json (batches: <stream>/<name>_cleaned.json)
+ * ├── markdown/   <topic>.md and manifest.json (batches: <stream>/...)
+ * ├── compacted/  group_*.md          (batches: <stream>/group_*.md)
+ * ├── chunks/     <name>_chunks.jsonl (batches: <stream>/<name>_chunks.jsonl)
+ * ├── site/       index.html and <stream>/<topic>.html
+ * ├── stats/      stats.md and stats.json
+ * └── zulip.db    SQLite database
+ *
+ * EXAMPLES:
+ * node zulip_pipeline.js run
+ * node zulip_pipeline.js run --config configs/ltac2.json --input data/ltac2_update.json
+ * node zulip_pipeline.js clean data/messages.json cleaned_data/messages_cleaned.json --template chat
+ * node zulip_pipeline.js split --help
+ *
+ * ERRORS:
+ * The stage functions throw typed errors (see errors.js) instead of exiting, so they can
+ * also be chained from code:
+ *   await cleanZulipData('data/messages.json', 'workspace/cleaned/messages_cleaned.json');
+ *   await splitData('workspace/cleaned/messages_cleaned.json', 'workspace/markdown');
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { parseArgs } = require('util');
+const cleaner = require('./zulip_cleaner');
+const splitter = require('./data_splitter');
+const compactor = require('./markdown_compactor');
+const chunker = require('./chunk_exporter');
+const siteGenerator = require('./site_generator');
+const search = require('./archive_search');
+const sqliteExporter = require('./sqlite_exporter');
+const statsReport = require('./stats_report');
+const datasetDiff = require('./dataset_diff');
+const validator = require('./dataset_validator');
+const { TEMPLATE_PRESETS } = require('./output_templates');
+const { getDatasetName } = require('./zulip_dataset');
+const { UsageError, ConfigError, InputError, runCli } = require('./errors');
+
+const DEFAULT_CONFIG_FILE = 'zulip-pipeline.config.json';
+const DEFAULT_WORKSPACE = 'workspace';
+
+// Config options holding paths, resolved from the config file's directory
+const PATH_OPTIONS = {
+  clean: ['merge', 'save-merged', 'template', 'topic-aliases', 'anonymize', 'audit-report'],
+  split: ['assets', 'template', 'archive'],
+  chunk: ['template'],
+  site: ['assets']
+};
+
+/**
+ * Prints usage for the pipeline or one of its commands
+ * @param {string} [command] - Subcommand name
+ */
+function printUsage(command) {
+  const prefix = 'node zulip_pipeline.js';
+  if (command === 'clean') return cleaner.printUsage(`${prefix} clean`);
+  if (command === 'split') return splitter.printUsage(`${prefix} split`);
+  if (command === 'compact') return compactor.printUsage(`${prefix} compact`);
+  if (command === 'chunk') return chunker.printUsage(`${prefix} chunk`);
+  if (command === 'site') return siteGenerator.printUsage(`${prefix} site`);
+  if (command === 'search') return search.printUsage(`${prefix} search`);
+  if (command === 'sqlite') return sqliteExporter.printUsage(`${prefix} sqlite`);
+  if (command === 'stats') return statsReport.printUsage(`${prefix} stats`);
+  if (command === 'diff') return datasetDiff.printUsage(`${prefix} diff`);
+  if (command === 'validate') return validator.printUsage(`${prefix} validate`);
+
+  if (command === 'run') {
+    console.log(`Usage: ${prefix} run [--config <file>] [--input <raw_file|raw_dir>] [--workspace <dir>]`);
+    console.log('');
+    console.log(`Runs clean → split → compact as described by the config file (default: ${DEFAULT_CONFIG_FILE}).`);
+    console.log('--input and --workspace override the config file.');
+    console.log('');
+    console.log('Workspace layout:');
+    console.log('  <workspace>/cleaned/    cleaned JSON (one subdirectory per stream for batches)');
+    console.log('  <workspace>/markdown/   one markdown file per topic');
+    console.log('  <workspace>/compacted/  grouped markdown files (only if the config has "compact")');
+    console.log('  <workspace>/chunks/     JSONL chunks for retrieval (only if the config has "chunk")');
+    console.log('  <workspace>/site/       static HTML archive (only if the config has "site")');
+    console.log('  <workspace>/stats/      activity report (only if the config has "stats")');
+    console.log('  <workspace>/zulip.db    SQLite database (only if the config has "sqlite")');
+    return;
+  }
+
+  console.log(`Usage: ${prefix} <command> [options]`);
+  console.log('');
+  console.log('Commands:');
+  console.log('  clean     Clean raw scraper output into markdown per topic');
+  console.log('  split     Split cleaned data into one markdown file per topic');
+  console.log('  compact   Group markdown files into N collections or size/token-capped groups');
+  console.log('  chunk     Export topics as JSONL chunks for a retrieval index');
+  console.log('  site      Build a static HTML archive with offline search');
+  console.log('  search    Index scraped archives and search them');
+  console.log('  sqlite    Load raw scrapes into a SQLite database');
+  console.log('  stats     Report activity, response times and unanswered topics');
+  console.log('  diff      Compare two scrapes: changelog, JSON patch and digest');
+  console.log('  validate  Check scrapes and cleaned files against their schemas, or repair them');
+  console.log(`  run       Run clean → split → compact from ${DEFAULT_CONFIG_FILE}`);
+  console.log('');
+  console.log(`Run "${prefix} <command> --help" for the options of a command.`);
+}
+
+/**
+ * Loads and checks a pipeline config file
+ * @param {string} configFile - Path to the config file
+ * @returns {Object} - Config with paths resolved from the config file's directory
+ * @throws {ConfigError} - When the file is missing or invalid
+ */
+function loadConfig(configFile) {
+  if (!fs.existsSync(configFile)) {
+    throw new ConfigError(`Config file does not exist: ${configFile}`, { file: configFile });
+  }
+
+  let config;
+  try {
+    config = JSON.parse(fs.readFileSync(configFile, 'utf8'));
+  } catch (error) {
+    throw new ConfigError(`Invalid JSON in ${configFile}: ${error.message}`, { file: configFile, cause: error });
+  }
+
+  const baseDir = path.dirname(configFile);
+  for (const section of ['clean', 'split', 'compact', 'chunk', 'site', 'sqlite', 'stats']) {
+    if (config[section] !== undefined && (typeof config[section] !== 'object' || Array.isArray(config[section]))) {
+      throw new ConfigError(`"${section}" in ${configFile} must be an object`, { file: configFile });
+    }
+  }
+  if (config.compact) {
+    const { groups } = config.compact;
+    const picksGroups = ['max-size', 'max-tokens'].some(key => config.compact[key] !== undefined)
+      || ['prefix', 'date'].includes(config.compact['group-by']);
+    if (groups === undefined && !picksGroups) {
+      throw new ConfigError(`"compact" in ${configFile} needs "groups", "max-size", "max-tokens" or "group-by": "prefix"/"date"`, { file: configFile });
+    }
+    if (groups !== undefined && !(Number.isInteger(groups) && groups >= 1)) {
+      throw new ConfigError(`"compact.groups" in ${configFile} must be a positive integer`, { file: configFile });
+    }
+  }
+
+  const resolved = { ...config, clean: { ...config.clean }, split: { ...config.split } };
+  if (config.compact) resolved.compact = { ...config.compact };
+  if (config.chunk) resolved.chunk = { ...config.chunk };
+  if (config.site) resolved.site = { ...config.site };
+  if (config.sqlite) resolved.sqlite = { ...config.sqlite };
+  if (config.stats) resolved.stats = { ...config.stats };
+  if (config.input) resolved.input = path.resolve(baseDir, config.input);
+  resolved.workspace = path.resolve(baseDir, config.workspace || DEFAULT_WORKSPACE);
+  for (const [section, keys] of Object.entries(PATH_OPTIONS)) {
+    for (const key of keys) {
+      if (!resolved[section]) continue;
+      const value = resolved[section][key];
+      if (value === undefined || (key === 'template' && TEMPLATE_PRESETS[value])) continue;
+      resolved[section][key] = Array.isArray(value)
+        ? value.map(item => path.resolve(baseDir, item))
+        : path.resolve(baseDir, value);
+    }
+  }
+  return resolved;
+}
+
+/**
+ * Turns a config section into command line flags for a stage's parseArguments
+ * @param {Object} section - e.g. { "since": "2025-04-01", "include-sender": ["alice"] }
+ * @returns {Array} - e.g. ["--since", "2025-04-01", "--include-sender", "alice"]
+ */
+function sectionToArgs(section) {
+  const args = [];
+  for (const [key, value] of Object.entries(section || {})) {
+    if (value === false || value === null || value === undefined) continue;
+    if (value === true) {
+      args.push(`--${key}`);
+    } else {
+      (Array.isArray(value) ? value : [value]).forEach(item => args.push(`--${key}`, String(item)));
+    }
+  }
+  return args;
+}
+
+/**
+ * Gets the paths of the workspace directories
+ * @param {string} workspace - Workspace directory
+ * @returns {Object} - Object containing cleaned, markdown, compacted, chunks, site and stats
+ *   directories, and the database file
+ */
+function getWorkspaceLayout(workspace) {
+  return {
+    cleaned: path.join(workspace, 'cleaned'),
+    markdown: path.join(workspace, 'markdown'),
+    compacted: path.join(workspace, 'compacted'),
+    chunks: path.join(workspace, 'chunks'),
+    site: path.join(workspace, 'site'),
+    stats: path.join(workspace, 'stats'),
+    database: path.join(workspace, 'zulip.db')
+  };
+}
+
+/**
+ * Parses a stage section of the config with the stage's own argument parser
+ * @param {string} section - "clean", "split", "compact", "chunk", "site", "sqlite" or "stats"
+ * @param {function(Array): Object} parse - The stage's parseArguments
+ * @param {Array} positionals - Input and output arguments
+ * @param {Object} config - Loaded config
+ * @param {Array} [positionalKeys] - Section keys passed as extra positionals (e.g. "groups")
+ * @returns {Object} - Parsed stage arguments
+ * @throws {ConfigError} - When the section has unknown or invalid options
+ */
+function parseStageConfig(section, parse, positionals, config, positionalKeys = []) {
+  const flags = { ...config[section] };
+  const extra = [];
+  for (const key of positionalKeys) {
+    if (flags[key] !== undefined) extra.push(String(flags[key]));
+    delete flags[key];
+  }
+  try {
+    return parse([...positionals, ...extra, ...sectionToArgs(flags)]);
+  } catch (error) {
+    if (error instanceof UsageError) {
+      throw new ConfigError(`"${section}" section: ${error.message}`, { cause: error });
+    }
+    throw error;
+  }
+}
+
+/**
+ * Runs clean → split → compact into a workspace
+ * @param {Object} config - Loaded config (see loadConfig)
+ * @returns {Promise<Object>} - Object containing the workspace layout and the stage results
+ * @throws {PipelineError} - When a stage fails
+ */
+async function runPipeline(config) {
+  if (!config.input) {
+    throw new ConfigError('No input: set "input" in the config file or pass --input');
+  }
+  if (!fs.existsSync(config.input)) {
+    throw new InputError(`Input does not exist: ${config.input}`, { file: config.input });
+  }
+
+  const layout = getWorkspaceLayout(config.workspace);
+  const isBatch = fs.statSync(config.input).isDirectory();
+  const cleanedOutput = isBatch
+    ? layout.cleaned
+    : path.join(layout.cleaned, `${getDatasetName(config.input).replace(/_messages$/, '')}_cleaned.json`);
+
+  // Check both stages' options before anything is written
+  const cleanOptions = parseStageConfig('clean', cleaner.parseArguments, [config.input, cleanedOutput], config).options;
+  // These outputs are built from the raw input, which the cleaner's anonymization never touches
+  const rawOutputs = ['chunk', 'site', 'sqlite', 'stats'].filter(section => config[section]);
+  if (cleanOptions.anonymize && rawOutputs.length > 0) {
+    throw new ConfigError(`"clean.anonymize" can't be combined with "${rawOutputs[0]}": it is built from the raw, un-anonymized input`);
+  }
+  const splitOptions = parseStageConfig('split', splitter.parseArguments, [cleanedOutput, layout.markdown], config).options;
+  if (splitOptions.dryRun) {
+    throw new ConfigError('"split.dry-run" is not supported in the pipeline: the later stages read the markdown files');
+  }
+  const compactArgs = config.compact
+    ? parseStageConfig('compact', compactor.parseArguments, [layout.markdown, layout.compacted], config, ['groups'])
+    : null;
+  const chunkOutput = isBatch
+    ? layout.chunks
+    : path.join(layout.chunks, `${getDatasetName(config.input).replace(/_messages$/, '')}_chunks.jsonl`);
+  const chunkOptions = config.chunk
+    ? parseStageConfig('chunk', chunker.parseArguments, [config.input, chunkOutput], config).options
+    : null;
+  const siteOptions = config.site
+    ? parseStageConfig('site', siteGenerator.parseArguments, [config.input, layout.site], config).options
+    : null;
+  if (config.sqlite) {
+    parseStageConfig('sqlite', sqliteExporter.parseArguments, [config.input, layout.database], config);
+    sqliteExporter.loadSqlite();
+  }
+  const statsOptions = config.stats
+    ? parseStageConfig('stats', statsReport.parseArguments, [config.input, layout.stats], config).options
+    : null;
+
+  console.log(`🚀 Running pipeline on ${config.input}`);
+  console.log(`   Workspace: ${config.workspace}`);
+  console.log('');
+
+  console.log('🧹 Stage 2: Cleaning');
+  const cleaned = await cleaner.cleanZulipData(config.input, cleanedOutput, cleanOptions);
+  console.log('');
+
+  console.log('📄 Stage 3: Splitting');
+  const split = await splitter.splitData(cleanedOutput, layout.markdown, splitOptions);
+  console.log('');
+
+  const compacted = [];
+  if (config.compact) {
+    console.log('📦 Stage 4: Compacting');
+    // Batches are compacted stream by stream, mirroring the markdown/ layout
+    for (const { outputDir } of split) {
+      const relative = path.relative(layout.markdown, outputDir);
+      compacted.push(await compactor.compactMarkdownFiles(
+        outputDir, path.join(layout.compacted, relative), compactArgs.groupCount, compactArgs.options));
+    }
+    console.log('');
+  }
+
+  let chunks = [];
+  if (config.chunk) {
+    console.log('🧩 Exporting chunks');
+    // Chunks are cut from the raw input, which has the message metadata, with the clean filters
+    // and topic aliases, so they hold the same topics as the cleaned output
+    chunks = await chunker.exportChunks(config.input, chunkOutput, {
+      ...chunkOptions,
+      mergeFiles: cleanOptions.mergeFiles,
+      filters: cleanOptions.filters,
+      topicAliases: cleanOptions.topicAliases
+    });
+    console.log('');
+  }
+
+  let site = null;
+  if (config.site) {
+    console.log('🌐 Building site');
+    // Like chunks, the site is built from the raw input so pages keep times and permalinks
+    site = await siteGenerator.generateSite(config.input, layout.site, {
+      ...siteOptions,
+      mergeFiles: cleanOptions.mergeFiles,
+      filters: cleanOptions.filters,
+      topicAliases: cleanOptions.topicAliases
+    });
+    console.log('');
+  }
+
+  let database = [];
+  if (config.sqlite) {
+    console.log('🗄️  Loading SQLite database');
+    database = await sqliteExporter.exportToSqlite(config.input, layout.database, {
+      mergeFiles: cleanOptions.mergeFiles,
+      filters: cleanOptions.filters,
+      topicAliases: cleanOptions.topicAliases
+    });
+    console.log('');
+  }
+
+  let stats = null;
+  if (config.stats) {
+    console.log('📈 Building stats report');
+    stats = await statsReport.writeStatsReport(config.input, layout.stats, {
+      ...statsOptions,
+      mergeFiles: cleanOptions.mergeFiles,
+      filters: cleanOptions.filters,
+      topicAliases: cleanOptions.topicAliases
+    });
+    console.log('');
+  }
+
+  console.log('✅ Pipeline completed successfully!');
+  console.log('📊 Workspace:');
+  console.log(`   - Cleaned: ${layout.cleaned} (${cleaned.length} files)`);
+  console.log(`   - Markdown: ${layout.markdown} (${split.reduce((sum, result) => sum + result.stats.filesCreated + result.stats.filesUpdated + result.stats.filesUnchanged, 0)} files)`);
+  if (config.compact) {
+    console.log(`   - Compacted: ${layout.compacted} (${compacted.reduce((sum, result) => sum + result.groupsCreated, 0)} groups)`);
+  }
+  if (config.chunk) {
+    console.log(`   - Chunks: ${layout.chunks} (${chunks.reduce((sum, result) => sum + result.chunkCount, 0)} chunks)`);
+  }
+  if (config.site) {
+    console.log(`   - Site: ${path.join(layout.site, 'index.html')} (${site.pagesCreated} pages)`);
+  }
+  if (config.sqlite) {
+    console.log(`   - Database: ${layout.database} (${database.reduce((sum, result) => sum + result.added + result.updated + result.unchanged, 0)} messages loaded)`);
+  }
+  if (config.stats) {
+    console.log(`   - Stats: ${stats.markdownFile} (${stats.stats.unanswered.length} unanswered topics)`);
+  }
+
+  return { layout, cleaned, split, compacted, chunks, site, database, stats };
+}
+
+/**
+ * Runs a pipeline command
+ * @param {string} command - Subcommand name
+ * @param {Array} argv - Arguments after the subcommand
+ */
+async function runCommand(command, argv) {
+  if (command === 'clean') {
+    const { inputFile, outputFile, options } = cleaner.parseArguments(argv);
+    return cleaner.cleanZulipData(inputFile, outputFile, options);
+  }
+  if (command === 'split') {
+    const { inputFile, outputDir, options } = splitter.parseArguments(argv);
+    return splitter.splitData(inputFile, outputDir, options);
+  }
+  if (command === 'compact') {
+    const { inputDir, outputDir, groupCount, options } = compactor.parseArguments(argv);
+    return compactor.compactMarkdownFiles(inputDir, outputDir, groupCount, options);
+  }
+  if (command === 'chunk') {
+    const { inputFile, outputFile, options } = chunker.parseArguments(argv);
+    return chunker.exportChunks(inputFile, outputFile, options);
+  }
+  if (command === 'site') {
+    const { inputFile, outputDir, options } = siteGenerator.parseArguments(argv);
+    return siteGenerator.generateSite(inputFile, outputDir, options);
+  }
+  if (command === 'search') {
+    const args = search.parseArguments(argv);
+    return args.command === 'index'
+      ? search.updateIndex(args.inputs, args.indexFile)
+      : search.queryIndex(args.indexFile, args.query, args.options);
+  }
+  if (command === 'sqlite') {
+    const { inputFiles, outputFile, options } = sqliteExporter.parseArguments(argv);
+    return sqliteExporter.exportToSqlite(inputFiles, outputFile, options);
+  }
+  if (command === 'stats') {
+    const { inputFiles, outputDir, options } = statsReport.parseArguments(argv);
+    return statsReport.writeStatsReport(inputFiles, outputDir, options);
+  }
+  if (command === 'diff') {
+    const { oldFile, newFile, outputDir, options } = datasetDiff.parseArguments(argv);
+    return datasetDiff.diffDatasets(oldFile, newFile, outputDir, options);
+  }
+  if (command === 'validate') {
+    const { inputs, options } = validator.parseArguments(argv);
+    return validator.validateFiles(inputs, options);
+  }
+
+  let parsed;
+  try {
+    parsed = parseArgs({
+      args: argv,
+      options: {
+        'config': { type: 'string' },
+        'input': { type: 'string' },
+        'workspace': { type: 'string' }
+      }
+    });
+  } catch (error) {
+    throw new UsageError(error.message);
+  }
+  const { values } = parsed;
+
+  const configFile = path.resolve(values.config || DEFAULT_CONFIG_FILE);
+  // Without a config file, run needs at least an input
+  const config = (values.config || fs.existsSync(configFile))
+    ? loadConfig(configFile)
+    : { workspace: path.resolve(DEFAULT_WORKSPACE), clean: {}, split: {} };
+  if (values.input) config.input = path.resolve(values.input);
+  if (values.workspace) config.workspace = path.resolve(values.workspace);
+  return runPipeline(config);
+}
+
+// Run the pipeline if this file is executed directly
+if (require.main === module) {
+  const [command, ...argv] = process.argv.slice(2);
+  const commands = ['clean', 'split', 'compact', 'chunk', 'site', 'search', 'sqlite', 'stats', 'diff', 'validate', 'run'];
+
+  if (!command || command === '--help' || command === '-h' || command === 'help') {
+    printUsage(commands.includes(argv[0]) ? argv[0] : undefined);
+  } else if (!commands.includes(command)) {
+    console.error(`❌ Error: Unknown command "${command}"`);
+    printUsage();
+    process.exit(1);
+  } else if (argv.includes('--help') || argv.includes('-h')) {
+    printUsage(command);
+  } else {
+    runCli(() => runCommand(command, argv), `Error in ${command}`, () => printUsage(command));
+  }
+}
+
+module.exports = {
+  runPipeline,
+  runCommand,
+  loadConfig,
+  sectionToArgs,
+  getWorkspaceLayout,
+  printUsage
+};
@@ -14,62 +14,176 @@
  * 1. Navigate to the Zulip channel you want to scrape
  * 2. Scroll to the TOP of the channel (very important!)
  * 3. Open browser developer console (F12)
- * 4. Copy and paste this entire script into the console
+ * 4. Copy and paste build/zulip_scraper.bundle.js (run `node build_scraper.js` first),
+ *    or this script on its own, into the console
  * 5. Press Enter and wait for completion
- * 6. Script will automatically download a JSON file
+ * 6. Script will automatically download a JSON file per stream,
+ *    named <realm>_<stream>_<date>_messages.json
+ * 
+ * DEPENDENCIES:
+ * HTML is converted to markdown with Turndown. The bundle produced by build_scraper.js
+ * includes the vendored copy (vendor/turndown.js), so it works on realms whose
+ * Content-Security-Policy blocks external scripts and on air-gapped servers. Pasted on
+ * its own, this script loads the same pinned version from unpkg, checked with
+ * Subresource Integrity. If neither works it offers a plain-text fallback.
  * 
  * FEATURES:
- * - Automatically loads required dependencies (Turndown.js)
+ * - Bundled, pinned markdown converter (Turndown.js) with a plain-text fallback
  * - Handles pagination and infinite scrolling
- * - Converts HTML content to clean markdown
+ * - Converts HTML content to clean markdown, with Zulip-specific rules for mentions,
+ *   spoilers, KaTeX math, emoji and inline image previews
  * - Rate limiting to avoid server overload
  * - Progress indicators and error handling
+ * - Periodic checkpoints (IndexedDB) so a crashed or logged-out scrape can be resumed
+ * - "update" mode that only collects messages newer than a previous scrape
  * 
  * OUTPUT FORMAT:
  * {
- *   "topic_name": [
- *     { "sender": "username", "content": "message content in markdown" },
- *     { "sender": "username", "content": "another message" }
- *   ]
+ *   "meta": {
+ *     "format": "zulip-scrape", "version": 1,
+ *     "realm": "https://example.zulipchat.com", "stream": "general",
+ *     "scraped_at": "2025-05-31T12:00:00.000Z", "scraper": "zulip_scraper.js"
+ *   },
+ *   "topics": {
+ *     "topic_name": [
+ *       {
+ *         "id": 123456,
+ *         "sender": "username",
+ *         "sender_id": 42,
+ *         "sender_email": null,
+ *         "timestamp": "2025-05-31T12:00:00.000Z",
+ *         "content": "message content in markdown",
+ *         "permalink": "https://example.zulipchat.com/#narrow/stream/7-general/topic/topic_name/near/123456",
+ *         "edited": false,
+ *         "reactions": [{ "emoji": "+1", "count": 2, "reactors": ["You", "other user"] }],
+ *         "quotes": [{ "author": "other user", "message_id": 123400, "permalink": "#narrow/.../near/123400" }],
+ *         "attachments": ["/user_uploads/2/ab/xyz/diagram.png"]
+ *       }
+ *     ]
+ *   }
  * }
+ * Fields that cannot be read from the page (typically sender_email) are null.
+ * 
+ * CONFIGURATION:
+ * Edit SCRAPER_CONFIG below before pasting the script:
+ * - mode: 'full' scrapes from the current position, 'resume' continues from the last
+ *   checkpoint saved for this narrow, 'update' only keeps messages newer than updateSinceMessageId
+ * - updateSinceMessageId: newest message id of the previous scrape (required for 'update')
+ * - partialDownloadEveryPages: also download a partial JSON file every N pages (0 = never)
+ * - downloadAssets: also download every referenced upload/image as <realm>_<stream>_<date>_assets.json,
+ *   for use with: node data_splitter.js cleaned.json markdown_files/ --assets <that file>.
+ *   Off by default, as the files are held in the page's memory until the scrape finishes
+ * - streams: [] scrapes only the narrow on screen; a list of stream names, or 'all-subscribed'
+ *   (every stream in the left sidebar), scrapes each of them in turn, one download per stream
+ * - filters.from / filters.until: only keep messages sent in this window (dates are inclusive);
+ *   scrolling stops at the first message after 'until'
+ * - filters.topicPattern: only keep topics matching this regular expression
+ * To scrape a narrower view (one topic, a sender, a search), open it in Zulip and leave
+ * streams empty: the narrow on screen is scraped as it is.
  * 
  * NEXT STEPS:
  * After downloading, use zulip_cleaner.js to process the raw data:
  * node zulip_cleaner.js your_scraped_file.json cleaned_data/your_file_cleaned.json
+ * After an 'update' scrape, fold the new messages into the previous dump:
+ * node zulip_cleaner.js update.json cleaned_data/your_file_cleaned.json --merge previous.json
  */
 
+const SCRAPER_CONFIG = {
+  mode: 'full', // 'full' | 'resume' | 'update'
+  updateSinceMessageId: null,
+  partialDownloadEveryPages: 0,
+  downloadAssets: false,
+  streams: [], // e.g. ['general', 'Ltac2'] or 'all-subscribed'
+  filters: { from: null, until: null, topicPattern: null } // e.g. { from: '2025-04-01', until: '2025-06-30', topicPattern: /^RFC:/i }
+};
+
+// Pinned copy of the converter, identical to vendor/turndown.js. Only used when the script
+// was pasted on its own instead of as the self-contained bundle (see build_scraper.js).
+const TURNDOWN_CDN_URL = 'https://unpkg.com/turndown@7.2.0/dist/turndown.js';
+const TURNDOWN_CDN_INTEGRITY = 'sha384-OGauEFaI5hnS8jXK4qdSGShAUAObMBKoLXgcL1ORhRh7ulx5jPZH35qVpacIEA4Z';
+
+/**
+ * Makes sure TurndownService is available: either bundled with this script, or loaded
+ * from the pinned CDN copy (verified with Subresource Integrity).
+ *
+ * @returns {Promise<boolean>} True if TurndownService can be used, false if it is unavailable
+ *   (e.g. blocked by the realm's Content-Security-Policy or no network access).
+ */
 function loadTurndownScript() {
-  return new Promise((resolve, reject) => {
-    // Check if TurndownService is already available
+  return new Promise((resolve) => {
+    // Check if TurndownService is already available (bundled build, or loaded earlier)
     if (typeof TurndownService !== 'undefined') {
       console.log('TurndownService is already loaded.');
-      resolve(); // Resolve immediately if already loaded
+      resolve(true); // Resolve immediately if already loaded
       return;
     }
 
     const script = document.createElement('script');
-    script.src = 'https://unpkg.com/turndown/dist/turndown.js'; // Turndown CDN URL
+    script.src = TURNDOWN_CDN_URL;
+    script.integrity = TURNDOWN_CDN_INTEGRITY;
+    script.crossOrigin = 'anonymous';
 
     script.onload = () => {
       if (typeof TurndownService !== 'undefined') {
         console.log('TurndownService loaded successfully!');
-        resolve();
+        resolve(true);
       } else {
-        console.error('Turndown script loaded, but TurndownService is not defined. Check the library or CDN link.');
-        reject(new Error('TurndownService not defined after script load.'));
+        console.error('Turndown script loaded, but TurndownService is not defined.');
+        resolve(false);
       }
     };
 
     script.onerror = () => {
-      console.error('Failed to load the TurndownService script. Check network or CSP.');
-      reject(new Error('Failed to load TurndownService script.'));
+      console.error('Failed to load the TurndownService script (blocked by Content-Security-Policy, integrity mismatch, or no network).');
+      resolve(false);
     };
 
     document.head.appendChild(script);
-    console.log('Attempting to load TurndownService from CDN...');
+    console.log('Attempting to load pinned TurndownService from CDN...');
   });
 }
 
+/**
+ * Minimal stand-in for TurndownService used when the real converter is unavailable.
+ * Produces plain text: paragraphs and line breaks are kept, code blocks stay fenced,
+ * but links, emphasis and other formatting are lost.
+ */
+class PlainTextConverter {
+  addRule() {
+    return this; // Zulip-specific rules need Turndown; ignore them
+  }
+
+  turndown(html) {
+    const container = document.createElement('div');
+    container.innerHTML = html;
+
+    container.querySelectorAll('pre').forEach(pre => {
+      pre.replaceWith(document.createTextNode(`\n\n\`\`\`\n${pre.textContent.replace(/\n$/, '')}\n\`\`\`\n\n`));
+    });
+    container.querySelectorAll('br').forEach(br => br.replaceWith(document.createTextNode('\n')));
+    container.querySelectorAll('p, div, li, blockquote, h1, h2, h3, h4, h5, h6').forEach(block => {
+      block.appendChild(document.createTextNode('\n\n'));
+    });
+
+    return container.textContent.replace(/\n{3,}/g, '\n\n').trim();
+  }
+}
+
+/**
+ * Tells the user that markdown conversion is unavailable and asks whether to continue anyway.
+ *
+ * @returns {boolean} True if the user wants to scrape with the plain-text fallback.
+ */
+function confirmPlainTextFallback() {
+  const message = 'Markdown conversion (Turndown) is unavailable on this page, probably because the ' +
+    'realm\'s Content-Security-Policy blocks external scripts.\n\n' +
+    'To keep formatting, paste the self-contained build instead (node build_scraper.js → ' +
+    'build/zulip_scraper.bundle.js).\n\n' +
+    'Continue anyway and save messages as plain text?';
+  console.error(message);
+  return window.confirm(message);
+}
+
 /**
 * Saves a JavaScript object to a local file as JSON by triggering a browser download.
 *
@@ -162,6 +276,97 @@ function transformSingleZulipCodeBlockToElement(zulipBlockElement) {
   return newPreElement; // Return the new <pre> DOM Element
 }
 
+/**
+ * Checks whether a DOM node has a given CSS class (safe for text nodes).
+ *
+ * @param {Node} node - The node to check.
+ * @param {string} className - The class to look for.
+ * @returns {boolean} True if the node is an element with that class.
+ */
+function hasClass(node, className) {
+  return Boolean(node.classList && node.classList.contains(className));
+}
+
+/**
+ * Adds Turndown rules that turn Zulip's rendered message HTML back into Zulip-style markdown,
+ * instead of the default output that mangles mentions, spoilers, math, emoji and image previews.
+ *
+ * @param {TurndownService} turndownService - The service to extend.
+ * @returns {TurndownService} The same service, for chaining.
+ */
+function addZulipTurndownRules(turndownService) {
+  // <span class="user-mention">@Alice</span> → @**Alice** (silent mentions → @_**Alice**)
+  turndownService.addRule('zulipUserMention', {
+    filter: node => hasClass(node, 'user-mention'),
+    replacement: (content, node) => {
+      const name = node.textContent.trim().replace(/^@/, '');
+      return hasClass(node, 'silent') ? `@_**${name}**` : `@**${name}**`;
+    }
+  });
+
+  // <span class="user-group-mention">@support</span> → @*support*
+  turndownService.addRule('zulipGroupMention', {
+    filter: node => hasClass(node, 'user-group-mention'),
+    replacement: (content, node) => {
+      const name = node.textContent.trim().replace(/^@/, '');
+      return hasClass(node, 'silent') ? `@_*${name}*` : `@*${name}*`;
+    }
+  });
+
+  // Spoiler header + hidden content → a collapsible <details> block
+  turndownService.addRule('zulipSpoiler', {
+    filter: node => hasClass(node, 'spoiler-block'),
+    replacement: (content, node) => {
+      const header = node.querySelector('.spoiler-header');
+      const body = node.querySelector('.spoiler-content');
+      // The summary lands in raw HTML, so a title like "<img onerror=...>" must stay text
+      const summary = header ? header.textContent.trim()
+        .replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;') : '';
+      const inner = body ? turndownService.turndown(body.innerHTML) : '';
+      return `\n\n<details><summary>${summary || 'Spoiler'}</summary>\n\n${inner}\n\n</details>\n\n`;
+    }
+  });
+
+  // KaTeX renders MathML and HTML copies of every formula; keep only the TeX source
+  turndownService.addRule('zulipMath', {
+    filter: node => hasClass(node, 'katex-display') ||
+      (hasClass(node, 'katex') && !(node.parentNode && hasClass(node.parentNode, 'katex-display'))),
+    replacement: (content, node) => {
+      const annotation = node.querySelector('annotation[encoding="application/x-tex"]');
+      const tex = annotation ? annotation.textContent.trim() : node.textContent.trim();
+      return hasClass(node, 'katex-display') ? `\n\n$$\n${tex}\n$$\n\n` : `$$${tex}$$`;
+    }
+  });
+
+  // Unicode emoji spans and custom emoji images → :emoji_name:
+  turndownService.addRule('zulipEmoji', {
+    filter: node => hasClass(node, 'emoji'),
+    replacement: (content, node) => {
+      const text = node.nodeName === 'IMG' ? node.getAttribute('alt') : node.textContent.trim();
+      if (text && /^:[^:\s]+:$/.test(text)) {
+        return text;
+      }
+      const title = node.getAttribute('title') || node.getAttribute('aria-label') || '';
+      return title ? `:${title.trim().replace(/\s+/g, '_')}:` : (text || '');
+    }
+  });
+
+  // Inline image previews wrap a thumbnail in a link to the original → one image link
+  turndownService.addRule('zulipInlineImage', {
+    filter: node => hasClass(node, 'message_inline_image'),
+    replacement: (content, node) => {
+      const link = node.querySelector('a[href]');
+      const image = node.querySelector('img');
+      const src = link ? link.getAttribute('href') : (image ? image.getAttribute('src') : '');
+      if (!src) return '';
+      const title = (link && link.getAttribute('title')) || (image && image.getAttribute('alt')) || 'image';
+      return `\n\n![${title}](${src})\n\n`;
+    }
+  });
+
+  return turndownService;
+}
+
 /**
  * Takes an original message DOM element, clones it, transforms all Zulip code blocks
  * within the clone to a standard format, and returns the innerHTML of the processed clone.
@@ -197,6 +402,211 @@ function getPreprocessedMessageHtml(originalMessageElement) {
 }
 
 
+/**
+ * Reads the Zulip message id of a message row.
+ *
+ * @param {Element} messageRow - The '.message_row' DOM element.
+ * @returns {number|null} The message id, or null if it cannot be found.
+ */
+function getMessageId(messageRow) {
+  const rawId = messageRow.getAttribute('data-message-id') ||
+    messageRow.getAttribute('zid') ||
+    (messageRow.id.match(/(\d+)$/) || [])[1];
+  const id = parseInt(rawId, 10);
+  return Number.isNaN(id) ? null : id;
+}
+
+/**
+ * Reads the time a message was sent from a message row.
+ * Zulip only renders the full date in tooltips/attributes, so this is best effort.
+ *
+ * @param {Element} messageRow - The '.message_row' DOM element.
+ * @returns {string|null} ISO 8601 timestamp, or null if it cannot be determined.
+ */
+function getMessageTimestamp(messageRow) {
+  const timeElement = messageRow.querySelector('time[datetime]');
+  const candidates = [];
+  if (timeElement) {
+    candidates.push(timeElement.getAttribute('datetime'));
+  }
+
+  const messageTime = messageRow.querySelector('.message-time, .message_time');
+  if (messageTime) {
+    candidates.push(messageTime.getAttribute('data-tippy-content'), messageTime.getAttribute('title'));
+  }
+
+  for (const candidate of candidates) {
+    if (!candidate) continue;
+    // Tooltips read like "Saturday, May 31, 2025 at 12:00:00 PM"
+    const parsed = Date.parse(candidate.replace(' at ', ' '));
+    if (!Number.isNaN(parsed)) {
+      return new Date(parsed).toISOString();
+    }
+  }
+  return null;
+}
+
+/**
+ * Reads the Zulip user id of a message's sender, if the row shows one.
+ *
+ * @param {Element} messageRow - The '.message_row' DOM element.
+ * @returns {number|null} The user id, or null for continuation rows without sender info.
+ */
+function getSenderId(messageRow) {
+  const userElement = messageRow.querySelector('.message_sender [data-user-id], .sender_name[data-user-id], .inline_profile_picture[data-user-id]');
+  if (!userElement) return null;
+  const id = parseInt(userElement.getAttribute('data-user-id'), 10);
+  return Number.isNaN(id) ? null : id;
+}
+
+/**
+ * Builds an absolute permalink to a message, preferring the link Zulip renders on the timestamp.
+ *
+ * @param {Element} messageRow - The '.message_row' DOM element.
+ * @param {number|null} messageId - The message id.
+ * @returns {string|null} Permalink URL, or null if the message id is unknown.
+ */
+function getMessagePermalink(messageRow, messageId) {
+  const timeLink = messageRow.querySelector('a.message-time[href], a.message_time[href]');
+  if (timeLink && timeLink.getAttribute('href').includes('/near/')) {
+    return new URL(timeLink.getAttribute('href'), window.location.href).toString();
+  }
+
+  if (messageId === null) return null;
+  // Fall back to the current narrow, pointed at this message
+  const narrow = window.location.hash.replace(/\/near\/\d+$/, '') || '#narrow';
+  return `${window.location.origin}/${narrow}/near/${messageId}`;
+}
+
+/**
+ * Reads the emoji reactions shown under a message.
+ * Zulip labels each reaction like "You, Alice, and Bob reacted with :+1:".
+ *
+ * @param {Element} messageRow - The '.message_row' DOM element.
+ * @returns {Array<{emoji: string, count: number, reactors: string[]}>} One entry per emoji.
+ */
+function getMessageReactions(messageRow) {
+  return Array.from(messageRow.querySelectorAll('.message_reactions .message_reaction')).map(reaction => {
+    const label = reaction.getAttribute('aria-label') || reaction.getAttribute('data-tippy-content') || '';
+    const labelMatch = label.match(/^(.*) reacted with :([^:]+):$/);
+    const emojiElement = reaction.querySelector('.emoji');
+    const emoji = labelMatch
+      ? labelMatch[2]
+      : (emojiElement && (emojiElement.getAttribute('title') || emojiElement.getAttribute('alt') || '').replace(/:/g, '')) || 'unknown';
+    const reactors = labelMatch ? labelMatch[1].split(/,\s*(?:and\s+)?|\s+and\s+/).filter(Boolean) : [];
+    const countElement = reaction.querySelector('.message_reaction_count');
+    const count = countElement ? parseInt(countElement.textContent.trim(), 10) : reactors.length;
+
+    return { emoji: emoji, count: Number.isNaN(count) ? reactors.length : count, reactors: reactors };
+  });
+}
+
+/**
+ * Checks whether Zulip marks a message as edited.
+ *
+ * @param {Element} messageRow - The '.message_row' DOM element.
+ * @returns {boolean} True for "EDITED" notices (not for messages that were only moved).
+ */
+function isMessageEdited(messageRow) {
+  const notice = messageRow.querySelector('.message_edit_notice');
+  return Boolean(notice && /edited/i.test(notice.textContent));
+}
+
+/**
+ * Finds quote-and-reply references in a message: a "<mention> said:" paragraph
+ * linking to the quoted message, followed by a blockquote.
+ *
+ * @param {Element} messageContent - The '.message_content' DOM element.
+ * @returns {Array<{author: string, message_id: number|null, permalink: string}>} Quoted messages.
+ */
+function getMessageQuotes(messageContent) {
+  if (!messageContent) return [];
+
+  const quotes = [];
+  messageContent.querySelectorAll('blockquote').forEach(blockquote => {
+    const header = blockquote.previousElementSibling;
+    if (!header || header.tagName !== 'P') return;
+
+    const link = header.querySelector('a[href*="/near/"]');
+    const mention = header.querySelector('.user-mention');
+    if (!link || !mention) return;
+
+    const idMatch = link.getAttribute('href').match(/\/near\/(\d+)/);
+    quotes.push({
+      author: mention.textContent.replace(/^@/, '').trim(),
+      message_id: idMatch ? parseInt(idMatch[1], 10) : null,
+      permalink: link.getAttribute('href')
+    });
+  });
+  return quotes;
+}
+
+/**
+ * Lists the uploaded files and inline images a message links to.
+ *
+ * @param {Element} messageContent - The '.message_content' DOM element.
+ * @returns {string[]} Unique '/user_uploads/...' paths.
+ */
+function getMessageAttachments(messageContent) {
+  if (!messageContent) return [];
+
+  const urls = new Set();
+  messageContent.querySelectorAll('a[href], img[src]').forEach(element => {
+    const url = new URL(element.getAttribute('href') || element.getAttribute('src'), window.location.href);
+    if (url.origin === window.location.origin && url.pathname.startsWith('/user_uploads/')) {
+      urls.add(url.pathname);
+    }
+  });
+  return Array.from(urls);
+}
+
+/**
+ * Reads a Blob as base64 (without the data: URL prefix).
+ *
+ * @param {Blob} blob - The blob to encode.
+ * @returns {Promise<string>} The base64 data.
+ */
+function blobToBase64(blob) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result.slice(reader.result.indexOf(',') + 1));
+    reader.onerror = () => reject(reader.error);
+    reader.readAsDataURL(blob);
+  });
+}
+
+/**
+ * Fetches every upload referenced by the scraped messages, using the logged-in session,
+ * and bundles them into a manifest that data_splitter.js --assets understands.
+ *
+ * @param {object} topics - The scraped data: { topic: [message] }.
+ * @returns {Promise<object>} The asset manifest: { realm, assets: { url: { mime, size, data_base64 } } }.
+ */
+async function collectAssetBundle(topics) {
+  const urls = new Set();
+  Object.values(topics).forEach(messages => messages.forEach(message => {
+    (message.attachments || []).forEach(url => urls.add(url));
+  }));
+
+  const manifest = { realm: window.location.origin, assets: {} };
+  let done = 0;
+  for (const url of urls) {
+    try {
+      const response = await fetch(url, { credentials: 'same-origin' });
+      if (!response.ok) {
+        throw new Error(`HTTP ${response.status}`);
+      }
+      const blob = await response.blob();
+      manifest.assets[url] = { mime: blob.type, size: blob.size, data_base64: await blobToBase64(blob) };
+    } catch (error) {
+      console.warn(`Could not download ${url}:`, error);
+    }
+    done++;
+    console.log(`Downloaded ${done}/${urls.size} uploads...`);
+  }
+  return manifest;
+}
+
 /**
  * Simulates a "jiggle" scroll on the main window (scrolls up by a fraction of viewport height, then back down).
  * @param {number} [fraction=1/8] - The fraction of the viewport height to scroll by (e.g., 1/8, 0.1).
@@ -224,16 +634,208 @@ async function simulateWindowJiggleScroll(fraction = 1 / 8) {
   // the final scrollY might not be exactly the originalScrollY if the scroll started near an edge.
 }
 
+const CHECKPOINT_DB_NAME = 'zulip_scraper';
+const CHECKPOINT_STORE_NAME = 'checkpoints';
+
+/**
+ * Opens (creating if needed) the IndexedDB database that holds scrape checkpoints.
+ * IndexedDB is used rather than localStorage because large channels exceed its ~5 MB quota.
+ *
+ * @returns {Promise<IDBDatabase>} The open database.
+ */
+function openCheckpointDatabase() {
+  return new Promise((resolve, reject) => {
+    const request = indexedDB.open(CHECKPOINT_DB_NAME, 1);
+    request.onupgradeneeded = () => request.result.createObjectStore(CHECKPOINT_STORE_NAME);
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Runs a single request against the checkpoint store.
+ *
+ * @param {string} mode - 'readonly' or 'readwrite'.
+ * @param {function(IDBObjectStore): IDBRequest} makeRequest - Builds the request from the store.
+ * @returns {Promise<*>} The request's result.
+ */
+async function withCheckpointStore(mode, makeRequest) {
+  const db = await openCheckpointDatabase();
+  return new Promise((resolve, reject) => {
+    const request = makeRequest(db.transaction(CHECKPOINT_STORE_NAME, mode).objectStore(CHECKPOINT_STORE_NAME));
+    request.onsuccess = () => { db.close(); resolve(request.result); };
+    request.onerror = () => { db.close(); reject(request.error); };
+  });
+}
+
+/**
+ * Identifies the narrow being scraped, so checkpoints of different channels don't mix.
+ *
+ * @returns {string} The current narrow without any '/near/<id>' suffix.
+ */
+function getNarrowKey() {
+  return window.location.hash.replace(/\/near\/\d+$/, '') || '#narrow';
+}
+
+const saveCheckpoint = (checkpoint) => withCheckpointStore('readwrite', store => store.put(checkpoint, getNarrowKey()));
+const loadCheckpoint = () => withCheckpointStore('readonly', store => store.get(getNarrowKey()));
+const clearCheckpoint = () => withCheckpointStore('readwrite', store => store.delete(getNarrowKey()));
+
+/**
+ * Moves the message list to a given message and waits for Zulip to render around it.
+ *
+ * @param {number} messageId - The message to jump to.
+ */
+async function navigateNearMessage(messageId) {
+  console.log(`Jumping to message ${messageId}...`);
+  window.location.hash = `${getNarrowKey()}/near/${messageId}`;
+  await new Promise(resolve => setTimeout(resolve, 3000));
+}
+
+/**
+ * Decodes a narrow component from a Zulip URL fragment (the reverse of Zulip's hash encoding).
+ *
+ * @param {string} component - Encoded component, e.g. "Ltac2.20help".
+ * @returns {string} The decoded text.
+ */
+function decodeHashComponent(component) {
+  try {
+    return decodeURIComponent(component.replace(/\./g, '%'));
+  } catch (error) {
+    return component;
+  }
+}
+
+/**
+ * Works out the name of the stream currently on screen.
+ *
+ * @returns {string} The stream name, or 'unknown_stream' if it cannot be determined.
+ */
+function getCurrentStreamName() {
+  const hashMatch = window.location.hash.match(/\/(?:stream|channel)\/(?:\d+-)?([^/]+)/);
+  if (hashMatch) {
+    return decodeHashComponent(hashMatch[1]);
+  }
+  const label = document.querySelector('#message-lists-container .stream_label');
+  return label ? label.textContent.trim() : 'unknown_stream';
+}
+
+/**
+ * Lists the streams in the left sidebar (i.e. the user's subscriptions).
+ *
+ * @returns {Array<{id: string, name: string}>} Subscribed streams.
+ */
+function getSubscribedStreams() {
+  return Array.from(document.querySelectorAll('#stream_filters li[data-stream-id]')).map(item => ({
+    id: item.getAttribute('data-stream-id'),
+    name: item.querySelector('.stream-name').textContent.trim()
+  }));
+}
+
+/**
+ * Resolves SCRAPER_CONFIG.streams to the streams to scrape.
+ *
+ * @returns {Array<{id: string|null, name: string}>} Streams to scrape; empty means "only the current narrow".
+ */
+function getStreamsToScrape() {
+  const subscribed = getSubscribedStreams();
+  if (SCRAPER_CONFIG.streams === 'all-subscribed') {
+    return subscribed;
+  }
+  return (SCRAPER_CONFIG.streams || []).map(name => {
+    const match = subscribed.find(stream => stream.name === name);
+    return match || { id: null, name: name };
+  });
+}
+
+/**
+ * Opens a stream and waits for it to render.
+ *
+ * @param {{id: string|null, name: string}} stream - The stream to open.
+ * @param {boolean} atStart - Jump to the oldest message ('near/1' anchors to the first message).
+ */
+async function openStream(stream, atStart) {
+  const slug = encodeURIComponent(stream.name).replace(/%/g, '.');
+  const streamOperand = stream.id ? `${stream.id}-${slug}` : slug;
+  console.log(`Opening stream "${stream.name}"...`);
+  window.location.hash = `#narrow/stream/${streamOperand}${atStart ? '/near/1' : ''}`;
+  await new Promise(resolve => setTimeout(resolve, 5000));
+}
+
+/**
+ * Builds the base filename for a stream's dataset: <realm>_<stream>_<date>.
+ *
+ * @param {string} streamName - The stream name.
+ * @param {string} scrapedAt - ISO 8601 scrape time.
+ * @returns {string} The filename without extension or suffix.
+ */
+function buildDatasetBasename(streamName, scrapedAt) {
+  const slug = text => text.toLowerCase().replace(/[^\p{L}\p{N}]+/gu, '_').replace(/^_+|_+$/g, '');
+  return `${slug(window.location.hostname)}_${slug(streamName) || 'stream'}_${scrapedAt.slice(0, 10)}`;
+}
+
+/**
+ * Reads the date window from SCRAPER_CONFIG.filters. A bare date (YYYY-MM-DD) as 'until'
+ * covers that whole day.
+ *
+ * @returns {{from: number|null, until: number|null}} Bounds in milliseconds since the epoch.
+ */
+function getDateWindow() {
+  const filters = SCRAPER_CONFIG.filters || {};
+  const parseBound = (text, endOfDay) => {
+    if (!text) return null;
+    const time = Date.parse(text);
+    if (Number.isNaN(time)) {
+      throw new Error(`Invalid date in SCRAPER_CONFIG.filters: "${text}"`);
+    }
+    return endOfDay && /^\d{4}-\d{2}-\d{2}$/.test(text) ? time + 24 * 60 * 60 * 1000 - 1 : time;
+  };
+  return { from: parseBound(filters.from, false), until: parseBound(filters.until, true) };
+}
+
 const overall_stuff = {}
 
-async function rest() {
+/**
+ * @param {boolean} [useTurndown=true] - Convert with TurndownService; false falls back to plain text.
+ */
+async function rest(useTurndown = true) {
   // Ensure the helper functions (transformSingleZulipCodeBlockToElement, getPreprocessedMessageHtml)
   // are defined in your console environment first.
 
-  const turndownService = new TurndownService({
-    headingStyle: 'atx',   // e.g. ### Heading
-    codeBlockStyle: 'fenced' // e.g. ```javascript
-  });
+  const turndownService = useTurndown
+    ? addZulipTurndownRules(new TurndownService({
+      headingStyle: 'atx',   // e.g. ### Heading
+      codeBlockStyle: 'fenced' // e.g. ```javascript
+    }))
+    : new PlainTextConverter();
+
+  const streams = getStreamsToScrape();
+  if (streams.length === 0) {
+    await scrapeCurrentNarrow(turndownService);
+    return;
+  }
+
+  console.log(`Scraping ${streams.length} streams: ${streams.map(stream => stream.name).join(', ')}`);
+  for (const stream of streams) {
+    // overall_stuff holds one stream at a time
+    Object.keys(overall_stuff).forEach(topic => delete overall_stuff[topic]);
+    // Resume and update mode jump to the right message themselves
+    await openStream(stream, SCRAPER_CONFIG.mode === 'full');
+    await scrapeCurrentNarrow(turndownService);
+  }
+  console.log(`Finished scraping ${streams.length} streams.`);
+}
+
+/**
+ * Scrapes the narrow currently on screen into overall_stuff and downloads it as
+ * <realm>_<stream>_<date>_messages.json.
+ *
+ * @param {TurndownService|PlainTextConverter} turndownService - HTML-to-markdown converter.
+ */
+async function scrapeCurrentNarrow(turndownService) {
+  const stream_name = getCurrentStreamName();
+  const scraped_at = new Date().toISOString();
+  const dataset_basename = buildDatasetBasename(stream_name, scraped_at);
 
   // while we can still find a "trailed_bookend" element, we need to continue scrolling
   // bookend_selector = "#message-lists-container .trailing_bookend";
@@ -244,6 +846,43 @@ async function rest() {
   let prev_last_row_id = "random_name_picked_for_something_that_will_never_be_a_row_id";
   let processed_rows = [];
   let bookend = document.querySelector(bookend_selector);
+  let last_message_id = null;
+  let pages_processed = 0;
+
+  // In update mode, everything up to and including this id is already in the previous scrape
+  const skip_up_to_message_id = SCRAPER_CONFIG.mode === 'update' ? SCRAPER_CONFIG.updateSinceMessageId : null;
+
+  // Messages outside the date window and topics not matching the pattern are skipped
+  const date_window = getDateWindow();
+  const configured_pattern = (SCRAPER_CONFIG.filters || {}).topicPattern || null;
+  // Without the g and y flags, so test() doesn't carry lastIndex from one topic to the next
+  const topic_pattern = configured_pattern
+    ? new RegExp(configured_pattern.source, configured_pattern.flags.replace(/[gy]/g, ''))
+    : null;
+  let past_until = false;
+
+  if (SCRAPER_CONFIG.mode === 'update') {
+    if (skip_up_to_message_id === null) {
+      console.error("Update mode needs SCRAPER_CONFIG.updateSinceMessageId (the newest message id of the previous scrape).");
+      return;
+    }
+    await navigateNearMessage(skip_up_to_message_id);
+    bookend = document.querySelector(bookend_selector);
+  } else if (SCRAPER_CONFIG.mode === 'resume') {
+    const checkpoint = await loadCheckpoint();
+    if (checkpoint) {
+      console.log(`Resuming from checkpoint saved ${checkpoint.saved_at} (${checkpoint.processed_rows.length} rows done).`);
+      Object.assign(overall_stuff, checkpoint.topics);
+      processed_rows = checkpoint.processed_rows;
+      last_message_id = checkpoint.last_message_id;
+      if (last_message_id !== null) {
+        await navigateNearMessage(last_message_id);
+        bookend = document.querySelector(bookend_selector);
+      }
+    } else {
+      console.warn("No checkpoint found for this narrow, starting from the current position.");
+    }
+  }
 
   async function processRows() {
 
@@ -269,6 +908,9 @@ async function rest() {
 
     // Otherwise, something new to process
     rows.forEach(row => {
+      if (past_until) {
+        return; // Everything from here on is newer than filters.until
+      }
       const id = row.id;
       if (!id) {
         console.error("Row with no ID found, skipping:", row);
@@ -297,6 +939,9 @@ async function rest() {
         console.error("No topic found in row with ID:", id);
         return; // Skip this row if no topic is found
       }
+      if (topic_pattern && !topic_pattern.test(topic)) {
+        return; // Filtered out by filters.topicPattern
+      }
 
       // multiple messages per row, so we need to get all of them
       const message_rows = Array.from(row.querySelectorAll(".message_row"));
@@ -306,20 +951,55 @@ async function rest() {
         overall_stuff[topic] = [];
       }
 
-      previous_sender = undefined;
-      // now, for each row, we need to get 1. the sender, 2. the content
+      let previous_sender = undefined;
+      let previous_sender_id = null;
+      // now, for each row, we need to get the sender, the content and the message metadata
       for (const message_row of message_rows) {
         const sender = message_row.querySelector(".sender_name");
         let cur_sender = sender ? sender.textContent.trim() : (previous_sender ? previous_sender : "Unknown Sender");
+        // Continuation messages don't repeat the sender block, so inherit it like the name
+        const cur_sender_id = sender ? getSenderId(message_row) : previous_sender_id;
         previous_sender = cur_sender; // Update previous sender for next iteration
+        previous_sender_id = cur_sender_id;
+        const message_id = getMessageId(message_row);
+        if (message_id !== null && skip_up_to_message_id !== null && message_id <= skip_up_to_message_id) {
+          continue; // Already in the previous scrape
+        }
+        const timestamp = getMessageTimestamp(message_row);
+        const time = timestamp ? Date.parse(timestamp) : null;
+        if (time !== null && date_window.until !== null && time > date_window.until) {
+          past_until = true;
+          break;
+        }
+        if (time !== null && date_window.from !== null && time < date_window.from) {
+          continue; // Before filters.from
+        }
+        if (message_id !== null && (last_message_id === null || message_id > last_message_id)) {
+          last_message_id = message_id;
+        }
         const message_content = message_row.querySelector(".message_content");
         const processed_content = turndownService.turndown(getPreprocessedMessageHtml(message_content));
         // Now, we only want to add if it is not already in.
-        if (overall_stuff[topic].some(item => item.sender === cur_sender && item.content === processed_content)) {
+        const isDuplicate = overall_stuff[topic].some(item => message_id !== null
+          ? item.id === message_id
+          : item.sender === cur_sender && item.content === processed_content);
+        if (isDuplicate) {
           console.warn("Skipping duplicate message for sender:", cur_sender, "in topic:", topic);
-          return;
+          continue;
         }
-        overall_stuff[topic] = overall_stuff[topic].concat({ "sender": cur_sender, "content": processed_content });
+        overall_stuff[topic] = overall_stuff[topic].concat({
+          "id": message_id,
+          "sender": cur_sender,
+          "sender_id": cur_sender_id,
+          "sender_email": null, // Not exposed in the message list DOM
+          "timestamp": timestamp,
+          "content": processed_content,
+          "permalink": getMessagePermalink(message_row, message_id),
+          "edited": isMessageEdited(message_row),
+          "reactions": getMessageReactions(message_row),
+          "quotes": getMessageQuotes(message_content),
+          "attachments": getMessageAttachments(message_content)
+        });
       }
     })
 
@@ -334,6 +1014,27 @@ async function rest() {
 
     processed_rows = processed_rows.concat(cur_row_ids); // Update processed rows with current IDs
 
+    // Checkpoint after every page, so a crash or logout loses at most one page of work
+    pages_processed++;
+    try {
+      await saveCheckpoint({
+        topics: overall_stuff,
+        processed_rows: processed_rows,
+        last_message_id: last_message_id,
+        saved_at: new Date().toISOString()
+      });
+    } catch (error) {
+      console.warn("Could not save checkpoint:", error);
+    }
+    if (SCRAPER_CONFIG.partialDownloadEveryPages > 0 && pages_processed % SCRAPER_CONFIG.partialDownloadEveryPages === 0) {
+      saveObjectAsJsonFile(overall_stuff, `${dataset_basename}_messages.partial_${pages_processed}.json`);
+    }
+
+    if (past_until) {
+      console.log("Reached messages newer than filters.until. Stopping.");
+      return;
+    }
+
     bookend.scrollIntoView();
     // Wait for scroll to complete, then rec call
     const waitTime = 5000;
@@ -345,18 +1046,57 @@ async function rest() {
   }
   await processRows(); // Start processing rows
 
-  // Save the overall_stuff object to a JSON file
-  saveObjectAsJsonFile(overall_stuff, 'zulip_messages.json');
-  console.log("All Zulip messages have been processed and saved to zulip_messages.json.");
-}
+  // Topics whose messages were all outside the date window end up empty
+  for (const topic of Object.keys(overall_stuff)) {
+    if (overall_stuff[topic].length === 0) {
+      delete overall_stuff[topic];
+    }
+  }
 
-loadTurndownScript()
-  .then(() => {
-    // TurndownService is now available here!
-    console.log('You can now use TurndownService.');
-    rest(); // Call your function to process the Zulip code blocks
+  // Save the overall_stuff object to a JSON file, along with where and when it was scraped
+  const dataset = {
+    meta: {
+      format: 'zulip-scrape',
+      version: 1,
+      realm: window.location.origin,
+      stream: stream_name,
+      scraped_at: scraped_at,
+      scraper: 'zulip_scraper.js'
+    },
+    topics: overall_stuff
+  };
+  saveObjectAsJsonFile(dataset, `${dataset_basename}_messages.json`);
+  console.log(`All messages of "${stream_name}" have been processed and saved to ${dataset_basename}_messages.json.`);
+  if (SCRAPER_CONFIG.downloadAssets) {
+    saveObjectAsJsonFile(await collectAssetBundle(overall_stuff), `${dataset_basename}_assets.json`);
+    console.log(`Uploads have been saved to ${dataset_basename}_assets.json.`);
+  }
+  if (last_message_id !== null) {
+    console.log(`Newest message id: ${last_message_id} (use it as updateSinceMessageId for the next update).`);
+  }
+  await clearCheckpoint().catch(error => console.warn("Could not clear checkpoint:", error));
+}
 
-  })
-  .catch(error => {
-    console.error('An error occurred:', error);
-  });
+// Pasted into the browser the scraper starts right away. Required from Node (the tests in
+// test/) it only exports its helpers.
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    addZulipTurndownRules,
+    getPreprocessedMessageHtml,
+    getMessageQuotes,
+    getMessageAttachments,
+    collectAssetBundle
+  };
+} else {
+  loadTurndownScript()
+    .then((turndownAvailable) => {
+      if (!turndownAvailable && !confirmPlainTextFallback()) {
+        console.log('Scrape cancelled.');
+        return;
+      }
+      return rest(turndownAvailable); // Call your function to process the Zulip code blocks
+    })
+    .catch(error => {
+      console.error('An error occurred:', error);
+    });
+}